@@ -21,6 +21,7 @@ const Home = React.lazy(() => import('./pages/Home'));
 const Dashboard = React.lazy(() => import('./pages/Dashboard'));
 const IssueTracking = React.lazy(() => import('./pages/IssueTracking'));
 const Profile = React.lazy(() => import('./pages/Profile'));
+const Unsubscribe = React.lazy(() => import('./pages/Unsubscribe'));
 const Login = React.lazy(() => import('./components/auth/Login'));
 const Register = React.lazy(() => import('./components/auth/Register'));
 const ContributionBoard = React.lazy(() => import('./components/leaderboard/ContributorBoard'));
@@ -101,6 +102,7 @@ function App() {
                   <Route path="/" element={<Home />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Register />} />
+                  <Route path="/unsubscribe" element={<Unsubscribe />} />
                   {/* Authority Login Route */}
                   <Route
                     path="/authority/login"
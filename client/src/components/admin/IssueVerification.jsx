@@ -11,11 +11,15 @@ import {
   Filter,
   Search,
   ChevronDown,
-  AlertTriangle
+  AlertTriangle,
+  GitMerge,
+  Scissors,
+  Sparkles,
+  Camera
 } from 'lucide-react'
 import { adminAPI, issuesAPI } from '../../utils/api'
-import { formatRelativeTime, getCategoryInfo, truncate } from '../../utils/helpers'
-import { ISSUE_CATEGORIES } from '../../utils/constants'
+import { formatDate, formatDistance, formatRelativeTime, getCategoryInfo, truncate } from '../../utils/helpers'
+import { ISSUE_CATEGORIES, ISSUE_PRIORITY } from '../../utils/constants'
 import LoadingButton from '../common/LoadingButton'
 import { SkeletonLoader } from '../common/Loader'
 import toast from 'react-hot-toast'
@@ -139,7 +143,8 @@ const IssueVerification = () => {
     }
   }
 
-  const handleApproveIssue = async (issueId, assignToAuthority = null) => {
+  // `corrections` may carry a corrected category/priority, which also trains the suggestion model
+  const handleApproveIssue = async (issueId, assignToAuthority = null, corrections = {}) => {
     if (!issueId) {
       toast.error('Invalid issue ID')
       return
@@ -148,7 +153,8 @@ const IssueVerification = () => {
     try {
       const payload = {
         status: 'verified',
-        adminNotes: 'Issue approved by admin'
+        adminNotes: 'Issue approved by admin',
+        ...corrections
       }
       if (assignToAuthority && typeof assignToAuthority === 'string' && assignToAuthority.trim() !== '') {
         payload.assignedTo = assignToAuthority
@@ -187,6 +193,40 @@ const IssueVerification = () => {
     }
   }
 
+  // Fold this issue into an existing report
+  const handleMergeIssue = async (issueId, targetId, notes) => {
+    setActionLoading(true)
+    try {
+      const response = await adminAPI.mergeIssues(targetId, { sourceIds: [issueId], notes })
+      toast.success(response.data.message)
+      setIssues(prev => prev.filter(issue => issue._id !== issueId))
+      setShowModal(false)
+      setSelectedIssue(null)
+    } catch (error) {
+      console.error('Error merging issue:', error)
+      toast.error(error.response?.data?.message || 'Failed to merge issue')
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  // Move part of this issue into a new pending issue
+  const handleSplitIssue = async (issueId, data) => {
+    setActionLoading(true)
+    try {
+      const response = await adminAPI.splitIssue(issueId, data)
+      toast.success(response.data.message)
+      setShowModal(false)
+      setSelectedIssue(null)
+      loadPendingIssues()
+    } catch (error) {
+      console.error('Error splitting issue:', error)
+      toast.error(error.response?.data?.message || 'Failed to split issue')
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
   const openIssueModal = (issue) => {
     setSelectedIssue(issue)
     setShowModal(true)
@@ -332,12 +372,32 @@ const IssueVerification = () => {
                           <span className="text-lg">{category.icon}</span>
                         </div>
                         
-                        {issue.priority === 'urgent' && (
-                          <div className="bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium flex items-center">
-                            <AlertTriangle className="w-3 h-3 mr-1" />
-                            Urgent
-                          </div>
-                        )}
+                        <div className="flex items-center space-x-2">
+                          {issue.suggestion?.categoryOverridden && (
+                            <div
+                              className="bg-purple-100 text-purple-800 px-2 py-1 rounded-full text-xs font-medium flex items-center"
+                              title={`Suggested ${getCategoryInfo(issue.suggestion.category).label}`}
+                            >
+                              <Sparkles className="w-3 h-3 mr-1" />
+                              Overrode suggestion
+                            </div>
+                          )}
+                          {issue.media?.some(media => media.capture?.warnings?.length > 0) && (
+                            <div
+                              className="bg-amber-100 text-amber-800 px-2 py-1 rounded-full text-xs font-medium flex items-center"
+                              title="A photo's location or capture time doesn't match the report"
+                            >
+                              <Camera className="w-3 h-3 mr-1" />
+                              Photo mismatch
+                            </div>
+                          )}
+                          {issue.priority === 'urgent' && (
+                            <div className="bg-red-100 text-red-800 px-2 py-1 rounded-full text-xs font-medium flex items-center">
+                              <AlertTriangle className="w-3 h-3 mr-1" />
+                              Urgent
+                            </div>
+                          )}
+                        </div>
                       </div>
                       
                       <h3 className="text-lg font-medium text-gray-900 mb-2">
@@ -481,6 +541,8 @@ const IssueVerification = () => {
                   issue={selectedIssue} 
                   onApprove={handleApproveIssue}
                   onReject={handleRejectIssue}
+                  onMerge={handleMergeIssue}
+                  onSplit={handleSplitIssue}
                   loading={actionLoading}
                 />
               </div>
@@ -492,10 +554,45 @@ const IssueVerification = () => {
   )
 }
 
+// Where and when a photo was taken compared with the report, from its EXIF data
+const PhotoCapture = ({ capture }) => {
+  if (!capture) return null
+
+  const details = []
+  if (capture.distance != null) {
+    details.push(`Taken ${formatDistance(capture.distance / 1000)} from the reported location`)
+  } else {
+    details.push('No location in photo')
+  }
+  if (capture.takenAt) {
+    details.push(`on ${formatDate(capture.takenAt, 'MMM dd, yyyy HH:mm')}`)
+  }
+  if (capture.warnings?.includes('taken_before_report')) {
+    details.push('(more than a week before the report)')
+  }
+  if (capture.warnings?.includes('taken_after_report')) {
+    details.push('(after the report was submitted)')
+  }
+
+  const warning = capture.warnings?.length > 0
+  return (
+    <p className={`mt-1 text-xs flex items-start ${warning ? 'text-amber-700' : 'text-gray-500'}`}>
+      {warning ? (
+        <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+      ) : (
+        <Camera className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+      )}
+      {details.join(' ')}
+    </p>
+  )
+}
+
 // Issue Detail View Component
-const IssueDetailView = ({ issue, onApprove, onReject, loading }) => {
+const IssueDetailView = ({ issue, onApprove, onReject, onMerge, onSplit, loading }) => {
   const [rejectionReason, setRejectionReason] = useState('')
   const [showRejectForm, setShowRejectForm] = useState(false)
+  const [showMergeForm, setShowMergeForm] = useState(false)
+  const [showSplitForm, setShowSplitForm] = useState(false)
   const category = getCategoryInfo(issue.category)
 
   const handleReject = () => {
@@ -541,6 +638,46 @@ const IssueDetailView = ({ issue, onApprove, onReject, loading }) => {
         </div>
       </div>
 
+      {/* Suggested classification and whether the reporter kept it */}
+      {issue.suggestion && (
+        <div className={`p-4 rounded-lg border ${issue.suggestion.categoryOverridden || issue.suggestion.priorityOverridden ? 'bg-purple-50 border-purple-200' : 'bg-gray-50 border-gray-200'}`}>
+          <div className="flex items-start justify-between">
+            <div className="text-sm">
+              <h3 className="font-medium text-gray-900 mb-1 flex items-center">
+                <Sparkles className="w-4 h-4 mr-2 text-purple-600" />
+                Suggested classification ({Math.round(issue.suggestion.confidence * 100)}% confident)
+              </h3>
+              <p className="text-gray-700">
+                {getCategoryInfo(issue.suggestion.category).label}, {issue.suggestion.priority} priority
+                {issue.suggestion.tags?.length > 0 && ` · ${issue.suggestion.tags.join(', ')}`}
+              </p>
+              {issue.suggestion.categoryOverridden && (
+                <p className="text-purple-800 mt-1">
+                  Reporter overrode the category and chose {category.label}
+                </p>
+              )}
+              {issue.suggestion.priorityOverridden && (
+                <p className="text-purple-800 mt-1">
+                  Reporter set {issue.priority} priority instead of {issue.suggestion.priority}
+                </p>
+              )}
+            </div>
+            {issue.suggestion.categoryOverridden && !showRejectForm && (
+              <LoadingButton
+                loading={loading}
+                onClick={() => onApprove(issue._id, null, {
+                  category: issue.suggestion.category,
+                  priority: issue.suggestion.priority
+                })}
+                className="btn btn-outline text-sm flex-shrink-0 ml-3"
+              >
+                Approve as suggested
+              </LoadingButton>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Location */}
       {issue.location && (
         <div className="bg-gray-50 p-4 rounded-lg">
@@ -563,28 +700,31 @@ const IssueDetailView = ({ issue, onApprove, onReject, loading }) => {
           <h3 className="font-medium text-gray-900 mb-3">Attached Media</h3>
           <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
             {issue?.media.map((media, index) => (
-              <div key={index} className="aspect-square bg-gray-100 rounded-lg overflow-hidden">
-                {media.type === 'image' ? (
-                  <img
-                    src={media.url}
-                    alt={`Issue media ${index + 1}`}
-                    className="w-full h-full object-cover cursor-pointer"
-                    onClick={() => window.open(media.url, '_blank')}
-                  />
-                ) : media.type === 'video' ? (
-                  <video
-                    src={media.url}
-                    controls
-                    className="w-full h-full object-cover"
-                  />
-                ) : (
-                  <div className="w-full h-full flex items-center justify-center">
-                    <div className="text-center">
-                      <div className="w-8 h-8 bg-gray-400 rounded mx-auto mb-2" />
-                      <span className="text-xs text-gray-500">Audio File</span>
+              <div key={index}>
+                <div className="aspect-square bg-gray-100 rounded-lg overflow-hidden">
+                  {media.type === 'image' ? (
+                    <img
+                      src={media.thumbnails?.find(thumbnail => thumbnail.size === 'medium')?.url || media.url}
+                      alt={`Issue media ${index + 1}`}
+                      className="w-full h-full object-cover cursor-pointer"
+                      onClick={() => window.open(media.url, '_blank')}
+                    />
+                  ) : media.type === 'video' ? (
+                    <video
+                      src={media.url}
+                      controls
+                      className="w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center">
+                      <div className="text-center">
+                        <div className="w-8 h-8 bg-gray-400 rounded mx-auto mb-2" />
+                        <span className="text-xs text-gray-500">Audio File</span>
+                      </div>
                     </div>
-                  </div>
-                )}
+                  )}
+                </div>
+                {media.type === 'image' && <PhotoCapture capture={media.capture} />}
               </div>
             ))}
           </div>
@@ -604,8 +744,40 @@ const IssueDetailView = ({ issue, onApprove, onReject, loading }) => {
 
       {/* Actions */}
       <div className="border-t pt-6">
-        {!showRejectForm ? (
+        {showMergeForm ? (
+          <MergeForm
+            issue={issue}
+            loading={loading}
+            onMerge={(targetId, notes) => onMerge(issue._id, targetId, notes)}
+            onCancel={() => setShowMergeForm(false)}
+          />
+        ) : showSplitForm ? (
+          <SplitForm
+            issue={issue}
+            loading={loading}
+            onSplit={(data) => onSplit(issue._id, data)}
+            onCancel={() => setShowSplitForm(false)}
+          />
+        ) : !showRejectForm ? (
           <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setShowMergeForm(true)}
+              className="btn btn-outline"
+              disabled={loading}
+            >
+              <GitMerge className="w-4 h-4 mr-2" />
+              Merge
+            </button>
+
+            <button
+              onClick={() => setShowSplitForm(true)}
+              className="btn btn-outline"
+              disabled={loading}
+            >
+              <Scissors className="w-4 h-4 mr-2" />
+              Split
+            </button>
+
             <button
               onClick={() => setShowRejectForm(true)}
               className="btn btn-outline text-red-600 border-red-600 hover:bg-red-50"
@@ -666,4 +838,242 @@ const IssueDetailView = ({ issue, onApprove, onReject, loading }) => {
   )
 }
 
+// Pick an existing issue to fold a duplicate into
+const MergeForm = ({ issue, onMerge, onCancel, loading }) => {
+  const [candidates, setCandidates] = useState([])
+  const [candidatesLoading, setCandidatesLoading] = useState(true)
+  const [targetId, setTargetId] = useState('')
+  const [notes, setNotes] = useState('')
+
+  useEffect(() => {
+    const loadCandidates = async () => {
+      try {
+        const response = await adminAPI.getMergeCandidates(issue._id)
+        setCandidates(response.data.data.candidates)
+      } catch (error) {
+        console.error('Error loading merge candidates:', error)
+        toast.error('Failed to load nearby issues')
+      } finally {
+        setCandidatesLoading(false)
+      }
+    }
+    loadCandidates()
+  }, [issue._id])
+
+  const handleMerge = () => {
+    if (!/^[0-9a-fA-F]{24}$/.test(targetId.trim())) {
+      toast.error('Select an issue or enter a valid issue ID')
+      return
+    }
+    onMerge(targetId.trim(), notes)
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="font-medium text-gray-900 mb-1">Merge into an existing issue</h3>
+        <p className="text-sm text-gray-500">
+          Upvotes, comments and media move to the selected issue. This report will redirect there.
+        </p>
+      </div>
+
+      {candidatesLoading ? (
+        <SkeletonLoader lines={3} />
+      ) : candidates.length === 0 ? (
+        <p className="text-sm text-gray-500">No open issues in this category nearby.</p>
+      ) : (
+        <ul className="space-y-2">
+          {candidates.map(candidate => (
+            <li key={candidate._id}>
+              <label className="flex items-center p-3 border rounded-md cursor-pointer hover:bg-gray-50">
+                <input
+                  type="radio"
+                  name="mergeTarget"
+                  value={candidate._id}
+                  checked={targetId === candidate._id}
+                  onChange={() => setTargetId(candidate._id)}
+                  className="mr-3"
+                />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{candidate.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {candidate.distance}m away · {candidate.status.replace('_', ' ')} · {candidate.upvoteCount} upvotes · {formatRelativeTime(candidate.createdAt)}
+                  </p>
+                </div>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Or enter an issue ID
+        </label>
+        <input
+          type="text"
+          value={targetId}
+          onChange={(e) => setTargetId(e.target.value)}
+          className="form-input w-full text-black"
+          placeholder="Target issue ID"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Notes (optional)
+        </label>
+        <input
+          type="text"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          maxLength={300}
+          className="form-input w-full text-black"
+          placeholder="Why these reports are the same issue"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button onClick={onCancel} className="btn btn-outline" disabled={loading}>
+          Cancel
+        </button>
+        <LoadingButton loading={loading} onClick={handleMerge} className="btn btn-primary">
+          <GitMerge className="w-4 h-4 mr-2" />
+          Merge Issue
+        </LoadingButton>
+      </div>
+    </div>
+  )
+}
+
+// Describe the second problem in a report and pick the media that belongs to it
+const SplitForm = ({ issue, onSplit, onCancel, loading }) => {
+  const [form, setForm] = useState({
+    title: '',
+    description: '',
+    category: issue.category,
+    priority: issue.priority,
+    notes: ''
+  })
+  const [mediaIds, setMediaIds] = useState([])
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const toggleMedia = (mediaId) => {
+    setMediaIds(prev => prev.includes(mediaId)
+      ? prev.filter(id => id !== mediaId)
+      : [...prev, mediaId])
+  }
+
+  const handleSplit = () => {
+    if (form.title.trim().length < 5) {
+      toast.error('Title must be at least 5 characters')
+      return
+    }
+    if (form.description.trim().length < 10) {
+      toast.error('Description must be at least 10 characters')
+      return
+    }
+    onSplit({ ...form, mediaIds })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="font-medium text-gray-900 mb-1">Split into a new issue</h3>
+        <p className="text-sm text-gray-500">
+          The new issue keeps the reporter, location and upvotes, and goes back into the verification queue.
+        </p>
+      </div>
+
+      <input
+        type="text"
+        value={form.title}
+        onChange={(e) => updateField('title', e.target.value)}
+        maxLength={100}
+        className="form-input w-full text-black"
+        placeholder="Title of the second problem"
+      />
+
+      <textarea
+        value={form.description}
+        onChange={(e) => updateField('description', e.target.value)}
+        rows={3}
+        maxLength={1000}
+        className="form-textarea w-full text-black"
+        placeholder="Describe the second problem"
+      />
+
+      <div className="grid grid-cols-2 gap-4">
+        <select
+          value={form.category}
+          onChange={(e) => updateField('category', e.target.value)}
+          className="form-select w-full text-black"
+        >
+          {ISSUE_CATEGORIES.map(cat => (
+            <option key={cat.value} value={cat.value}>
+              {cat.label}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={form.priority}
+          onChange={(e) => updateField('priority', e.target.value)}
+          className="form-select w-full text-black"
+        >
+          {ISSUE_PRIORITY.map(priority => (
+            <option key={priority.value} value={priority.value}>
+              {priority.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {issue.media && issue.media.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Media to move</p>
+          <div className="flex flex-wrap gap-2">
+            {issue.media.map((media, index) => (
+              <button
+                key={media._id || index}
+                type="button"
+                onClick={() => toggleMedia(media._id)}
+                className={`w-16 h-16 rounded border-2 overflow-hidden ${
+                  mediaIds.includes(media._id) ? 'border-primary-600' : 'border-transparent'
+                }`}
+              >
+                {media.type === 'image' ? (
+                  <img src={media.url} alt={`Media ${index + 1}`} className="w-full h-full object-cover" />
+                ) : (
+                  <span className="text-xs text-gray-500">{media.type}</span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <input
+        type="text"
+        value={form.notes}
+        onChange={(e) => updateField('notes', e.target.value)}
+        maxLength={300}
+        className="form-input w-full text-black"
+        placeholder="Notes (optional)"
+      />
+
+      <div className="flex justify-end space-x-3">
+        <button onClick={onCancel} className="btn btn-outline" disabled={loading}>
+          Cancel
+        </button>
+        <LoadingButton loading={loading} onClick={handleSplit} className="btn btn-primary">
+          <Scissors className="w-4 h-4 mr-2" />
+          Split Issue
+        </LoadingButton>
+      </div>
+    </div>
+  )
+}
+
 export default IssueVerification
\ No newline at end of file
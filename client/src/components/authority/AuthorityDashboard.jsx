@@ -1,18 +1,28 @@
 import React, { useEffect, useState } from 'react';
-import { LogOut, CheckCircle, Loader2 } from 'lucide-react';
+import { LogOut, CheckCircle, Loader2, Languages } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { authoritiesAPI } from '../../utils/api';
+import { LANGUAGE_CONFIG, STORAGE_KEYS } from '../../utils/constants';
 
 const AuthorityDashboard = ({ authority, token, onLogout }) => {
   const [issues, setIssues] = useState([]);
   const [loading, setLoading] = useState(true);
   const [resolving, setResolving] = useState(null);
+  const [members, setMembers] = useState([]);
+  // Reports are shown machine-translated into this language; '' shows them as written
+  const [language, setLanguage] = useState(
+    localStorage.getItem(STORAGE_KEYS.language) || authority.member?.language || ''
+  );
+
+  // Heads, supervisors and the department login can hand issues to officers
+  const member = authority.member;
+  const canAssign = !member || ['head', 'supervisor'].includes(member.role);
 
   useEffect(() => {
     const fetchIssues = async () => {
       setLoading(true);
       try {
-        const res = await authoritiesAPI.getAssignedIssues(authority.id, token);
+        const res = await authoritiesAPI.getAssignedIssues(authority.id, token, language ? { lang: language } : {});
         setIssues(res.data.data.issues || []);
       } catch (err) {
         toast.error('Failed to load issues');
@@ -21,7 +31,36 @@ const AuthorityDashboard = ({ authority, token, onLogout }) => {
       }
     };
     fetchIssues();
-  }, [authority, token]);
+  }, [authority, token, language]);
+
+  const handleLanguageChange = (value) => {
+    if (value) {
+      localStorage.setItem(STORAGE_KEYS.language, value);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.language);
+    }
+    setLanguage(value);
+  };
+
+  useEffect(() => {
+    if (!canAssign) return;
+    authoritiesAPI.getMembers(authority.id, token)
+      .then(res => setMembers((res.data.data.members || []).filter(m => m.status === 'active')))
+      .catch(() => toast.error('Failed to load staff'));
+  }, [authority, token, canAssign]);
+
+  const handleAssign = async (issueId, memberId) => {
+    try {
+      const res = await authoritiesAPI.assignOfficer(authority.id, issueId, memberId || null, token);
+      const assignedOfficer = res.data.data.issue.assignedOfficer;
+      toast.success(res.data.message);
+      setIssues(issues => issues.map(i => i._id === issueId
+        ? { ...i, assignedOfficer: assignedOfficer && { _id: assignedOfficer.id, name: assignedOfficer.name } }
+        : i));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to assign issue');
+    }
+  };
 
   const handleResolve = async (issueId) => {
     setResolving(issueId);
@@ -43,14 +82,31 @@ const AuthorityDashboard = ({ authority, token, onLogout }) => {
         <div className="flex items-center justify-between mb-8">
           <div>
             <h2 className="text-2xl font-bold text-gray-900">Welcome, {authority.name}</h2>
-            <p className="text-gray-600 text-sm mt-1">{authority.email}</p>
+            <p className="text-gray-600 text-sm mt-1">
+              {member ? `${member.name} · ${member.role.replace('_', ' ')}` : authority.email}
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <label className="flex items-center text-sm text-gray-600">
+              <Languages className="w-4 h-4 mr-1" />
+              <select
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm text-black"
+                value={language}
+                onChange={(e) => handleLanguageChange(e.target.value)}
+              >
+                <option value="">As written</option>
+                {LANGUAGE_CONFIG.supported.map(option => (
+                  <option key={option.code} value={option.code}>{option.name}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              className="flex items-center px-4 py-2 rounded-lg bg-gradient-to-r from-pink-600 to-purple-600 text-white font-semibold hover:scale-105 transition-transform"
+              onClick={onLogout}
+            >
+              <LogOut className="w-5 h-5 mr-2" /> Logout
+            </button>
           </div>
-          <button
-            className="flex items-center px-4 py-2 rounded-lg bg-gradient-to-r from-pink-600 to-purple-600 text-white font-semibold hover:scale-105 transition-transform"
-            onClick={onLogout}
-          >
-            <LogOut className="w-5 h-5 mr-2" /> Logout
-          </button>
         </div>
         <h3 className="text-lg font-semibold text-gray-800 mb-4">Assigned Issues</h3>
         <div className="overflow-x-auto rounded-lg">
@@ -60,19 +116,43 @@ const AuthorityDashboard = ({ authority, token, onLogout }) => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Title</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Category</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Officer</th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-black uppercase">Action</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
               {loading ? (
-                <tr><td colSpan={4} className="text-center py-8"><Loader2 className="animate-spin w-6 h-6 mx-auto text-purple-600" /></td></tr>
+                <tr><td colSpan={5} className="text-center py-8"><Loader2 className="animate-spin w-6 h-6 mx-auto text-purple-600" /></td></tr>
               ) : issues.length === 0 ? (
-                <tr><td colSpan={4} className="text-center py-8 text-gray-500">No assigned issues</td></tr>
+                <tr><td colSpan={5} className="text-center py-8 text-gray-500">No assigned issues</td></tr>
               ) : issues.map(issue => (
                 <tr key={issue._id} className={issue.status === 'resolved' ? 'bg-green-50' : ''}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-black">{issue.title}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-black">
+                    {issue.title}
+                    {issue.isTranslated && (
+                      <span className="block text-xs font-normal text-gray-500" title={issue.original.title}>
+                        Translated from {LANGUAGE_CONFIG.supported.find(option => option.code === issue.language)?.name || issue.language}
+                      </span>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-black">{issue.category}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-black capitalize">{issue.status}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-black">
+                    {canAssign && issue.status !== 'resolved' ? (
+                      <select
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        value={issue.assignedOfficer?._id || ''}
+                        onChange={(e) => handleAssign(issue._id, e.target.value)}
+                      >
+                        <option value="">Unassigned</option>
+                        {members.map(m => (
+                          <option key={m._id} value={m._id}>{m.name} ({m.openIssues})</option>
+                        ))}
+                      </select>
+                    ) : (
+                      issue.assignedOfficer?.name || '—'
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm">
                     {issue.status === 'resolved' ? (
                       <span className="inline-flex items-center text-green-600 font-semibold"><CheckCircle className="w-5 h-5 mr-1" /> Resolved</span>
@@ -3,6 +3,8 @@ import React, { useState, useRef, useEffect } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import { useSocket } from "../../context/SocketContext";
+import { notificationsAPI } from "../../utils/api";
+import { formatRelativeTime } from "../../utils/helpers";
 import toast from "react-hot-toast";
 
 const Header = () => {
@@ -41,6 +43,57 @@ const Header = () => {
     return () => document.removeEventListener("mousedown", handleClickOutside);
   }, []);
 
+  // Load the inbox on login, and again after reconnecting in case anything was missed
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setNotifications([]);
+      setUnreadCount(0);
+      return;
+    }
+
+    const loadNotifications = async () => {
+      try {
+        const response = await notificationsAPI.getAll({ limit: 20 });
+        setNotifications(response.data.data.notifications);
+        setUnreadCount(response.data.data.unreadCount);
+      } catch (error) {
+        console.error("Failed to load notifications:", error);
+      }
+    };
+
+    loadNotifications();
+  }, [isAuthenticated, isConnected]);
+
+  // Keep the bell in sync with socket events (SocketContext re-dispatches them)
+  useEffect(() => {
+    const handleCreated = (event) => {
+      const notification = event.detail;
+      setNotifications((prev) => [
+        notification,
+        ...prev.filter((n) => n.id !== notification.id),
+      ].slice(0, 20));
+      setUnreadCount((count) => count + 1);
+    };
+
+    const handleRead = (event) => {
+      const { ids, all, unreadCount: count } = event.detail;
+      const readIds = (ids || []).map(String);
+      setNotifications((prev) =>
+        prev.map((n) =>
+          all || readIds.includes(String(n.id)) ? { ...n, read: true } : n
+        )
+      );
+      setUnreadCount(count);
+    };
+
+    window.addEventListener("notificationCreated", handleCreated);
+    window.addEventListener("notificationsRead", handleRead);
+    return () => {
+      window.removeEventListener("notificationCreated", handleCreated);
+      window.removeEventListener("notificationsRead", handleRead);
+    };
+  }, []);
+
   // Close mobile menu on route change
   useEffect(() => {
     setIsMobileMenuOpen(false);
@@ -62,6 +115,34 @@ const Header = () => {
     toast.success("Logged out successfully");
   };
 
+  const handleNotificationClick = async (notification) => {
+    setIsNotificationsOpen(false);
+    if (!notification.read) {
+      try {
+        const response = await notificationsAPI.markRead(notification.id);
+        setNotifications((prev) =>
+          prev.map((n) => (n.id === notification.id ? { ...n, read: true } : n))
+        );
+        setUnreadCount(response.data.data.unreadCount);
+      } catch (error) {
+        console.error("Failed to mark notification as read:", error);
+      }
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const response = await notificationsAPI.markAllRead();
+      setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (error) {
+      toast.error("Failed to mark notifications as read");
+    }
+  };
+
   const handleQuickReport = () => {
     if (!isAuthenticated) {
       navigate("/login");
@@ -287,30 +368,46 @@ const Header = () => {
                     ) : (
                       <div className="max-h-80 overflow-y-auto">
                         {notifications.map((notification) => (
-                          <div
+                          <button
                             key={notification.id}
-                            className="px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 border-b border-gray-100 dark:border-gray-600 last:border-0"
+                            onClick={() => handleNotificationClick(notification)}
+                            className={`w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 border-b border-gray-100 dark:border-gray-600 last:border-0 ${
+                              notification.read ? "" : "bg-primary-50 dark:bg-gray-900"
+                            }`}
                           >
                             <div className="flex items-start space-x-3">
                               <div className="flex-shrink-0">
-                                <div className="w-2 h-2 bg-primary-600 rounded-full mt-2" />
+                                <div
+                                  className={`w-2 h-2 rounded-full mt-2 ${
+                                    notification.read ? "bg-transparent" : "bg-primary-600"
+                                  }`}
+                                />
                               </div>
                               <div className="flex-1 min-w-0">
-                                <p className="text-sm text-gray-900 dark:text-gray-100">
-                                  {notification.message}
+                                <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                                  {notification.title}
                                 </p>
+                                {notification.message && (
+                                  <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-2">
+                                    {notification.message}
+                                  </p>
+                                )}
                                 <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                                  {notification.time}
+                                  {formatRelativeTime(notification.createdAt)}
                                 </p>
                               </div>
                             </div>
-                          </div>
+                          </button>
                         ))}
                       </div>
                     )}
 
                     <div className="px-4 py-3 border-t border-gray-200 dark:border-gray-700">
-                      <button className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium">
+                      <button
+                        onClick={handleMarkAllRead}
+                        disabled={unreadCount === 0}
+                        className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
                         Mark all as read
                       </button>
                     </div>
@@ -1,5 +1,5 @@
 // src/components/user/IssueForm.jsx
-import React, { useState, useCallback } from 'react'
+import React, { useState, useCallback, useEffect } from 'react'
 import { useForm } from 'react-hook-form'
 import { useNavigate } from 'react-router-dom'
 import { useDropzone } from 'react-dropzone'
@@ -12,10 +12,13 @@ import {
   MicOff,
   Image as ImageIcon,
   Video,
-  FileAudio
+  FileAudio,
+  ThumbsUp,
+  AlertTriangle,
+  Sparkles
 } from 'lucide-react'
-import { issuesAPI } from '../../utils/api'
-import { ISSUE_CATEGORIES, ISSUE_PRIORITY } from '../../utils/constants'
+import { issuesAPI, uploadsAPI, uploadResumable } from '../../utils/api'
+import { ISSUE_CATEGORIES, ISSUE_PRIORITY, FILE_UPLOAD } from '../../utils/constants'
 import LoadingButton from '../common/LoadingButton'
 import LocationPicker from './LocationPicker'
 import VoiceRecorder from './VoiceRecorder'
@@ -29,6 +32,16 @@ const IssueForm = () => {
   const [showLocationPicker, setShowLocationPicker] = useState(false)
   const [voiceRecording, setVoiceRecording] = useState(null)
   const [isRecording, setIsRecording] = useState(false)
+  // Likely duplicates returned by the server, with the form data that triggered them
+  const [duplicates, setDuplicates] = useState(null)
+  // Transcript of the voice note, offered as a title and description draft
+  const [transcript, setTranscript] = useState(null)
+  const [isTranscribing, setIsTranscribing] = useState(false)
+  // Category, priority and tags suggested from the text, and the tags the reporter accepted
+  const [suggestion, setSuggestion] = useState(null)
+  const [appliedTags, setAppliedTags] = useState([])
+  // Percentage sent of each video, keyed by its preview URL
+  const [uploadProgress, setUploadProgress] = useState({})
 
   const {
     register,
@@ -36,6 +49,7 @@ const IssueForm = () => {
     formState: { errors },
     reset,
     setValue,
+    getValues,
     watch
   } = useForm({
     defaultValues: {
@@ -45,6 +59,39 @@ const IssueForm = () => {
   })
 
   const watchedCategory = watch('category')
+  const watchedTitle = watch('title')
+  const watchedDescription = watch('description')
+
+  // Ask for a suggestion once the reporter pauses typing
+  useEffect(() => {
+    if (!watchedDescription || watchedDescription.trim().length < 10) {
+      setSuggestion(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const response = await issuesAPI.suggest({ title: watchedTitle || '', description: watchedDescription })
+        if (!cancelled) setSuggestion(response.data.data.suggestion)
+      } catch (error) {
+        console.error('Suggestion error:', error)
+      }
+    }, 600)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [watchedTitle, watchedDescription])
+
+  const applySuggestion = () => {
+    setValue('category', suggestion.category, { shouldValidate: true })
+    if (suggestion.priorityConfidence) {
+      setValue('priority', suggestion.priority)
+    }
+    setAppliedTags(suggestion.tags)
+  }
 
   // File upload handler
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
@@ -53,7 +100,8 @@ const IssueForm = () => {
       return
     }
 
-    if (files.length + acceptedFiles.length > 5) {
+    // The voice note is uploaded alongside the photos and counts towards the limit
+    if (files.length + acceptedFiles.length + (voiceRecording ? 1 : 0) > 5) {
       toast.error('Maximum 5 files allowed')
       return
     }
@@ -65,7 +113,7 @@ const IssueForm = () => {
     }))
 
     setFiles(prev => [...prev, ...newFiles])
-  }, [files.length])
+  }, [files.length, voiceRecording])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -74,12 +122,22 @@ const IssueForm = () => {
       'video/*': ['.mp4', '.webm', '.mov'],
       'audio/*': ['.mp3', '.wav', '.ogg', '.m4a']
     },
-    maxSize: 10 * 1024 * 1024, // 10MB
+    maxSize: Math.max(FILE_UPLOAD.maxSize, FILE_UPLOAD.maxVideoSize),
+    // Only videos may use the larger limit
+    validator: (file) => (
+      !file.type.startsWith('video/') && file.size > FILE_UPLOAD.maxSize
+        ? { code: 'file-too-large', message: 'File is larger than 10MB' }
+        : null
+    ),
     maxFiles: 5
   })
 
   // Remove file
   const removeFile = (index) => {
+    // Free a finished video upload that will no longer be attached
+    if (files[index]?.uploadId) {
+      uploadsAPI.cancel(files[index].uploadId).catch(() => {})
+    }
     setFiles(prev => {
       const newFiles = [...prev]
       URL.revokeObjectURL(newFiles[index].preview)
@@ -127,10 +185,39 @@ const IssueForm = () => {
     })
     setIsRecording(false)
     toast.success(`Voice note recorded (${Math.round(duration)}s)`)
+    transcribeVoiceNote(audioBlob)
+  }
+
+  // Fill in the title and description from the voice note where the reporter hasn't typed anything
+  const applyDrafts = (drafts, overwrite = false) => {
+    const { title, description } = getValues()
+    if (overwrite || !title) setValue('title', drafts.title, { shouldValidate: true })
+    if (overwrite || !description) setValue('description', drafts.description, { shouldValidate: true })
+  }
+
+  const transcribeVoiceNote = async (audioBlob) => {
+    setIsTranscribing(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', audioBlob, `voice-${Date.now()}.webm`)
+      const response = await issuesAPI.transcribe(formData)
+      const { text, drafts, suggestion: draftSuggestion } = response.data.data
+      if (drafts) {
+        setTranscript({ text, drafts })
+        if (draftSuggestion) setSuggestion(draftSuggestion)
+        applyDrafts(drafts)
+        toast.success('Drafted from your voice note. Please review the title and description.')
+      }
+    } catch (error) {
+      // Transcription is a convenience; the voice note is still attached to the report
+      console.error('Transcription error:', error)
+    } finally {
+      setIsTranscribing(false)
+    }
   }
 
-  // Submit form
-  const onSubmit = async (data) => {
+  // Submit form; `force` skips the duplicate check after the user has seen the candidates
+  const submitIssue = async (data, force = false) => {
     if (!location) {
       toast.error('Please select a location for the issue')
       return
@@ -139,6 +226,18 @@ const IssueForm = () => {
     setIsLoading(true)
 
     try {
+      // Videos are sent in resumable chunks first; a resubmit reuses uploads that already finished
+      const uploadIds = []
+      for (const fileObj of files) {
+        if (fileObj.type !== 'video') continue
+        const uploadId = await uploadResumable(fileObj.file, {
+          uploadId: fileObj.uploadId,
+          onProgress: (percent) => setUploadProgress(prev => ({ ...prev, [fileObj.preview]: percent }))
+        })
+        uploadIds.push(uploadId)
+        setFiles(prev => prev.map(item => (item.preview === fileObj.preview ? { ...item, uploadId } : item)))
+      }
+
       const formData = new FormData()
       
       // Add form fields
@@ -146,24 +245,43 @@ const IssueForm = () => {
         formData.append(key, data[key])
       })
 
+      if (force) {
+        formData.append('force', 'true')
+      }
+
       // Add location
       formData.append('location', JSON.stringify(location))
 
+      if (appliedTags.length > 0) {
+        formData.append('tags', JSON.stringify(appliedTags))
+      }
+
       // Add files
-      files.forEach((fileObj, index) => {
-        formData.append('media', fileObj.file)
+      files.forEach((fileObj) => {
+        if (fileObj.type !== 'video') {
+          formData.append('media', fileObj.file)
+        }
       })
 
+      if (uploadIds.length > 0) {
+        formData.append('uploadIds', JSON.stringify(uploadIds))
+      }
+
       // Add voice recording
       if (voiceRecording) {
-        formData.append('voice', voiceRecording.blob, `voice-${Date.now()}.wav`)
+        formData.append('media', voiceRecording.blob, `voice-${Date.now()}.webm`)
       }
 
       const response = await issuesAPI.create(formData)
       
+      setDuplicates(null)
       toast.success('Issue reported successfully!')
       navigate(`/issues/${response.data.data.issue._id}`)
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.data?.duplicates) {
+        setDuplicates({ ...error.response.data.data, formData: data })
+        return
+      }
       console.error('Error creating issue:', error)
       toast.error('Failed to report issue. Please try again.')
     } finally {
@@ -171,6 +289,27 @@ const IssueForm = () => {
     }
   }
 
+  const onSubmit = (data) => submitIssue(data)
+
+  // Support an existing report instead of filing a new one
+  const upvoteDuplicate = async (issue) => {
+    setIsLoading(true)
+    try {
+      if (issue.userUpvoted) {
+        toast.success('You have already upvoted this issue')
+      } else {
+        await issuesAPI.upvote(issue._id)
+        toast.success('Thanks! Your upvote was added to the existing report')
+      }
+      navigate(`/issues/${issue._id}`)
+    } catch (error) {
+      console.error('Error upvoting issue:', error)
+      toast.error('Failed to upvote issue. Please try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
   // Get file type icon
   const getFileIcon = (type) => {
     switch (type) {
@@ -269,6 +408,37 @@ const IssueForm = () => {
               {errors.description && (
                 <p className="text-red-600 text-sm mt-1">{errors.description.message}</p>
               )}
+              {suggestion && (
+                <div className="flex items-start justify-between mt-3 p-3 bg-purple-50 border border-purple-200 rounded-md">
+                  <div className="flex items-start text-sm">
+                    <Sparkles className="w-4 h-4 text-purple-600 mr-2 mt-0.5 flex-shrink-0" />
+                    <div>
+                      <p className="text-purple-900">
+                        Suggested category:{' '}
+                        <span className="font-medium">
+                          {ISSUE_CATEGORIES.find(category => category.value === suggestion.category)?.label || suggestion.category}
+                        </span>
+                        {' '}({Math.round(suggestion.confidence * 100)}% confident)
+                        {suggestion.priorityConfidence && (
+                          <>, <span className="capitalize">{suggestion.priority}</span> priority</>
+                        )}
+                      </p>
+                      {suggestion.tags.length > 0 && (
+                        <p className="text-purple-700 mt-1">Tags: {suggestion.tags.join(', ')}</p>
+                      )}
+                    </div>
+                  </div>
+                  {watchedCategory !== suggestion.category && (
+                    <button
+                      type="button"
+                      onClick={applySuggestion}
+                      className="text-sm text-purple-700 hover:text-purple-900 font-medium flex-shrink-0 ml-3"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
 
             {/* Location */}
@@ -328,7 +498,7 @@ const IssueForm = () => {
                         Voice note ({Math.round(voiceRecording.duration)}s)
                       </span>
                       <audio controls className="ml-3">
-                        <source src={voiceRecording.url} type="audio/wav" />
+                        <source src={voiceRecording.url} type="audio/webm" />
                       </audio>
                     </div>
                     <button
@@ -336,6 +506,7 @@ const IssueForm = () => {
                       onClick={() => {
                         URL.revokeObjectURL(voiceRecording.url)
                         setVoiceRecording(null)
+                        setTranscript(null)
                       }}
                       className="text-red-600 hover:text-red-800"
                     >
@@ -350,6 +521,22 @@ const IssueForm = () => {
                     onRecordingStop={() => setIsRecording(false)}
                   />
                 )}
+                {isTranscribing && (
+                  <p className="text-sm text-gray-500">Transcribing your voice note...</p>
+                )}
+                {transcript && (
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-md">
+                    <p className="text-xs font-medium text-gray-500 mb-1">Transcript</p>
+                    <p className="text-sm text-gray-700">{transcript.text}</p>
+                    <button
+                      type="button"
+                      onClick={() => applyDrafts(transcript.drafts, true)}
+                      className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Use as title and description
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -398,6 +585,11 @@ const IssueForm = () => {
                             <span className="text-xs mt-1 text-gray-600 text-center">
                               {fileObj.file.name}
                             </span>
+                            {uploadProgress[fileObj.preview] !== undefined && (
+                              <span className="text-xs text-primary-600">
+                                {uploadProgress[fileObj.preview] < 100 ? `Uploading ${uploadProgress[fileObj.preview]}%` : 'Uploaded'}
+                              </span>
+                            )}
                           </div>
                         )}
                       </div>
@@ -426,6 +618,72 @@ const IssueForm = () => {
               </label>
             </div>
 
+            {/* Possible duplicates */}
+            {duplicates && (
+              <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <div className="flex items-start mb-3">
+                  <AlertTriangle className="w-5 h-5 text-yellow-600 mr-2 mt-0.5" />
+                  <div>
+                    <h3 className="text-sm font-semibold text-yellow-900">
+                      This may already have been reported
+                    </h3>
+                    <p className="text-sm text-yellow-800">
+                      We found similar open issues within {duplicates.radius}m. Upvoting an existing report helps it get fixed faster.
+                    </p>
+                  </div>
+                </div>
+
+                <ul className="space-y-3">
+                  {duplicates.duplicates.map(issue => (
+                    <li key={issue._id} className="flex items-center justify-between p-3 bg-white border border-gray-200 rounded-md">
+                      <div className="flex items-center min-w-0">
+                        {issue.thumbnail && (
+                          <img
+                            src={issue.thumbnail}
+                            alt=""
+                            className="w-12 h-12 rounded object-cover mr-3 flex-shrink-0"
+                          />
+                        )}
+                        <div className="min-w-0">
+                          <a
+                            href={`/issues/${issue._id}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-sm font-medium text-gray-900 hover:text-primary-600 truncate block"
+                          >
+                            {issue.title}
+                          </a>
+                          <p className="text-xs text-gray-500">
+                            {issue.distance}m away · {issue.status.replace('_', ' ')} · {issue.upvoteCount} upvote{issue.upvoteCount === 1 ? '' : 's'}
+                          </p>
+                        </div>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => upvoteDuplicate(issue)}
+                        disabled={isLoading}
+                        className="btn btn-primary text-sm px-3 py-1.5 flex-shrink-0 ml-3"
+                      >
+                        <ThumbsUp className="w-4 h-4 mr-1" />
+                        {issue.userUpvoted ? 'View' : 'Upvote instead'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="flex justify-end mt-3">
+                  <button
+                    type="button"
+                    onClick={() => submitIssue(duplicates.formData, true)}
+                    disabled={isLoading}
+                    className="text-sm text-gray-700 underline hover:text-gray-900"
+                  >
+                    None of these match, submit my report
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Submit Button */}
             <div className="flex justify-end space-x-3 pt-6 border-t">
               <button
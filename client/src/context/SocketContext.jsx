@@ -172,6 +172,19 @@ export const SocketProvider = ({ children }) => {
       );
     });
 
+    // Inbox sync for the header bell
+    socket.on("notification_created", (data) => {
+      window.dispatchEvent(
+        new CustomEvent("notificationCreated", { detail: data })
+      );
+    });
+
+    socket.on("notifications_read", (data) => {
+      window.dispatchEvent(
+        new CustomEvent("notificationsRead", { detail: data })
+      );
+    });
+
     socket.on("online_users_updated", (users) => {
       setOnlineUsers(users);
     });
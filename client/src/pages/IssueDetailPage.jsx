@@ -1,6 +1,6 @@
 // src/pages/IssueDetailPage.jsx - Complete version with integrated delete modal and macOS animation
 import React, { useEffect, useState, useRef } from "react";
-import { useParams } from "react-router-dom";
+import { useParams, useNavigate } from "react-router-dom";
 import { issuesAPI } from "../utils/api";
 import {
   getCategoryInfo,
@@ -14,8 +14,11 @@ import {
   Trash2,
   AlertTriangle,
   X,
+  Mic,
+  Languages,
 } from "lucide-react";
 import LoadingButton from "../components/common/LoadingButton";
+import { LANGUAGE_CONFIG } from "../utils/constants";
 import toast from "react-hot-toast";
 
 // YouTube-style Upvote Animation Component
@@ -309,11 +312,15 @@ const DeleteConfirmationModal = ({
 
 const IssueDetailPage = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
   const [issue, setIssue] = useState(null);
   const [loading, setLoading] = useState(true);
   const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState("");
   const [commentLoading, setCommentLoading] = useState(false);
+  const [draftLoading, setDraftLoading] = useState(false);
+  // Machine-translated text is shown by default; this flips the issue and its comments back to what was written
+  const [showOriginal, setShowOriginal] = useState(false);
 
   // Delete modal state
   const [deleteModal, setDeleteModal] = useState({
@@ -330,6 +337,9 @@ const IssueDetailPage = () => {
   });
 
   // Helper function to get user name
+  const getLanguageName = (code) =>
+    LANGUAGE_CONFIG.supported.find((option) => option.code === code)?.name || code;
+
   const getUserName = (issueData) => {
     if (issueData?.user?.name) {
       return issueData.user.name;
@@ -360,6 +370,12 @@ const IssueDetailPage = () => {
           issueData = res.data;
         }
 
+        // Merged duplicates are redirected to the issue they were folded into
+        if (issueData?._id && issueData._id !== id) {
+          toast("This report was merged into an existing issue");
+          navigate(`/issues/${issueData._id}`, { replace: true });
+        }
+
         setIssue(issueData);
 
         // Set comments from the issue data
@@ -374,6 +390,26 @@ const IssueDetailPage = () => {
     fetchIssue();
   }, [id]);
 
+  // Accept or dismiss the title and description drafted from the reporter's voice note
+  const handleVoiceDraft = async (action) => {
+    setDraftLoading(true);
+    try {
+      const res = await issuesAPI.respondToVoiceDraft(issue._id, { action });
+      const updated = res.data.data.issue;
+      setIssue((prev) => ({
+        ...prev,
+        title: updated.title,
+        description: updated.description,
+        voiceDraft: updated.voiceDraft,
+      }));
+      toast.success(res.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update issue");
+    } finally {
+      setDraftLoading(false);
+    }
+  };
+
   const handleUpvote = async (event) => {
     const triggerElement = event.currentTarget;
     const wasUpvoted = issue.userHasUpvoted;
@@ -562,7 +598,7 @@ const IssueDetailPage = () => {
               </div>
               <div className="flex-1">
                 <h1 className="text-3xl font-bold text-gray-900 mb-2">
-                  {issue.title || "Untitled Issue"}
+                  {(showOriginal && issue.original?.title) || issue.title || "Untitled Issue"}
                 </h1>
                 <div className="flex items-center space-x-4 text-sm text-gray-500 mb-4">
                   <span>#{issue._id}</span>
@@ -615,10 +651,56 @@ const IssueDetailPage = () => {
 
           <div className="mb-6">
             <p className="text-gray-700 text-lg leading-relaxed">
-              {issue.description || "No description provided."}
+              {(showOriginal && issue.original?.description) || issue.description || "No description provided."}
             </p>
+            {issue.isTranslated && (
+              <p className="mt-2 flex items-center text-sm text-gray-500">
+                <Languages className="w-4 h-4 mr-1" />
+                {showOriginal
+                  ? `Original ${getLanguageName(issue.language)} text`
+                  : `Translated from ${getLanguageName(issue.language)}`}
+                <button
+                  onClick={() => setShowOriginal(!showOriginal)}
+                  className="ml-2 text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  {showOriginal ? "Show translation" : "Show original"}
+                </button>
+              </p>
+            )}
           </div>
 
+          {/* Draft from the reporter's voice note, waiting for confirmation */}
+          {issue.voiceDraft?.status === "pending" && (
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <div className="flex items-center text-blue-800 font-medium mb-2">
+                <Mic className="w-4 h-4 mr-2" />
+                We transcribed your voice note
+              </div>
+              <p className="text-sm font-semibold text-gray-900">
+                {issue.voiceDraft.title}
+              </p>
+              <p className="text-sm text-gray-700 mb-3">
+                {issue.voiceDraft.description}
+              </p>
+              <div className="flex space-x-2">
+                <LoadingButton
+                  onClick={() => handleVoiceDraft("accept")}
+                  loading={draftLoading}
+                  className="btn btn-primary text-sm px-3 py-1.5"
+                >
+                  Use as title and description
+                </LoadingButton>
+                <button
+                  onClick={() => handleVoiceDraft("dismiss")}
+                  disabled={draftLoading}
+                  className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Keep my text
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Media preview */}
           {issue.media && issue.media.length > 0 && (
             <div className="mb-6">
@@ -626,7 +708,7 @@ const IssueDetailPage = () => {
                 Attachments
               </h3>
               <div className="flex space-x-2 overflow-x-auto">
-                {issue.media.map((media, idx) => (
+                {issue.media.filter((media) => media.type !== "audio").map((media, idx) => (
                   <img
                     key={idx}
                     src={media.thumbnailUrl || media.url}
@@ -636,6 +718,20 @@ const IssueDetailPage = () => {
                   />
                 ))}
               </div>
+              {issue.media.filter((media) => media.type === "audio").map((media, idx) => (
+                <div key={media._id || idx} className="mt-3 p-3 bg-gray-50 rounded-lg border border-gray-200">
+                  <audio controls src={media.url} className="w-full" />
+                  {media.transcript?.status === "completed" && media.transcript.text && (
+                    <p className="mt-2 text-sm text-gray-700">
+                      <span className="font-medium">Transcript: </span>
+                      {media.transcript.text}
+                    </p>
+                  )}
+                  {["pending", "processing"].includes(media.transcript?.status) && (
+                    <p className="mt-2 text-sm text-gray-500">Transcribing...</p>
+                  )}
+                </div>
+              ))}
             </div>
           )}
         </div>
@@ -721,7 +817,14 @@ const IssueDetailPage = () => {
                         <Trash2 className="w-4 h-4" />
                       </button>
                     </div>
-                    <p className="text-gray-700">{comment.message}</p>
+                    <p className="text-gray-700">
+                      {(showOriginal && comment.original?.message) || comment.message}
+                    </p>
+                    {comment.isTranslated && !showOriginal && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        Translated from {getLanguageName(comment.language)}
+                      </p>
+                    )}
                   </div>
                 </div>
               ))
@@ -21,18 +21,19 @@ import {
   Star
 } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
-import { leaderboardAPI, issuesAPI } from '../utils/api'
+import { leaderboardAPI, issuesAPI, notificationsAPI } from '../utils/api'
 import LoadingButton from '../components/common/LoadingButton'
 import { SkeletonLoader } from '../components/common/Loader'
 import { useForm } from 'react-hook-form'
 import { formatNumber, formatRelativeTime } from '../utils/helpers'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
 import toast from 'react-hot-toast'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 
 const Profile = () => {
   const { user, updateProfile, updateAvatar, changePassword } = useAuth()
-  const [activeTab, setActiveTab] = useState('profile')
+  const [searchParams] = useSearchParams()
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile')
   const [avatarFile, setAvatarFile] = useState(null)
   const [avatarPreview, setAvatarPreview] = useState(null)
   const [uploading, setUploading] = useState(false)
@@ -41,6 +42,7 @@ const Profile = () => {
     { id: 'profile', name: 'Profile', icon: User },
     { id: 'stats', name: 'Statistics', icon: BarChart3 },
     { id: 'settings', name: 'Settings', icon: Settings },
+    { id: 'notifications', name: 'Notifications', icon: Bell },
     { id: 'security', name: 'Security', icon: Lock }
   ]
 
@@ -188,6 +190,7 @@ const Profile = () => {
         {activeTab === 'profile' && <ProfileTab />}
         {activeTab === 'stats' && <StatsTab />}
         {activeTab === 'settings' && <SettingsTab />}
+        {activeTab === 'notifications' && <NotificationsTab />}
         {activeTab === 'security' && <SecurityTab />}
       </div>
     </div>
@@ -753,7 +756,7 @@ const SettingsTab = () => {
               <Globe className="w-5 h-5 text-gray-400 mr-3" />
               <div>
                 <p className="font-medium text-gray-900">Language</p>
-                <p className="text-sm text-gray-600">Preferred language for notifications</p>
+                <p className="text-sm text-gray-600">Preferred language for reports and notifications</p>
               </div>
             </div>
             <select
@@ -783,6 +786,233 @@ const SettingsTab = () => {
   );
 };
 
+const CHANNEL_COLUMNS = [
+  { id: 'email', name: 'Email' },
+  { id: 'sms', name: 'SMS' },
+  { id: 'inApp', name: 'In-app' },
+  { id: 'push', name: 'Pop-up' },
+];
+
+const TIMEZONES = ['Asia/Kolkata', 'Asia/Dubai', 'Asia/Singapore', 'Europe/London', 'America/New_York', 'UTC'];
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Notification preferences: per event and channel, quiet hours and the daily digest
+const NotificationsTab = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const response = await notificationsAPI.getPreferences();
+        setPreferences(response.data.data.preferences);
+        setEvents(response.data.data.events);
+      } catch (error) {
+        console.error('Failed to load notification preferences:', error);
+        toast.error('Failed to load notification preferences');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPreferences();
+  }, []);
+
+  const toggleChannel = (event, channel, checked) => {
+    setPreferences((prev) => ({
+      ...prev,
+      notifications: {
+        ...prev.notifications,
+        [event]: { ...prev.notifications?.[event], [channel]: checked },
+      },
+    }));
+  };
+
+  const updateGroup = (group, key, value) => {
+    setPreferences((prev) => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+  };
+
+  const savePreferences = async () => {
+    setSaving(true);
+    try {
+      const notifications = events.reduce((chosen, { event }) => {
+        chosen[event] = preferences.notifications?.[event] || {};
+        return chosen;
+      }, {});
+      const response = await notificationsAPI.updatePreferences({
+        notifications,
+        quietHours: preferences.quietHours,
+        digest: preferences.digest,
+        timezone: preferences.timezone,
+      });
+      setPreferences(response.data.data.preferences);
+      toast.success('Notification preferences updated!');
+    } catch (error) {
+      console.error('Failed to save notification preferences:', error);
+      toast.error(error.response?.data?.message || 'Failed to save notification preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <SkeletonLoader lines={8} />;
+  }
+
+  if (!preferences) {
+    return null;
+  }
+
+  const timezones = TIMEZONES.includes(preferences.timezone)
+    ? TIMEZONES
+    : [preferences.timezone, ...TIMEZONES];
+
+  return (
+    <div className="space-y-8">
+      {/* Per-event channels */}
+      <div className="bg-white rounded-lg shadow-sm border p-8">
+        <h3 className="text-xl font-bold text-gray-900 mb-2">What you hear about</h3>
+        <p className="text-sm text-gray-600 mb-6">
+          Choose how each kind of update reaches you. Pop-ups appear while Voice2Action is open.
+          {(preferences.emailNotifications === false || preferences.smsNotifications === false) && (
+            <> Email or SMS is switched off for everything under Settings, which overrides the choices below.</>
+          )}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left text-sm font-medium text-gray-500 pb-3">Update</th>
+                {CHANNEL_COLUMNS.map((channel) => (
+                  <th key={channel.id} className="text-center text-sm font-medium text-gray-500 pb-3 px-4">
+                    {channel.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(({ event, label, channels }) => (
+                <tr key={event} className="border-b last:border-0">
+                  <td className="py-3 text-gray-900">{label}</td>
+                  {CHANNEL_COLUMNS.map((channel) => (
+                    <td key={channel.id} className="py-3 px-4 text-center">
+                      {channels.includes(channel.id) ? (
+                        <input
+                          type="checkbox"
+                          aria-label={`${label} by ${channel.name}`}
+                          checked={preferences.notifications?.[event]?.[channel.id] !== false}
+                          onChange={(e) => toggleChannel(event, channel.id, e.target.checked)}
+                          className="form-checkbox h-5 w-5 text-primary-600"
+                        />
+                      ) : (
+                        <span className="text-gray-300">—</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Quiet hours and digest */}
+      <div className="bg-white rounded-lg shadow-sm border p-8">
+        <h3 className="text-xl font-bold text-gray-900 mb-6">Timing</h3>
+        <div className="space-y-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-medium text-gray-900">Quiet hours</p>
+              <p className="text-sm text-gray-600">No SMS or pop-ups during these hours; they still appear in your inbox</p>
+            </div>
+            <input
+              type="checkbox"
+              checked={!!preferences.quietHours?.enabled}
+              onChange={(e) => updateGroup('quietHours', 'enabled', e.target.checked)}
+              className="form-checkbox h-5 w-5 text-primary-600"
+            />
+          </div>
+          {preferences.quietHours?.enabled && (
+            <div className="flex items-center space-x-3">
+              <input
+                type="time"
+                value={preferences.quietHours.start}
+                onChange={(e) => updateGroup('quietHours', 'start', e.target.value)}
+                className="form-input w-32"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="time"
+                value={preferences.quietHours.end}
+                onChange={(e) => updateGroup('quietHours', 'end', e.target.value)}
+                className="form-input w-32"
+              />
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-medium text-gray-900">Daily digest</p>
+              <p className="text-sm text-gray-600">Get one email a day instead of an email for every update</p>
+            </div>
+            <input
+              type="checkbox"
+              checked={!!preferences.digest?.enabled}
+              onChange={(e) => updateGroup('digest', 'enabled', e.target.checked)}
+              className="form-checkbox h-5 w-5 text-primary-600"
+            />
+          </div>
+          {preferences.digest?.enabled && (
+            <div className="flex items-center space-x-3">
+              <span className="text-sm text-gray-600">Send it at</span>
+              <select
+                value={preferences.digest.hour}
+                onChange={(e) => updateGroup('digest', 'hour', Number(e.target.value))}
+                className="form-select w-28"
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>{formatHour(hour)}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center">
+              <Globe className="w-5 h-5 text-gray-400 mr-3" />
+              <div>
+                <p className="font-medium text-gray-900">Time zone</p>
+                <p className="text-sm text-gray-600">Used for quiet hours and the digest</p>
+              </div>
+            </div>
+            <select
+              value={preferences.timezone}
+              onChange={(e) => setPreferences((prev) => ({ ...prev, timezone: e.target.value }))}
+              className="form-select w-48"
+            >
+              {timezones.map((timezone) => (
+                <option key={timezone} value={timezone}>{timezone}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="flex justify-end mt-8">
+          <LoadingButton
+            loading={saving}
+            onClick={savePreferences}
+            className="btn btn-primary"
+          >
+            Save Notification Preferences
+          </LoadingButton>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Security Tab Component
 const SecurityTab = () => {
   const { changePassword } = useAuth();
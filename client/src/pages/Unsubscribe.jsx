@@ -0,0 +1,79 @@
+// src/pages/Unsubscribe.jsx
+import React, { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { MailX, CheckCircle } from 'lucide-react'
+import { notificationsAPI } from '../utils/api'
+import LoadingButton from '../components/common/LoadingButton'
+
+// Landing page for email unsubscribe links. It waits for a click so that
+// mail scanners following the link don't unsubscribe anyone.
+const Unsubscribe = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [loading, setLoading] = useState(false)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleUnsubscribe = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const response = await notificationsAPI.unsubscribe(token)
+      setResult(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to unsubscribe')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-[60vh] flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-8 text-center">
+        {result ? (
+          <>
+            <CheckCircle className="w-12 h-12 mx-auto text-green-500" />
+            <h1 className="mt-4 text-xl font-semibold text-gray-900 dark:text-gray-100">
+              You're unsubscribed
+            </h1>
+            <p className="mt-2 text-gray-600 dark:text-gray-400">{result}.</p>
+          </>
+        ) : (
+          <>
+            <MailX className="w-12 h-12 mx-auto text-gray-400" />
+            <h1 className="mt-4 text-xl font-semibold text-gray-900 dark:text-gray-100">
+              Unsubscribe from these emails?
+            </h1>
+            {token ? (
+              <>
+                <p className="mt-2 text-gray-600 dark:text-gray-400">
+                  You can turn them back on at any time from your profile.
+                </p>
+                {error && (
+                  <p className="mt-4 text-sm text-red-600">{error}</p>
+                )}
+                <LoadingButton
+                  loading={loading}
+                  onClick={handleUnsubscribe}
+                  className="mt-6 btn btn-primary"
+                >
+                  Unsubscribe
+                </LoadingButton>
+              </>
+            ) : (
+              <p className="mt-2 text-red-600">This unsubscribe link is incomplete.</p>
+            )}
+          </>
+        )}
+        <p className="mt-6 text-sm text-gray-500 dark:text-gray-400">
+          Want finer control?{' '}
+          <Link to="/profile?tab=notifications" className="text-primary-600 hover:text-primary-700">
+            Manage notification preferences
+          </Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default Unsubscribe
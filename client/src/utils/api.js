@@ -14,11 +14,17 @@ const api = axios.create({
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add auth token if available
+    // Add auth token if available, keeping explicit ones (e.g. authority portal tokens)
     const token = localStorage.getItem('token');
-    if (token) {
+    if (token && !config.headers.Authorization) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    // Ask for issues and comments in the chosen language (signed-in users' profile preference wins)
+    const language = localStorage.getItem('language');
+    if (language) {
+      config.headers['Accept-Language'] = language;
+    }
     
     // Add timestamp for cache busting if needed
     if (config.method === 'get' && config.cacheBust) {
@@ -216,6 +222,11 @@ export const issuesAPI = {
   search: (params) => api.get('/issues/search/text', { params }),
   deleteComment: (issueId, commentId) => api.delete(`/issues/${issueId}/comments/${commentId}`),
   getViews: (issueId) => api.get(`/issues/${issueId}/views`),
+  transcribe: (formData) => api.post('/issues/transcribe', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  respondToVoiceDraft: (id, data) => api.put(`/issues/${id}/voice-draft`, data),
+  suggest: (data) => api.post('/issues/suggest', data),
 };
 
 export const adminAPI = {
@@ -223,13 +234,27 @@ export const adminAPI = {
   getPendingIssues: (params) => api.get('/admin/issues/pending', { params }),
   updateIssueStatus: (id, data) => api.put(`/admin/issues/${id}/status`, data),
   bulkUpdateIssues: (data) => api.post('/admin/issues/bulk', data),
+  getMergeCandidates: (id, params) => api.get(`/admin/issues/${id}/merge-candidates`, { params }),
+  mergeIssues: (targetId, data) => api.post(`/admin/issues/${targetId}/merge`, data),
+  splitIssue: (id, data) => api.post(`/admin/issues/${id}/split`, data),
   getAnalytics: (params) => api.get('/admin/analytics', { params }),
   getUsers: (params) => api.get('/admin/users', { params }),
   updateUser: (id, data) => api.put(`/admin/users/${id}`, data),
   deleteUser: (id) => api.delete(`/admin/users/${id}`),
   exportData: (params) => api.get('/admin/export', { params }),
   sendAnnouncement: (data) => api.post('/admin/announcement', data),
-  getSystemHealth: () => api.get('/admin/system/health')
+  getAnnouncements: (params) => api.get('/admin/announcements', { params }),
+  cancelAnnouncement: (id, reason) => api.put(`/admin/announcements/${id}/cancel`, { reason }),
+  getSystemHealth: () => api.get('/admin/system/health'),
+  getSlaPolicies: () => api.get('/admin/sla/policies'),
+  updateSlaPolicy: (category, priority, data) => api.put(`/admin/sla/policies/${category}/${priority}`, data),
+  deleteSlaPolicy: (category, priority) => api.delete(`/admin/sla/policies/${category}/${priority}`),
+  getSlaBreaches: (params) => api.get('/admin/sla/breaches', { params }),
+  evaluateSla: () => api.post('/admin/sla/evaluate'),
+  getClassifier: () => api.get('/admin/classifier'),
+  trainClassifier: () => api.post('/admin/classifier/train'),
+  getDuplicateSettings: () => api.get('/admin/duplicates/settings'),
+  updateDuplicateSetting: (category, data) => api.put(`/admin/duplicates/settings/${category}`, data)
 };
 
 
@@ -247,13 +272,22 @@ export const authoritiesAPI = {
   getStats: () => api.get('/authorities/stats/overview'),
   requestOtp: ({ email }) => api.post('/authorities/login/request-otp', { email }),
   verifyOtp: ({ email, otp }) => api.post('/authorities/login/verify-otp', { email, otp }),
-  getAssignedIssues: (authorityId, token) =>
+  getAssignedIssues: (authorityId, token, params) =>
     api.get(`/authorities/${authorityId}/issues`, {
+      params,
       headers: { Authorization: `Bearer ${token}` }
     }),
   resolveIssue: (authorityId, issueId, token) =>
     api.put(`/authorities/${authorityId}/issues/${issueId}`, { status: 'resolved' }, {
       headers: { Authorization: `Bearer ${token}` }
+    }),
+  getMembers: (authorityId, token) =>
+    api.get(`/authorities/${authorityId}/members`, {
+      headers: { Authorization: `Bearer ${token}` }
+    }),
+  assignOfficer: (authorityId, issueId, memberId, token) =>
+    api.put(`/authorities/${authorityId}/issues/${issueId}/assign`, { memberId }, {
+      headers: { Authorization: `Bearer ${token}` }
     })
 };
 
@@ -273,4 +307,88 @@ export const feedbackAPI = {
   getAll: (params) => api.get('/feedback', { params })
 };
 
+export const announcementsAPI = {
+  getAll: (params) => api.get('/announcements', { params })
+};
+
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllRead: () => api.put('/notifications/read-all'),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (data) => api.put('/notifications/preferences', data),
+  unsubscribe: (token) => api.post('/notifications/unsubscribe', { token })
+};
+
+export const uploadsAPI = {
+  create: (data) => api.post('/uploads', data),
+  getStatus: (id) => api.get(`/uploads/${id}`),
+  sendChunk: (id, offset, chunk) => api.patch(`/uploads/${id}`, chunk, {
+    headers: {
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': String(offset)
+    }
+  }),
+  cancel: (id) => api.delete(`/uploads/${id}`)
+};
+
+// Send a large file in chunks and resolve to its upload ID. Pass the `uploadId` of an
+// earlier attempt to resume it; after a network error the offset is re-read from the server.
+export const uploadResumable = async (file, { uploadId, onProgress, retries = 3 } = {}) => {
+  let session = null;
+  if (uploadId) {
+    try {
+      session = (await uploadsAPI.getStatus(uploadId)).data.data;
+    } catch (error) {
+      // Expired or cancelled; start again
+    }
+  }
+  if (!session || session.status === 'rejected') {
+    session = (await uploadsAPI.create({
+      filename: file.name,
+      mimetype: file.type,
+      size: file.size
+    })).data.data;
+  }
+
+  const { uploadId: id, chunkSize } = session;
+  let { offset, status } = session;
+  let failures = 0;
+
+  while (status === 'uploading' || status === 'processing') {
+    if (status === 'processing') {
+      // Another request is checking and storing the file; wait for it to finish
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      ({ offset, status } = (await uploadsAPI.getStatus(id)).data.data);
+      continue;
+    }
+
+    const chunk = file.slice(offset, offset + chunkSize);
+    try {
+      const response = await uploadsAPI.sendChunk(id, offset, chunk);
+      ({ offset, status } = response.data.data);
+      failures = 0;
+      if (onProgress) onProgress(Math.round((offset / file.size) * 100));
+    } catch (error) {
+      const { status: httpStatus, data } = error.response || {};
+      if (httpStatus === 409 && data?.data) {
+        // The server has a different offset (or is already processing); carry on from there
+        ({ offset, status } = data.data);
+        continue;
+      }
+      if (httpStatus && httpStatus < 500) throw error;
+      if (++failures > retries) throw error;
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** failures));
+      ({ offset, status } = (await uploadsAPI.getStatus(id)).data.data);
+    }
+  }
+
+  // Checking and storing the assembled file happens in the final chunk's request
+  if (status !== 'completed') {
+    throw new Error(`Upload of ${file.name} did not complete`);
+  }
+  return id;
+};
+
 export default api;
\ No newline at end of file
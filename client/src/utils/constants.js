@@ -63,6 +63,8 @@ export const USER_ROLES = [
 // File Upload Configuration
 export const FILE_UPLOAD = {
   maxSize: 10 * 1024 * 1024, // 10MB
+  // Videos are sent in resumable chunks, so they may be larger (match the server's MAX_VIDEO_SIZE)
+  maxVideoSize: parseInt(import.meta.env.VITE_MAX_VIDEO_SIZE) || 10 * 1024 * 1024,
   maxFiles: 5,
   acceptedTypes: {
     images: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
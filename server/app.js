@@ -14,6 +14,10 @@ const adminRoutes = require('./routes/admin');
 const authorityRoutes = require('./routes/authorities');
 const leaderboardRoutes = require('./routes/leaderboard');
 const feedbackRoutes = require('./routes/feedback');
+const announcementRoutes = require('./routes/announcements');
+const notificationRoutes = require('./routes/notifications');
+const mediaRoutes = require('./routes/media');
+const uploadRoutes = require('./routes/uploads');
 
 const app = express();
 
@@ -60,7 +64,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Upload-Offset'],
+  exposedHeaders: ['Upload-Offset']
 };
 
 app.use(cors(corsOptions));
@@ -144,6 +149,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/authorities', authorityRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
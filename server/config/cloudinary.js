@@ -9,8 +9,8 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-// Upload file to Cloudinary
-const uploadToCloudinary = (fileBuffer, fileName, resourceType = 'auto') => {
+// Upload file to Cloudinary, from a buffer or a readable stream
+const uploadToCloudinary = (source, fileName, resourceType = 'auto') => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -47,9 +47,15 @@ const uploadToCloudinary = (fileBuffer, fileName, resourceType = 'auto') => {
       }
     );
 
+    if (source instanceof Readable) {
+      source.on('error', reject);
+      source.pipe(uploadStream);
+      return;
+    }
+
     // Create readable stream from buffer
     const readableStream = new Readable();
-    readableStream.push(fileBuffer);
+    readableStream.push(source);
     readableStream.push(null);
     readableStream.pipe(uploadStream);
   });
@@ -132,6 +138,16 @@ const getFileInfo = async (publicId, resourceType = 'image') => {
   }
 };
 
+// Check that the Cloudinary API is reachable with our credentials
+const pingCloudinary = async () => {
+  try {
+    await cloudinary.api.ping();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message || error.error?.message };
+  }
+};
+
 // Generate optimized URL
 const getOptimizedUrl = (publicId, options = {}) => {
   return cloudinary.url(publicId, {
@@ -161,6 +177,7 @@ module.exports = {
   deleteFromCloudinary,
   deleteMultipleFiles,
   getFileInfo,
+  pingCloudinary,
   getOptimizedUrl,
   getVideoThumbnail
 };
\ No newline at end of file
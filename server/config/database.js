@@ -9,6 +9,13 @@ const connectDB = async () => {
     });
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Upgrade indexes that changed shape; failures are logged, never fatal
+    try {
+      await require('../models/Issue').ensureSearchIndex();
+    } catch (indexError) {
+      console.error('Issue index upgrade failed:', indexError.message);
+    }
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
@@ -20,6 +20,10 @@ const setupSocket = (io) => {
         return next(new Error('Authentication error: User not found'));
       }
 
+      if (user.isBlocked()) {
+        return next(new Error(`Authentication error: Account ${user.status}`));
+      }
+
       socket.user = user;
       next();
     } catch (error) {
@@ -170,8 +174,8 @@ const broadcastAnnouncement = (io, announcement) => {
   });
 };
 
-// Send issue status update notifications
-const notifyIssueStatusUpdate = (io, issue, oldStatus, newStatus, updatedBy) => {
+// Send issue status update notifications; `notifyReporter` is off when the reporter muted live alerts
+const notifyIssueStatusUpdate = (io, issue, oldStatus, newStatus, updatedBy, { notifyReporter = true } = {}) => {
   const notification = {
     issueId: issue._id,
     title: issue.title,
@@ -181,8 +185,10 @@ const notifyIssueStatusUpdate = (io, issue, oldStatus, newStatus, updatedBy) =>
     timestamp: new Date()
   };
 
-  // Notify issue reporter
-  emitToUser(io, issue.reporter, 'issue_status_updated', notification);
+  // Notify issue reporter (the reporter may already be populated)
+  if (notifyReporter) {
+    emitToUser(io, issue.reporter._id || issue.reporter, 'issue_status_updated', notification);
+  }
 
   // Notify issue followers (users who commented or upvoted)
   emitToIssue(io, issue._id, 'issue_status_changed', notification);
@@ -1,70 +1,147 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Authority = require('../models/Authority');
+const AuthorityMember = require('../models/AuthorityMember');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
-  try {
-    let token;
+// Principals a token can represent: users by role, or an authority (type: 'authority' tokens)
+const PRINCIPAL_TYPES = ['citizen', 'admin', 'authority'];
+
+// Read a Bearer token from the Authorization header
+const getToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Load the principal for a verified token payload, or explain why it is not allowed in
+const loadPrincipal = async (decoded) => {
+  if (decoded.type === 'authority') {
+    const authority = await Authority.findById(decoded.authorityId);
 
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+    if (!authority) {
+      return { error: { status: 401, message: 'Token is valid but authority no longer exists' } };
+    }
+    if (authority.status !== 'active') {
+      return {
+        error: {
+          status: 403,
+          message: `Authority account is ${authority.status}. Please contact administrator.`
+        }
+      };
     }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
+    // Staff tokens carry the member; tokens without one belong to the department mailbox
+    let member = null;
+    if (decoded.memberId) {
+      member = await AuthorityMember.findOne({ _id: decoded.memberId, authority: authority._id });
+      if (!member) {
+        return { error: { status: 401, message: 'Token is valid but staff member no longer exists' } };
+      }
+      if (member.status !== 'active') {
+        return { error: { status: 403, message: `Staff account is ${member.status}. Please contact your department head.` } };
+      }
     }
 
+    return { principal: { type: 'authority', id: authority._id, authority, member } };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { error: { status: 401, message: 'Token is valid but user no longer exists' } };
+  }
+  if (user.isBlocked()) {
+    return {
+      error: {
+        status: 403,
+        message: `Your account has been ${user.status}. ${user.statusReason || ''}`.trim()
+      }
+    };
+  }
+
+  return { principal: { type: user.role, id: user._id, user } };
+};
+
+// Authenticate a citizen, admin and/or authority token, e.g. authenticate('authority', 'admin').
+// Sets req.principal plus req.user, or req.authority and req.authorityMember.
+const authenticate = (...allowed) => {
+  const types = allowed.length > 0 ? allowed : PRINCIPAL_TYPES;
+
+  return async (req, res, next) => {
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
+      const token = getToken(req);
+
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. No token provided.'
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
         return res.status(401).json({
           success: false,
-          message: 'Token is valid but user no longer exists'
+          message: 'Invalid or expired token'
+        });
+      }
+
+      const { principal, error } = await loadPrincipal(decoded);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (!types.includes(principal.type)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required: ${types.join(' or ')}`
         });
       }
 
-      req.user = user;
+      req.principal = principal;
+      if (principal.type === 'authority') {
+        req.authority = principal.authority;
+        req.authorityMember = principal.member;
+      } else {
+        req.user = principal.user;
+      }
       next();
     } catch (error) {
-      return res.status(401).json({
+      res.status(500).json({
         success: false,
-        message: 'Invalid or expired token'
+        message: 'Server error in authentication',
+        error: error.message
       });
     }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server error in authentication',
-      error: error.message
-    });
-  }
+  };
 };
 
+// Authority portal routes - verify an authority token and load the Authority
+const authorityAuth = authenticate('authority');
+
+// Protect routes - verify a citizen or admin JWT token
+const protect = authenticate('citizen', 'admin');
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getToken(req);
 
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
-        if (user) {
-          req.user = user;
+        const { principal } = await loadPrincipal(decoded);
+        // Only citizen/admin tokens populate req.user here
+        if (principal && principal.type !== 'authority') {
+          req.principal = principal;
+          req.user = principal.user;
         }
       } catch (error) {
         // Token invalid but continue without user
@@ -85,8 +162,28 @@ const generateToken = (id) => {
   });
 };
 
+// Generate JWT token for an authority portal session, optionally for a named staff member
+const generateAuthorityToken = (authority, member = null) => {
+  const payload = {
+    authorityId: authority._id,
+    type: 'authority',
+    email: member ? member.email : authority.contact.email,
+    department: authority.department
+  };
+  if (member) {
+    payload.memberId = member._id;
+    payload.memberRole = member.role;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+};
+
 module.exports = {
+  PRINCIPAL_TYPES,
   protect,
   optionalAuth,
-  generateToken
+  authenticate,
+  authorityAuth,
+  generateToken,
+  generateAuthorityToken
 };
\ No newline at end of file
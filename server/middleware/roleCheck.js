@@ -101,8 +101,32 @@ const selfOnly = (req, res, next) => {
   next();
 };
 
+// Restrict authority portal routes to staff roles. Admins and the department
+// mailbox login (no named member) are not restricted.
+const authorityRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.principal) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Please login first.'
+      });
+    }
+
+    const member = req.authorityMember;
+    if (req.principal.type === 'authority' && member && !roles.includes(member.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required staff role: ${roles.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authorize,
+  authorityRole,
   adminOnly,
   ownerOrAdmin,
   selfOnly
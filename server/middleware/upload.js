@@ -1,6 +1,7 @@
 // middleware/upload.js
 const multer = require('multer');
 const path = require('path');
+const { MAX_UPLOAD_SIZE, uploadInspector } = require('../services/uploadInspectionService');
 
 // Configure multer for memory storage (we'll upload to Cloudinary)
 const storage = multer.memoryStorage();
@@ -27,11 +28,15 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Largest file multer accepts; per-type limits are applied by inspectUploads
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || MAX_UPLOAD_SIZE;
+const maxFileSizeMB = Math.round(maxFileSize / 1024 / 1024);
+
 // Multer configuration
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB default
+    fileSize: maxFileSize,
     files: parseInt(process.env.MAX_FILES) || 5 // 5 files max
   },
   fileFilter: fileFilter
@@ -46,6 +51,44 @@ const uploadSingle = upload.single('file');
 // Profile image upload
 const uploadAvatar = upload.single('avatar');
 
+// Check what was actually uploaded: file signature against the declared type, per-type
+// size and duration limits, and the virus scanner. A rejected file is quarantined and
+// the whole upload is refused.
+const inspectUploads = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    for (const file of files) {
+      const result = await uploadInspector.inspect(file);
+      if (result.ok) continue;
+
+      try {
+        await uploadInspector.quarantine(file, result, req);
+      } catch (quarantineError) {
+        console.error('Quarantine error:', quarantineError);
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        data: {
+          filename: file.originalname,
+          reason: result.reason
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Upload inspection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check uploaded files',
+      error: error.message
+    });
+  }
+};
+
 // Enhanced upload middleware with error handling
 const handleMultipleUpload = (req, res, next) => {
   uploadMultiple(req, res, (error) => {
@@ -53,7 +96,7 @@ const handleMultipleUpload = (req, res, next) => {
       if (error.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
           success: false,
-          message: 'File too large. Maximum size is 10MB per file.'
+          message: `File too large. Maximum size is ${maxFileSizeMB}MB per file.`
         });
       }
       if (error.code === 'LIMIT_FILE_COUNT') {
@@ -82,19 +125,11 @@ const handleMultipleUpload = (req, res, next) => {
     // Validate file types more thoroughly
     if (req.files && req.files.length > 0) {
       for (let file of req.files) {
-        // Check file size again
-        if (file.size > 10485760) {
-          return res.status(400).json({
-            success: false,
-            message: `File ${file.originalname} is too large. Maximum size is 10MB.`
-          });
-        }
-
         // Validate MIME types
         const validMimeTypes = [
           'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
           'video/mp4', 'video/avi', 'video/quicktime', 'video/webm',
-          'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4'
+          'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/webm'
         ];
 
         if (!validMimeTypes.includes(file.mimetype)) {
@@ -106,7 +141,7 @@ const handleMultipleUpload = (req, res, next) => {
       }
     }
 
-    next();
+    inspectUploads(req, res, next);
   });
 };
 
@@ -117,7 +152,7 @@ const handleSingleUpload = (req, res, next) => {
       if (error.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
           success: false,
-          message: 'File too large. Maximum size is 10MB.'
+          message: `File too large. Maximum size is ${maxFileSizeMB}MB.`
         });
       }
       return res.status(400).json({
@@ -130,7 +165,7 @@ const handleSingleUpload = (req, res, next) => {
         message: error.message
       });
     }
-    next();
+    inspectUploads(req, res, next);
   });
 };
 
@@ -141,7 +176,7 @@ const handleAvatarUpload = (req, res, next) => {
       if (error.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
           success: false,
-          message: 'Avatar image too large. Maximum size is 10MB.'
+          message: `Avatar image too large. Maximum size is ${maxFileSizeMB}MB.`
         });
       }
       return res.status(400).json({
@@ -163,11 +198,12 @@ const handleAvatarUpload = (req, res, next) => {
       });
     }
 
-    next();
+    inspectUploads(req, res, next);
   });
 };
 
 module.exports = {
+  inspectUploads,
   handleMultipleUpload,
   handleSingleUpload,
   handleAvatarUpload,
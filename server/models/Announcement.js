@@ -0,0 +1,125 @@
+// models/Announcement.js
+const mongoose = require('mongoose');
+
+const announcementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Announcement title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Announcement message is required'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  type: {
+    type: String,
+    enum: ['info', 'warning', 'success', 'urgent'],
+    default: 'info'
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'high'],
+    default: 'normal'
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['all', 'role', 'ward', 'district', 'users'],
+      default: 'all'
+    },
+    role: {
+      type: String,
+      enum: ['citizen', 'admin']
+    },
+    ward: String,
+    district: String,
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  channels: {
+    email: {
+      type: Boolean,
+      default: false
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    }
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled', 'expired', 'failed'],
+    default: 'scheduled'
+  },
+  scheduledFor: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  sentAt: Date,
+  delivery: {
+    recipients: { type: Number, default: 0 },
+    emailSent: { type: Number, default: 0 },
+    emailFailed: { type: Number, default: 0 },
+    smsSent: { type: Number, default: 0 },
+    smsFailed: { type: Number, default: 0 },
+    error: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+announcementSchema.index({ status: 1, scheduledFor: 1 });
+announcementSchema.index({ status: 1, sentAt: -1 });
+announcementSchema.index({ 'target.users': 1 });
+
+// Payload pushed over Socket.IO; matches the shape the client toast handlers expect
+announcementSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    message: this.message,
+    type: this.type,
+    priority: this.priority,
+    expiresAt: this.expiresAt,
+    timestamp: this.sentAt || new Date()
+  };
+};
+
+// Static method to build a query for sent, unexpired announcements visible to a user.
+// Ward and district announcements are matched against the locations the client follows.
+announcementSchema.statics.visibleTo = function(user, { ward, district } = {}) {
+  const audience = [
+    { 'target.type': 'all' },
+    { 'target.type': 'role', 'target.role': user.role },
+    { 'target.type': 'users', 'target.users': user._id }
+  ];
+  if (ward) {
+    audience.push({ 'target.type': 'ward', 'target.ward': ward });
+  }
+  if (district) {
+    audience.push({ 'target.type': 'district', 'target.district': district });
+  }
+
+  return this.find({
+    status: 'sent',
+    $and: [
+      { $or: audience },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Announcement', announcementSchema);
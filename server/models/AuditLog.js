@@ -0,0 +1,58 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed // { field: { from, to } }
+  },
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to record an admin action; failures are logged, never thrown
+auditLogSchema.statics.record = async function(req, { action, targetType, targetId, reason, changes }) {
+  try {
+    return await this.create({
+      actor: req.user._id,
+      action,
+      targetType,
+      targetId,
+      reason,
+      changes,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
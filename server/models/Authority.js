@@ -1,5 +1,6 @@
 // models/Authority.js
 const mongoose = require('mongoose');
+const turf = require('@turf/turf');
 
 const authoritySchema = new mongoose.Schema({
   name: {
@@ -45,6 +46,13 @@ const authoritySchema = new mongoose.Schema({
     officeAddress: {
       type: String,
       required: [true, 'Office address is required']
+    },
+    officeLocation: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: [Number] // [lng, lat]
     }
   },
   serviceArea: {
@@ -59,7 +67,7 @@ const authoritySchema = new mongoose.Schema({
         default: 'Polygon'
       },
       coordinates: {
-        type: [[[Number]]], // GeoJSON format
+        type: Array, // GeoJSON format - [[[lng, lat]]] for Polygon, [[[[lng, lat]]]] for MultiPolygon
         required: [true, 'Service boundaries are required']
       }
     },
@@ -120,6 +128,11 @@ const authoritySchema = new mongoose.Schema({
     urgentOnly: {
       type: Boolean,
       default: false
+    },
+    language: {
+      type: String, // for emails and SMS sent to the department
+      enum: ['en', 'hi', 'te', 'ta', 'bn'],
+      default: 'en'
     }
   },
   status: {
@@ -137,6 +150,7 @@ const authoritySchema = new mongoose.Schema({
     allocated: Number,
     spent: Number
   },
+  lastLogin: Date,
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -152,11 +166,43 @@ authoritySchema.index({ 'serviceArea.boundaries': '2dsphere' });
 authoritySchema.index({ department: 1, status: 1 });
 authoritySchema.index({ 'performanceMetrics.rating': -1 });
 
+// Method to get the service area boundaries as a turf feature (null if missing or malformed)
+authoritySchema.methods.getBoundaryFeature = function() {
+  const boundaries = this.serviceArea && this.serviceArea.boundaries;
+  if (!boundaries || !Array.isArray(boundaries.coordinates) || boundaries.coordinates.length === 0) {
+    return null;
+  }
+
+  try {
+    const coordinates = JSON.parse(JSON.stringify(boundaries.coordinates));
+    return boundaries.type === 'MultiPolygon'
+      ? turf.multiPolygon(coordinates, { authorityId: this._id, name: this.name })
+      : turf.polygon(coordinates, { authorityId: this._id, name: this.name });
+  } catch (error) {
+    return null;
+  }
+};
+
 // Method to check if a location is within service area
 authoritySchema.methods.isLocationInServiceArea = function(lat, lng) {
-  // This would use turf.js in the actual implementation
-  // For now, return true as placeholder
-  return true;
+  const feature = this.getBoundaryFeature();
+  if (!feature) {
+    return false;
+  }
+
+  return turf.booleanPointInPolygon(turf.point([lng, lat]), feature);
+};
+
+// Static method to find every authority whose service area covers a location
+authoritySchema.statics.findCoveringLocation = function(lat, lng, filter = {}) {
+  return this.find({
+    ...filter,
+    'serviceArea.boundaries': {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] }
+      }
+    }
+  });
 };
 
 // Method to update performance metrics
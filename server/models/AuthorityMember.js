@@ -0,0 +1,78 @@
+// models/AuthorityMember.js
+const mongoose = require('mongoose');
+
+// Roles inside a department; heads and supervisors can hand issues to officers
+const MEMBER_ROLES = ['head', 'supervisor', 'field_officer'];
+const ASSIGNING_ROLES = ['head', 'supervisor'];
+
+const authorityMemberSchema = new mongoose.Schema({
+  authority: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Authority',
+    required: [true, 'Authority is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'field_officer'
+  },
+  designation: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Designation cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'suspended'],
+    default: 'active'
+  },
+  language: {
+    type: String, // issues and comments are shown translated into this language
+    enum: ['en', 'hi', 'te', 'ta', 'bn'],
+    default: 'en'
+  },
+  lastLogin: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+authorityMemberSchema.index({ authority: 1, role: 1, status: 1 });
+
+// Update the updatedAt field before saving
+authorityMemberSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to check if this member may assign issues to officers
+authorityMemberSchema.methods.canAssignIssues = function() {
+  return ASSIGNING_ROLES.includes(this.role);
+};
+
+authorityMemberSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+module.exports = mongoose.model('AuthorityMember', authorityMemberSchema);
@@ -0,0 +1,65 @@
+// models/DuplicateSetting.js
+const mongoose = require('mongoose');
+
+// Used for categories an admin hasn't tuned
+const DEFAULT_DUPLICATE_SETTING = {
+  enabled: true,
+  radius: 100, // meters
+  minTextScore: 1 // MongoDB $text relevance score a nearby issue must reach
+};
+
+const duplicateSettingSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    unique: true,
+    enum: [
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ]
+  },
+  enabled: {
+    type: Boolean,
+    default: DEFAULT_DUPLICATE_SETTING.enabled
+  },
+  radius: {
+    type: Number,
+    default: DEFAULT_DUPLICATE_SETTING.radius,
+    min: [10, 'Radius must be at least 10 meters'],
+    max: [5000, 'Radius cannot exceed 5000 meters']
+  },
+  minTextScore: {
+    type: Number,
+    default: DEFAULT_DUPLICATE_SETTING.minTextScore,
+    min: [0, 'Similarity threshold cannot be negative']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to get the effective settings for a category
+duplicateSettingSchema.statics.getForCategory = async function(category) {
+  const setting = await this.findOne({ category }).lean();
+  return { ...DEFAULT_DUPLICATE_SETTING, ...setting, category };
+};
+
+duplicateSettingSchema.statics.DEFAULTS = DEFAULT_DUPLICATE_SETTING;
+
+module.exports = mongoose.model('DuplicateSetting', duplicateSettingSchema);
@@ -1,6 +1,57 @@
 // models/Issue.js
 const mongoose = require('mongoose');
 
+// [lng, lat] GeoJSON point -> { lat, lng }
+const toLatLng = (point) => (
+  point && Array.isArray(point.coordinates) && point.coordinates.length === 2
+    ? { lat: point.coordinates[1], lng: point.coordinates[0] }
+    : undefined
+);
+
+// Where an issue was reported. The point is stored as GeoJSON, while the API reads
+// and writes it as `coordinates: { lat, lng }` through the virtual below.
+const locationSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: [true, 'Location address is required']
+  },
+  // GeoJSON, [lng, lat], for the 2dsphere index
+  point: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      default: undefined,
+      required: [true, 'Location coordinates are required'],
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'Invalid coordinates'
+      }
+    }
+  },
+  landmark: String,
+  ward: String,
+  district: String
+}, {
+  _id: false,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+locationSchema.virtual('coordinates')
+  .get(function() {
+    return toLatLng(this.point);
+  })
+  .set(function(value) {
+    this.point = value ? { type: 'Point', coordinates: [value.lng, value.lat] } : undefined;
+  });
+
 const issueSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -14,6 +65,26 @@ const issueSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Language the reporter wrote in; machine translations are added by services/translationService.js
+  language: {
+    type: String,
+    enum: ['en', 'hi', 'te', 'ta', 'bn'],
+    default: 'en'
+  },
+  translations: [{
+    _id: false,
+    language: String,
+    title: String,
+    description: String,
+    provider: String,
+    translatedAt: Date
+  }],
+  // Last failed translation run; the background sweep retries a few times, oldest issues first
+  translationFailure: {
+    attempts: Number,
+    failedAt: Date,
+    error: String
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -39,27 +110,8 @@ const issueSchema = new mongoose.Schema({
     default: 'medium'
   },
   location: {
-    address: {
-      type: String,
-      required: [true, 'Location address is required']
-    },
-    coordinates: {
-      lat: {
-        type: Number,
-        required: [true, 'Latitude is required'],
-        min: [-90, 'Invalid latitude'],
-        max: [90, 'Invalid latitude']
-      },
-      lng: {
-        type: Number,
-        required: [true, 'Longitude is required'],
-        min: [-180, 'Invalid longitude'],
-        max: [180, 'Invalid longitude']
-      }
-    },
-    landmark: String,
-    ward: String,
-    district: String
+    type: locationSchema,
+    required: [true, 'Location is required']
   },
   media: [{
     type: {
@@ -71,12 +123,64 @@ const issueSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    publicId: String, // Cloudinary public ID
+    publicId: String, // Storage key: Cloudinary public ID, local file path or S3 object key
     filename: String,
     size: Number,
+    width: Number,
+    height: Number,
+    // Resized WebP copies of photos, smallest first; thumbnailUrl is the smallest
+    thumbnails: [{
+      _id: false,
+      size: {
+        type: String,
+        enum: ['small', 'medium', 'large']
+      },
+      url: String,
+      publicId: String,
+      width: Number,
+      height: Number
+    }],
+    thumbnailUrl: String,
+    // 64-bit perceptual hash (hex) for spotting the same photo across reports
+    phash: String,
+    // EXIF capture details checked against the report by services/imageService.js.
+    // The photo's own GPS position is never stored, only its distance from the reported location.
+    capture: {
+      type: {
+        takenAt: Date,
+        hasLocation: Boolean,
+        distance: Number, // meters
+        warnings: [{
+          type: String,
+          enum: ['far_from_report', 'taken_before_report', 'taken_after_report']
+        }]
+      },
+      default: undefined
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
+    },
+    // Speech-to-text for audio, maintained by services/transcriptionService.js
+    transcript: {
+      type: {
+        status: {
+          type: String,
+          enum: ['pending', 'processing', 'completed', 'failed']
+        },
+        text: String,
+        language: String, // detected language code, e.g. 'en', 'hi'
+        confidence: Number,
+        provider: String,
+        error: String,
+        attempts: {
+          type: Number,
+          default: 0
+        },
+        startedAt: Date,
+        transcribedAt: Date
+      },
+      default: null
     }
   }],
   reporter: {
@@ -89,11 +193,30 @@ const issueSchema = new mongoose.Schema({
     ref: 'Authority',
     default: null
   },
+  assignedOfficer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuthorityMember',
+    default: null
+  },
   status: {
     type: String,
-    enum: ['pending', 'verified', 'rejected', 'assigned', 'in_progress', 'resolved', 'closed'],
+    enum: ['pending', 'verified', 'rejected', 'assigned', 'in_progress', 'resolved', 'closed', 'merged'],
     default: 'pending'
   },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue', // Set on duplicates folded into another issue; reads redirect there
+    default: null
+  },
+  mergedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  splitFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null
+  },
   adminNotes: {
     type: String,
     maxlength: [500, 'Admin notes cannot exceed 500 characters']
@@ -105,7 +228,7 @@ const issueSchema = new mongoose.Schema({
   timeline: [{
     action: {
       type: String,
-      enum: ['submitted', 'verified', 'rejected', 'assigned', 'in_progress', 'resolved', 'closed'],
+      enum: ['submitted', 'verified', 'rejected', 'assigned', 'in_progress', 'resolved', 'closed', 'escalated', 'merged', 'split'],
       required: true
     },
     timestamp: {
@@ -120,6 +243,10 @@ const issueSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Authority'
     },
+    officer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuthorityMember' // Staff member who acted, for authority actions
+    },
     notes: String
   }],
   upvotes: [{
@@ -143,6 +270,17 @@ const issueSchema = new mongoose.Schema({
       required: true,
       maxlength: [300, 'Comment cannot exceed 300 characters']
     },
+    language: {
+      type: String,
+      default: 'en'
+    },
+    translations: [{
+      _id: false,
+      language: String,
+      message: String,
+      provider: String,
+      translatedAt: Date
+    }],
     timestamp: {
       type: Date,
       default: Date.now
@@ -160,6 +298,55 @@ const issueSchema = new mongoose.Schema({
     type: Number, // in hours
     default: null
   },
+  // SLA tracking, maintained by services/slaService.js
+  sla: {
+    startedAt: Date, // when the issue was last assigned; the SLA clock starts here
+    responseDueAt: Date,
+    dueAt: Date,
+    breached: {
+      type: Boolean,
+      default: false
+    },
+    breachType: {
+      type: String,
+      enum: ['response', 'resolution']
+    },
+    breachedAt: Date,
+    escalationLevel: {
+      type: Number, // 0 none, 1 head of department, 2 admins
+      default: 0
+    },
+    lastEscalatedAt: Date
+  },
+  // Title and description drafted from the reporter's voice note, until they accept or dismiss it
+  voiceDraft: {
+    type: {
+      title: String,
+      description: String,
+      language: String,
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'dismissed'],
+        default: 'pending'
+      },
+      createdAt: Date,
+      respondedAt: Date
+    },
+    default: null
+  },
+  // What services/classificationService.js suggested at submission, and whether the reporter kept it
+  suggestion: {
+    type: {
+      category: String,
+      priority: String,
+      tags: [String],
+      confidence: Number, // 0-1
+      modelVersion: Number,
+      categoryOverridden: Boolean,
+      priorityOverridden: Boolean
+    },
+    default: null
+  },
   tags: [String],
   visibility: {
     type: String,
@@ -180,14 +367,29 @@ const issueSchema = new mongoose.Schema({
   }
 });
 
+// Lean queries skip virtuals, so give their plain results the same { lat, lng } shape
+issueSchema.post(['find', 'findOne', 'findOneAndUpdate'], function(result) {
+  if (!result || !this.mongooseOptions().lean) return;
+  (Array.isArray(result) ? result : [result]).forEach(issue => {
+    if (issue.location && issue.location.point) {
+      issue.location.coordinates = toLatLng(issue.location.point);
+    }
+  });
+});
+
 // Update the updatedAt field before saving
 issueSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-// Add text index for search
-issueSchema.index({ title: 'text', description: 'text' });
+// Add text index for search. Translations are indexed so a report can be found in any
+// language; `language_override` points at a field we never set, because MongoDB would
+// otherwise read `language` ('hi', 'te', ...) as a text-search language and reject the document.
+issueSchema.index(
+  { title: 'text', description: 'text', 'translations.title': 'text', 'translations.description': 'text' },
+  { name: 'issue_text_search', language_override: 'textSearchLanguage' }
+);
 
 // Add timeline entry when status changes
 issueSchema.pre('save', function(next) {
@@ -201,6 +403,14 @@ issueSchema.pre('save', function(next) {
   next();
 });
 
+// Restart the SLA clock whenever the issue is (re)assigned
+issueSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'assigned') {
+    this.sla = { startedAt: new Date(), breached: false, escalationLevel: 0 };
+  }
+  next();
+});
+
 // Calculate actual resolution time when resolved
 issueSchema.pre('save', function(next) {
   if (this.status === 'resolved' && !this.actualResolutionTime) {
@@ -214,8 +424,20 @@ issueSchema.pre('save', function(next) {
 issueSchema.index({ status: 1, createdAt: -1 });
 issueSchema.index({ reporter: 1, createdAt: -1 });
 issueSchema.index({ assignedTo: 1, status: 1 });
+issueSchema.index({ assignedOfficer: 1, status: 1 });
 issueSchema.index({ category: 1, status: 1 });
-issueSchema.index({ 'location.coordinates': '2dsphere' }); // Geospatial index
+issueSchema.index({ 'location.point': '2dsphere' }); // Geospatial index
 issueSchema.index({ priority: 1, status: 1 });
+issueSchema.index({ status: 1, 'sla.breached': 1, 'sla.dueAt': 1 });
+
+// Replace the text index created before multilingual content; a collection can only have one
+issueSchema.statics.ensureSearchIndex = async function() {
+  const indexes = await this.collection.indexes();
+  if (indexes.some(index => index.name === 'title_text_description_text')) {
+    await this.collection.dropIndex('title_text_description_text');
+    await this.createIndexes();
+    console.log('Rebuilt issue text search index');
+  }
+};
 
 module.exports = mongoose.model('Issue', issueSchema);
\ No newline at end of file
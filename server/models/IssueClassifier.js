@@ -0,0 +1,50 @@
+// models/IssueClassifier.js
+const mongoose = require('mongoose');
+
+// Trained term statistics for category/priority suggestions, see services/classificationService.js.
+// Term maps are plain objects keyed by stemmed word, so they are stored as Mixed.
+// The service reads them back into Maps, as a term may share a name with an Object.prototype key.
+const issueClassifierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'issue'
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  documentCount: {
+    type: Number,
+    default: 0
+  },
+  // term -> number of training documents containing it
+  documentFrequency: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // label -> { documents, terms: { term -> summed term frequency } }
+  categories: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  priorities: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  trainingIssues: {
+    type: Number, // verified issues used, excluding seed keywords
+    default: 0
+  },
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+module.exports = mongoose.model('IssueClassifier', issueClassifierSchema);
@@ -0,0 +1,33 @@
+// models/JobRun.js
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 7;
+
+// One run of a scheduled job (see services/jobScheduler.js), kept for 7 days so
+// every instance reports the same history and it survives restarts
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required']
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  host: String, // hostname:pid of the instance that ran it
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  duration: Number, // milliseconds
+  error: String
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+jobRunSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
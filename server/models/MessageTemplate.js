@@ -0,0 +1,41 @@
+// models/MessageTemplate.js
+const mongoose = require('mongoose');
+
+// Admin edits to the built-in email/SMS templates in templates/; one document per channel, template and locale
+const messageTemplateSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: ['email', 'sms']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  locale: {
+    type: String,
+    required: [true, 'Locale is required'],
+    enum: ['en', 'hi', 'te', 'ta', 'bn']
+  },
+  subject: {
+    type: String, // email only
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Template body is required'],
+    maxlength: [20000, 'Template body cannot exceed 20000 characters']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+messageTemplateSchema.index({ channel: 1, name: 1, locale: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
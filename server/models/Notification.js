@@ -0,0 +1,120 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// Inbox entries are kept for 90 days
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// Citizens and admins, departments (the shared mailbox) and individual authority staff
+const RECIPIENT_TYPES = ['User', 'Authority', 'AuthorityMember'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'recipientType',
+    required: [true, 'Recipient is required']
+  },
+  recipientType: {
+    type: String,
+    enum: RECIPIENT_TYPES,
+    default: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['issue_status', 'issue_merged', 'new_issue', 'urgent_issue', 'sla_breach', 'officer_assigned', 'welcome', 'monthly_report', 'announcement'],
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  // Client route to open when the notification is clicked
+  link: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // False when the user turned off in-app delivery and the entry only feeds their digest
+  inbox: {
+    type: Boolean,
+    default: true
+  },
+  digest: {
+    type: String,
+    enum: ['pending', 'sent', 'skipped']
+  },
+  // Claim id of the digest run that picked this entry up
+  digestRun: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ recipient: 1, recipientType: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, recipientType: 1, readAt: 1 });
+notificationSchema.index({ digest: 1, recipient: 1 }, { partialFilterExpression: { digest: 'pending' } });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+// Shape sent to the client over REST and Socket.IO
+notificationSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    issue: this.issue,
+    link: this.link,
+    data: this.data,
+    read: !!this.readAt,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to store the same notification for many recipients.
+// Entries are { recipient, recipientType, inbox, digest }, as worked out from each user's preferences.
+notificationSchema.statics.recordMany = function(entries, notification) {
+  const now = new Date();
+  const docs = entries.map(entry => ({ ...notification, ...entry, createdAt: now }));
+  return docs.length > 0 ? this.insertMany(docs) : [];
+};
+
+// Filter for the entries shown in one inbox; `owner` is { recipient, recipientType }.
+// Entries stored before recipient types existed have none and belong to users.
+notificationSchema.statics.inboxFilter = function({ recipient, recipientType = 'User' }) {
+  return {
+    recipient,
+    recipientType: recipientType === 'User' ? { $in: ['User', null] } : recipientType,
+    inbox: { $ne: false }
+  };
+};
+
+// Static method to count an inbox's unread notifications
+notificationSchema.statics.unreadCount = function(owner) {
+  return this.countDocuments({ ...this.inboxFilter(owner), readAt: null });
+};
+
+// Static method to mark an inbox's notifications as read (all of them when no ids are given)
+notificationSchema.statics.markRead = function(owner, ids) {
+  const filter = { ...this.inboxFilter(owner), readAt: null };
+  if (ids) filter._id = { $in: ids };
+  return this.updateMany(filter, { readAt: new Date() });
+};
+
+notificationSchema.statics.RECIPIENT_TYPES = RECIPIENT_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
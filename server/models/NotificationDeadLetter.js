@@ -0,0 +1,56 @@
+// models/NotificationDeadLetter.js
+const mongoose = require('mongoose');
+
+// Email and SMS deliveries that ran out of retries, kept for inspection and replay
+const notificationDeadLetterSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationJob'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required']
+  },
+  context: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  failures: [{
+    at: Date,
+    error: String
+  }],
+  queuedAt: Date,
+  failedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replays: [{
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationJob'
+    }
+  }],
+  lastReplayedAt: Date
+});
+
+notificationDeadLetterSchema.index({ failedAt: -1 });
+notificationDeadLetterSchema.index({ channel: 1, failedAt: -1 });
+
+module.exports = mongoose.model('NotificationDeadLetter', notificationDeadLetterSchema);
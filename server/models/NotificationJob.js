@@ -0,0 +1,80 @@
+// models/NotificationJob.js
+const mongoose = require('mongoose');
+
+// Delivered jobs are kept for a week for troubleshooting
+const SENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const notificationJobSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  // Rendered message: { to, subject, html, text } for email, { to, body } for SMS
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required']
+  },
+  // What the message was for, e.g. { template: 'issueStatus' }
+  context: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'sent'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  failures: [{
+    at: Date,
+    error: String
+  }],
+  // Provider reference (SMTP message id or Twilio SID)
+  providerId: String,
+  sentAt: Date,
+  // Set when the job was created by replaying a dead letter
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationDeadLetter'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationJobSchema.index({ status: 1, runAt: 1 });
+notificationJobSchema.index({ status: 1, lockedAt: 1 });
+notificationJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+// Static method to claim the next due job; the atomic update keeps instances from sending it twice
+notificationJobSchema.statics.claimNext = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now } },
+    { status: 'processing', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Static method to requeue jobs whose worker died mid-send
+notificationJobSchema.statics.releaseStale = function(olderThan) {
+  return this.updateMany(
+    { status: 'processing', lockedAt: { $lt: olderThan } },
+    { status: 'queued', $unset: { lockedAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
@@ -0,0 +1,37 @@
+// models/OtpCode.js
+const mongoose = require('mongoose');
+
+// One pending login code per email; MongoDB removes it once expiresAt passes
+const otpCodeSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+});
+
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
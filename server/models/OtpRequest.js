@@ -0,0 +1,34 @@
+// models/OtpRequest.js
+const mongoose = require('mongoose');
+
+const AUDIT_RETENTION_DAYS = 30;
+
+// Audit trail of OTP requests and verification attempts, kept for 30 days
+const otpRequestSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  ip: String,
+  type: {
+    type: String,
+    enum: ['request', 'verify'],
+    required: [true, 'Type is required']
+  },
+  outcome: {
+    type: String,
+    required: [true, 'Outcome is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+otpRequestSchema.index({ email: 1, type: 1, createdAt: -1 });
+otpRequestSchema.index({ ip: 1, type: 1, createdAt: -1 });
+otpRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpRequest', otpRequestSchema);
@@ -0,0 +1,38 @@
+// models/QuarantinedFile.js
+const mongoose = require('mongoose');
+
+// Uploads rejected by services/uploadInspectionService.js. The bytes are kept in the
+// quarantine directory, outside media storage, so they are never served.
+const quarantinedFileSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: ['unrecognized_type', 'type_mismatch', 'too_large', 'too_long', 'unreadable', 'infected', 'scan_failed'],
+    required: [true, 'Reason is required']
+  },
+  detail: String, // e.g. the virus signature or the measured duration
+  filename: String,
+  claimedType: String, // mimetype sent by the client
+  detectedType: String, // container found in the file's first bytes
+  size: Number,
+  sha256: String,
+  path: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  uploaderType: {
+    type: String,
+    enum: ['citizen', 'admin', 'authority']
+  },
+  route: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+quarantinedFileSchema.index({ createdAt: -1 });
+quarantinedFileSchema.index({ reason: 1, createdAt: -1 });
+quarantinedFileSchema.index({ sha256: 1 });
+
+module.exports = mongoose.model('QuarantinedFile', quarantinedFileSchema);
@@ -0,0 +1,45 @@
+// models/RoutingSetting.js
+const mongoose = require('mongoose');
+
+const routingSettingSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    unique: true,
+    enum: [
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ]
+  },
+  autoAssign: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Auto-assignment is on for a category unless an admin has switched it off
+routingSettingSchema.statics.isAutoAssignEnabled = async function(category) {
+  const setting = await this.findOne({ category }).lean();
+  return setting ? setting.autoAssign : true;
+};
+
+module.exports = mongoose.model('RoutingSetting', routingSettingSchema);
@@ -0,0 +1,84 @@
+// models/SlaPolicy.js
+const mongoose = require('mongoose');
+
+// Used when no policy is stored for an issue's category and priority (hours)
+const DEFAULT_SLA = {
+  urgent: { responseHours: 4, resolutionHours: 24, adminEscalationHours: 4 },
+  high: { responseHours: 24, resolutionHours: 72, adminEscalationHours: 12 },
+  medium: { responseHours: 48, resolutionHours: 168, adminEscalationHours: 24 },
+  low: { responseHours: 72, resolutionHours: 336, adminEscalationHours: 48 }
+};
+
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: [
+      'any', // applies to every category without its own policy
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ]
+  },
+  priority: {
+    type: String,
+    required: [true, 'Priority is required'],
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  responseHours: {
+    type: Number, // max time in 'assigned' before work starts
+    required: [true, 'Response time is required'],
+    min: [1, 'Response time must be at least 1 hour']
+  },
+  resolutionHours: {
+    type: Number, // max time from assignment to resolution
+    required: [true, 'Resolution time is required'],
+    min: [1, 'Resolution time must be at least 1 hour']
+  },
+  adminEscalationHours: {
+    type: Number, // wait after escalating to the head of department before involving admins
+    default: 24,
+    min: [0, 'Admin escalation delay cannot be negative']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+// Static method to load active policies into a resolver:
+// exact category match, then the 'any' policy, then the built-in default
+slaPolicySchema.statics.getResolver = async function() {
+  const policies = await this.find({ active: true }).lean();
+  const byKey = new Map(policies.map(p => [`${p.category}:${p.priority}`, p]));
+
+  return (category, priority) => (
+    byKey.get(`${category}:${priority}`) ||
+    byKey.get(`any:${priority}`) ||
+    { category: 'default', priority, ...(DEFAULT_SLA[priority] || DEFAULT_SLA.medium) }
+  );
+};
+
+slaPolicySchema.statics.DEFAULT_SLA = DEFAULT_SLA;
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,84 @@
+// models/UploadSession.js
+const mongoose = require('mongoose');
+
+// Unfinished or unused sessions are cleaned up after a day
+const SESSION_LIFETIME = 24 * 60 * 60 * 1000; // ms
+
+// A resumable upload, see services/uploadSessionService.js. Chunks are written to
+// `tempPath` at their offset; the finished file is checked and stored like a form upload.
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  mimetype: {
+    type: String,
+    required: [true, 'Mimetype is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'Size is required'],
+    min: [1, 'Size must be at least 1 byte']
+  },
+  received: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'processing', 'completed', 'attaching', 'attached', 'rejected'],
+    default: 'uploading'
+  },
+  tempPath: String,
+  // Media entry produced by storageService.uploadMultipleFiles once completed
+  media: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Set while an issue submission holds the upload, see uploadSessionService.claimUploads
+  claim: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  error: String,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_LIFETIME)
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+uploadSessionSchema.index({ owner: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ claim: 1 }, { sparse: true });
+
+uploadSessionSchema.methods.toPayload = function() {
+  return {
+    uploadId: this._id,
+    filename: this.filename,
+    mimetype: this.mimetype,
+    size: this.size,
+    offset: this.received,
+    status: this.status,
+    error: this.error,
+    media: this.media ? {
+      type: this.media.type,
+      url: this.media.url,
+      thumbnailUrl: this.media.thumbnailUrl
+    } : null,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
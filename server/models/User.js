@@ -1,6 +1,31 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Issues and comments of deleted accounts are reassigned to this placeholder
+const DELETED_USER_EMAIL = 'deleted-user@accounts.v2a';
+
+// Notification events a user can tune, and the channels each is delivered on.
+// Transactional messages (welcome, password reset, verification codes) ignore these.
+// `push` is the live pop-up shown while the app is open.
+const NOTIFICATION_EVENTS = {
+  issue_status: { label: 'Status changes on my issues', channels: ['email', 'sms', 'inApp', 'push'] },
+  issue_merged: { label: 'My report merged into another issue', channels: ['inApp', 'push'] },
+  announcement: { label: 'Announcements', channels: ['email', 'sms', 'inApp'] },
+  monthly_report: { label: 'Monthly impact report', channels: ['email', 'inApp'] },
+  new_issue: { label: 'New issues reported', channels: ['inApp', 'push'], roles: ['admin'] },
+  urgent_issue: { label: 'Urgent issue alerts', channels: ['inApp'], roles: ['admin'] },
+  sla_breach: { label: 'SLA breaches escalated to admins', channels: ['email', 'inApp', 'push'], roles: ['admin'] }
+};
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'inApp', 'push'];
+
+const channelPreferences = () => NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+  channels[channel] = { type: Boolean, default: true };
+  return channels;
+}, {});
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -65,6 +90,45 @@ const userSchema = new mongoose.Schema({
     language: {
       type: String,
       default: 'en'
+    },
+    // Per event, per channel switches; the global switches above still apply on top
+    notifications: Object.keys(NOTIFICATION_EVENTS).reduce((events, event) => {
+      events[event] = channelPreferences();
+      return events;
+    }, {}),
+    // SMS and live pop-ups are held back during quiet hours (the inbox still gets them)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        default: '22:00',
+        match: [TIME_OF_DAY, 'Quiet hours must be in HH:mm format']
+      },
+      end: {
+        type: String,
+        default: '07:00',
+        match: [TIME_OF_DAY, 'Quiet hours must be in HH:mm format']
+      }
+    },
+    // Collect emails into one message a day, sent at `hour` local time
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      hour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 8
+      }
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata'
     }
   },
   stats: {
@@ -85,6 +149,16 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  statusReason: {
+    type: String,
+    maxlength: [300, 'Status reason cannot exceed 300 characters']
+  },
+  suspendedUntil: Date,
   lastLoginAt: Date,
   createdAt: {
     type: Date,
@@ -123,9 +197,42 @@ userSchema.methods.calculateContributionScore = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Check whether the account is currently barred from signing in
+userSchema.methods.isBlocked = function() {
+  if (this.status === 'banned') return true;
+  if (this.status === 'suspended') {
+    return !this.suspendedUntil || this.suspendedUntil > new Date();
+  }
+  return false;
+};
+
+// Get (or create) the placeholder account that owns content of deleted users
+userSchema.statics.DELETED_USER_EMAIL = DELETED_USER_EMAIL;
+userSchema.statics.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+userSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+userSchema.statics.getDeletedUserPlaceholder = async function() {
+  // A single upsert, so concurrent deletions cannot create two placeholders.
+  // Updates skip the save hook, so the unusable password is hashed here.
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+  return this.findOneAndUpdate(
+    { email: DELETED_USER_EMAIL },
+    {
+      $setOnInsert: {
+        name: 'Deleted User',
+        email: DELETED_USER_EMAIL,
+        password,
+        status: 'banned',
+        statusReason: 'Placeholder for deleted accounts'
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
 // Indexes for performance
 userSchema.index({ email: 1 });
 userSchema.index({ 'stats.contributionScore': -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1, status: 1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,19 +1,70 @@
 // routes/admin.js
 const express = require('express');
+const mongoose = require('mongoose');
 const Issue = require('../models/Issue');
 const User = require('../models/User');
 const Authority = require('../models/Authority');
 const Contribution = require('../models/Contribution');
+const RoutingSetting = require('../models/RoutingSetting');
+const Feedback = require('../models/Feedback');
+const AuditLog = require('../models/AuditLog');
+const Announcement = require('../models/Announcement');
+const SlaPolicy = require('../models/SlaPolicy');
+const DuplicateSetting = require('../models/DuplicateSetting');
+const Notification = require('../models/Notification');
+const NotificationDeadLetter = require('../models/NotificationDeadLetter');
+const QuarantinedFile = require('../models/QuarantinedFile');
 const { protect } = require('../middleware/auth');
 const { adminOnly } = require('../middleware/roleCheck');
 const { 
   validateIssueStatusUpdate, 
   validateBulkOperation,
-  validateAuthorityCreation 
+  validateIssueMerge,
+  validateIssueSplit,
+  validateAuthorityCreation,
+  validateRoutingPreview,
+  validateAdminUserUpdate,
+  validateSearchFilter,
+  validateAnnouncement,
+  validateSlaPolicy,
+  validateSlaBreachQuery,
+  validateDuplicateSetting,
+  validateMessageTemplate,
+  validateTemplatePreview
 } = require('../utils/validators');
+const { selectAuthorityForIssue, analyzeCoverage } = require('../services/routingService');
+const {
+  EXPORT_FORMATS,
+  REDACTION_LEVELS,
+  COLLECTIONS: EXPORT_COLLECTIONS,
+  streamExport
+} = require('../services/exportService');
+const { dispatchAnnouncement } = require('../services/announcementService');
+const { getHealthReport } = require('../services/healthService');
+const { getQueueStats, replayDeadLetter } = require('../services/deliveryQueue');
+const { uploadInspector } = require('../services/uploadInspectionService');
+const { otpService } = require('../services/otpService');
+const { SLA_STATUSES, evaluateSlaBreaches } = require('../services/slaService');
+const { findMergeCandidates } = require('../services/duplicateService');
+const { mergeIssues, splitIssue } = require('../services/issueMergeService');
+const { ADMIN_VERIFIED_EXPR, getClassifier, trainClassifier } = require('../services/classificationService');
+const { getViewerLanguage, localizeIssue } = require('../services/translationService');
+const { signAvatar, signIssueMedia } = require('../services/storageService');
+const {
+  TEMPLATE_CATALOG,
+  parseTemplate,
+  getTemplate,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  previewTemplate
+} = require('../services/templateService');
 
 const router = express.Router();
 
+// Users who have not logged in within this many days count as inactive
+const ACTIVE_USER_WINDOW_DAYS = 30;
+
 // Apply admin protection to all routes
 router.use(protect);
 router.use(adminOnly);
@@ -153,7 +204,7 @@ router.get('/dashboard', async (req, res) => {
         },
         categoryBreakdown: categoryStats,
         priorityBreakdown: priorityStats,
-        recentActivity: recentIssues,
+        recentActivity: recentIssues.map(signIssueMedia),
         responseTime: {
           average: averageResolutionTime,
           median: medianResolutionTime
@@ -193,9 +244,10 @@ router.get('/issues/pending', async (req, res) => {
 
     const total = await Issue.countDocuments(filter);
 
-    // Add enriched data
+    // Add enriched data, translated for staff who read another language
+    const language = getViewerLanguage(req);
     const enrichedIssues = issues.map(issue => ({
-      ...issue,
+      ...signIssueMedia(localizeIssue(issue, language)),
       upvoteCount: issue.upvotes?.length || 0,
       commentCount: issue.comments?.length || 0
     }));
@@ -245,13 +297,30 @@ router.put('/issues/:id/status', async (req, res) => {
       });
     }
 
+    if (issue.status === 'merged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Merged issues cannot change status; update the issue they were merged into'
+      });
+    }
+
     const oldStatus = issue.status;
-    const { status, adminNotes, rejectionReason, assignedTo, estimatedResolutionTime } = value;
+    const { status, adminNotes, rejectionReason, assignedTo, estimatedResolutionTime, category, priority } = value;
 
     // Update issue fields
     issue.status = status;
     issue.adminNotes = adminNotes || '';
 
+    const corrections = [];
+    if (category && category !== issue.category) {
+      corrections.push(`category ${issue.category} -> ${category}`);
+      issue.category = category;
+    }
+    if (priority && priority !== issue.priority) {
+      corrections.push(`priority ${issue.priority} -> ${priority}`);
+      issue.priority = priority;
+    }
+
     if (status === 'rejected') {
       issue.rejectionReason = rejectionReason;
     }
@@ -269,7 +338,9 @@ router.put('/issues/:id/status', async (req, res) => {
       action: status,
       timestamp: new Date(),
       user: req.user._id,
-      notes: adminNotes || rejectionReason || ''
+      notes: [adminNotes || rejectionReason, corrections.length > 0 && `Corrected ${corrections.join(', ')}`]
+        .filter(Boolean)
+        .join('. ')
     });
 
     await issue.save();
@@ -469,6 +540,208 @@ router.post('/issues/bulk', async (req, res) => {
   }
 });
 
+// @desc    Nearby open issues in the same category that an issue could be merged into
+// @route   GET /api/admin/issues/:id/merge-candidates
+// @access  Admin
+router.get('/issues/:id/merge-candidates', async (req, res) => {
+  try {
+    const issue = await Issue.findById(req.params.id).lean();
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    const radius = Math.min(Math.max(parseInt(req.query.radius) || 500, 10), 5000);
+    const candidates = await findMergeCandidates(issue, { radius });
+
+    res.json({
+      success: true,
+      data: { candidates, radius }
+    });
+
+  } catch (error) {
+    console.error('Get merge candidates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch merge candidates',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Merge duplicate issues into this one
+// @route   POST /api/admin/issues/:id/merge
+// @access  Admin
+router.post('/issues/:id/merge', async (req, res) => {
+  try {
+    const { error, value } = validateIssueMerge(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { sourceIds, notes } = value;
+    if (sourceIds.includes(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An issue cannot be merged into itself'
+      });
+    }
+
+    const target = await Issue.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (['merged', 'rejected'].includes(target.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot merge into an issue that is ${target.status}`
+      });
+    }
+
+    const sources = await Issue.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some issues to merge were not found'
+      });
+    }
+
+    const alreadyMerged = sources.find(source => source.status === 'merged');
+    if (alreadyMerged) {
+      return res.status(400).json({
+        success: false,
+        message: `Issue ${alreadyMerged._id} has already been merged`
+      });
+    }
+
+    const upvotesBefore = target.upvotes.length;
+    await mergeIssues(target, sources, { userId: req.user._id, notes });
+
+    await AuditLog.record(req, {
+      action: 'issue.merged',
+      targetType: 'Issue',
+      targetId: target._id,
+      reason: notes,
+      changes: { sourceIds, upvotes: { from: upvotesBefore, to: target.upvotes.length } }
+    });
+
+    // Let reporters of the duplicates know where their report went
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      await notificationService.notifyIssueMerged(target, sources);
+    }
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} issue(s) into "${target.title}"`,
+      data: {
+        issue: {
+          id: target._id,
+          status: target.status,
+          upvoteCount: target.upvotes.length,
+          commentCount: target.comments.length,
+          mediaCount: target.media.length,
+          mergedFrom: target.mergedFrom,
+          timeline: target.timeline
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge issues',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Split part of an issue out into a new issue
+// @route   POST /api/admin/issues/:id/split
+// @access  Admin
+router.post('/issues/:id/split', async (req, res) => {
+  try {
+    const { error, value } = validateIssueSplit(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const original = await Issue.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (original.status === 'merged') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot split an issue that has been merged'
+      });
+    }
+
+    const mediaIds = original.media.map(item => item._id.toString());
+    const commentIds = original.comments.map(comment => comment._id.toString());
+    if (value.mediaIds.some(id => !mediaIds.includes(id)) ||
+        value.commentIds.some(id => !commentIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected media or comments do not belong to this issue'
+      });
+    }
+
+    const issue = await splitIssue(original, value, { userId: req.user._id });
+
+    await AuditLog.record(req, {
+      action: 'issue.split',
+      targetType: 'Issue',
+      targetId: original._id,
+      reason: value.notes,
+      changes: {
+        newIssue: issue._id,
+        movedMedia: value.mediaIds.length,
+        movedComments: value.commentIds.length
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Split "${issue.title}" into a new issue`,
+      data: {
+        issue: signIssueMedia(issue),
+        original: {
+          id: original._id,
+          mediaCount: original.media.length,
+          commentCount: original.comments.length,
+          timeline: original.timeline
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Split issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to split issue',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get detailed analytics
 // @route   GET /api/admin/analytics
 // @access  Admin
@@ -694,4 +967,1701 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
+// @desc    Get users with search and filters
+// @route   GET /api/admin/users
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      status,
+      verified,
+      activity,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { email: { $ne: User.DELETED_USER_EMAIL } };
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { name: pattern },
+        { email: pattern },
+        { phone: pattern }
+      ];
+    }
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+    if (verified === 'true' || verified === 'false') {
+      filter.isVerified = verified === 'true';
+    }
+
+    const activeSince = new Date();
+    activeSince.setDate(activeSince.getDate() - ACTIVE_USER_WINDOW_DAYS);
+    if (activity === 'active') {
+      filter.lastLoginAt = { $gte: activeSince };
+    } else if (activity === 'inactive') {
+      filter.lastLoginAt = { $lt: activeSince };
+    } else if (activity === 'never') {
+      filter.lastLoginAt = { $exists: false };
+    }
+
+    const sortFields = ['createdAt', 'lastLoginAt', 'name', 'stats.contributionScore', 'stats.totalIssuesReported'];
+    const sort = {};
+    sort[sortFields.includes(sortBy) ? sortBy : 'createdAt'] = sortOrder === 'asc' ? 1 : -1;
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => ({
+          ...signAvatar(user),
+          isActive: !!user.lastLoginAt && user.lastLoginAt >= activeSince
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get single user with activity summary
+// @route   GET /api/admin/users/:id
+// @access  Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password').lean();
+
+    if (!user || user.email === User.DELETED_USER_EMAIL) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const issueStats = await Issue.aggregate([
+      {
+        $match: { reporter: user._id }
+      },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const auditTrail = await AuditLog.find({ targetType: 'User', targetId: user._id })
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        user: signAvatar(user),
+        issueStats,
+        auditTrail
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Change a user's role, status or verification
+// @route   PUT /api/admin/users/:id
+// @access  Admin
+router.put('/users/:id', async (req, res) => {
+  try {
+    const { error, value } = validateAdminUserUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || user.email === User.DELETED_USER_EMAIL) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Admins cannot demote or lock out themselves
+    if (user._id.toString() === req.user._id.toString() &&
+        ((value.role && value.role !== 'admin') || (value.status && value.status !== 'active'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or status'
+      });
+    }
+
+    const changes = {};
+    const track = (field, to) => {
+      const from = user[field];
+      if (String(from) !== String(to)) {
+        changes[field] = { from, to };
+        user[field] = to;
+      }
+    };
+
+    if (value.role !== undefined) track('role', value.role);
+    if (value.isVerified !== undefined) track('isVerified', value.isVerified);
+    if (value.status !== undefined) {
+      track('status', value.status);
+      if (value.status === 'active') {
+        user.statusReason = undefined;
+        user.suspendedUntil = undefined;
+      } else {
+        user.statusReason = value.reason;
+        user.suspendedUntil = value.suspendedUntil;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes to apply'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    // Pick the most significant action for the audit trail
+    let action = 'user.updated';
+    if (changes.status) {
+      action = {
+        suspended: 'user.suspended',
+        banned: 'user.banned',
+        active: 'user.reactivated'
+      }[value.status];
+    } else if (changes.role) {
+      action = 'user.role_changed';
+    } else if (changes.isVerified) {
+      action = value.isVerified ? 'user.verified' : 'user.unverified';
+    }
+
+    await AuditLog.record(req, {
+      action,
+      targetType: 'User',
+      targetId: user._id,
+      reason: value.reason,
+      changes
+    });
+
+    // Force blocked users off any live socket connections
+    const io = req.app.get('io');
+    if (io && user.isBlocked()) {
+      io.in(`user_${user._id}`).disconnectSockets(true);
+    }
+
+    const userData = user.toObject();
+    delete userData.password;
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user: userData, changes }
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete a user and anonymise their issues
+// @route   DELETE /api/admin/users/:id
+// @access  Admin
+router.delete('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || user.email === User.DELETED_USER_EMAIL) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const placeholder = await User.getDeletedUserPlaceholder();
+
+    // Hand the user's issues, comments and timeline entries to the placeholder account
+    const reported = await Issue.updateMany(
+      { reporter: user._id },
+      { $set: { reporter: placeholder._id } }
+    );
+    const commented = await Issue.updateMany(
+      { 'comments.user': user._id },
+      { $set: { 'comments.$[comment].user': placeholder._id } },
+      { arrayFilters: [{ 'comment.user': user._id }] }
+    );
+    await Issue.updateMany(
+      { 'timeline.user': user._id },
+      { $set: { 'timeline.$[entry].user': placeholder._id } },
+      { arrayFilters: [{ 'entry.user': user._id }] }
+    );
+
+    // Upvotes are per-user, so they are removed rather than reassigned
+    await Issue.updateMany(
+      { 'upvotes.user': user._id },
+      { $pull: { upvotes: { user: user._id } } }
+    );
+
+    await Contribution.deleteMany({ user: user._id });
+    await Feedback.deleteMany({ user: user._id });
+    await Notification.deleteMany({ recipient: user._id });
+    await User.findByIdAndDelete(user._id);
+
+    await AuditLog.record(req, {
+      action: 'user.deleted',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body?.reason,
+      changes: {
+        email: { from: user.email, to: null },
+        issuesAnonymised: reported.modifiedCount,
+        commentsAnonymised: commented.modifiedCount
+      }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user_${user._id}`).disconnectSockets(true);
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        issuesAnonymised: reported.modifiedCount,
+        commentsAnonymised: commented.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete user',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get admin audit trail
+// @route   GET /api/admin/audit-logs
+// @access  Admin
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, action, targetType, targetId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Stream an export of issues, users, contributions or feedback
+// @route   GET /api/admin/export
+// @access  Admin
+router.get('/export', async (req, res) => {
+  try {
+    const {
+      collection = 'issues',
+      format = 'csv',
+      redact = 'partial',
+      page,
+      limit,
+      ...filters
+    } = req.query;
+
+    if (!EXPORT_COLLECTIONS[collection]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid collection. Use one of: ${Object.keys(EXPORT_COLLECTIONS).join(', ')}`
+      });
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    if (format === 'geojson' && !EXPORT_COLLECTIONS[collection].geo) {
+      return res.status(400).json({
+        success: false,
+        message: 'GeoJSON export is only available for issues'
+      });
+    }
+
+    if (!REDACTION_LEVELS.includes(redact)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid redact option. Use one of: ${REDACTION_LEVELS.join(', ')}`
+      });
+    }
+
+    // Same filters as the public issue search
+    const { error, value } = validateSearchFilter(filters);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'data.exported',
+      targetType: 'Export',
+      changes: { collection, format, redact, filters }
+    });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `voice2action-${collection}-${new Date().toISOString().split('T')[0]}.${extension}`;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await streamExport(res, { collection, format, redact, filters: value });
+
+  } catch (error) {
+    console.error('Export error:', error);
+    // Headers are gone once streaming starts; abort the response so the download fails visibly
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get duplicate detection settings for every category
+// @route   GET /api/admin/duplicates/settings
+// @access  Admin
+router.get('/duplicates/settings', async (req, res) => {
+  try {
+    const settings = await DuplicateSetting.find()
+      .populate('updatedBy', 'name email')
+      .lean();
+
+    const byCategory = {};
+    settings.forEach(setting => {
+      byCategory[setting.category] = setting;
+    });
+
+    const categories = DuplicateSetting.schema.path('category').enumValues.map(category => ({
+      category,
+      ...DuplicateSetting.DEFAULTS,
+      ...byCategory[category],
+      updatedBy: byCategory[category]?.updatedBy || null,
+      updatedAt: byCategory[category]?.updatedAt || null
+    }));
+
+    res.json({
+      success: true,
+      data: { settings: categories }
+    });
+
+  } catch (error) {
+    console.error('Get duplicate settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duplicate detection settings',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Tune duplicate detection radius and similarity threshold for a category
+// @route   PUT /api/admin/duplicates/settings/:category
+// @access  Admin
+router.put('/duplicates/settings/:category', async (req, res) => {
+  try {
+    const { category } = req.params;
+
+    if (!DuplicateSetting.schema.path('category').enumValues.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
+    }
+
+    const { error, value } = validateDuplicateSetting(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const setting = await DuplicateSetting.findOneAndUpdate(
+      { category },
+      { ...value, updatedBy: req.user._id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await AuditLog.record(req, {
+      action: 'duplicates.updated',
+      targetType: 'DuplicateSetting',
+      targetId: setting._id,
+      changes: { category, ...value }
+    });
+
+    res.json({
+      success: true,
+      message: `Duplicate detection updated for ${category}`,
+      data: { setting }
+    });
+
+  } catch (error) {
+    console.error('Update duplicate settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update duplicate detection settings',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Category classifier status and how often its suggestions hold up
+// @route   GET /api/admin/classifier
+// @access  Admin
+router.get('/classifier', async (req, res) => {
+  try {
+    const classifier = await getClassifier();
+
+    // For submitted issues with a suggestion: how often reporters overrode it,
+    // and how often the final (admin-verified) category matched it
+    const [stats] = await Issue.aggregate([
+      { $match: { suggestion: { $ne: null } } },
+      {
+        $group: {
+          _id: null,
+          suggested: { $sum: 1 },
+          categoryOverridden: { $sum: { $cond: ['$suggestion.categoryOverridden', 1, 0] } },
+          priorityOverridden: { $sum: { $cond: ['$suggestion.priorityOverridden', 1, 0] } },
+          verified: {
+            $sum: { $cond: [ADMIN_VERIFIED_EXPR, 1, 0] }
+          },
+          verifiedMatching: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  ADMIN_VERIFIED_EXPR,
+                  { $eq: ['$category', '$suggestion.category'] }
+                ]
+              }, 1, 0]
+            }
+          },
+          averageConfidence: { $avg: '$suggestion.confidence' }
+        }
+      }
+    ]);
+
+    const categories = Object.entries(classifier.categories || {})
+      .map(([category, entry]) => ({ category, documents: entry.documents }))
+      .sort((a, b) => b.documents - a.documents);
+
+    res.json({
+      success: true,
+      data: {
+        version: classifier.version || 0,
+        trainedAt: classifier.trainedAt || null,
+        trainingIssues: classifier.trainingIssues || 0,
+        categories,
+        stats: stats ? {
+          suggested: stats.suggested,
+          categoryOverridden: stats.categoryOverridden,
+          priorityOverridden: stats.priorityOverridden,
+          accuracy: stats.verified > 0 ? Math.round((stats.verifiedMatching / stats.verified) * 100) / 100 : null,
+          averageConfidence: Math.round((stats.averageConfidence || 0) * 100) / 100
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get classifier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch classifier status',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Retrain the category classifier from verified issues
+// @route   POST /api/admin/classifier/train
+// @access  Admin
+router.post('/classifier/train', async (req, res) => {
+  try {
+    const classifier = await trainClassifier({ userId: req.user._id });
+
+    await AuditLog.record(req, {
+      action: 'classifier.trained',
+      targetType: 'IssueClassifier',
+      targetId: classifier._id,
+      changes: { version: classifier.version, trainingIssues: classifier.trainingIssues }
+    });
+
+    res.json({
+      success: true,
+      message: `Classifier retrained on ${classifier.trainingIssues} verified issues`,
+      data: {
+        version: classifier.version,
+        trainedAt: classifier.trainedAt,
+        trainingIssues: classifier.trainingIssues
+      }
+    });
+
+  } catch (error) {
+    console.error('Train classifier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to train classifier',
+      error: error.message
+    });
+  }
+});
+
+// 404 for template names that aren't in the catalog
+const findTemplateEntry = (req, res) => {
+  const { channel, name } = req.params;
+  const entry = TEMPLATE_CATALOG[channel] && TEMPLATE_CATALOG[channel][name];
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown ${channel} template "${name}"`
+    });
+  }
+  return entry;
+};
+
+// @desc    List email and SMS templates with their variables and which locales are built in or edited
+// @route   GET /api/admin/templates
+// @access  Admin
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await listTemplates();
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch templates',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the template used for a locale (falls back to English when it has none)
+// @route   GET /api/admin/templates/:channel/:name/:locale
+// @access  Admin
+router.get('/templates/:channel/:name/:locale', async (req, res) => {
+  try {
+    const entry = findTemplateEntry(req, res);
+    if (!entry) return;
+
+    const { channel, name, locale } = req.params;
+    const template = await getTemplate(channel, name, locale);
+
+    res.json({
+      success: true,
+      data: {
+        channel,
+        name,
+        requestedLocale: locale,
+        ...template,
+        fallback: template.locale !== locale,
+        variables: entry.variables
+      }
+    });
+
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Save an edited template for a locale; takes effect without a redeploy
+// @route   PUT /api/admin/templates/:channel/:name/:locale
+// @access  Admin
+router.put('/templates/:channel/:name/:locale', async (req, res) => {
+  try {
+    if (!findTemplateEntry(req, res)) return;
+
+    const { error, value } = validateMessageTemplate({
+      ...req.body,
+      channel: req.params.channel,
+      locale: req.params.locale
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    try {
+      parseTemplate(value.body);
+      if (value.subject) parseTemplate(value.subject);
+    } catch (syntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid template: ${syntaxError.message}`
+      });
+    }
+
+    const { channel, name, locale } = req.params;
+    const template = await saveTemplate(channel, name, locale, value, req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'template.updated',
+      targetType: 'MessageTemplate',
+      targetId: template._id,
+      changes: { channel, name, locale, subject: value.subject }
+    });
+
+    res.json({
+      success: true,
+      message: `Saved ${channel} template "${name}" (${locale})`,
+      data: { template }
+    });
+
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Discard an edited template so the built-in version applies again
+// @route   DELETE /api/admin/templates/:channel/:name/:locale
+// @access  Admin
+router.delete('/templates/:channel/:name/:locale', async (req, res) => {
+  try {
+    if (!findTemplateEntry(req, res)) return;
+
+    const { channel, name, locale } = req.params;
+    const template = await resetTemplate(channel, name, locale);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'No edited template to reset'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'template.reset',
+      targetType: 'MessageTemplate',
+      targetId: template._id,
+      changes: { channel, name, locale }
+    });
+
+    res.json({
+      success: true,
+      message: `Reset ${channel} template "${name}" (${locale}) to the built-in version`
+    });
+
+  } catch (error) {
+    console.error('Reset template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset template',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Render a template with sample data, optionally with unsaved subject/body edits or custom variables
+// @route   POST /api/admin/templates/:channel/:name/:locale/preview
+// @access  Admin
+router.post('/templates/:channel/:name/:locale/preview', async (req, res) => {
+  try {
+    if (!findTemplateEntry(req, res)) return;
+
+    const { error, value } = validateTemplatePreview({
+      ...req.body,
+      channel: req.params.channel,
+      locale: req.params.locale
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    try {
+      if (value.body) parseTemplate(value.body);
+      if (value.subject) parseTemplate(value.subject);
+    } catch (syntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid template: ${syntaxError.message}`
+      });
+    }
+
+    const preview = await previewTemplate(value.channel, req.params.name, value.locale, value);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview template',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get auto-routing settings for every category
+// @route   GET /api/admin/routing
+// @access  Admin
+router.get('/routing', async (req, res) => {
+  try {
+    const settings = await RoutingSetting.find()
+      .populate('updatedBy', 'name email')
+      .lean();
+
+    const byCategory = {};
+    settings.forEach(setting => {
+      byCategory[setting.category] = setting;
+    });
+
+    const categories = RoutingSetting.schema.path('category').enumValues.map(category => ({
+      category,
+      autoAssign: byCategory[category] ? byCategory[category].autoAssign : true,
+      updatedBy: byCategory[category]?.updatedBy || null,
+      updatedAt: byCategory[category]?.updatedAt || null
+    }));
+
+    res.json({
+      success: true,
+      data: { settings: categories }
+    });
+
+  } catch (error) {
+    console.error('Get routing settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch routing settings',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Enable or disable auto-assignment for a category
+// @route   PUT /api/admin/routing/:category
+// @access  Admin
+router.put('/routing/:category', async (req, res) => {
+  try {
+    const { category } = req.params;
+    const { autoAssign } = req.body;
+
+    if (!RoutingSetting.schema.path('category').enumValues.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
+    }
+
+    if (typeof autoAssign !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'autoAssign must be true or false'
+      });
+    }
+
+    const setting = await RoutingSetting.findOneAndUpdate(
+      { category },
+      { autoAssign, updatedBy: req.user._id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await AuditLog.record(req, {
+      action: autoAssign ? 'routing.enabled' : 'routing.disabled',
+      targetType: 'RoutingSetting',
+      targetId: setting._id,
+      changes: { category, autoAssign }
+    });
+
+    res.json({
+      success: true,
+      message: `Auto-assignment ${autoAssign ? 'enabled' : 'disabled'} for ${category}`,
+      data: { setting }
+    });
+
+  } catch (error) {
+    console.error('Update routing setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update routing setting',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Preview which authority auto-routing would pick, without assigning
+// @route   POST /api/admin/routing/preview
+// @access  Admin
+router.post('/routing/preview', async (req, res) => {
+  try {
+    const { error, value } = validateRoutingPreview(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const autoAssign = await RoutingSetting.isAutoAssignEnabled(value.category);
+    const result = await selectAuthorityForIssue(value);
+
+    res.json({
+      success: true,
+      data: {
+        autoAssign,
+        department: result.department,
+        matchedBy: result.matchedBy,
+        authority: result.authority ? {
+          id: result.authority._id,
+          name: result.authority.name,
+          department: result.authority.department,
+          contact: result.authority.contact
+        } : null,
+        candidates: result.candidates
+      }
+    });
+
+  } catch (error) {
+    console.error('Routing preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview routing',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Report service-area gaps and overlaps for a department
+// @route   GET /api/admin/authorities/coverage
+// @access  Admin
+router.get('/authorities/coverage', async (req, res) => {
+  try {
+    const { department, includeInactive, minArea } = req.query;
+
+    if (!department || !Authority.schema.path('department').enumValues.includes(department)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid department is required'
+      });
+    }
+
+    // Number() rather than parseFloat so values like "12abc" are refused too
+    const minimumArea = minArea === undefined || minArea === '' ? undefined : Number(minArea);
+    if (minimumArea !== undefined && (!Number.isFinite(minimumArea) || minimumArea < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'minArea must be a non-negative number of square meters'
+      });
+    }
+
+    const filter = { department };
+    if (includeInactive !== 'true') {
+      filter.status = 'active';
+    }
+
+    const authorities = await Authority.find(filter)
+      .select('name department status serviceArea');
+
+    const report = analyzeCoverage(authorities, { minArea: minimumArea });
+
+    res.json({
+      success: true,
+      data: {
+        department,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('Coverage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate coverage report',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create an announcement, sending it now or at its scheduled time
+// @route   POST /api/admin/announcement
+// @access  Admin
+router.post('/announcement', async (req, res) => {
+  try {
+    const { error, value } = validateAnnouncement(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const announcement = await Announcement.create({
+      ...value,
+      createdBy: req.user._id
+    });
+
+    // Immediate announcements are due now (scheduledFor defaults to the creation time).
+    // The fan-out runs outside the request; the dispatcher's atomic claim means the
+    // scheduler cannot send it a second time, and picks it up if this process stops.
+    const scheduled = Boolean(value.scheduledFor);
+    if (!scheduled) {
+      const notificationService = req.app.get('notificationService');
+      setImmediate(() => {
+        dispatchAnnouncement(announcement._id, notificationService).catch(dispatchError => {
+          console.error('Announcement dispatch error:', dispatchError);
+        });
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: scheduled ? 'announcement.scheduled' : 'announcement.sent',
+      targetType: 'Announcement',
+      targetId: announcement._id,
+      changes: {
+        target: value.target,
+        channels: value.channels,
+        scheduledFor: value.scheduledFor,
+        expiresAt: value.expiresAt
+      }
+    });
+
+    res.status(scheduled ? 201 : 202).json({
+      success: true,
+      message: scheduled
+        ? `Announcement scheduled for ${value.scheduledFor.toISOString()}`
+        : 'Announcement is being sent',
+      data: { announcement }
+    });
+
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send announcement',
+      error: error.message
+    });
+  }
+});
+
+// @desc    List announcements with delivery status
+// @route   GET /api/admin/announcements
+// @access  Admin
+router.get('/announcements', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const announcements = await Announcement.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Announcement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        announcements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel a scheduled announcement, or withdraw one that was already sent
+// @route   PUT /api/admin/announcements/:id/cancel
+// @access  Admin
+router.put('/announcements/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    // Conditional updates, so a cancel cannot overwrite a dispatch the scheduler has
+    // already claimed (scheduled -> sending). Sent announcements are withdrawn by
+    // expiring them so they drop out of user feeds.
+    let previousStatus = 'scheduled';
+    let announcement = await Announcement.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!announcement) {
+      previousStatus = 'sent';
+      announcement = await Announcement.findOneAndUpdate(
+        { _id: req.params.id, status: 'sent' },
+        { expiresAt: new Date() },
+        { new: true }
+      );
+    }
+
+    if (!announcement) {
+      const current = await Announcement.findById(req.params.id).select('status');
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Announcement not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel an announcement that is ${current.status}`
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: previousStatus === 'scheduled' ? 'announcement.cancelled' : 'announcement.withdrawn',
+      targetType: 'Announcement',
+      targetId: announcement._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: previousStatus === 'scheduled' ? 'Announcement cancelled' : 'Announcement withdrawn',
+      data: { announcement }
+    });
+
+  } catch (error) {
+    console.error('Cancel announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel announcement',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Outbound email and SMS queue counts
+// @route   GET /api/admin/notifications/queue
+// @access  Admin
+router.get('/notifications/queue', async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get notification queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification queue',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Emails and SMS that failed every delivery attempt, newest first
+// @route   GET /api/admin/notifications/dead-letters
+// @access  Admin
+router.get('/notifications/dead-letters', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, channel } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (channel) filter.channel = channel;
+
+    const deadLetters = await NotificationDeadLetter.find(filter)
+      .select('-payload.html')
+      .sort({ failedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await NotificationDeadLetter.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed deliveries',
+      error: error.message
+    });
+  }
+});
+
+// Load a dead letter by id, answering 404 when it doesn't exist
+const findDeadLetter = async (req, res) => {
+  const deadLetter = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await NotificationDeadLetter.findById(req.params.id).populate('replays.by', 'name email')
+    : null;
+
+  if (!deadLetter) {
+    res.status(404).json({
+      success: false,
+      message: 'Failed delivery not found'
+    });
+  }
+  return deadLetter;
+};
+
+// @desc    A failed delivery with its full message and attempt history
+// @route   GET /api/admin/notifications/dead-letters/:id
+// @access  Admin
+router.get('/notifications/dead-letters/:id', async (req, res) => {
+  try {
+    const deadLetter = await findDeadLetter(req, res);
+    if (!deadLetter) return;
+
+    res.json({
+      success: true,
+      data: { deadLetter }
+    });
+
+  } catch (error) {
+    console.error('Get dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed delivery',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Queue a failed delivery to be sent again
+// @route   POST /api/admin/notifications/dead-letters/:id/replay
+// @access  Admin
+router.post('/notifications/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const deadLetter = await findDeadLetter(req, res);
+    if (!deadLetter) return;
+
+    const job = await replayDeadLetter(deadLetter, req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'notification.replayed',
+      targetType: 'NotificationDeadLetter',
+      targetId: deadLetter._id,
+      reason: req.body.reason,
+      changes: { channel: deadLetter.channel, to: deadLetter.payload.to, job: job._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery queued again',
+      data: { deadLetter, job }
+    });
+
+  } catch (error) {
+    console.error('Replay dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay delivery',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Uploads rejected by type, size, duration or virus checks, newest first
+// @route   GET /api/admin/uploads/quarantine
+// @access  Admin
+router.get('/uploads/quarantine', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, reason } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (reason) filter.reason = reason;
+
+    const files = await QuarantinedFile.find(filter)
+      .select('-path')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await QuarantinedFile.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        files,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quarantined uploads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quarantined uploads',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Permanently delete a quarantined upload
+// @route   DELETE /api/admin/uploads/quarantine/:id
+// @access  Admin
+router.delete('/uploads/quarantine/:id', async (req, res) => {
+  try {
+    const file = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await QuarantinedFile.findById(req.params.id)
+      : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined upload not found'
+      });
+    }
+
+    await uploadInspector.discard(file);
+
+    await AuditLog.record(req, {
+      action: 'upload.quarantine_deleted',
+      targetType: 'QuarantinedFile',
+      targetId: file._id,
+      reason: req.body.reason,
+      changes: { filename: file.filename, quarantineReason: file.reason, sha256: file.sha256 }
+    });
+
+    res.json({
+      success: true,
+      message: 'Quarantined upload deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete quarantined upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete quarantined upload',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Detailed system health for operators
+// @route   GET /api/admin/system/health
+// @access  Admin
+router.get('/system/health', async (req, res) => {
+  try {
+    const report = await getHealthReport(req.app.get('io'), {
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('System health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate system health report',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Recent authority OTP requests and verification attempts
+// @route   GET /api/admin/otp-requests
+// @access  Admin
+router.get('/otp-requests', async (req, res) => {
+  try {
+    const { email, ip, type, limit = 50 } = req.query;
+
+    const requests = await otpService.listRequests({
+      email,
+      ip,
+      type,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+
+  } catch (error) {
+    console.error('Get OTP requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch OTP requests',
+      error: error.message
+    });
+  }
+});
+
+// @desc    SLA policies for every category and priority, with built-in defaults filled in
+// @route   GET /api/admin/sla/policies
+// @access  Admin
+router.get('/sla/policies', async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find()
+      .populate('updatedBy', 'name email')
+      .sort({ category: 1, priority: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        defaults: SlaPolicy.DEFAULT_SLA
+      }
+    });
+
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA policies',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create or update the SLA policy for a category and priority ('any' covers all categories)
+// @route   PUT /api/admin/sla/policies/:category/:priority
+// @access  Admin
+router.put('/sla/policies/:category/:priority', async (req, res) => {
+  try {
+    const { error, value } = validateSlaPolicy({
+      ...req.body,
+      category: req.params.category,
+      priority: req.params.priority
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { category, priority, ...targets } = value;
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { category, priority },
+      { ...targets, updatedBy: req.user._id, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await AuditLog.record(req, {
+      action: 'sla.updated',
+      targetType: 'SlaPolicy',
+      targetId: policy._id,
+      changes: value
+    });
+
+    res.json({
+      success: true,
+      message: `SLA policy saved for ${category} (${priority})`,
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA policy',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove an SLA policy so the category falls back to the 'any' policy or the defaults
+// @route   DELETE /api/admin/sla/policies/:category/:priority
+// @access  Admin
+router.delete('/sla/policies/:category/:priority', async (req, res) => {
+  try {
+    const { category, priority } = req.params;
+    const policy = await SlaPolicy.findOneAndDelete({ category, priority });
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'sla.deleted',
+      targetType: 'SlaPolicy',
+      targetId: policy._id,
+      changes: { category, priority }
+    });
+
+    res.json({
+      success: true,
+      message: `SLA policy removed for ${category} (${priority})`
+    });
+
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete SLA policy',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Overdue issues with breach counts by authority, category, priority and escalation level
+// @route   GET /api/admin/sla/breaches
+// @access  Admin
+router.get('/sla/breaches', async (req, res) => {
+  try {
+    const { error, value } = validateSlaBreachQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { page, limit, authority, category, priority, breachType, level, dueSoonHours } = value;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    const filter = { status: { $in: SLA_STATUSES }, 'sla.breached': true };
+    if (authority) filter.assignedTo = new mongoose.Types.ObjectId(authority);
+    if (category) filter.category = category;
+    if (priority) filter.priority = priority;
+    if (breachType) filter['sla.breachType'] = breachType;
+    if (level !== undefined) filter['sla.escalationLevel'] = level;
+
+    const [issues, total, breakdown, dueSoon] = await Promise.all([
+      Issue.find(filter)
+        .select('title category priority status location assignedTo assignedOfficer createdAt sla')
+        .populate('assignedTo', 'name department')
+        .populate('assignedOfficer', 'name role')
+        .sort({ 'sla.dueAt': 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Issue.countDocuments(filter),
+      Issue.aggregate([
+        { $match: filter },
+        {
+          $facet: {
+            byAuthority: [
+              { $group: { _id: '$assignedTo', count: { $sum: 1 } } },
+              { $lookup: { from: 'authorities', localField: '_id', foreignField: '_id', as: 'authority' } },
+              { $project: { count: 1, name: { $arrayElemAt: ['$authority.name', 0] } } },
+              { $sort: { count: -1 } }
+            ],
+            byCategory: [{ $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+            byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+            byLevel: [{ $group: { _id: '$sla.escalationLevel', count: { $sum: 1 } } }, { $sort: { _id: 1 } }]
+          }
+        }
+      ]),
+      // Not yet breached but due within the window
+      Issue.countDocuments({
+        status: { $in: SLA_STATUSES },
+        'sla.breached': false,
+        'sla.dueAt': { $gt: now, $lte: new Date(now.getTime() + dueSoonHours * 60 * 60 * 1000) }
+      })
+    ]);
+
+    // Hours past the deadline that was missed
+    issues.forEach(issue => {
+      const missed = issue.sla.breachType === 'response' ? issue.sla.responseDueAt : issue.sla.dueAt;
+      issue.sla.overdueHours = Math.round((now - new Date(missed)) / (60 * 60 * 1000) * 10) / 10;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        issues,
+        summary: {
+          breached: total,
+          dueSoon,
+          ...breakdown[0]
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get SLA breaches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA breaches',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the SLA evaluator now instead of waiting for the scheduled run
+// @route   POST /api/admin/sla/evaluate
+// @access  Admin
+router.post('/sla/evaluate', async (req, res) => {
+  try {
+    const summary = await evaluateSlaBreaches(req.app.get('notificationService'));
+
+    res.json({
+      success: true,
+      message: `Evaluated ${summary.evaluated} open issues`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('SLA evaluation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to evaluate SLAs',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+// routes/announcements.js
+const express = require('express');
+const Announcement = require('../models/Announcement');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Get sent, unexpired announcements for the current user
+// @route   GET /api/announcements
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, ward, district } = req.query;
+    const skip = (page - 1) * limit;
+
+    // ward/district are the locations the client follows over Socket.IO
+    const query = Announcement.visibleTo(req.user, { ward, district });
+    const filter = query.getFilter();
+
+    const announcements = await query
+      .select('title message type priority target.type expiresAt sentAt')
+      .sort({ sentAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Announcement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        announcements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -14,7 +14,8 @@ const {
 } = require('../utils/validators');
 const { sendWelcomeEmail, sendPasswordResetEmail } = require('../services/emailService');
 const { handleAvatarUpload } = require('../middleware/upload');
-const { uploadToCloudinary } = require('../config/cloudinary');
+const { storage, signMediaUrl } = require('../services/storageService');
+const { processImage } = require('../services/imageService');
 
 const router = express.Router();
 
@@ -71,7 +72,7 @@ router.post('/register', async (req, res) => {
           email: user.email,
           phone: user.phone,
           role: user.role,
-          avatar: user.avatar,
+          avatar: signMediaUrl(user.avatar),
           isVerified: user.isVerified,
           stats: user.stats,
           preferences: user.preferences
@@ -124,6 +125,13 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (user.isBlocked()) {
+      return res.status(403).json({
+        success: false,
+        message: `Your account has been ${user.status}. ${user.statusReason || ''}`.trim()
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
 
@@ -140,7 +148,7 @@ router.post('/login', async (req, res) => {
           email: user.email,
           phone: user.phone,
           role: user.role,
-          avatar: user.avatar,
+          avatar: signMediaUrl(user.avatar),
           isVerified: user.isVerified,
           stats: user.stats,
           preferences: user.preferences,
@@ -176,7 +184,7 @@ router.get('/me', protect, async (req, res) => {
           email: user.email,
           phone: user.phone,
           role: user.role,
-          avatar: user.avatar,
+          avatar: signMediaUrl(user.avatar),
           address: user.address,
           isVerified: user.isVerified,
           stats: user.stats,
@@ -221,6 +229,14 @@ router.put('/profile', protect, async (req, res) => {
       }
     });
 
+    // Set preferences field by field so notification settings saved elsewhere are kept
+    if (updates.preferences) {
+      Object.entries(updates.preferences).forEach(([key, setting]) => {
+        updates[`preferences.${key}`] = setting;
+      });
+      delete updates.preferences;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -239,7 +255,7 @@ router.put('/profile', protect, async (req, res) => {
           // bio: user.bio,
           // location: user.location,
           role: user.role,
-          avatar: user.avatar,
+          avatar: signMediaUrl(user.avatar),
           address: user.address,
           preferences: user.preferences,
           stats: user.stats
@@ -269,11 +285,13 @@ router.post('/avatar', protect, handleAvatarUpload, async (req, res) => {
       });
     }
 
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(
-      req.file.buffer, 
-      req.file.originalname, 
-      'image'
+    // Strip location and device metadata, then upload to the configured storage driver
+    const image = await processImage(req.file.buffer, { thumbnails: false });
+    const result = await storage.upload(
+      image.buffer,
+      req.file.originalname,
+      'image',
+      { contentType: req.file.mimetype }
     );
 
     // Update user avatar
@@ -287,7 +305,7 @@ router.post('/avatar', protect, handleAvatarUpload, async (req, res) => {
       success: true,
       message: 'Avatar updated successfully',
       data: {
-        avatar: user.avatar
+        avatar: signMediaUrl(user.avatar)
       }
     });
 
@@ -385,7 +403,17 @@ router.post('/forgot-password', async (req, res) => {
     await user.save({ validateBeforeSave: false });
 
     // Send reset email
-    await sendPasswordResetEmail(user, resetToken);
+    const sent = await sendPasswordResetEmail(user, resetToken);
+    if (!sent.success) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send password reset email'
+      });
+    }
 
     res.json({
       success: true,
@@ -1,58 +1,28 @@
 // routes/authorities.js - Fixed OTP system
 const express = require('express');
+const mongoose = require('mongoose');
 const Authority = require('../models/Authority');
+const AuthorityMember = require('../models/AuthorityMember');
 const Issue = require('../models/Issue');
-const { protect, optionalAuth } = require('../middleware/auth');
-const { adminOnly } = require('../middleware/roleCheck');
-const { validateAuthorityCreation } = require('../utils/validators');
-const { sendEmail } = require('../services/emailService'); // Import email service
+const { protect, authenticate, authorityAuth, generateAuthorityToken } = require('../middleware/auth');
+const { adminOnly, authorityRole } = require('../middleware/roleCheck');
+const AuditLog = require('../models/AuditLog');
+const { validateAuthorityCreation, validateAuthorityMember, validateAuthorityLookup } = require('../utils/validators');
+const { sendIssueStatusEmail, sendAuthorityNotificationEmail, sendAuthorityOtpEmail } = require('../services/emailService'); // Import email service
+const { localeFor } = require('../services/templateService');
+const { findAuthoritiesForLocation, departmentForCategory } = require('../services/routingService');
+const { otpService } = require('../services/otpService');
+const { getViewerLanguage, localizeIssue } = require('../services/translationService');
+const { signIssueMedia } = require('../services/storageService');
 
-const jwt = require('jsonwebtoken');
-const otpStore = new Map(); // In-memory OTP store: email -> { otp, expiresAt }
 const router = express.Router();
 
-// Utility: Generate 6-digit OTP
-function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-}
-
-// Utility: Send OTP via email
-async function sendOTP(email, otp, authorityName) {
-  const subject = 'Voice2Action Authority Login - OTP Verification';
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #2563eb;">Authority Login Verification</h2>
-      
-      <p>Dear ${authorityName},</p>
-      
-      <p>You have requested to login to your Voice2Action Authority Portal. Please use the following OTP to complete your login:</p>
-      
-      <div style="background-color: #f3f4f6; padding: 30px; border-radius: 8px; text-align: center; margin: 20px 0;">
-        <h1 style="color: #1f2937; font-size: 36px; letter-spacing: 8px; margin: 0;">${otp}</h1>
-      </div>
-      
-      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
-        <p style="margin: 0;"><strong>Important:</strong></p>
-        <ul style="margin: 10px 0 0 0; padding-left: 20px;">
-          <li>This OTP is valid for <strong>5 minutes</strong> only</li>
-          <li>Do not share this OTP with anyone</li>
-          <li>If you didn't request this login, please contact admin immediately</li>
-        </ul>
-      </div>
-      
-      <p>If you're having trouble logging in, please contact the system administrator.</p>
-      
-      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-      
-      <p style="color: #6b7280; font-size: 14px;">
-        This is an automated message from Voice2Action Authority Portal.<br>
-        For support, contact: admin@voice2action.com
-      </p>
-    </div>
-  `;
+// Utility: Send OTP via email, in the staff member's or department's language
+async function sendOTP(email, otp, account) {
+  const { authority, member } = account;
 
   try {
-    const result = await sendEmail(email, subject, html);
+    const result = await sendAuthorityOtpEmail(email, otp, authority.name, localeFor(member || authority));
     if (!result.success) {
       throw new Error(result.error);
     }
@@ -64,6 +34,34 @@ async function sendOTP(email, otp, authorityName) {
   }
 }
 
+// Resolve a login email to a department mailbox or a named staff member
+const findLoginAccount = async (email) => {
+  const normalized = String(email).trim().toLowerCase();
+
+  const authority = await Authority.findOne({ 'contact.email': normalized });
+  if (authority) {
+    return { authority, member: null };
+  }
+
+  const member = await AuthorityMember.findOne({ email: normalized }).populate('authority');
+  if (member && member.authority) {
+    return { authority: member.authority, member };
+  }
+
+  return null;
+};
+
+// Why an account may not log in, or null if it can
+const loginBlockReason = ({ authority, member }) => {
+  if (authority.status !== 'active') {
+    return 'Authority account is not active. Please contact administrator.';
+  }
+  if (member && member.status !== 'active') {
+    return `Staff account is ${member.status}. Please contact your department head.`;
+  }
+  return null;
+};
+
 // @desc    Request OTP for authority login
 // @route   POST /api/authorities/login/request-otp
 // @access  Public
@@ -80,61 +78,62 @@ router.post('/login/request-otp', async (req, res) => {
     if (!emailRegex.test(email)) {
       return res.status(400).json({ success: false, message: 'Invalid email format' });
     }
+
+    // Limit requests per email and per IP, including ones for unknown emails
+    const rateLimit = await otpService.checkRateLimit(email, req.ip);
+    if (rateLimit.limited) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many OTP requests. Please try again later.',
+        retryAfter: rateLimit.retryAfter
+      });
+    }
     
-    const authority = await Authority.findOne({ 'contact.email': email });
-    if (!authority) {
+    const account = await findLoginAccount(email);
+    if (!account) {
+      await otpService.audit({ email, ip: req.ip, type: 'request', outcome: 'unknown_email' });
       return res.status(404).json({ success: false, message: 'Authority not found with this email address' });
     }
     
-    if (authority.status !== 'active') {
+    const blockReason = loginBlockReason(account);
+    if (blockReason) {
+      await otpService.audit({ email, ip: req.ip, type: 'request', outcome: 'inactive' });
       return res.status(403).json({ 
         success: false, 
-        message: 'Authority account is not active. Please contact administrator.' 
+        message: blockReason 
       });
     }
+    const { authority } = account;
 
-    // Check if OTP was recently sent (rate limiting)
-    const existingRecord = otpStore.get(email);
-    if (existingRecord && (Date.now() - (existingRecord.requestTime || 0)) < 60000) { // 1 minute cooldown
-      return res.status(429).json({
-        success: false,
-        message: 'Please wait before requesting a new OTP. Try again in a minute.'
-      });
-    }
-    
-    const otp = generateOTP();
-    const expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes
-    const requestTime = Date.now();
-    
-    // Store OTP with additional metadata
-    otpStore.set(email, { 
-      otp, 
-      expiresAt, 
-      requestTime,
-      attempts: 0,
-      maxAttempts: 3
-    });
-    
-    // Send OTP via email
+    // Send OTP via email; the code is discarded if sending fails
+    let result;
     try {
-      await sendOTP(email, otp, authority.name);
-      
-      res.json({ 
-        success: true, 
-        message: 'OTP sent to your registered email address',
-        expiresIn: '5 minutes',
-        email: email.replace(/(.{2})(.*)(@.*)/, '$1***$3') // Mask email for security
+      result = await otpService.requestCode(email, {
+        ip: req.ip,
+        send: (otp) => sendOTP(email, otp, account)
       });
     } catch (emailError) {
-      // Remove from store if email sending failed
-      otpStore.delete(email);
-      
       return res.status(500).json({
         success: false,
         message: 'Failed to send OTP. Please try again later or contact support.',
         error: process.env.NODE_ENV === 'development' ? emailError.message : undefined
       });
     }
+
+    if (result.status === 'cooldown') {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait before requesting a new OTP. Try again in ${result.retryAfter} seconds.`,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'OTP sent to your registered email address',
+      expiresIn: '5 minutes',
+      email: email.replace(/(.{2})(.*)(@.*)/, '$1***$3') // Mask email for security
+    });
     
   } catch (error) {
     console.error('Request OTP error:', error);
@@ -162,65 +161,49 @@ router.post('/login/verify-otp', async (req, res) => {
       return res.status(400).json({ success: false, message: 'OTP must be 6 digits' });
     }
     
-    const record = otpStore.get(email);
-    if (!record) {
+    const result = await otpService.verifyCode(email, otp, { ip: req.ip });
+
+    if (result.status === 'not_found') {
       return res.status(401).json({ success: false, message: 'OTP not found or expired. Please request a new one.' });
     }
 
-    // Check max attempts
-    if (record.attempts >= record.maxAttempts) {
-      otpStore.delete(email);
+    if (result.status === 'too_many_attempts') {
       return res.status(401).json({ 
         success: false, 
         message: 'Too many failed attempts. Please request a new OTP.' 
       });
     }
 
-    // Check if OTP is expired
-    if (record.expiresAt < Date.now()) {
-      otpStore.delete(email);
-      return res.status(401).json({ success: false, message: 'OTP has expired. Please request a new one.' });
-    }
-
-    // Check if OTP matches
-    if (record.otp !== otp) {
-      record.attempts += 1;
-      otpStore.set(email, record);
-      
-      const remainingAttempts = record.maxAttempts - record.attempts;
+    if (result.status === 'invalid') {
       return res.status(401).json({ 
         success: false, 
-        message: `Invalid OTP. ${remainingAttempts} attempts remaining.`
+        message: `Invalid OTP. ${result.remainingAttempts} attempts remaining.`
       });
     }
     
-    // OTP is valid, clean up
-    otpStore.delete(email);
-    
-    const authority = await Authority.findOne({ 'contact.email': email });
-    if (!authority) {
+    const account = await findLoginAccount(email);
+    if (!account) {
       return res.status(404).json({ success: false, message: 'Authority not found' });
     }
     
-    if (authority.status !== 'active') {
-      return res.status(403).json({ success: false, message: 'Authority account is not active' });
+    const blockReason = loginBlockReason(account);
+    if (blockReason) {
+      return res.status(403).json({ success: false, message: blockReason });
     }
+    const { authority, member } = account;
     
     // Issue JWT token
-    const token = jwt.sign(
-      { 
-        authorityId: authority._id, 
-        type: 'authority',
-        email: email,
-        department: authority.department
-      }, 
-      process.env.JWT_SECRET || 'secret', 
-      { expiresIn: '24h' }
-    );
+    const token = generateAuthorityToken(authority, member);
     
     // Update last login
-    authority.lastLogin = new Date();
-    await authority.save();
+    const now = new Date();
+    if (member) {
+      member.lastLogin = now;
+      await member.save();
+    } else {
+      authority.lastLogin = now;
+      await authority.save();
+    }
     
     res.json({ 
       success: true,
@@ -232,7 +215,14 @@ router.post('/login/verify-otp', async (req, res) => {
         email: email,
         department: authority.department,
         status: authority.status,
-        lastLogin: authority.lastLogin
+        lastLogin: now,
+        member: member ? {
+          id: member._id,
+          name: member.name,
+          role: member.role,
+          designation: member.designation,
+          language: member.language
+        } : null
       }
     });
     
@@ -246,16 +236,6 @@ router.post('/login/verify-otp', async (req, res) => {
   }
 });
 
-// Clean up expired OTPs periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [email, record] of otpStore.entries()) {
-    if (record.expiresAt < now) {
-      otpStore.delete(email);
-    }
-  }
-}, 60000); // Clean up every minute
-
 // @desc    Get all authorities
 // @route   GET /api/authorities
 // @access  Public
@@ -517,10 +497,10 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
 // @desc    Get issues assigned to authority
 // @route   GET /api/authorities/:id/issues
 // @access  Private (Authority/Admin)
-router.get('/:id/issues', optionalAuth, async (req, res) => {
+router.get('/:id/issues', authenticate('authority', 'admin'), async (req, res) => {
   try {
     // Check if requesting authority matches the ID or if it's an admin
-    if (req.authority._id.toString() !== req.params.id && req.user?.role !== 'admin') {
+    if (req.principal.type === 'authority' && req.authority._id.toString() !== req.params.id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own assigned issues.'
@@ -536,16 +516,34 @@ router.get('/:id/issues', optionalAuth, async (req, res) => {
       });
     }
 
-    const { status, priority, page = 1, limit = 20 } = req.query;
+    const { status, priority, officer, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
+    if (officer && officer !== 'unassigned' &&
+        (typeof officer !== 'string' || !mongoose.Types.ObjectId.isValid(officer))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid officer ID'
+      });
+    }
+
     // Build filter
     const filter = { assignedTo: req.params.id };
     if (status) filter.status = status;
     if (priority) filter.priority = priority;
 
+    // Field officers only see their own issues; heads, supervisors and admins can filter by officer
+    if (req.authorityMember && req.authorityMember.role === 'field_officer') {
+      filter.assignedOfficer = req.authorityMember._id;
+    } else if (officer === 'unassigned') {
+      filter.assignedOfficer = null;
+    } else if (officer) {
+      filter.assignedOfficer = officer;
+    }
+
     const issues = await Issue.find(filter)
       .populate('reporter', 'name email phone avatar')
+      .populate('assignedOfficer', 'name designation role')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -553,9 +551,10 @@ router.get('/:id/issues', optionalAuth, async (req, res) => {
 
     const total = await Issue.countDocuments(filter);
 
-    // Add enriched data
+    // Add enriched data, translated for staff who read another language
+    const language = getViewerLanguage(req);
     const enrichedIssues = issues.map(issue => ({
-      ...issue,
+      ...signIssueMedia(localizeIssue(issue, language)),
       upvoteCount: issue.upvotes?.length || 0,
       commentCount: issue.comments?.length || 0
     }));
@@ -590,7 +589,7 @@ router.get('/:id/issues', optionalAuth, async (req, res) => {
 // @desc    Update issue status by authority (MISSING FUNCTION - ADDED)
 // @route   PUT /api/authorities/:id/issues/:issueId
 // @access  Private (Authority only)
-router.put('/:id/issues/:issueId', optionalAuth, async (req, res) => {
+router.put('/:id/issues/:issueId', authorityAuth, async (req, res) => {
   try {
     const { status, notes } = req.body;
 
@@ -629,6 +628,16 @@ router.put('/:id/issues/:issueId', optionalAuth, async (req, res) => {
       });
     }
 
+    // Field officers can only work on issues handed to them
+    const member = req.authorityMember;
+    if (member && member.role === 'field_officer' &&
+        (!issue.assignedOfficer || issue.assignedOfficer.toString() !== member._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This issue is not assigned to you.'
+      });
+    }
+
     const oldStatus = issue.status;
     issue.status = status;
     
@@ -641,6 +650,7 @@ router.put('/:id/issues/:issueId', optionalAuth, async (req, res) => {
       action: status,
       timestamp: new Date(),
       authority: authority._id,
+      officer: member ? member._id : undefined,
       notes: notes || ''
     });
 
@@ -710,7 +720,7 @@ router.put('/:id/issues/:issueId', optionalAuth, async (req, res) => {
 // @desc    Get authority dashboard data (MISSING FUNCTION - ADDED)
 // @route   GET /api/authorities/:id/dashboard
 // @access  Private (Authority only)
-router.get('/:id/dashboard', optionalAuth, async (req, res) => {
+router.get('/:id/dashboard', authorityAuth, async (req, res) => {
   try {
     // Check if requesting authority matches the ID
     if (req.authority._id.toString() !== req.params.id) {
@@ -1023,29 +1033,19 @@ router.get('/department/:department', async (req, res) => {
 // @access  Public
 router.post('/find-by-location', async (req, res) => {
   try {
-    const { lat, lng, category } = req.body;
-
-    if (!lat || !lng) {
+    const { error, value } = validateAuthorityLookup(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Latitude and longitude are required'
+        message: error.details[0].message
       });
     }
 
-    // Build filter
-    const filter = {
-      status: 'active'
-    };
-
-    if (category) {
-      filter.department = category;
-    }
-
-    // Find authorities (simplified - in production, use proper geospatial queries)
-    const authorities = await Authority.find(filter)
-      .select('name department contact serviceArea performanceMetrics')
-      .limit(5)
-      .lean();
+    const { lat, lng, category, radius } = value;
+    const authorities = await findAuthoritiesForLocation(lat, lng, {
+      department: category ? departmentForCategory(category) : undefined,
+      maxDistance: radius
+    });
 
     if (authorities.length === 0) {
       return res.status(404).json({
@@ -1054,20 +1054,12 @@ router.post('/find-by-location', async (req, res) => {
       });
     }
 
-    // In a real implementation, you would use geospatial queries to find
-    // authorities whose service area contains the given coordinates
-    // For now, we'll return all matching authorities
-
     res.json({
       success: true,
       data: {
         location: { lat, lng },
         category: category || 'all',
-        authorities: authorities.map(auth => ({
-          ...auth,
-          distance: Math.floor(Math.random() * 5000), // Mock distance in meters
-          estimatedResponse: Math.floor(Math.random() * 48) + 2 // Mock response time in hours
-        }))
+        authorities
       }
     });
 
@@ -1161,30 +1153,40 @@ router.post('/login/refresh-otp', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Email is required' });
     }
 
-    // Check if there's already an active OTP for this email
-    const existingOTP = otpStore.get(email);
-    if (existingOTP && existingOTP.expiresAt > Date.now()) {
-      const remainingTime = Math.ceil((existingOTP.expiresAt - Date.now()) / 1000);
+    const rateLimit = await otpService.checkRateLimit(email, req.ip);
+    if (rateLimit.limited) {
       return res.status(429).json({
         success: false,
-        message: `Please wait ${remainingTime} seconds before requesting a new OTP`
+        message: 'Too many OTP requests. Please try again later.',
+        retryAfter: rateLimit.retryAfter
       });
     }
     
-    const authority = await Authority.findOne({ 'contact.email': email });
-    if (!authority) {
+    const account = await findLoginAccount(email);
+    if (!account) {
+      await otpService.audit({ email, ip: req.ip, type: 'request', outcome: 'unknown_email' });
       return res.status(404).json({ success: false, message: 'Authority not found' });
     }
     
-    if (authority.status !== 'active') {
-      return res.status(403).json({ success: false, message: 'Authority account is not active' });
+    const blockReason = loginBlockReason(account);
+    if (blockReason) {
+      await otpService.audit({ email, ip: req.ip, type: 'request', outcome: 'inactive' });
+      return res.status(403).json({ success: false, message: blockReason });
     }
+    const { authority } = account;
     
-    const otp = generateOTP();
-    const expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes
-    otpStore.set(email, { otp, expiresAt });
-    
-    await sendOTP(email, otp);
+    const result = await otpService.requestCode(email, {
+      ip: req.ip,
+      send: (otp) => sendOTP(email, otp, account)
+    });
+
+    if (result.status === 'cooldown') {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${result.retryAfter} seconds before requesting a new OTP`,
+        retryAfter: result.retryAfter
+      });
+    }
     
     res.json({ 
       success: true, 
@@ -1204,7 +1206,7 @@ router.post('/login/refresh-otp', async (req, res) => {
 // @desc    Logout authority (MISSING FUNCTION - ADDED)
 // @route   POST /api/authorities/logout
 // @access  Private (Authority only)
-router.post('/logout', optionalAuth, async (req, res) => {
+router.post('/logout', authorityAuth, async (req, res) => {
   try {
     // In a real implementation, you might want to blacklist the token
     // or store logout time in the database
@@ -1225,8 +1227,8 @@ router.post('/logout', optionalAuth, async (req, res) => {
 
 // @desc    Update authority profile (MISSING FUNCTION - ADDED)
 // @route   PUT /api/authorities/:id/profile
-// @access  Private (Authority only)
-router.put('/:id/profile', optionalAuth, async (req, res) => {
+// @access  Private (Authority head)
+router.put('/:id/profile', authorityAuth, authorityRole('head'), async (req, res) => {
   try {
     // Check if requesting authority matches the ID
     if (req.authority._id.toString() !== req.params.id) {
@@ -1286,6 +1288,314 @@ router.put('/:id/profile', optionalAuth, async (req, res) => {
   }
 });
 
+// Authority tokens may only act on their own authority; admins may act on any
+const isOwnAuthority = (req) => (
+  req.principal.type === 'admin' || req.authority._id.toString() === req.params.id
+);
+
+// @desc    List staff members of an authority with their open workload
+// @route   GET /api/authorities/:id/members
+// @access  Private (Authority/Admin)
+router.get('/:id/members', authenticate('authority', 'admin'), async (req, res) => {
+  try {
+    if (!isOwnAuthority(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own staff.'
+      });
+    }
+
+    const filter = { authority: req.params.id };
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.status) filter.status = req.query.status;
+
+    const members = await AuthorityMember.find(filter)
+      .sort({ role: 1, name: 1 })
+      .lean();
+
+    const workloads = await Issue.aggregate([
+      {
+        $match: {
+          assignedOfficer: { $in: members.map(m => m._id) },
+          status: { $in: ['assigned', 'in_progress'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$assignedOfficer',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const openIssues = {};
+    workloads.forEach(w => {
+      openIssues[w._id.toString()] = w.count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        members: members.map(member => ({
+          ...member,
+          openIssues: openIssues[member._id.toString()] || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get authority members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch staff members',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Add a staff member who can log in individually
+// @route   POST /api/authorities/:id/members
+// @access  Private (Authority head/Admin)
+router.post('/:id/members', authenticate('authority', 'admin'), authorityRole('head'), async (req, res) => {
+  try {
+    if (!isOwnAuthority(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your own staff.'
+      });
+    }
+
+    const { error, value } = validateAuthorityMember(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const authority = await Authority.findById(req.params.id);
+    if (!authority) {
+      return res.status(404).json({
+        success: false,
+        message: 'Authority not found'
+      });
+    }
+
+    // Department mailboxes log in as the whole department, so they cannot double as staff logins
+    const emailTaken = await AuthorityMember.exists({ email: value.email }) ||
+      await Authority.exists({ 'contact.email': value.email });
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already used by another authority login'
+      });
+    }
+
+    const member = await AuthorityMember.create({
+      ...value,
+      authority: authority._id
+    });
+
+    if (req.user) {
+      await AuditLog.record(req, {
+        action: 'authority_member.created',
+        targetType: 'AuthorityMember',
+        targetId: member._id,
+        changes: { authority: authority._id, role: member.role }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member added successfully',
+      data: { member }
+    });
+
+  } catch (error) {
+    console.error('Create authority member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add staff member',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update a staff member's role, status or details
+// @route   PUT /api/authorities/:id/members/:memberId
+// @access  Private (Authority head/Admin)
+router.put('/:id/members/:memberId', authenticate('authority', 'admin'), authorityRole('head'), async (req, res) => {
+  try {
+    if (!isOwnAuthority(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your own staff.'
+      });
+    }
+
+    const { error, value } = validateAuthorityMember(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const member = await AuthorityMember.findOne({
+      _id: req.params.memberId,
+      authority: req.params.id
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    // Heads cannot lock themselves out
+    const isSelf = req.authorityMember && req.authorityMember._id.toString() === member._id.toString();
+    if (isSelf && (value.role || value.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or status'
+      });
+    }
+
+    const changes = {};
+    Object.keys(value).forEach(field => {
+      if (member[field] !== value[field]) {
+        changes[field] = { from: member[field], to: value[field] };
+        member[field] = value[field];
+      }
+    });
+    await member.save();
+
+    if (req.user) {
+      await AuditLog.record(req, {
+        action: 'authority_member.updated',
+        targetType: 'AuthorityMember',
+        targetId: member._id,
+        changes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Staff member updated successfully',
+      data: { member }
+    });
+
+  } catch (error) {
+    console.error('Update authority member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff member',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Assign an authority's issue to one of its officers (memberId: null unassigns)
+// @route   PUT /api/authorities/:id/issues/:issueId/assign
+// @access  Private (Authority head or supervisor/Admin)
+router.put('/:id/issues/:issueId/assign', authenticate('authority', 'admin'), authorityRole('head', 'supervisor'), async (req, res) => {
+  try {
+    const { memberId, notes } = req.body;
+
+    if (!isOwnAuthority(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only assign issues within your own authority.'
+      });
+    }
+
+    if (memberId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'memberId is required'
+      });
+    }
+
+    const issue = await Issue.findOne({
+      _id: req.params.issueId,
+      assignedTo: req.params.id
+    });
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found or not assigned to this authority'
+      });
+    }
+
+    if (['resolved', 'closed'].includes(issue.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reassign an issue that is ${issue.status}`
+      });
+    }
+
+    let officer = null;
+    if (memberId) {
+      officer = await AuthorityMember.findOne({
+        _id: memberId,
+        authority: req.params.id,
+        status: 'active'
+      });
+
+      if (!officer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active staff member not found in this authority'
+        });
+      }
+    }
+
+    issue.assignedOfficer = officer ? officer._id : null;
+    issue.timeline.push({
+      action: 'assigned',
+      timestamp: new Date(),
+      user: req.user ? req.user._id : undefined,
+      authority: issue.assignedTo,
+      officer: req.authorityMember ? req.authorityMember._id : undefined,
+      notes: [officer ? `Assigned to officer ${officer.name}` : 'Officer assignment removed', notes]
+        .filter(Boolean)
+        .join(' - ')
+    });
+    await issue.save();
+
+    if (officer) {
+      const authority = req.authority || await Authority.findById(req.params.id);
+      const result = await req.app.get('notificationService').notifyOfficerAssigned(issue, officer, authority);
+      if (!result.success) {
+        console.warn('Failed to notify assigned officer:', result.error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: officer ? `Issue assigned to ${officer.name}` : 'Officer assignment removed',
+      data: {
+        issue: {
+          id: issue._id,
+          status: issue.status,
+          assignedOfficer: officer ? { id: officer._id, name: officer.name, role: officer.role } : null,
+          timeline: issue.timeline
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign issue to officer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign issue',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Bulk assign issues to authority (MISSING FUNCTION - ADDED)
 // @route   POST /api/authorities/:id/assign-issues
 // @access  Private (Admin only)
@@ -1320,7 +1630,7 @@ router.post('/:id/assign-issues', protect, adminOnly, async (req, res) => {
     const issues = await Issue.find({
       _id: { $in: issueIds },
       status: { $in: ['pending', 'verified'] }
-    });
+    }).populate('reporter', 'name email phone');
 
     if (issues.length !== issueIds.length) {
       return res.status(400).json({
@@ -1336,7 +1646,9 @@ router.post('/:id/assign-issues', protect, adminOnly, async (req, res) => {
         $set: {
           assignedTo: authority._id,
           status: 'assigned',
-          assignedAt: new Date()
+          assignedAt: new Date(),
+          // updateMany skips the Issue save hooks, so restart the SLA clock here
+          sla: { startedAt: new Date(), breached: false, escalationLevel: 0 }
         },
         $push: {
           timeline: {
@@ -4,6 +4,7 @@ const express = require('express');
 const Feedback = require('../models/Feedback');
 const { body, validationResult, query } = require('express-validator');
 const { protect } = require('../middleware/auth');
+const { signAvatar } = require('../services/storageService');
 const router = express.Router();
 
 
@@ -116,7 +117,7 @@ router.get('/', protect, [
     res.json({
       success: true,
       data: {
-        feedbacks,
+        feedbacks: feedbacks.map(feedback => ({ ...feedback.toObject(), user: signAvatar(feedback.user) })),
         pagination: {
           page,
           limit,
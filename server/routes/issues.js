@@ -4,20 +4,43 @@ const Issue = require('../models/Issue');
 const User = require('../models/User');
 const Authority = require('../models/Authority');
 const Contribution = require('../models/Contribution');
+const RoutingSetting = require('../models/RoutingSetting');
 const { protect, optionalAuth } = require('../middleware/auth');
 const { ownerOrAdmin } = require('../middleware/roleCheck');
-const { handleMultipleUpload } = require('../middleware/upload');
-const { uploadMultipleFiles } = require('../config/cloudinary');
+const { handleMultipleUpload, handleSingleUpload } = require('../middleware/upload');
+const { uploadMultipleFiles, signIssueMedia } = require('../services/storageService');
+const { checkPhotoCapture } = require('../services/imageService');
+const { claimUploads, releaseUploads, markAttached } = require('../services/uploadSessionService');
 const { 
   validateIssueSubmission, 
   validateComment, 
   validateSearchFilter,
-  validateGeolocation 
+  validateGeolocation,
+  validateVoiceDraft,
+  validateClassificationRequest
 } = require('../utils/validators');
+const { buildIssueFilter } = require('../utils/filters');
+const { selectAuthorityForIssue } = require('../services/routingService');
+const { findDuplicateCandidates } = require('../services/duplicateService');
+const { transcriptionService } = require('../services/transcriptionService');
+const { suggestClassification } = require('../services/classificationService');
+const {
+  translationService,
+  detectLanguage,
+  getViewerLanguage,
+  localizeIssue
+} = require('../services/translationService');
 const turf = require('@turf/turf');
 
 const router = express.Router();
 
+// Translate new or edited text in the background; the scheduled job retries failures
+const translateInBackground = (issueId) => {
+  if (!translationService.enabled) return;
+  translationService.translateIssue(issueId)
+    .catch(error => console.error('Translation error:', error));
+};
+
 // @desc    Get all issues with filters
 // @route   GET /api/issues
 // @access  Public
@@ -32,23 +55,10 @@ router.get('/', optionalAuth, async (req, res) => {
       });
     }
 
-    const {
-      q,
-      category,
-      status,
-      priority,
-      ward,
-      district,
-      dateFrom,
-      dateTo,
-      sortBy,
-      sortOrder,
-      page,
-      limit
-    } = value;
+    const { sortBy, sortOrder, page, limit } = value;
 
     // Build filter object
-    const filter = {};
+    const filter = buildIssueFilter(value);
 
     // Only show public issues to non-authenticated users
     if (!req.user) {
@@ -61,31 +71,6 @@ router.get('/', optionalAuth, async (req, res) => {
       ];
     }
 
-    // Apply filters
-    if (q) {
-      filter.$text = { $search: q };
-    }
-    if (category) {
-      filter.category = category;
-    }
-    if (status) {
-      filter.status = status;
-    }
-    if (priority) {
-      filter.priority = priority;
-    }
-    if (ward) {
-      filter['location.ward'] = new RegExp(ward, 'i');
-    }
-    if (district) {
-      filter['location.district'] = new RegExp(district, 'i');
-    }
-    if (dateFrom || dateTo) {
-      filter.createdAt = {};
-      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
-    }
-
     // Build sort object
     const sort = {};
     sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
@@ -104,9 +89,10 @@ router.get('/', optionalAuth, async (req, res) => {
     // Get total count for pagination
     const total = await Issue.countDocuments(filter);
 
-    // Add upvote count and user upvote status
+    // Add upvote count and user upvote status, in the viewer's language
+    const language = getViewerLanguage(req);
     const enrichedIssues = issues.map(issue => ({
-      ...issue,
+      ...signIssueMedia(localizeIssue(issue, language)),
       upvoteCount: issue.upvotes?.length || 0,
       userUpvoted: req.user ? issue.upvotes?.some(upvote => 
         upvote.user.toString() === req.user._id.toString()) : false,
@@ -155,7 +141,8 @@ router.get('/nearby', optionalAuth, async (req, res) => {
 
     // Build base filter
     const filter = {
-      'location.coordinates': {
+      status: { $ne: 'merged' },
+      'location.point': {
         $near: {
           $geometry: {
             type: 'Point',
@@ -183,6 +170,7 @@ router.get('/nearby', optionalAuth, async (req, res) => {
       .lean();
 
     // Calculate distance for each issue
+    const language = getViewerLanguage(req);
     const issuesWithDistance = issues.map(issue => {
       const distance = turf.distance(
         [lng, lat],
@@ -191,7 +179,7 @@ router.get('/nearby', optionalAuth, async (req, res) => {
       );
 
       return {
-        ...issue,
+        ...signIssueMedia(localizeIssue(issue, language)),
         distance: Math.round(distance),
         upvoteCount: issue.upvotes?.length || 0,
         userUpvoted: req.user ? issue.upvotes?.some(upvote => 
@@ -226,6 +214,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const issue = await Issue.findById(req.params.id)
       .populate('reporter', 'name email avatar phone')
       .populate('assignedTo', 'name department contact')
+      .populate('assignedOfficer', 'name designation role')
+      .populate('timeline.officer', 'name designation')
       .populate('comments.user', 'name avatar')
       .populate('upvotes.user', 'name')
       .lean();
@@ -237,7 +227,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check visibility permissions
+    // Check visibility permissions first, so the merge redirect cannot reveal a private issue
     if (issue.visibility === 'private' && 
         (!req.user || (req.user._id.toString() !== issue.reporter._id.toString() && req.user.role !== 'admin'))) {
       return res.status(403).json({
@@ -246,15 +236,22 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    // Merged duplicates redirect to the issue they were folded into
+    if (issue.status === 'merged' && issue.mergedInto) {
+      return res.redirect(307, `${req.baseUrl}/${issue.mergedInto}`);
+    }
+
     // Enrich issue data
     const enrichedIssue = {
-      ...issue,
+      ...signIssueMedia(localizeIssue(issue, getViewerLanguage(req))),
       upvoteCount: issue.upvotes?.length || 0,
       userUpvoted: req.user ? issue.upvotes?.some(upvote => 
         upvote.user._id.toString() === req.user._id.toString()) : false,
       commentCount: issue.comments?.length || 0,
       canEdit: req.user && (req.user._id.toString() === issue.reporter._id.toString() || req.user.role === 'admin'),
-      canComment: !!req.user
+      canComment: !!req.user,
+      // Only the reporter is asked to confirm the voice draft
+      voiceDraft: req.user && req.user._id.toString() === issue.reporter._id.toString() ? issue.voiceDraft : null
     };
 
     res.json({
@@ -276,6 +273,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @route   POST /api/issues
 // @access  Private
 router.post('/', protect, handleMultipleUpload, async (req, res) => {
+  // Resumable uploads held for this issue, given back if it is not created
+  let uploadClaim = null;
   try {
     // Validate issue data
     const { error, value } = validateIssueSubmission(req.body);
@@ -286,13 +285,77 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
       });
     }
 
+    const { force, uploadIds = [], ...issueFields } = value;
+
+    if (uploadIds.length + (req.files ? req.files.length : 0) > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum 5 files allowed'
+      });
+    }
+
+    // Offer likely duplicates before anything is stored; `force` submits anyway
+    if (!force) {
+      try {
+        const { candidates, settings } = await findDuplicateCandidates(issueFields, { userId: req.user._id });
+        if (candidates.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Similar issues have already been reported nearby',
+            data: {
+              duplicates: candidates,
+              radius: settings.radius
+            }
+          });
+        }
+      } catch (duplicateError) {
+        // Duplicate detection never blocks submission
+        console.warn('Duplicate check failed:', duplicateError.message);
+      }
+    }
+
+    // Record what the classifier would have picked, so admins can see overrides
+    let suggestion = null;
+    try {
+      suggestion = await suggestClassification(issueFields);
+    } catch (classifyError) {
+      console.warn('Category suggestion failed:', classifyError.message);
+    }
+
+    // Resumable uploads (POST /api/uploads) must be finished and belong to the reporter.
+    // They are claimed before anything is stored so another submission cannot use them too.
+    let uploadSessions = [];
+    if (uploadIds.length > 0) {
+      const claimed = await claimUploads(uploadIds, req.user._id);
+      if (claimed.status === 'unavailable') {
+        return res.status(400).json({
+          success: false,
+          message: 'Some uploads are not finished or could not be found',
+          data: { missing: claimed.missing }
+        });
+      }
+      uploadClaim = claimed.claim;
+      uploadSessions = claimed.sessions;
+    }
+
     // Upload media files if any
     let mediaFiles = [];
+    const audioBuffers = {};
     if (req.files && req.files.length > 0) {
       const uploadResults = await uploadMultipleFiles(req.files);
       
       // Filter successful uploads
       mediaFiles = uploadResults.filter(result => !result.error);
+
+      // Queue voice notes for transcription, keeping the upload to skip a download
+      if (transcriptionService.enabled) {
+        uploadResults.forEach((result, index) => {
+          if (!result.error && result.type === 'audio') {
+            result.transcript = { status: 'pending' };
+            audioBuffers[result.url] = req.files[index].buffer;
+          }
+        });
+      }
       
       // Log any upload errors
       const errors = uploadResults.filter(result => result.error);
@@ -301,11 +364,37 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
       }
     }
 
+    // Resumable uploads were stored when they completed; voice notes among them are read back from storage for transcription
+    uploadSessions.forEach(session => {
+      const result = { ...session.media };
+      if (transcriptionService.enabled && result.type === 'audio') {
+        result.transcript = { status: 'pending' };
+      }
+      mediaFiles.push(result);
+    });
+
+    // Check where and when each photo was taken against the report, keeping only the outcome
+    mediaFiles.forEach(result => {
+      if (result.type === 'image') {
+        result.capture = checkPhotoCapture(result.capture, issueFields.location.coordinates);
+      }
+    });
+
     // Create issue
     const issueData = {
-      ...value,
+      ...issueFields,
+      language: issueFields.language || detectLanguage(`${issueFields.title} ${issueFields.description}`),
       reporter: req.user._id,
       media: mediaFiles,
+      suggestion: suggestion ? {
+        category: suggestion.category,
+        priority: suggestion.priority,
+        tags: suggestion.tags,
+        confidence: suggestion.confidence,
+        modelVersion: suggestion.modelVersion,
+        categoryOverridden: issueFields.category !== suggestion.category,
+        priorityOverridden: issueFields.priority !== suggestion.priority
+      } : null,
       timeline: [{
         action: 'submitted',
         timestamp: new Date(),
@@ -313,7 +402,35 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
       }]
     };
 
+    // Auto-assign to the responsible authority (never blocks submission)
+    let routing = null;
+    try {
+      if (await RoutingSetting.isAutoAssignEnabled(value.category)) {
+        routing = await selectAuthorityForIssue(value);
+      }
+    } catch (routingError) {
+      console.warn('Auto-routing failed:', routingError.message);
+    }
+
+    if (routing && routing.authority) {
+      issueData.assignedTo = routing.authority._id;
+      issueData.status = 'assigned';
+      issueData.timeline.push({
+        action: 'assigned',
+        timestamp: new Date(),
+        authority: routing.authority._id,
+        notes: `Auto-assigned to ${routing.authority.name} (matched by ${routing.matchedBy})`
+      });
+    }
+
     const issue = await Issue.create(issueData);
+
+    // The issue uses the uploads now, so they are no longer given back on a later failure
+    if (uploadClaim) {
+      const claim = uploadClaim;
+      uploadClaim = null;
+      await markAttached(claim, issue._id);
+    }
     
     // Populate the created issue
     await issue.populate('reporter', 'name email avatar');
@@ -341,11 +458,20 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
       }
     });
 
-    // Find and notify relevant authorities
-    const authorities = await Authority.find({
-      department: issue.category,
-      status: 'active'
-    });
+    // Notify the assigned authority, or every authority in the department if unassigned
+    let authorities;
+    if (routing && routing.authority) {
+      authorities = [routing.authority];
+      await Authority.findByIdAndUpdate(routing.authority._id, {
+        $inc: { 'performanceMetrics.totalAssignedIssues': 1 },
+        lastUpdated: new Date()
+      });
+    } else {
+      authorities = await Authority.find({
+        department: issue.category,
+        status: 'active'
+      });
+    }
 
     // Send notifications
     const notificationService = req.app.get('notificationService');
@@ -353,6 +479,14 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
       await notificationService.notifyNewIssue(issue, authorities);
     }
 
+    translateInBackground(issue._id);
+
+    // Transcribe in the background; the scheduled job retries anything that fails
+    if (Object.keys(audioBuffers).length > 0) {
+      transcriptionService.transcribeIssueAudio(issue._id, { buffers: audioBuffers })
+        .catch(error => console.error('Transcription error:', error));
+    }
+
     // Emit real-time notification for new issue
     const io = req.app.get('io');
     if (io) {
@@ -369,10 +503,25 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Issue reported successfully',
-      data: { issue }
+      data: {
+        issue: signIssueMedia(issue),
+        assignment: routing && routing.authority ? {
+          authority: {
+            id: routing.authority._id,
+            name: routing.authority.name,
+            department: routing.authority.department
+          },
+          matchedBy: routing.matchedBy
+        } : null
+      }
     });
 
   } catch (error) {
+    if (uploadClaim) {
+      await releaseUploads(uploadClaim).catch(releaseError => {
+        console.error('Release uploads error:', releaseError);
+      });
+    }
     console.error('Add comment error:', error);
     res.status(500).json({
       success: false,
@@ -382,6 +531,152 @@ router.post('/', protect, handleMultipleUpload, async (req, res) => {
   }
 });
 
+// @desc    Transcribe a voice note into title and description drafts
+// @route   POST /api/issues/transcribe
+// @access  Private
+router.post('/transcribe', protect, handleSingleUpload, async (req, res) => {
+  try {
+    if (!transcriptionService.enabled) {
+      return res.status(503).json({
+        success: false,
+        message: 'Voice transcription is not available'
+      });
+    }
+
+    if (!req.file || !req.file.mimetype.startsWith('audio/')) {
+      return res.status(400).json({
+        success: false,
+        message: 'An audio file is required'
+      });
+    }
+
+    const result = await transcriptionService.transcribe(req.file.buffer);
+    const suggestion = result.drafts ? await suggestClassification(result.drafts) : null;
+
+    res.json({
+      success: true,
+      data: {
+        text: result.text,
+        language: result.language,
+        drafts: result.drafts,
+        suggestion
+      }
+    });
+
+  } catch (error) {
+    console.error('Transcribe voice note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transcribe voice note',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Suggest a category, priority and tags for report text
+// @route   POST /api/issues/suggest
+// @access  Private
+router.post('/suggest', protect, async (req, res) => {
+  try {
+    const { error, value } = validateClassificationRequest(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const suggestion = await suggestClassification(value);
+
+    res.json({
+      success: true,
+      data: { suggestion }
+    });
+
+  } catch (error) {
+    console.error('Suggest category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suggest a category',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Accept or dismiss the title/description drafted from a voice note
+// @route   PUT /api/issues/:id/voice-draft
+// @access  Private (reporter only)
+router.put('/:id/voice-draft', protect, async (req, res) => {
+  try {
+    const { error, value } = validateVoiceDraft(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const issue = await Issue.findById(req.params.id);
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (issue.reporter.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!issue.voiceDraft || issue.voiceDraft.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'No voice draft is waiting for confirmation'
+      });
+    }
+
+    // Same rule as editing: the report can't change once it has been processed
+    if (value.action === 'accept' && issue.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit issue after it has been processed'
+      });
+    }
+
+    if (value.action === 'accept') {
+      issue.title = value.title || issue.voiceDraft.title;
+      issue.description = value.description || issue.voiceDraft.description;
+      issue.language = detectLanguage(`${issue.title} ${issue.description}`);
+      issue.translations = [];
+    }
+    issue.voiceDraft.status = value.action === 'accept' ? 'accepted' : 'dismissed';
+    issue.voiceDraft.respondedAt = new Date();
+    await issue.save();
+
+    if (value.action === 'accept') {
+      translateInBackground(issue._id);
+    }
+
+    res.json({
+      success: true,
+      message: value.action === 'accept' ? 'Issue updated from voice note' : 'Voice draft dismissed',
+      data: { issue: signIssueMedia(issue) }
+    });
+
+  } catch (error) {
+    console.error('Voice draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update voice draft',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Upvote/Remove upvote from issue
 // @route   POST /api/issues/:id/upvote
 // @access  Private
@@ -396,6 +691,14 @@ router.post('/:id/upvote', protect, async (req, res) => {
       });
     }
 
+    if (issue.status === 'merged') {
+      return res.status(409).json({
+        success: false,
+        message: 'This issue has been merged into another report',
+        data: { mergedInto: issue.mergedInto }
+      });
+    }
+
     // Check if user already upvoted
     const existingUpvoteIndex = issue.upvotes.findIndex(
       upvote => upvote.user.toString() === req.user._id.toString()
@@ -489,8 +792,9 @@ router.get('/my/issues', protect, async (req, res) => {
     const total = await Issue.countDocuments(filter);
 
     // Add enriched data
+    const language = getViewerLanguage(req);
     const enrichedIssues = issues.map(issue => ({
-      ...issue,
+      ...signIssueMedia(localizeIssue(issue, language)),
       upvoteCount: issue.upvotes?.length || 0,
       commentCount: issue.comments?.length || 0
     }));
@@ -626,7 +930,8 @@ router.get('/search/text', optionalAuth, async (req, res) => {
 
     // Build filter for visibility
     const filter = {
-      $text: { $search: q }
+      $text: { $search: q },
+      status: { $ne: 'merged' }
     };
 
     if (!req.user) {
@@ -649,8 +954,9 @@ router.get('/search/text', optionalAuth, async (req, res) => {
     const total = await Issue.countDocuments(filter);
 
     // Add enriched data
+    const language = getViewerLanguage(req);
     const enrichedIssues = issues.map(issue => ({
-      ...issue,
+      ...signIssueMedia(localizeIssue(issue, language)),
       upvoteCount: issue.upvotes?.length || 0,
       commentCount: issue.comments?.length || 0,
       userUpvoted: req.user ? issue.upvotes?.some(upvote => 
@@ -712,7 +1018,7 @@ router.put('/:id', protect, async (req, res) => {
     }
 
     // Validate update data
-    const allowedUpdates = ['title', 'description', 'category', 'priority', 'tags', 'visibility'];
+    const allowedUpdates = ['title', 'description', 'language', 'category', 'priority', 'tags', 'visibility'];
     const updates = {};
 
     Object.keys(req.body).forEach(key => {
@@ -721,16 +1027,28 @@ router.put('/:id', protect, async (req, res) => {
       }
     });
 
+    // Edited text makes existing translations stale
+    const textChanged = ['title', 'description', 'language'].some(key => updates[key] !== undefined && updates[key] !== issue[key]);
+    if (textChanged) {
+      updates.language = updates.language ||
+        detectLanguage(`${updates.title || issue.title} ${updates.description || issue.description}`);
+      updates.translations = [];
+    }
+
     const updatedIssue = await Issue.findByIdAndUpdate(
       req.params.id,
       updates,
       { new: true, runValidators: true }
     ).populate('reporter', 'name avatar');
 
+    if (textChanged) {
+      translateInBackground(updatedIssue._id);
+    }
+
     res.json({
       success: true,
       message: 'Issue updated successfully',
-      data: { issue: updatedIssue }
+      data: { issue: signIssueMedia(updatedIssue) }
     });
 
   } catch (error) {
@@ -825,15 +1143,25 @@ router.post('/:id/comments', protect, async (req, res) => {
       });
     }
 
+    if (issue.status === 'merged') {
+      return res.status(409).json({
+        success: false,
+        message: 'This issue has been merged into another report',
+        data: { mergedInto: issue.mergedInto }
+      });
+    }
+
     // Add comment
     const comment = {
       user: req.user._id,
       message: value.message,
+      language: value.language || detectLanguage(value.message),
       timestamp: new Date()
     };
 
     issue.comments.push(comment);
     await issue.save();
+    translateInBackground(issue._id);
 
     // Populate the new comment
     await issue.populate('comments.user', 'name avatar');
@@ -866,7 +1194,7 @@ router.post('/:id/comments', protect, async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Issue reported successfully',
-      data: { issue }
+      data: { issue: signIssueMedia(issue) }
     });
 
   } catch (error) {
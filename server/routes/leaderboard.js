@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Contribution = require('../models/Contribution');
 const Issue = require('../models/Issue');
 const { protect, optionalAuth } = require('../middleware/auth');
+const { signMediaUrl, signAvatar } = require('../services/storageService');
 
 const router = express.Router();
 
@@ -72,7 +73,7 @@ router.get('/monthly', optionalAuth, async (req, res) => {
           points: userPoints,
           user: {
             name: req.user.name,
-            avatar: req.user.avatar
+            avatar: signMediaUrl(req.user.avatar)
           }
         };
       }
@@ -89,7 +90,7 @@ router.get('/monthly', optionalAuth, async (req, res) => {
       data: {
         month: targetMonth,
         year: targetYear,
-        leaderboard,
+        leaderboard: leaderboard.map(signAvatar),
         userPosition,
         totalParticipants: totalParticipants.length,
         period: `${getMonthName(targetMonth)} ${targetYear}`
@@ -288,7 +289,7 @@ router.get('/impact', async (req, res) => {
             : 0
         },
         categoryImpact: metrics.categoryImpact,
-        activeContributors,
+        activeContributors: activeContributors.map(signAvatar),
         geographicImpact
       }
     });
@@ -530,7 +531,7 @@ router.get('/yearly', optionalAuth, async (req, res) => {
           points: userPoints,
           user: {
             name: req.user.name,
-            avatar: req.user.avatar
+            avatar: signMediaUrl(req.user.avatar)
           }
         };
       }
@@ -545,7 +546,7 @@ router.get('/yearly', optionalAuth, async (req, res) => {
       success: true,
       data: {
         year: targetYear,
-        leaderboard,
+        leaderboard: leaderboard.map(signAvatar),
         userPosition,
         totalParticipants: totalParticipants.length
       }
@@ -655,7 +656,7 @@ router.get('/category', async (req, res) => {
         month: targetMonth,
         year: targetYear,
         period: `${getMonthName(targetMonth)} ${targetYear}`,
-        leaderboard,
+        leaderboard: leaderboard.map(signAvatar),
         stats: {
           totalContributions: stats.totalContributions,
           totalPoints: stats.totalPoints,
@@ -798,7 +799,7 @@ router.get('/user/:userId', async (req, res) => {
         user: {
           id: user._id,
           name: user.name,
-          avatar: user.avatar,
+          avatar: signMediaUrl(user.avatar),
           overallStats: user.stats
         },
         year: targetYear,
@@ -944,7 +945,11 @@ router.get('/stats', async (req, res) => {
         monthlyGrowth,
         topCategories,
         activityHeatmap,
-        achievements: milestones[0] || {
+        achievements: milestones[0] ? {
+          topReporters: milestones[0].topReporters.map(signAvatar),
+          topResolvers: milestones[0].topResolvers.map(signAvatar),
+          topContributors: milestones[0].topContributors.map(signAvatar)
+        } : {
           topReporters: [],
           topResolvers: [],
           topContributors: []
@@ -0,0 +1,59 @@
+// routes/media.js
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { storage } = require('../services/storageService');
+
+const router = express.Router();
+
+// Signed links (see LocalStorage.getOptimizedUrl) stand in for a token on <img> and <video> tags
+const authenticateMedia = (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (signature) {
+    if (storage.verifySignature(req.params[0], expires, signature)) return next();
+    return res.status(403).json({
+      success: false,
+      message: 'Media link is invalid or has expired'
+    });
+  }
+  return authenticate()(req, res, next);
+};
+
+// @desc    Serve a file stored by the local storage driver
+// @route   GET /api/media/*
+// @access  Private (any signed-in user or authority, or a signed link)
+router.get('/*', (req, res, next) => {
+  if (storage.name !== 'local') {
+    return res.status(404).json({
+      success: false,
+      message: 'Media is not served by this server'
+    });
+  }
+  next();
+}, authenticateMedia, (req, res) => {
+  const filePath = storage.resolve(req.params[0]);
+  if (!filePath) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.sendFile(filePath, (error) => {
+    if (!error || res.headersSent) return;
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    console.error('Serve media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to serve file',
+      error: error.message
+    });
+  });
+});
+
+module.exports = router;
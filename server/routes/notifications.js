@@ -0,0 +1,296 @@
+// routes/notifications.js
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { protect, authenticate } = require('../middleware/auth');
+const { emitToUser } = require('../config/socket');
+const { eventsFor, unsubscribe } = require('../services/preferenceService');
+const { validateNotificationPreferences, validateUnsubscribe } = require('../utils/validators');
+
+const router = express.Router();
+
+// Notification-related slice of a user's preferences
+const preferencesPayload = (user) => {
+  const { emailNotifications, smsNotifications, notifications, quietHours, digest, timezone } = user.toObject().preferences || {};
+  return { emailNotifications, smsNotifications, notifications, quietHours, digest, timezone };
+};
+
+// { digest: { hour: 8 } } -> { 'preferences.digest.hour': 8 }, so unrelated settings are left alone
+const toUpdatePaths = (value, prefix = 'preferences') => Object.entries(value).reduce((paths, [key, item]) => {
+  if (item !== null && typeof item === 'object') {
+    Object.assign(paths, toUpdatePaths(item, `${prefix}.${key}`));
+  } else {
+    paths[`${prefix}.${key}`] = item;
+  }
+  return paths;
+}, {});
+
+// @desc    Turn off emails from a signed unsubscribe link
+// @route   POST /api/notifications/unsubscribe
+// @access  Public
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { error, value } = validateUnsubscribe(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    let result;
+    try {
+      result = await unsubscribe(value.token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'This unsubscribe link is invalid'
+      });
+    }
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const label = result.event === 'all' ? null : User.NOTIFICATION_EVENTS[result.event].label;
+    res.json({
+      success: true,
+      message: label
+        ? `You will no longer receive "${label}" emails`
+        : 'You will no longer receive notification emails',
+      data: { event: result.event }
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the current user's notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        preferences: preferencesPayload(req.user),
+        events: eventsFor(req.user.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update the current user's notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', protect, async (req, res) => {
+  try {
+    const { error, value } = validateNotificationPreferences(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: toUpdatePaths(value) },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        preferences: preferencesPayload(user),
+        events: eventsFor(user.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// Whose inbox a request reads: the signed-in user's, a staff member's, or the department mailbox
+const inboxOwner = (req) => {
+  if (req.principal.type !== 'authority') {
+    return { recipient: req.user._id, recipientType: 'User' };
+  }
+  return req.authorityMember
+    ? { recipient: req.authorityMember._id, recipientType: 'AuthorityMember' }
+    : { recipient: req.authority._id, recipientType: 'Authority' };
+};
+
+// Keep the unread badge in sync across the user's other tabs and devices.
+// Authority accounts have no socket connection, so they only get the count back.
+const broadcastRead = async (req, ids) => {
+  const owner = inboxOwner(req);
+  const unreadCount = await Notification.unreadCount(owner);
+  const io = req.app.get('io');
+  if (io && owner.recipientType === 'User') {
+    emitToUser(io, owner.recipient, 'notifications_read', { ids, all: !ids, unreadCount });
+  }
+  return unreadCount;
+};
+
+// @desc    Get the current user's or authority's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private (users and authorities)
+router.get('/', authenticate(), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = Notification.inboxFilter(inboxOwner(req));
+    if (unread === 'true') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.unreadCount(inboxOwner(req));
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => notification.toPayload()),
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the current user's or authority's unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private (users and authorities)
+router.get('/unread-count', authenticate(), async (req, res) => {
+  try {
+    const unreadCount = await Notification.unreadCount(inboxOwner(req));
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private (users and authorities)
+router.put('/read-all', authenticate(), async (req, res) => {
+  try {
+    const result = await Notification.markRead(inboxOwner(req));
+    const unreadCount = await broadcastRead(req);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount, unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (users and authorities)
+router.put('/:id/read', authenticate(), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOne({
+      ...Notification.inboxFilter(inboxOwner(req)),
+      _id: req.params.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      await Notification.markRead(inboxOwner(req), [notification._id]);
+      notification.readAt = new Date();
+    }
+    const unreadCount = await broadcastRead(req, [notification._id]);
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification: notification.toPayload(), unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+// routes/uploads.js
+const express = require('express');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const { protect } = require('../middleware/auth');
+const { validateUploadSession } = require('../utils/validators');
+const {
+  CHUNK_SIZE,
+  createSession,
+  writeChunk,
+  cancelSession
+} = require('../services/uploadSessionService');
+const { signMediaUrl } = require('../services/storageService');
+
+const router = express.Router();
+
+// A session's progress, with a loadable link to the stored file once it completed
+const payloadOf = (session) => {
+  const payload = session.toPayload();
+  if (payload.media) {
+    payload.media = {
+      ...payload.media,
+      url: signMediaUrl(payload.media.url),
+      thumbnailUrl: signMediaUrl(payload.media.thumbnailUrl)
+    };
+  }
+  return payload;
+};
+
+router.use(protect);
+
+// Chunks arrive as raw bytes, whatever Content-Type the client sends
+const parseChunk = (req, res, next) => {
+  express.raw({ type: () => true, limit: CHUNK_SIZE })(req, res, (error) => {
+    if (!error) return next();
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        message: `Chunks cannot exceed ${CHUNK_SIZE} bytes`
+      });
+    }
+    next(error);
+  });
+};
+
+// Load the caller's own session, or answer 404
+const findSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Upload not found' });
+    return null;
+  }
+  const session = await UploadSession.findOne({ _id: req.params.id, owner: req.user._id });
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Upload not found' });
+    return null;
+  }
+  return session;
+};
+
+// @desc    Start a resumable upload
+// @route   POST /api/uploads
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = validateUploadSession(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const result = await createSession(req.user, value);
+    if (result.status === 'too_large') {
+      return res.status(400).json({
+        success: false,
+        message: result.maxSize
+          ? `${value.filename} is too large. Maximum size is ${Math.round(result.maxSize / (1024 * 1024))}MB.`
+          : 'Only image, video and audio files can be uploaded'
+      });
+    }
+    if (result.status === 'too_many') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many unfinished uploads. Finish or cancel one first.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: {
+        ...payloadOf(result.session),
+        chunkSize: CHUNK_SIZE
+      }
+    });
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start upload',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get an upload's progress, e.g. the offset to resume from
+// @route   GET /api/uploads/:id
+// @access  Private (owner)
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    res.set('Upload-Offset', String(session.received));
+    res.json({
+      success: true,
+      data: {
+        ...payloadOf(session),
+        chunkSize: CHUNK_SIZE
+      }
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get upload',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Append a chunk at the Upload-Offset header; the last chunk completes the upload
+// @route   PATCH /api/uploads/:id
+// @access  Private (owner)
+router.patch('/:id', parseChunk, async (req, res) => {
+  try {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header is required'
+      });
+    }
+
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const result = await writeChunk(session, offset, chunk, req);
+    const current = result.session || session;
+    res.set('Upload-Offset', String(current.received));
+
+    switch (result.status) {
+      case 'offset_mismatch':
+        return res.status(409).json({
+          success: false,
+          message: `Expected offset ${current.received}`,
+          data: payloadOf(current)
+        });
+      case 'too_large':
+        return res.status(400).json({
+          success: false,
+          message: 'Chunk goes past the declared file size',
+          data: payloadOf(current)
+        });
+      case 'not_uploading':
+      case 'busy':
+        return res.status(409).json({
+          success: false,
+          message: current.status === 'processing' ? 'Upload is being processed' : `Upload is already ${current.status}`,
+          data: payloadOf(current)
+        });
+      case 'rejected':
+        return res.status(400).json({
+          success: false,
+          message: result.rejection.message,
+          data: {
+            ...payloadOf(current),
+            reason: result.rejection.reason
+          }
+        });
+      case 'failed':
+        // The assembled file is kept; an empty PATCH at the final offset retries
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to store the upload. Please try again.',
+          data: payloadOf(current)
+        });
+      default:
+        res.json({
+          success: true,
+          message: result.status === 'completed' ? 'Upload completed' : 'Chunk received',
+          data: payloadOf(current)
+        });
+    }
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save chunk',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel an upload that has not been attached to an issue
+// @route   DELETE /api/uploads/:id
+// @access  Private (owner)
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    const result = await cancelSession(session);
+    if (result.status === 'not_cancellable') {
+      return res.status(409).json({
+        success: false,
+        message: session.status === 'processing' ? 'Upload is being processed' : 'Upload is attached to an issue'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel upload',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// scripts/migrateIssueLocations.js
+//
+// Moves issue locations from the legacy `location.coordinates: { lat, lng }` pair to a
+// GeoJSON `location.point` ([lng, lat]) and swaps the 2dsphere index over.
+//
+//   node scripts/migrateIssueLocations.js --dry-run   report what would change, write nothing
+//   node scripts/migrateIssueLocations.js             backfill, then rebuild the index
+//   node scripts/migrateIssueLocations.js --verify    check every issue and the index; exits 1 on problems
+//
+// Safe to re-run: issues that already have a point are left alone.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+
+const LEGACY_INDEX = 'location.coordinates_2dsphere';
+const BATCH_SIZE = 500;
+const MAX_LISTED = 20;
+
+const args = process.argv.slice(2);
+const mode = args.includes('--verify') ? 'verify' : args.includes('--dry-run') ? 'dry-run' : 'apply';
+
+const isLatLng = (coordinates) => Boolean(coordinates) &&
+  typeof coordinates.lat === 'number' && coordinates.lat >= -90 && coordinates.lat <= 90 &&
+  typeof coordinates.lng === 'number' && coordinates.lng >= -180 && coordinates.lng <= 180;
+
+const isPoint = (point) => Boolean(point) && point.type === 'Point' &&
+  Array.isArray(point.coordinates) && point.coordinates.length === 2 &&
+  isLatLng({ lng: point.coordinates[0], lat: point.coordinates[1] });
+
+const listIds = (label, ids) => {
+  if (ids.length === 0) return;
+  console.log(`${label} (${ids.length}):`);
+  ids.slice(0, MAX_LISTED).forEach(id => console.log(`  ${id}`));
+  if (ids.length > MAX_LISTED) console.log(`  ... and ${ids.length - MAX_LISTED} more`);
+};
+
+// Issues still on the legacy pair, in batches of update operations
+const backfill = async ({ write }) => {
+  const collection = Issue.collection;
+  const cursor = collection.find(
+    { 'location.point': { $exists: false } },
+    { projection: { 'location.coordinates': 1 } }
+  );
+
+  const summary = { converted: 0, invalid: [] };
+  let batch = [];
+  const flush = async () => {
+    if (write && batch.length > 0) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const issue of cursor) {
+    const coordinates = issue.location && issue.location.coordinates;
+    if (!isLatLng(coordinates)) {
+      summary.invalid.push(issue._id.toString());
+      continue;
+    }
+
+    if (summary.converted < 3) {
+      console.log(`  ${issue._id}: { lat: ${coordinates.lat}, lng: ${coordinates.lng} } -> [${coordinates.lng}, ${coordinates.lat}]`);
+    }
+    batch.push({
+      updateOne: {
+        filter: { _id: issue._id, 'location.point': { $exists: false } },
+        update: {
+          $set: { 'location.point': { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] } },
+          $unset: { 'location.coordinates': '' }
+        }
+      }
+    });
+    summary.converted++;
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return summary;
+};
+
+// Drop the index on the legacy pair and build the one on the GeoJSON point
+const rebuildIndexes = async () => {
+  const indexes = await Issue.collection.indexes();
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    await Issue.collection.dropIndex(LEGACY_INDEX);
+    console.log(`Dropped index ${LEGACY_INDEX}`);
+  }
+  await Issue.collection.createIndex({ 'location.point': '2dsphere' }, { background: true });
+  console.log('Ensured index on location.point');
+};
+
+const verify = async () => {
+  const problems = { legacy: [], missing: [], invalid: [], leftover: [] };
+  let total = 0;
+
+  const cursor = Issue.collection.find({}, { projection: { location: 1 } });
+  for await (const issue of cursor) {
+    total++;
+    const id = issue._id.toString();
+    const { point, coordinates } = issue.location || {};
+    if (!point) {
+      (coordinates ? problems.legacy : problems.missing).push(id);
+    } else if (!isPoint(point)) {
+      problems.invalid.push(id);
+    } else if (coordinates) {
+      // The pair is removed when the point is written
+      problems.leftover.push(id);
+    }
+  }
+
+  console.log(`Checked ${total} issues`);
+  listIds('Still on { lat, lng }', problems.legacy);
+  listIds('No location at all', problems.missing);
+  listIds('Invalid GeoJSON point', problems.invalid);
+  listIds('Legacy pair left next to the point', problems.leftover);
+
+  const indexes = await Issue.collection.indexes();
+  const hasPointIndex = indexes.some(index => index.key['location.point'] === '2dsphere');
+  const hasLegacyIndex = indexes.some(index => index.name === LEGACY_INDEX);
+  console.log(`2dsphere index on location.point: ${hasPointIndex ? 'yes' : 'MISSING'}`);
+  if (hasLegacyIndex) console.log(`Legacy index ${LEGACY_INDEX} is still present`);
+
+  // An issue must be found by a $near query at its own position
+  let nearOk = true;
+  if (hasPointIndex) {
+    const sample = await Issue.collection.findOne({ 'location.point.type': 'Point' }, { projection: { location: 1 } });
+    if (sample) {
+      const found = await Issue.collection.findOne({
+        _id: sample._id,
+        'location.point': { $near: { $geometry: sample.location.point, $maxDistance: 1 } }
+      });
+      nearOk = Boolean(found);
+      console.log(`$near lookup of ${sample._id} at its own point: ${nearOk ? 'found' : 'NOT FOUND'}`);
+    }
+  }
+
+  const failed = Object.values(problems).some(ids => ids.length > 0) || !hasPointIndex || hasLegacyIndex || !nearOk;
+  console.log(failed ? 'Verification failed' : 'Verification passed');
+  return !failed;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+  console.log(`Issue location migration (${mode})`);
+
+  if (mode === 'verify') {
+    return verify();
+  }
+
+  const summary = await backfill({ write: mode === 'apply' });
+  console.log(`${mode === 'apply' ? 'Converted' : 'Would convert'} ${summary.converted} issues`);
+  listIds('Skipped, coordinates missing or out of range', summary.invalid);
+
+  if (mode === 'apply') {
+    await rebuildIndexes();
+    console.log('Run again with --verify to check the result');
+  }
+  return summary.invalid.length === 0;
+};
+
+if (require.main === module) {
+  run()
+    .then(async (ok) => {
+      await mongoose.disconnect();
+      process.exit(ok ? 0 : 1);
+    })
+    .catch(async (error) => {
+      console.error('Issue location migration error:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  isLatLng,
+  isPoint,
+  backfill,
+  verify
+};
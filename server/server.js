@@ -1,13 +1,14 @@
 // server.js
 const http = require('http');
 const socketIo = require('socket.io');
-const cron = require('node-cron');
 require('dotenv').config();
 
 const app = require('./app');
 const connectDB = require('./config/database');
 const { setupSocket } = require('./config/socket');
 const NotificationService = require('./services/notificationService');
+const { scheduleJob } = require('./services/jobScheduler');
+const { uploadInspector } = require('./services/uploadInspectionService');
 
 // Connect to MongoDB
 connectDB();
@@ -53,7 +54,7 @@ app.set('io', io);
 
 // Scheduled tasks
 // Send weekly reports every Sunday at 9 AM
-cron.schedule('0 9 * * 0', async () => {
+scheduleJob('weeklyReports', '0 9 * * 0', async () => {
   console.log('Running weekly report task...');
   try {
     const User = require('./models/User');
@@ -97,11 +98,12 @@ cron.schedule('0 9 * * 0', async () => {
     console.log('Weekly reports sent successfully');
   } catch (error) {
     console.error('Weekly report task error:', error);
+    throw error;
   }
 });
 
 // Update user contribution scores daily at midnight
-cron.schedule('0 0 * * *', async () => {
+scheduleJob('contributionScores', '0 0 * * *', async () => {
   console.log('Updating user contribution scores...');
   try {
     const User = require('./models/User');
@@ -142,11 +144,12 @@ cron.schedule('0 0 * * *', async () => {
     console.log('User contribution scores updated');
   } catch (error) {
     console.error('Contribution score update error:', error);
+    throw error;
   }
 });
 
 // Clean up old notifications and temporary data weekly
-cron.schedule('0 2 * * 1', async () => {
+scheduleJob('cleanup', '0 2 * * 1', async () => {
   console.log('Running cleanup task...');
   try {
     const Issue = require('./models/Issue');
@@ -169,11 +172,12 @@ cron.schedule('0 2 * * 1', async () => {
     
   } catch (error) {
     console.error('Cleanup task error:', error);
+    throw error;
   }
 });
 
 // Send monthly reports on the 1st of every month at 10 AM
-cron.schedule('0 10 1 * *', async () => {
+scheduleJob('monthlyReports', '0 10 1 * *', async () => {
   console.log('Sending monthly reports...');
   try {
     const User = require('./models/User');
@@ -186,9 +190,9 @@ cron.schedule('0 10 1 * *', async () => {
     // Get leaderboard data for last month
     const leaderboardData = await Contribution.getMonthlyLeaderboard(lastMonth, year, 50);
     
-    // Get all users who want monthly reports
+    // Get the ranked users; their notification preferences decide how each report is delivered
     const users = await User.find({ 
-      'preferences.emailNotifications': true 
+      _id: { $in: leaderboardData.map(entry => entry._id) }
     });
     
     // Send monthly reports
@@ -197,11 +201,124 @@ cron.schedule('0 10 1 * *', async () => {
     console.log('Monthly reports sent successfully');
   } catch (error) {
     console.error('Monthly report task error:', error);
+    throw error;
+  }
+});
+
+// Send scheduled announcements every minute
+scheduleJob('scheduledAnnouncements', '* * * * *', async () => {
+  try {
+    const { dispatchDueAnnouncements } = require('./services/announcementService');
+    const sent = await dispatchDueAnnouncements(notificationService);
+    if (sent.length > 0) {
+      console.log(`Dispatched ${sent.length} scheduled announcement(s)`);
+    }
+  } catch (error) {
+    console.error('Scheduled announcement task error:', error);
+    throw error;
+  }
+});
+
+// Send daily notification digests at the top of every hour (each user picks their local hour)
+scheduleJob('notificationDigests', '0 * * * *', async () => {
+  try {
+    const result = await notificationService.sendDailyDigests();
+    if (result.notifications.length > 0) {
+      console.log(`Daily digests: ${result.summary.successful} sent, ${result.summary.failed} failed`);
+    }
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    console.error('Daily digest task error:', error);
+    throw error;
+  }
+});
+
+// Remove expired upload sessions, their partial files and any unattached media, hourly
+scheduleJob('uploadSessions', '15 * * * *', async () => {
+  try {
+    const { cleanupExpiredSessions } = require('./services/uploadSessionService');
+    const { removed } = await cleanupExpiredSessions();
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired upload sessions`);
+    }
+  } catch (error) {
+    console.error('Upload session cleanup task error:', error);
+    throw error;
+  }
+});
+
+// Deliver queued emails and SMS that are due (new messages and retries) every minute
+scheduleJob('notificationQueue', '* * * * *', async () => {
+  try {
+    const { processQueue } = require('./services/deliveryQueue');
+    const summary = await processQueue();
+    if (summary.retried > 0 || summary.dead > 0) {
+      console.log(`Notification queue: ${summary.sent} sent, ${summary.retried} retrying, ${summary.dead} dead-lettered`);
+    }
+  } catch (error) {
+    console.error('Notification queue task error:', error);
+    throw error;
+  }
+});
+
+// Check open issues against their SLA policies every 15 minutes
+scheduleJob('slaEscalations', '*/15 * * * *', async () => {
+  try {
+    const { evaluateSlaBreaches } = require('./services/slaService');
+    const summary = await evaluateSlaBreaches(notificationService);
+    if (summary.escalatedToHead > 0 || summary.escalatedToAdmins > 0) {
+      console.log(`SLA escalations: ${summary.escalatedToHead} to heads of department, ${summary.escalatedToAdmins} to admins`);
+    }
+  } catch (error) {
+    console.error('SLA evaluation task error:', error);
+    throw error;
+  }
+});
+
+// Retry voice note transcriptions that are pending or failed, every 5 minutes
+scheduleJob('transcriptions', '*/5 * * * *', async () => {
+  try {
+    const { transcriptionService } = require('./services/transcriptionService');
+    const processed = await transcriptionService.processPending();
+    if (processed > 0) {
+      console.log(`Processed voice transcriptions for ${processed} issues`);
+    }
+  } catch (error) {
+    console.error('Transcription task error:', error);
+    throw error;
+  }
+});
+
+// Backfill missing issue and comment translations every 10 minutes
+scheduleJob('translations', '*/10 * * * *', async () => {
+  try {
+    const { translationService } = require('./services/translationService');
+    const processed = await translationService.translatePending();
+    if (processed > 0) {
+      console.log(`Translated content for ${processed} issues`);
+    }
+  } catch (error) {
+    console.error('Translation task error:', error);
+    throw error;
+  }
+});
+
+// Retrain the category classifier on verified issues daily at 1:30 AM
+scheduleJob('classifierTraining', '30 1 * * *', async () => {
+  try {
+    const { trainClassifier } = require('./services/classificationService');
+    const classifier = await trainClassifier();
+    console.log(`Category classifier v${classifier.version} trained on ${classifier.trainingIssues} issues`);
+  } catch (error) {
+    console.error('Classifier training task error:', error);
+    throw error;
   }
 });
 
 // Backup database daily at 3 AM (placeholder for actual backup logic)
-cron.schedule('0 3 * * *', async () => {
+scheduleJob('databaseBackup', '0 3 * * *', async () => {
   console.log('Running database backup...');
   // In production, you would implement actual database backup logic here
   // This could involve:
@@ -228,6 +345,10 @@ server.listen(PORT, () => {
 
 🎯 Ready to accept civic issue reports!
   `);
+
+  uploadInspector.startupWarnings()
+    .then(warnings => warnings.forEach(warning => console.warn(`⚠️  ${warning}`)))
+    .catch(error => console.error('Upload inspection check error:', error));
 });
 
 // Graceful shutdown
@@ -0,0 +1,99 @@
+// services/announcementService.js
+const Announcement = require('../models/Announcement');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+
+// Resolve the users an announcement should reach in their inbox and by email/SMS.
+// Users have no home ward, so ward/district audiences are the people who reported issues there.
+const resolveRecipients = async (announcement) => {
+  const { target } = announcement;
+  const filter = {
+    status: 'active',
+    email: { $ne: User.DELETED_USER_EMAIL }
+  };
+
+  switch (target.type) {
+    case 'role':
+      filter.role = target.role;
+      break;
+    case 'users':
+      filter._id = { $in: target.users };
+      break;
+    case 'ward':
+      filter._id = { $in: await Issue.distinct('reporter', { 'location.ward': target.ward }) };
+      break;
+    case 'district':
+      filter._id = { $in: await Issue.distinct('reporter', { 'location.district': target.district }) };
+      break;
+    default:
+      break;
+  }
+
+  return User.find(filter).select('name email phone preferences').lean();
+};
+
+// Send an announcement now. The status flip from 'scheduled' to 'sending' is atomic,
+// so the scheduler and an admin request can never deliver the same announcement twice.
+const dispatchAnnouncement = async (announcementId, notificationService) => {
+  const announcement = await Announcement.findOneAndUpdate(
+    { _id: announcementId, status: 'scheduled' },
+    { status: 'sending' },
+    { new: true }
+  );
+  if (!announcement) return null;
+
+  if (announcement.expiresAt && announcement.expiresAt <= new Date()) {
+    announcement.status = 'expired';
+    return announcement.save();
+  }
+
+  try {
+    // Always resolved: every recipient gets an inbox copy even without email/SMS
+    const recipients = await resolveRecipients(announcement);
+
+    announcement.sentAt = new Date();
+    const result = notificationService
+      ? await notificationService.sendSystemAnnouncement(announcement, recipients)
+      : { success: true, notifications: [] };
+
+    const count = (type, success) => result.notifications
+      .filter(n => n.type === type && n.success === success).length;
+
+    announcement.status = result.success ? 'sent' : 'failed';
+    announcement.delivery = {
+      recipients: recipients.length,
+      emailSent: count('announcement_email', true),
+      emailFailed: count('announcement_email', false),
+      smsSent: count('announcement_sms', true),
+      smsFailed: count('announcement_sms', false),
+      error: result.error
+    };
+  } catch (error) {
+    console.error('Announcement dispatch error:', error);
+    announcement.status = 'failed';
+    announcement.delivery = { ...announcement.delivery, error: error.message };
+  }
+
+  return announcement.save();
+};
+
+// Send every scheduled announcement whose time has come
+const dispatchDueAnnouncements = async (notificationService) => {
+  const due = await Announcement.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: new Date() }
+  }).select('_id').lean();
+
+  const results = [];
+  for (const { _id } of due) {
+    const announcement = await dispatchAnnouncement(_id, notificationService);
+    if (announcement) results.push(announcement);
+  }
+  return results;
+};
+
+module.exports = {
+  resolveRecipients,
+  dispatchAnnouncement,
+  dispatchDueAnnouncements
+};
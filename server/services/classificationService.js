@@ -0,0 +1,312 @@
+// services/classificationService.js
+const Issue = require('../models/Issue');
+const IssueClassifier = require('../models/IssueClassifier');
+
+// Statuses an issue can be in once verified; rejected and merged issues never train the model
+const TRAINING_STATUSES = ['verified', 'assigned', 'in_progress', 'resolved', 'closed'];
+
+// Issues whose category and priority an admin has signed off on. Status alone is not
+// enough: new issues are auto-assigned at submission, before anyone has checked the
+// reporter's labels. An admin verifying an issue records a 'verified' timeline entry with their user.
+const ADMIN_VERIFIED_FILTER = {
+  status: { $in: TRAINING_STATUSES },
+  timeline: { $elemMatch: { action: 'verified', user: { $ne: null } } }
+};
+
+// The same test as an aggregation expression, for reporting
+const ADMIN_VERIFIED_EXPR = {
+  $and: [
+    { $in: ['$status', TRAINING_STATUSES] },
+    {
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$timeline', []] },
+          in: {
+            $and: [
+              { $eq: ['$$this.action', 'verified'] },
+              { $ne: [{ $ifNull: ['$$this.user', null] }, null] }
+            ]
+          }
+        }
+      }]
+    }
+  ]
+};
+const MAX_TRAINING_ISSUES = 5000;
+const MAX_TERMS_PER_LABEL = 400;
+const MAX_TAGS = 3;
+const MIN_CONFIDENCE = 0.25; // below this no category is suggested
+const CACHE_TTL = 10 * 60 * 1000; // ms, so other instances pick up a retrained model
+
+// Starting vocabulary so suggestions work before any issues have been verified.
+// Each list counts as one training document for its label.
+const SEED_KEYWORDS = {
+  categories: {
+    road_maintenance: 'pothole potholes road street crack asphalt tar pavement footpath sidewalk speed breaker bump highway lane divider',
+    waste_management: 'garbage trash waste litter dump dumping dustbin bin rubbish collection plastic debris landfill stink',
+    water_supply: 'water supply tap pipeline pipe leak leakage tanker shortage pressure contaminated drinking borewell',
+    electricity: 'electricity power outage transformer wire wires voltage blackout meter pole sparking cable shock',
+    fire_safety: 'fire smoke burning blaze extinguisher flames hydrant gas cylinder explosion',
+    public_transport: 'bus stop route driver conductor rickshaw metro train station shelter timetable fare',
+    parks_recreation: 'park playground garden bench tree grass swing jogging lawn fountain',
+    street_lighting: 'streetlight streetlights lamp light lights bulb dark lighting unlit flickering night',
+    drainage: 'drain drains drainage sewage sewer gutter clogged blocked overflow waterlogging flooding stagnant manhole rainwater',
+    noise_pollution: 'noise loud music speaker speakers honking horn party decibel disturbance',
+    illegal_construction: 'illegal construction encroachment unauthorized building structure permit demolition extension',
+    animal_control: 'stray dog dogs cattle cow cows monkey monkeys animal animals bite snake rabid pigs rats'
+  },
+  priorities: {
+    urgent: 'fire accident electrocution collapse collapsed injured injury emergency danger dangerous explosion sparking live gas trapped death',
+    high: 'overflowing burst outage contaminated sewage unsafe children school hospital blocked',
+    low: 'minor faded paint cosmetic suggestion request slightly'
+  }
+};
+
+const STOPWORDS = new Set(`
+  the and for are but not you all any can had has have her him his how its our out was were what when where which who why
+  will with this that these those there their them they then than from into onto over under been being about after again
+  also because before between both each few more most other some such only own same very just should could would
+  please near area still here every day days week weeks month months time issue problem your
+`.split(/\s+/).filter(Boolean));
+
+// Light suffix stripping so "potholes"/"pothole" and "flooding"/"flood" share a term
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+// Term counts for a piece of text, plus the first word seen for each term (used for tags)
+const extractTerms = (text) => {
+  const counts = new Map();
+  const words = new Map();
+  (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach(word => {
+    if (word.length < 3 || /^\d+$/.test(word) || STOPWORDS.has(word)) return;
+    const term = stem(word);
+    counts.set(term, (counts.get(term) || 0) + 1);
+    if (!words.has(term)) words.set(term, word);
+  });
+  return { counts, words };
+};
+
+// Term-keyed tables are Maps, since a stemmed word such as "constructor" would
+// otherwise collide with Object.prototype
+const termFrequencies = (counts) => {
+  let total = 0;
+  counts.forEach(count => { total += count; });
+  const tf = new Map();
+  counts.forEach((count, term) => { tf.set(term, count / total); });
+  return tf;
+};
+
+const issueText = (issue) => [issue.title, issue.description, ...(issue.tags || [])].join(' ');
+
+// Stored models keep their term tables as plain objects; only own keys are terms
+const toTermMap = (table) => new Map(Object.entries(table || {}));
+
+// Build label centroids (summed term frequencies) and document frequencies
+// from the seed keywords plus training documents of the form { text, category, priority }
+const buildModel = (documents = []) => {
+  const documentFrequency = new Map();
+  const groups = { categories: new Map(), priorities: new Map() };
+  let documentCount = 0;
+
+  const addDocument = (text, labels) => {
+    const { counts } = extractTerms(text);
+    if (counts.size === 0) return;
+
+    const tf = termFrequencies(counts);
+    documentCount += 1;
+    tf.forEach((value, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+
+    Object.entries(labels).forEach(([group, label]) => {
+      if (!label) return;
+      if (!groups[group].has(label)) groups[group].set(label, { documents: 0, terms: new Map() });
+      const entry = groups[group].get(label);
+      entry.documents += 1;
+      tf.forEach((value, term) => {
+        entry.terms.set(term, (entry.terms.get(term) || 0) + value);
+      });
+    });
+  };
+
+  Object.entries(SEED_KEYWORDS.categories).forEach(([category, text]) => addDocument(text, { categories: category }));
+  Object.entries(SEED_KEYWORDS.priorities).forEach(([priority, text]) => addDocument(text, { priorities: priority }));
+  documents.forEach(doc => addDocument(doc.text, { categories: doc.category, priorities: doc.priority }));
+
+  // Keep the strongest terms per label so the stored model stays small
+  const kept = new Set();
+  const model = { documentCount, categories: {}, priorities: {} };
+  Object.entries(groups).forEach(([group, entries]) => {
+    entries.forEach((entry, label) => {
+      const terms = [...entry.terms]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TERMS_PER_LABEL);
+      terms.forEach(([term]) => kept.add(term));
+      model[group][label] = { documents: entry.documents, terms: Object.fromEntries(terms) };
+    });
+  });
+  model.documentFrequency = Object.fromEntries([...documentFrequency].filter(([term]) => kept.has(term)));
+
+  return model;
+};
+
+const idf = (model, term) => Math.log((model.documentCount + 1) / ((model.documentFrequencies.get(term) || 0) + 1)) + 1;
+
+// Precompute TF-IDF centroid weights and norms for each label
+const prepareModel = (model) => {
+  const prepared = { ...model, documentFrequencies: toTermMap(model.documentFrequency) };
+
+  const prepareGroup = (group) => Object.entries(group || {}).map(([label, entry]) => {
+    const weights = new Map();
+    let norm = 0;
+    toTermMap(entry.terms).forEach((value, term) => {
+      const weight = (value / entry.documents) * idf(prepared, term);
+      weights.set(term, weight);
+      norm += weight * weight;
+    });
+    return { label, weights, norm: Math.sqrt(norm) };
+  });
+
+  prepared.categoryCentroids = prepareGroup(model.categories);
+  prepared.priorityCentroids = prepareGroup(model.priorities);
+  return prepared;
+};
+
+// Cosine similarity of the input against every label, best first
+const rankLabels = (centroids, inputWeights, inputNorm) => centroids
+  .map(({ label, weights, norm }) => {
+    let dot = 0;
+    let matched = 0;
+    inputWeights.forEach((weight, term) => {
+      if (weights.has(term)) {
+        dot += weight * weights.get(term);
+        matched += 1;
+      }
+    });
+    return { label, score: norm && inputNorm ? dot / (norm * inputNorm) : 0, matched };
+  })
+  .filter(result => result.score > 0)
+  .sort((a, b) => b.score - a.score);
+
+// Confidence is the best label's share of the total similarity, damped when
+// only one word of the report matched anything
+const confidenceOf = (ranked) => {
+  if (ranked.length === 0) return 0;
+  const total = ranked.reduce((sum, result) => sum + result.score, 0);
+  const coverage = Math.min(1, ranked[0].matched / 2);
+  return Math.round((ranked[0].score / total) * coverage * 100) / 100;
+};
+
+// Suggest a category, priority and tags for report text using a prepared model.
+// Returns null when nothing in the text is recognised.
+const suggestFromModel = (model, { title, description }) => {
+  const { counts, words } = extractTerms(`${title || ''} ${description || ''}`);
+  if (counts.size === 0) return null;
+
+  const tf = termFrequencies(counts);
+  const inputWeights = new Map();
+  let norm = 0;
+  tf.forEach((value, term) => {
+    const weight = value * idf(model, term);
+    inputWeights.set(term, weight);
+    norm += weight * weight;
+  });
+  norm = Math.sqrt(norm);
+
+  const categories = rankLabels(model.categoryCentroids, inputWeights, norm);
+  const confidence = confidenceOf(categories);
+  if (categories.length === 0 || confidence < MIN_CONFIDENCE) return null;
+
+  const priorities = rankLabels(model.priorityCentroids, inputWeights, norm);
+  const priorityConfidence = confidenceOf(priorities);
+  const priority = priorityConfidence >= MIN_CONFIDENCE ? priorities[0].label : 'medium';
+
+  // The report's most distinctive words that the chosen category also uses
+  const best = model.categoryCentroids.find(centroid => centroid.label === categories[0].label);
+  const tags = [...inputWeights]
+    .filter(([term]) => best.weights.has(term))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TAGS)
+    .map(([term]) => words.get(term));
+
+  return {
+    category: categories[0].label,
+    confidence,
+    priority,
+    priorityConfidence: priorityConfidence >= MIN_CONFIDENCE ? priorityConfidence : null, // null: defaulted to medium
+    tags,
+    alternatives: categories.slice(1, 3).map(result => ({
+      category: result.label,
+      score: Math.round(result.score * 100) / 100
+    })),
+    modelVersion: model.version || 0
+  };
+};
+
+let cached = null;
+
+// The stored model, or one built from the seed keywords until the first training run
+const getClassifier = async () => {
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+    return cached.model;
+  }
+
+  const stored = await IssueClassifier.findOne({ name: 'issue' }).lean();
+  const model = prepareModel(stored || { ...buildModel(), version: 0, trainingIssues: 0 });
+  cached = { model, loadedAt: Date.now() };
+  return model;
+};
+
+const suggestClassification = async (text) => suggestFromModel(await getClassifier(), text);
+
+// Retrain from admin-verified issues and store the result
+const trainClassifier = async ({ userId } = {}) => {
+  const issues = await Issue.find(ADMIN_VERIFIED_FILTER)
+    .select('title description tags category priority')
+    .sort({ updatedAt: -1 })
+    .limit(MAX_TRAINING_ISSUES)
+    .lean();
+
+  const model = buildModel(issues.map(issue => ({
+    text: issueText(issue),
+    category: issue.category,
+    priority: issue.priority
+  })));
+
+  const stored = await IssueClassifier.findOneAndUpdate(
+    { name: 'issue' },
+    {
+      $set: {
+        ...model,
+        trainingIssues: issues.length,
+        trainedBy: userId || null,
+        trainedAt: new Date()
+      },
+      $inc: { version: 1 }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  cached = { model: prepareModel(stored), loadedAt: Date.now() };
+  return stored;
+};
+
+module.exports = {
+  TRAINING_STATUSES,
+  ADMIN_VERIFIED_FILTER,
+  ADMIN_VERIFIED_EXPR,
+  MIN_CONFIDENCE,
+  SEED_KEYWORDS,
+  extractTerms,
+  buildModel,
+  prepareModel,
+  suggestFromModel,
+  getClassifier,
+  suggestClassification,
+  trainClassifier
+};
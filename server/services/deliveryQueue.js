@@ -0,0 +1,165 @@
+// services/deliveryQueue.js
+const NotificationJob = require('../models/NotificationJob');
+const NotificationDeadLetter = require('../models/NotificationDeadLetter');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY = 30 * 1000; // ms before the first retry; doubles after each failure
+const MAX_DELAY = 60 * 60 * 1000; // ms
+const STALE_LOCK = 10 * 60 * 1000; // ms a send may take before its job is handed to another worker
+const BATCH_SIZE = 50;
+
+// Loaded lazily: emailService and smsService queue their messages through this module
+const transports = {
+  email: (payload) => require('./emailService').deliverEmail(payload),
+  sms: (payload) => require('./smsService').deliverSMS(payload)
+};
+
+const backoff = (attempts) => Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+
+// Send one claimed job and record the outcome: 'sent', 'retry' or 'dead'
+const runJob = async (job) => {
+  let result;
+  try {
+    result = await transports[job.channel](job.payload);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (result.success) {
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.providerId = result.messageId || result.sid;
+    job.lockedAt = undefined;
+    await job.save();
+    return 'sent';
+  }
+
+  const failure = { at: new Date(), error: result.error || 'Unknown delivery error' };
+
+  if (job.attempts >= job.maxAttempts) {
+    await NotificationDeadLetter.create({
+      job: job._id,
+      channel: job.channel,
+      payload: job.payload,
+      context: job.context,
+      attempts: job.attempts,
+      lastError: failure.error,
+      failures: [...job.failures, failure],
+      queuedAt: job.createdAt
+    });
+    await NotificationJob.deleteOne({ _id: job._id });
+    return 'dead';
+  }
+
+  job.status = 'queued';
+  job.runAt = new Date(Date.now() + backoff(job.attempts));
+  job.lastError = failure.error;
+  job.failures.push(failure);
+  job.lockedAt = undefined;
+  await job.save();
+  return 'retry';
+};
+
+// Deliver due jobs until none are left or the batch limit is reached
+const processQueue = async ({ limit = BATCH_SIZE } = {}) => {
+  const summary = { sent: 0, retried: 0, dead: 0 };
+
+  await NotificationJob.releaseStale(new Date(Date.now() - STALE_LOCK));
+
+  for (let i = 0; i < limit; i++) {
+    const job = await NotificationJob.claimNext();
+    if (!job) break;
+
+    const outcome = await runJob(job);
+    if (outcome === 'sent') summary.sent += 1;
+    else if (outcome === 'retry') summary.retried += 1;
+    else summary.dead += 1;
+  }
+
+  return summary;
+};
+
+// Drain the queue in the background. Triggers during a run schedule one more pass
+// so nothing queued mid-run waits for the scheduled job.
+let draining = false;
+let drainAgain = false;
+
+const drainSoon = () => {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+
+  setImmediate(async () => {
+    try {
+      do {
+        drainAgain = false;
+        await processQueue();
+      } while (drainAgain);
+    } catch (error) {
+      console.error('Delivery queue error:', error);
+    } finally {
+      draining = false;
+    }
+  });
+};
+
+// Queue a message and start delivering it in the background.
+// If the queue itself is unavailable the message is sent straight away instead.
+const enqueue = async (channel, payload, context = {}) => {
+  try {
+    const job = await NotificationJob.create({ channel, payload, context, maxAttempts: MAX_ATTEMPTS });
+    drainSoon();
+    return { success: true, queued: true, jobId: job._id };
+  } catch (error) {
+    console.error('Delivery queue error:', error);
+    return transports[channel](payload);
+  }
+};
+
+// Queue a dead letter's message again and note who replayed it
+const replayDeadLetter = async (deadLetter, userId) => {
+  const job = await NotificationJob.create({
+    channel: deadLetter.channel,
+    payload: deadLetter.payload,
+    context: deadLetter.context,
+    maxAttempts: MAX_ATTEMPTS,
+    replayOf: deadLetter._id
+  });
+
+  deadLetter.replays.push({ by: userId, job: job._id });
+  deadLetter.lastReplayedAt = new Date();
+  await deadLetter.save();
+
+  drainSoon();
+  return job;
+};
+
+// Job counts per status, the oldest due job and the dead-letter total
+const getQueueStats = async () => {
+  const [byStatus, oldestDue, deadLetters] = await Promise.all([
+    NotificationJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    NotificationJob.findOne({ status: 'queued', runAt: { $lte: new Date() } }).sort({ runAt: 1 }).select('runAt').lean(),
+    NotificationDeadLetter.countDocuments()
+  ]);
+
+  const counts = { queued: 0, processing: 0, sent: 0 };
+  byStatus.forEach(({ _id, count }) => { counts[_id] = count; });
+
+  return {
+    ...counts,
+    deadLetters,
+    oldestDueAt: oldestDue ? oldestDue.runAt : null
+  };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  backoff,
+  enqueue,
+  processQueue,
+  drainSoon,
+  replayDeadLetter,
+  getQueueStats
+};
@@ -0,0 +1,124 @@
+// services/duplicateService.js
+const turf = require('@turf/turf');
+const Issue = require('../models/Issue');
+const DuplicateSetting = require('../models/DuplicateSetting');
+const { signMediaUrl } = require('./storageService');
+
+// Issues still being worked on; resolved or rejected reports are not duplicates
+const OPEN_STATUSES = ['pending', 'verified', 'assigned', 'in_progress'];
+
+// Nearby issues considered before text scoring
+const MAX_NEARBY = 25;
+const MAX_CANDIDATES = 5;
+
+// Find open issues in the same category near the location whose title and
+// description match the new report. $near and $text can't share a query,
+// so nearby issues are found first and then scored against the text index.
+const findDuplicateCandidates = async ({ title, description, category, location }, { userId } = {}) => {
+  const settings = await DuplicateSetting.getForCategory(category);
+  if (!settings.enabled) {
+    return { candidates: [], settings };
+  }
+
+  const { lat, lng } = location.coordinates;
+  const visibility = userId
+    ? { $or: [{ visibility: 'public' }, { reporter: userId }] }
+    : { visibility: 'public' };
+
+  const nearby = await Issue.find({
+    category,
+    status: { $in: OPEN_STATUSES },
+    ...visibility,
+    'location.point': {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] },
+        $maxDistance: settings.radius
+      }
+    }
+  })
+    .select('_id')
+    .limit(MAX_NEARBY)
+    .lean();
+
+  if (nearby.length === 0) {
+    return { candidates: [], settings };
+  }
+
+  const matches = await Issue.find(
+    {
+      _id: { $in: nearby.map(issue => issue._id) },
+      $text: { $search: `${title} ${description}` }
+    },
+    { score: { $meta: 'textScore' } }
+  )
+    .select('title description category priority status location upvotes media createdAt')
+    .sort({ score: { $meta: 'textScore' } })
+    .lean();
+
+  const candidates = matches
+    .filter(issue => issue.score >= settings.minTextScore)
+    .slice(0, MAX_CANDIDATES)
+    .map(issue => ({
+      _id: issue._id,
+      title: issue.title,
+      description: issue.description,
+      category: issue.category,
+      priority: issue.priority,
+      status: issue.status,
+      location: issue.location,
+      createdAt: issue.createdAt,
+      thumbnail: signMediaUrl((issue.media || []).find(m => m.type === 'image')?.url) || null,
+      upvoteCount: issue.upvotes.length,
+      userUpvoted: userId ? issue.upvotes.some(u => u.user.toString() === userId.toString()) : false,
+      score: Math.round(issue.score * 100) / 100,
+      distance: Math.round(turf.distance(
+        [lng, lat],
+        [issue.location.coordinates.lng, issue.location.coordinates.lat],
+        { units: 'meters' }
+      ))
+    }));
+
+  return { candidates, settings };
+};
+
+// Open issues in the same category near an existing issue, for admins picking a merge target
+const findMergeCandidates = async (issue, { radius = 500, limit = 10 } = {}) => {
+  const { lat, lng } = issue.location.coordinates;
+
+  const nearby = await Issue.find({
+    _id: { $ne: issue._id },
+    category: issue.category,
+    status: { $in: OPEN_STATUSES },
+    'location.point': {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] },
+        $maxDistance: radius
+      }
+    }
+  })
+    .select('title category priority status location upvotes createdAt')
+    .limit(limit)
+    .lean();
+
+  return nearby.map(candidate => ({
+    _id: candidate._id,
+    title: candidate.title,
+    category: candidate.category,
+    priority: candidate.priority,
+    status: candidate.status,
+    location: candidate.location,
+    createdAt: candidate.createdAt,
+    upvoteCount: candidate.upvotes.length,
+    distance: Math.round(turf.distance(
+      [lng, lat],
+      [candidate.location.coordinates.lng, candidate.location.coordinates.lat],
+      { units: 'meters' }
+    ))
+  }));
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  findDuplicateCandidates,
+  findMergeCandidates
+};
@@ -0,0 +1,266 @@
+// services/exportService.js
+const { once } = require('events');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const Contribution = require('../models/Contribution');
+const Feedback = require('../models/Feedback');
+const { buildIssueFilter, buildDateRange, escapeRegex } = require('../utils/filters');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+// none: raw values, partial: masked contact details, full: no personal data at all
+const REDACTION_LEVELS = ['none', 'partial', 'full'];
+
+const maskEmail = (email) => email ? email.replace(/(.{2})(.*)(@.*)/, '$1***$3') : email;
+const maskPhone = (phone) => phone ? phone.replace(/.(?=.{4})/g, '*') : phone;
+
+// Apply a redaction level to a person's identifying fields
+const redactPerson = (person = {}, level) => {
+  if (level === 'none') return person;
+  if (level === 'full') {
+    return { ...person, name: null, email: null, phone: null };
+  }
+  return { ...person, email: maskEmail(person.email), phone: maskPhone(person.phone) };
+};
+
+const isoDate = (date) => date ? new Date(date).toISOString() : null;
+
+// Collection definitions: how to query each one and flatten documents into rows
+const COLLECTIONS = {
+  issues: {
+    model: Issue,
+    geo: true,
+    buildFilter: (value) => buildIssueFilter(value),
+    populate: [
+      { path: 'reporter', select: 'name email phone' },
+      { path: 'assignedTo', select: 'name department' }
+    ],
+    toRow: (issue, level) => {
+      const reporter = redactPerson(issue.reporter || {}, level);
+      return {
+        id: issue._id.toString(),
+        title: issue.title,
+        description: issue.description,
+        category: issue.category,
+        priority: issue.priority,
+        status: issue.status,
+        address: issue.location?.address,
+        // Streamed lean documents carry the stored GeoJSON point ([lng, lat])
+        lat: issue.location?.point?.coordinates?.[1],
+        lng: issue.location?.point?.coordinates?.[0],
+        ward: issue.location?.ward,
+        district: issue.location?.district,
+        reporterId: issue.reporter?._id?.toString(),
+        reporterName: reporter.name,
+        reporterEmail: reporter.email,
+        assignedTo: issue.assignedTo?.name || null,
+        upvotes: issue.upvotes?.length || 0,
+        comments: issue.comments?.length || 0,
+        views: issue.views || 0,
+        actualResolutionTime: issue.actualResolutionTime,
+        createdAt: isoDate(issue.createdAt),
+        updatedAt: isoDate(issue.updatedAt)
+      };
+    }
+  },
+  users: {
+    model: User,
+    buildFilter: (value) => {
+      const filter = { email: { $ne: User.DELETED_USER_EMAIL } };
+      const createdAt = buildDateRange(value);
+      if (createdAt) filter.createdAt = createdAt;
+      return filter;
+    },
+    select: '-password',
+    toRow: (user, level) => {
+      const person = redactPerson(user, level);
+      return {
+        id: user._id.toString(),
+        name: person.name,
+        email: person.email,
+        phone: person.phone,
+        role: user.role,
+        status: user.status,
+        isVerified: user.isVerified,
+        city: level === 'full' ? null : user.address?.city,
+        state: user.address?.state,
+        totalIssuesReported: user.stats?.totalIssuesReported || 0,
+        issuesResolved: user.stats?.issuesResolved || 0,
+        contributionScore: user.stats?.contributionScore || 0,
+        createdAt: isoDate(user.createdAt),
+        lastLoginAt: isoDate(user.lastLoginAt)
+      };
+    }
+  },
+  contributions: {
+    model: Contribution,
+    buildFilter: (value) => {
+      const filter = {};
+      if (value.reporter) filter.user = value.reporter;
+      if (value.category) filter.category = value.category;
+      if (value.ward) filter['metadata.location.ward'] = new RegExp(escapeRegex(value.ward), 'i');
+      if (value.district) filter['metadata.location.district'] = new RegExp(escapeRegex(value.district), 'i');
+      const createdAt = buildDateRange(value);
+      if (createdAt) filter.createdAt = createdAt;
+      return filter;
+    },
+    populate: [{ path: 'user', select: 'name' }],
+    toRow: (contribution, level) => ({
+      id: contribution._id.toString(),
+      userId: contribution.user?._id?.toString(),
+      userName: redactPerson(contribution.user || {}, level).name,
+      type: contribution.type,
+      issueId: contribution.issue?.toString(),
+      points: contribution.points,
+      category: contribution.category,
+      month: contribution.month,
+      year: contribution.year,
+      ward: contribution.metadata?.location?.ward,
+      district: contribution.metadata?.location?.district,
+      createdAt: isoDate(contribution.createdAt)
+    })
+  },
+  feedback: {
+    model: Feedback,
+    buildFilter: (value) => {
+      const filter = {};
+      if (value.reporter) filter.user = value.reporter;
+      if (value.q) filter.message = new RegExp(escapeRegex(value.q), 'i');
+      const createdAt = buildDateRange(value);
+      if (createdAt) filter.createdAt = createdAt;
+      return filter;
+    },
+    populate: [{ path: 'user', select: 'name email' }],
+    toRow: (feedback, level) => {
+      const person = redactPerson(feedback.user || {}, level);
+      return {
+        id: feedback._id.toString(),
+        userId: feedback.user?._id?.toString(),
+        userName: person.name,
+        userEmail: person.email,
+        rating: feedback.rating,
+        category: feedback.category,
+        message: feedback.message,
+        createdAt: isoDate(feedback.createdAt)
+      };
+    }
+  }
+};
+
+// Quote a CSV cell, neutralising spreadsheet formula injection in text.
+// Numbers are left alone so negative coordinates and deltas stay numeric.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Serializers write a header, one chunk per row and a footer
+const createSerializer = (format, columns) => {
+  if (format === 'csv') {
+    return {
+      header: () => columns.map(csvCell).join(',') + '\r\n',
+      row: (row) => columns.map(column => csvCell(row[column])).join(',') + '\r\n',
+      footer: () => ''
+    };
+  }
+
+  if (format === 'geojson') {
+    let first = true;
+    return {
+      header: () => '{"type":"FeatureCollection","features":[\n',
+      row: (row) => {
+        const { lat, lng, ...properties } = row;
+        const feature = {
+          type: 'Feature',
+          geometry: typeof lat === 'number' && typeof lng === 'number'
+            ? { type: 'Point', coordinates: [lng, lat] }
+            : null,
+          properties
+        };
+        const chunk = (first ? '' : ',\n') + JSON.stringify(feature);
+        first = false;
+        return chunk;
+      },
+      footer: () => '\n]}\n'
+    };
+  }
+
+  return {
+    header: () => '',
+    row: (row) => JSON.stringify(row) + '\n',
+    footer: () => ''
+  };
+};
+
+// Write a chunk to the response, waiting for the socket to drain when buffers are full.
+// Resolves false once the client has gone away, so the caller can stop.
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (chunk && !res.write(chunk)) {
+    // A client that disconnects with a full buffer never drains
+    const waiting = new AbortController();
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: waiting.signal }),
+        once(res, 'close', { signal: waiting.signal })
+      ]);
+    } finally {
+      waiting.abort();
+    }
+  }
+  return !res.destroyed;
+};
+
+// Stream a collection export straight from a Mongo cursor into the response
+const streamExport = async (res, { collection, format, redact, filters }) => {
+  const definition = COLLECTIONS[collection];
+  // Column names come from flattening an empty document
+  const columns = Object.keys(definition.toRow({ _id: '' }, redact));
+  const serializer = createSerializer(format, columns);
+
+  let query = definition.model.find(definition.buildFilter(filters));
+  if (definition.select) query = query.select(definition.select);
+  (definition.populate || []).forEach(populate => {
+    query = query.populate(populate);
+  });
+
+  const sort = {};
+  sort[collection === 'issues' ? filters.sortBy : 'createdAt'] = filters.sortOrder === 'asc' ? 1 : -1;
+
+  const cursor = query.sort(sort).lean().cursor();
+
+  let count = 0;
+  try {
+    if (!await writeChunk(res, serializer.header())) return count;
+    for await (const doc of cursor) {
+      if (!await writeChunk(res, serializer.row(definition.toRow(doc, redact)))) return count;
+      count += 1;
+    }
+    if (!await writeChunk(res, serializer.footer())) return count;
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  REDACTION_LEVELS,
+  COLLECTIONS,
+  csvCell,
+  createSerializer,
+  streamExport
+};
@@ -0,0 +1,209 @@
+// services/healthService.js
+const mongoose = require('mongoose');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const { storage } = require('./storageService');
+const { getJobStatuses } = require('./jobScheduler');
+
+const PROVIDER_TIMEOUT = 5000; // ms
+const PROVIDER_CACHE_TTL = 60 * 1000; // ms, avoids hitting provider APIs on every poll
+const EVENT_LOOP_LAG_WARNING = 200; // ms
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Socket.IO rooms we group counts by, see config/socket.js
+const ROOM_TYPES = ['user', 'role', 'ward', 'district', 'issue'];
+
+// Sample event-loop delay continuously; each report covers the period since the last one
+const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+loopDelay.enable();
+
+// Provider checks resolve to { success, error }; tests and local setups can replace them.
+// HEALTH_CHECK_PROVIDERS=mock reports every provider as reachable without calling out.
+const mockCheck = async () => ({ success: true, mocked: true });
+const mockProviders = process.env.HEALTH_CHECK_PROVIDERS === 'mock';
+
+const providerChecks = {
+  email: mockProviders ? mockCheck : emailService.verifyConnection,
+  sms: mockProviders ? mockCheck : smsService.verifyConnection,
+  storage: mockProviders ? mockCheck : () => storage.ping()
+};
+
+let providerCache = null;
+
+// Replace one or more provider checks (e.g. with stubs when no credentials are configured)
+const setProviderChecks = (overrides) => {
+  Object.assign(providerChecks, overrides);
+  providerCache = null;
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ success: false, error: `Timed out after ${ms}ms` }), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const toMB = (bytes) => Math.round(bytes / 1024 / 1024 * 10) / 10;
+const toMs = (nanoseconds) => Math.round(nanoseconds / 1e6 * 10) / 10;
+
+// Mongo connection state and round-trip latency
+const checkDatabase = async () => {
+  const { readyState, host, name } = mongoose.connection;
+  const state = DB_STATES[readyState] || 'unknown';
+
+  if (readyState !== 1) {
+    return { status: 'down', state };
+  }
+
+  const startedAt = process.hrtime.bigint();
+  try {
+    const result = await withTimeout(
+      mongoose.connection.db.admin().ping().then(() => ({ success: true })),
+      PROVIDER_TIMEOUT
+    );
+    if (!result.success) {
+      return { status: 'down', state, error: result.error };
+    }
+    return {
+      status: 'ok',
+      state,
+      host,
+      name,
+      latency: toMs(Number(process.hrtime.bigint() - startedAt))
+    };
+  } catch (error) {
+    return { status: 'down', state, error: error.message };
+  }
+};
+
+// Connected clients and room membership grouped by room type
+const getSocketStats = (io) => {
+  if (!io) {
+    return { status: 'unavailable' };
+  }
+
+  const { rooms, sids } = io.of('/').adapter;
+  const roomStats = {};
+  ROOM_TYPES.forEach(type => {
+    roomStats[type] = { rooms: 0, members: 0 };
+  });
+
+  rooms.forEach((members, room) => {
+    // Every socket also sits in a private room named after its own id
+    if (sids.has(room)) return;
+
+    const type = room.split('_')[0];
+    if (roomStats[type]) {
+      roomStats[type].rooms += 1;
+      roomStats[type].members += members.size;
+    }
+  });
+
+  return {
+    status: 'ok',
+    connectedClients: io.of('/').sockets.size,
+    rooms: roomStats
+  };
+};
+
+// Reachability of external providers, cached briefly unless a refresh is forced
+const checkProviders = async ({ refresh = false } = {}) => {
+  if (!refresh && providerCache && Date.now() - providerCache.checkedAt < PROVIDER_CACHE_TTL) {
+    return providerCache.results;
+  }
+
+  const names = Object.keys(providerChecks);
+  const results = {};
+
+  await Promise.all(names.map(async (name) => {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await withTimeout(Promise.resolve(providerChecks[name]()), PROVIDER_TIMEOUT);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    results[name] = {
+      status: result.success ? 'ok' : 'down',
+      latency: Date.now() - startedAt,
+      mocked: Boolean(result.mocked),
+      error: result.error,
+      checkedAt: new Date()
+    };
+  }));
+
+  providerCache = { checkedAt: Date.now(), results };
+  return results;
+};
+
+// Process memory, uptime and event-loop lag since the previous report
+const getProcessStats = () => {
+  const memory = process.memoryUsage();
+  const lag = {
+    mean: toMs(loopDelay.mean),
+    p50: toMs(loopDelay.percentile(50)),
+    p99: toMs(loopDelay.percentile(99)),
+    max: toMs(loopDelay.max)
+  };
+  loopDelay.reset();
+
+  return {
+    status: lag.p99 > EVENT_LOOP_LAG_WARNING ? 'degraded' : 'ok',
+    pid: process.pid,
+    nodeVersion: process.version,
+    uptime: Math.round(process.uptime()),
+    memory: {
+      rss: toMB(memory.rss),
+      heapUsed: toMB(memory.heapUsed),
+      heapTotal: toMB(memory.heapTotal),
+      external: toMB(memory.external)
+    },
+    eventLoopLag: lag
+  };
+};
+
+// Full health report. Overall status is 'down' without a database,
+// 'degraded' if a provider, job or the event loop is unhealthy, else 'ok'.
+const getHealthReport = async (io, options = {}) => {
+  const [database, providers] = await Promise.all([
+    checkDatabase(),
+    checkProviders(options)
+  ]);
+  // Run history is stored in the database, so it is only read while the database is up
+  const jobs = database.status === 'ok' ? await getJobStatuses() : [];
+  const processStats = getProcessStats();
+
+  let status = 'ok';
+  if (
+    Object.values(providers).some(p => p.status !== 'ok') ||
+    jobs.some(job => job.lastStatus === 'failed') ||
+    processStats.status !== 'ok'
+  ) {
+    status = 'degraded';
+  }
+  if (database.status !== 'ok') {
+    status = 'down';
+  }
+
+  return {
+    status,
+    timestamp: new Date(),
+    database,
+    sockets: getSocketStats(io),
+    jobs,
+    providers,
+    process: processStats
+  };
+};
+
+module.exports = {
+  setProviderChecks,
+  checkDatabase,
+  getSocketStats,
+  checkProviders,
+  getProcessStats,
+  getHealthReport
+};
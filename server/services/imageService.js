@@ -0,0 +1,163 @@
+// services/imageService.js
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const turf = require('@turf/turf');
+
+// Longest edge in pixels for each thumbnail, smallest first
+const THUMBNAIL_SIZES = { small: 160, medium: 480, large: 960 };
+
+const PHOTO_DISTANCE_WARNING = parseInt(process.env.PHOTO_DISTANCE_WARNING) || 500; // m
+const PHOTO_AGE_WARNING = 7 * 24 * 60 * 60 * 1000; // ms before the report
+// EXIF capture times often carry no time zone, so allow a day either way before flagging
+const CLOCK_TOLERANCE = 24 * 60 * 60 * 1000; // ms
+
+// [degrees, minutes, seconds] plus N/S/E/W to signed decimal degrees
+const toDegrees = (parts, ref) => {
+  if (!Array.isArray(parts) || parts.length < 3 || parts.some(part => !Number.isFinite(part))) return null;
+  const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -value : value;
+};
+
+// "+05:30" -> minutes east of UTC
+const offsetMinutes = (offset) => {
+  const match = typeof offset === 'string' && offset.match(/^([+-])(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  return (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3]));
+};
+
+// Capture time and GPS position from a raw EXIF block; anything unreadable is left out
+const readExif = (exif) => {
+  let tags;
+  try {
+    tags = exifReader(exif);
+  } catch (error) {
+    return {};
+  }
+
+  const result = {};
+  const photo = tags.Photo || {};
+  const takenAt = photo.DateTimeOriginal || photo.DateTimeDigitized || (tags.Image && tags.Image.DateTime);
+  if (takenAt instanceof Date && !isNaN(takenAt)) {
+    // exif-reader reads the camera's clock as UTC; correct it when the camera recorded its offset
+    const offset = offsetMinutes(photo.OffsetTimeOriginal);
+    result.takenAt = offset === null ? takenAt : new Date(takenAt.getTime() - offset * 60 * 1000);
+  }
+
+  const gps = tags.GPSInfo;
+  if (gps) {
+    const lat = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const lng = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    // 0,0 is what some phones write when they have no fix
+    if (lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat !== 0 || lng !== 0)) {
+      result.location = { lat, lng };
+    }
+  }
+
+  return result;
+};
+
+// 64-bit difference hash as 16 hex characters. Each bit says whether a pixel of a
+// 9x8 greyscale copy is brighter than its right-hand neighbour, so re-encoded,
+// resized or lightly edited copies of a photo hash to nearby values.
+const differenceHash = async (image) => {
+  const pixels = await image.clone()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Number of differing bits between two hashes; up to about 10 usually means the same photo
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Prepare a photo for storage: read its capture details, apply the EXIF orientation,
+// drop all metadata (GPS, device identifiers, ...), hash it and make thumbnails.
+// Returns { buffer, format, width, height, capture: { takenAt, location }, phash, thumbnails }.
+const processImage = async (buffer, { thumbnails = true } = {}) => {
+  const input = sharp(buffer, { animated: true });
+  const metadata = await input.metadata();
+  const capture = metadata.exif ? readExif(metadata.exif) : {};
+
+  // sharp writes no metadata unless asked to, so re-encoding strips it
+  const { data, info } = await input.clone().rotate().toBuffer({ resolveWithObject: true });
+
+  const result = {
+    buffer: data,
+    format: info.format,
+    width: info.width,
+    height: info.pageHeight || info.height,
+    capture,
+    phash: await differenceHash(sharp(data)),
+    thumbnails: []
+  };
+
+  if (thumbnails) {
+    for (const [size, edge] of Object.entries(THUMBNAIL_SIZES)) {
+      const thumbnail = await sharp(data)
+        .resize(edge, edge, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      result.thumbnails.push({
+        size,
+        buffer: thumbnail.data,
+        width: thumbnail.info.width,
+        height: thumbnail.info.height
+      });
+    }
+  }
+
+  return result;
+};
+
+// Compare where and when a photo was taken with the report it is attached to.
+// Only the distance is kept, never the photo's own position.
+const checkPhotoCapture = (capture, coordinates, reportedAt = new Date()) => {
+  const check = { hasLocation: Boolean(capture && capture.location), warnings: [] };
+  if (!capture) return check;
+
+  if (capture.location && coordinates) {
+    check.distance = Math.round(turf.distance(
+      turf.point([capture.location.lng, capture.location.lat]),
+      turf.point([coordinates.lng, coordinates.lat]),
+      { units: 'meters' }
+    ));
+    if (check.distance > PHOTO_DISTANCE_WARNING) check.warnings.push('far_from_report');
+  }
+
+  if (capture.takenAt) {
+    check.takenAt = capture.takenAt;
+    const age = reportedAt - capture.takenAt;
+    if (age > PHOTO_AGE_WARNING + CLOCK_TOLERANCE) check.warnings.push('taken_before_report');
+    if (age < -CLOCK_TOLERANCE) check.warnings.push('taken_after_report');
+  }
+
+  return check;
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  PHOTO_DISTANCE_WARNING,
+  readExif,
+  differenceHash,
+  hashDistance,
+  processImage,
+  checkPhotoCapture
+};
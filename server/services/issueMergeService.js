@@ -0,0 +1,124 @@
+// services/issueMergeService.js
+const Issue = require('../models/Issue');
+
+const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+// Fold duplicate issues into a target. Each user keeps a single upvote (their earliest),
+// comments and media are combined, and the duplicates are left in place as redirects.
+const mergeIssues = async (target, sources, { userId, notes } = {}) => {
+  const now = new Date();
+  const sourceIds = sources.map(source => source._id);
+
+  const upvotes = new Map();
+  [target, ...sources].forEach(issue => {
+    issue.upvotes.forEach(upvote => {
+      const key = upvote.user.toString();
+      const existing = upvotes.get(key);
+      if (!existing || upvote.timestamp < existing.timestamp) {
+        upvotes.set(key, { user: upvote.user, timestamp: upvote.timestamp });
+      }
+    });
+  });
+
+  // Comments keep their ids so they can still be deleted individually
+  const comments = [target, ...sources]
+    .flatMap(issue => issue.comments.map(comment => comment.toObject()))
+    .sort(byTimestamp);
+
+  const mediaUrls = new Set(target.media.map(media => media.url));
+  const media = [...target.media.map(item => item.toObject())];
+  sources.forEach(source => {
+    source.media.forEach(item => {
+      if (!mediaUrls.has(item.url)) {
+        mediaUrls.add(item.url);
+        media.push(item.toObject());
+      }
+    });
+  });
+
+  target.upvotes = Array.from(upvotes.values()).sort(byTimestamp);
+  target.comments = comments;
+  target.media = media;
+  target.mergedFrom = [...target.mergedFrom, ...sourceIds];
+  target.timeline.push({
+    action: 'merged',
+    timestamp: now,
+    user: userId,
+    notes: notes || `Merged ${sources.length} duplicate report(s): ${sourceIds.join(', ')}`
+  });
+  await target.save();
+
+  // updateMany skips the status hook, so the duplicates only get this one timeline entry
+  await Issue.updateMany(
+    { _id: { $in: sourceIds }, status: { $ne: 'merged' } },
+    {
+      $set: { status: 'merged', mergedInto: target._id, updatedAt: now },
+      $push: {
+        timeline: {
+          action: 'merged',
+          timestamp: now,
+          user: userId,
+          notes: `Merged into ${target._id}${notes ? `: ${notes}` : ''}`
+        }
+      }
+    }
+  );
+
+  return target;
+};
+
+// Move part of a report into a new issue. The new issue keeps the reporter, location and
+// upvotes of the original and takes the selected media and comments with it.
+const splitIssue = async (original, data, { userId } = {}) => {
+  const { title, description, category, priority, mediaIds = [], commentIds = [], notes } = data;
+  const now = new Date();
+
+  const moveMedia = original.media.filter(item => mediaIds.includes(item._id.toString()));
+  const moveComments = original.comments.filter(comment => commentIds.includes(comment._id.toString()));
+
+  const issue = await Issue.create({
+    title,
+    description,
+    category,
+    priority: priority || original.priority,
+    location: original.location.toObject(),
+    reporter: original.reporter,
+    visibility: original.visibility,
+    tags: original.tags,
+    isUrgent: original.isUrgent,
+    media: moveMedia.map(item => item.toObject()),
+    comments: moveComments.map(comment => comment.toObject()),
+    upvotes: original.upvotes.map(upvote => ({ user: upvote.user, timestamp: upvote.timestamp })),
+    splitFrom: original._id,
+    timeline: [
+      {
+        action: 'submitted',
+        timestamp: original.createdAt,
+        user: original.reporter
+      },
+      {
+        action: 'split',
+        timestamp: now,
+        user: userId,
+        notes: `Split from ${original._id}${notes ? `: ${notes}` : ''}`
+      }
+    ]
+  });
+
+  original.media = original.media.filter(item => !mediaIds.includes(item._id.toString()));
+  original.comments = original.comments.filter(comment => !commentIds.includes(comment._id.toString()));
+  original.timeline.push({
+    action: 'split',
+    timestamp: now,
+    user: userId,
+    notes: `Split into ${issue._id}${notes ? `: ${notes}` : ''}`
+  });
+  await original.save();
+
+  return issue;
+};
+
+module.exports = {
+  mergeIssues,
+  splitIssue
+};
@@ -0,0 +1,104 @@
+// services/jobScheduler.js
+const os = require('os');
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+
+const HOST = `${os.hostname()}:${process.pid}`;
+
+// Jobs scheduled by this process, keyed by name. Run history lives in JobRun.
+const jobs = new Map();
+
+// Record a run; a database outage is logged but never stops the job itself
+const recordRun = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('Job run record error:', error.message);
+    return null;
+  }
+};
+
+// Schedule a cron job and record the outcome of each run.
+// Tasks log their own errors and rethrow so the failure shows up in the job status.
+const scheduleJob = (name, expression, task) => {
+  const job = { name, schedule: expression, running: false };
+  jobs.set(name, job);
+
+  return cron.schedule(expression, async () => {
+    // Skip overlapping runs of slow jobs
+    if (job.running) return;
+
+    job.running = true;
+    const startedAt = new Date();
+    const run = await recordRun(() => JobRun.create({ job: name, host: HOST, startedAt }));
+    const outcome = { status: 'success' };
+
+    try {
+      await task();
+    } catch (error) {
+      outcome.status = 'failed';
+      outcome.error = error.message;
+    } finally {
+      job.running = false;
+      const finishedAt = new Date();
+      if (run) {
+        await recordRun(() => JobRun.updateOne(
+          { _id: run._id },
+          { $set: { ...outcome, finishedAt, duration: finishedAt - startedAt } }
+        ));
+      }
+    }
+  });
+};
+
+// Every job's last run and counts over the retention period, from all instances.
+// Jobs that have not run yet are listed from this process's schedule.
+const getJobStatuses = async () => {
+  const [summaries, lastFinished] = await Promise.all([
+    JobRun.aggregate([
+      { $sort: { job: 1, startedAt: -1 } },
+      {
+        $group: {
+          _id: '$job',
+          lastRun: { $first: '$$ROOT' },
+          runCount: { $sum: 1 },
+          failureCount: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          lastSuccessAt: { $max: { $cond: [{ $eq: ['$status', 'success'] }, '$finishedAt', null] } }
+        }
+      }
+    ]),
+    // The latest completed run, so a job in progress still shows how its last run went
+    JobRun.aggregate([
+      { $match: { status: { $ne: 'running' } } },
+      { $sort: { job: 1, startedAt: -1 } },
+      { $group: { _id: '$job', run: { $first: '$$ROOT' } } }
+    ])
+  ]);
+
+  const finished = new Map(lastFinished.map(({ _id, run }) => [_id, run]));
+  const names = new Set([...jobs.keys(), ...summaries.map(summary => summary._id)]);
+  const byName = new Map(summaries.map(summary => [summary._id, summary]));
+
+  return [...names].sort().map(name => {
+    const summary = byName.get(name);
+    const last = finished.get(name);
+    return {
+      name,
+      schedule: jobs.has(name) ? jobs.get(name).schedule : null,
+      running: Boolean(summary && summary.lastRun.status === 'running'),
+      runCount: summary ? summary.runCount : 0,
+      failureCount: summary ? summary.failureCount : 0,
+      lastRunAt: summary ? summary.lastRun.startedAt : null,
+      lastHost: summary ? summary.lastRun.host : null,
+      lastStatus: last ? last.status : null,
+      lastDuration: last ? last.duration : null,
+      lastError: last && last.status === 'failed' ? last.error : null,
+      lastSuccessAt: summary ? summary.lastSuccessAt : null
+    };
+  });
+};
+
+module.exports = {
+  scheduleJob,
+  getJobStatuses
+};
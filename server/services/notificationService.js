@@ -1,7 +1,25 @@
 // services/notificationService.js
 const emailService = require('./emailService');
 const smsService = require('./smsService');
-const { emitToUser, emitToRole, notifyIssueStatusUpdate } = require('../config/socket');
+const crypto = require('crypto');
+const { localeFor } = require('./templateService');
+const { resolveChannels, localHour } = require('./preferenceService');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitToUser, emitToRole, emitToLocation, notifyIssueStatusUpdate } = require('../config/socket');
+
+const idOf = (ref) => (ref && ref._id) || ref;
+
+// Inbox entry for a user given their resolved channels; `digest` queues the email for their daily digest
+const inboxEntry = (user, channels, digest = false) => ({
+  recipient: idOf(user),
+  inbox: channels.inApp,
+  ...(digest && { digest: 'pending' })
+});
+
+// Inbox entries for a department's shared mailbox and for authority staff, who have no preferences
+const authorityEntry = (authority) => ({ recipient: idOf(authority), recipientType: 'Authority', inbox: true });
+const memberEntry = (member) => ({ recipient: idOf(member), recipientType: 'AuthorityMember', inbox: true });
 
 // Unified notification service
 class NotificationService {
@@ -9,6 +27,29 @@ class NotificationService {
     this.io = io;
   }
 
+  // Store inbox entries and push them to the recipients' open sessions.
+  // Inbox failures are logged so they never block email/SMS delivery.
+  async recordInbox(entries, notification) {
+    try {
+      const wanted = entries.filter(entry => entry.inbox || entry.digest);
+      const docs = await Notification.recordMany(wanted, notification);
+      // Only users have a Socket.IO session to push to
+      if (this.io) {
+        docs.filter(doc => doc.inbox && doc.recipientType === 'User').forEach(doc => {
+          emitToUser(this.io, doc.recipient, 'notification_created', doc.toPayload());
+        });
+      }
+      return docs.length;
+    } catch (error) {
+      console.error('Notification inbox error:', error);
+      return 0;
+    }
+  }
+
+  async getAdmins() {
+    return User.find({ role: 'admin', status: 'active' }).select('preferences').lean();
+  }
+
   // Send issue status update notifications
   async notifyIssueStatusChange(issue, oldStatus, newStatus, updatedBy, adminNotes = '') {
     const notifications = [];
@@ -16,24 +57,36 @@ class NotificationService {
     try {
       // Get reporter details
       const reporter = await issue.populate('reporter');
+      const channels = resolveChannels(reporter.reporter, 'issue_status');
       
       // 1. Real-time notification via Socket.IO
       if (this.io) {
-        notifyIssueStatusUpdate(this.io, issue, oldStatus, newStatus, updatedBy);
+        notifyIssueStatusUpdate(this.io, issue, oldStatus, newStatus, updatedBy, { notifyReporter: channels.push });
         notifications.push({ type: 'realtime', success: true });
       }
 
-      // 2. Email notification
-      const emailResult = await emailService.sendIssueStatusEmail(
-        reporter.reporter, 
-        issue, 
-        newStatus, 
-        adminNotes
-      );
-      notifications.push({ type: 'email', ...emailResult });
+      await this.recordInbox([inboxEntry(reporter.reporter, channels, channels.email === 'digest')], {
+        type: 'issue_status',
+        title: 'Issue status updated',
+        message: `"${issue.title}" is now ${newStatus.replace('_', ' ')}${adminNotes ? `: ${adminNotes}` : ''}`,
+        issue: issue._id,
+        link: `/issues/${issue._id}`,
+        data: { oldStatus, newStatus }
+      });
+
+      // 2. Email notification (unless it waits for the digest)
+      if (channels.email === 'instant') {
+        const emailResult = await emailService.sendIssueStatusEmail(
+          reporter.reporter, 
+          issue, 
+          newStatus, 
+          adminNotes
+        );
+        notifications.push({ type: 'email', ...emailResult });
+      }
 
       // 3. SMS notification (if enabled)
-      if (reporter.reporter.phone && reporter.reporter.preferences.smsNotifications) {
+      if (reporter.reporter.phone && channels.sms) {
         const smsResult = await smsService.sendIssueStatusSMS(
           reporter.reporter, 
           issue, 
@@ -91,19 +144,38 @@ class NotificationService {
         });
       }
 
-      // Real-time notification to admins
+      // Real-time notification to admins who want live alerts
+      const admins = (await this.getAdmins()).map(admin => ({ admin, channels: resolveChannels(admin, 'new_issue') }));
       if (this.io) {
-        this.io.to('role_admin').emit('new_issue_submitted', {
-          issueId: issue._id,
-          title: issue.title,
-          category: issue.category,
-          priority: issue.priority,
-          reporter: issue.reporter.name,
-          location: issue.location,
-          timestamp: new Date()
+        admins.filter(({ channels }) => channels.push).forEach(({ admin }) => {
+          emitToUser(this.io, admin._id, 'new_issue_submitted', {
+            issueId: issue._id,
+            title: issue.title,
+            category: issue.category,
+            priority: issue.priority,
+            reporter: issue.reporter.name,
+            location: issue.location,
+            timestamp: new Date()
+          });
         });
       }
 
+      const newIssue = {
+        type: 'new_issue',
+        title: 'New issue reported',
+        message: `"${issue.title}" (${issue.category}, ${issue.priority} priority)`,
+        issue: issue._id,
+        data: { category: issue.category, priority: issue.priority }
+      };
+      await this.recordInbox(admins.map(({ admin, channels }) => inboxEntry(admin, channels)), {
+        ...newIssue,
+        link: `/issues/${issue._id}`
+      });
+      await this.recordInbox(authorities.map(authorityEntry), {
+        ...newIssue,
+        link: `/authority/issues/${issue._id}`
+      });
+
       return {
         success: true,
         notifications,
@@ -164,6 +236,17 @@ class NotificationService {
         });
       }
 
+      // The live alert goes to everyone online; the inbox copy is for the admins who act on it
+      const admins = await this.getAdmins();
+      await this.recordInbox(admins.map(admin => inboxEntry(admin, resolveChannels(admin, 'urgent_issue'))), {
+        type: 'urgent_issue',
+        title: 'Urgent issue alert',
+        message: `"${issue.title}" needs immediate attention`,
+        issue: issue._id,
+        link: `/issues/${issue._id}`,
+        data: { priority: issue.priority }
+      });
+
       return {
         success: true,
         notifications,
@@ -184,6 +267,152 @@ class NotificationService {
     }
   }
 
+  // Notify the people an SLA breach is escalated to.
+  // Level 1 goes to the authority's head of department, level 2 to the admins.
+  async notifySlaEscalation(issue, escalation, recipients = []) {
+    const notifications = [];
+
+    try {
+      // Heads of department are authority staff; only admin recipients (level 2) are users with preferences
+      const admins = [];
+
+      for (const recipient of recipients) {
+        const channels = recipient.userId
+          ? resolveChannels(recipient, 'sla_breach')
+          : { email: 'instant', sms: true };
+        if (recipient.userId) admins.push({ recipient, channels });
+
+        if (recipient.email && channels.email === 'instant') {
+          const emailResult = await emailService.sendSlaEscalationEmail(recipient, issue, escalation);
+          notifications.push({ 
+            type: 'sla_email', 
+            recipient: recipient.email, 
+            ...emailResult 
+          });
+        }
+
+        if (recipient.phone && channels.sms) {
+          const smsResult = await smsService.sendSlaEscalationSMS(recipient.phone, issue, escalation, localeFor(recipient));
+          notifications.push({ 
+            type: 'sla_sms', 
+            recipient: recipient.phone, 
+            ...smsResult 
+          });
+        }
+      }
+
+      // Real-time alert for the admin dashboard
+      if (this.io && escalation.level > 1) {
+        admins.filter(({ channels }) => channels.push).forEach(({ recipient }) => {
+          emitToUser(this.io, recipient.userId, 'sla_breach', {
+            issueId: issue._id,
+            title: issue.title,
+            category: issue.category,
+            priority: issue.priority,
+            status: issue.status,
+            authority: escalation.authority ? escalation.authority.name : null,
+            breachType: escalation.breachType,
+            dueAt: escalation.dueAt,
+            overdueHours: escalation.overdueHours,
+            timestamp: new Date()
+          });
+        });
+        notifications.push({ type: 'realtime', success: true });
+      }
+
+      // Level 1 also lands in the department mailbox and the heads' own inboxes
+      const entries = admins.map(({ recipient, channels }) => inboxEntry(recipient.userId, channels, channels.email === 'digest'));
+      if (escalation.level === 1 && escalation.authority) {
+        entries.push(authorityEntry(escalation.authority));
+        recipients.filter(recipient => recipient.memberId).forEach(recipient => entries.push(memberEntry(recipient.memberId)));
+      }
+      await this.recordInbox(entries, {
+        type: 'sla_breach',
+        title: `${escalation.breachType === 'response' ? 'Response' : 'Resolution'} SLA breached`,
+        message: `"${issue.title}" is ${escalation.overdueHours}h overdue${escalation.authority ? ` at ${escalation.authority.name}` : ''}`,
+        issue: issue._id,
+        link: `${escalation.level > 1 ? '' : '/authority'}/issues/${issue._id}`,
+        data: { breachType: escalation.breachType, level: escalation.level, dueAt: escalation.dueAt }
+      });
+
+      return {
+        success: true,
+        notifications,
+        summary: {
+          total: notifications.length,
+          successful: notifications.filter(n => n.success).length,
+          failed: notifications.filter(n => !n.success).length
+        }
+      };
+
+    } catch (error) {
+      console.error('SLA escalation notification error:', error);
+      return {
+        success: false,
+        error: error.message,
+        notifications
+      };
+    }
+  }
+
+  // Tell a field officer an issue was handed to them
+  async notifyOfficerAssigned(issue, officer, authority) {
+    try {
+      await this.recordInbox([memberEntry(officer)], {
+        type: 'officer_assigned',
+        title: 'Issue assigned to you',
+        message: `"${issue.title}" (${issue.category}, ${issue.priority} priority)`,
+        issue: issue._id,
+        link: `/authority/issues/${issue._id}`,
+        data: { authority: idOf(authority) }
+      });
+
+      const emailResult = await emailService.sendOfficerAssignmentEmail(officer, issue, authority);
+      return { success: true, notifications: [{ type: 'email', ...emailResult }] };
+    } catch (error) {
+      console.error('Officer assignment notification error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell the reporters of merged duplicates where their report went
+  async notifyIssueMerged(target, sources) {
+    try {
+      const reporters = await User.find({ _id: { $in: sources.map(source => idOf(source.reporter)) } })
+        .select('preferences')
+        .lean();
+
+      for (const source of sources) {
+        const reporter = reporters.find(user => user._id.toString() === idOf(source.reporter).toString());
+        if (!reporter) continue;
+        const channels = resolveChannels(reporter, 'issue_merged');
+
+        if (this.io && channels.push) {
+          emitToUser(this.io, reporter._id, 'issue_merged', {
+            issueId: source._id,
+            mergedInto: target._id,
+            title: target.title,
+            timestamp: new Date()
+          });
+        }
+
+        await this.recordInbox([inboxEntry(reporter, channels)], {
+          type: 'issue_merged',
+          title: 'Your report was merged',
+          message: `"${source.title}" was merged into "${target.title}"`,
+          issue: target._id,
+          link: `/issues/${target._id}`,
+          data: { sourceId: source._id }
+        });
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Issue merged notification error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send welcome notification to new users
   async sendWelcomeNotification(user) {
     const notifications = [];
@@ -195,8 +424,7 @@ class NotificationService {
 
       // Welcome SMS (optional)
       if (user.phone && user.preferences.smsNotifications) {
-        const message = `Welcome to Voice2Action! 🎉 Start reporting issues and help improve your community. Download the app: ${process.env.CLIENT_URL}`;
-        const smsResult = await smsService.sendSMS(user.phone, message);
+        const smsResult = await smsService.sendWelcomeSMS(user);
         notifications.push({ type: 'welcome_sms', ...smsResult });
       }
 
@@ -209,6 +437,14 @@ class NotificationService {
         });
       }
 
+      // Welcome messages are transactional, so they skip the preference checks
+      await this.recordInbox([{ recipient: user._id, inbox: true }], {
+        type: 'welcome',
+        title: 'Welcome to Voice2Action!',
+        message: 'Ready to make a difference? Report your first issue from the dashboard.',
+        link: '/dashboard?tab=report'
+      });
+
       return {
         success: true,
         notifications,
@@ -234,10 +470,17 @@ class NotificationService {
     const notifications = [];
 
     try {
+      const entries = [];
+
       for (const user of users) {
-        const userReport = reportData.find(r => r.userId.toString() === user._id.toString());
+        // Leaderboard rows are keyed by _id
+        const userReport = reportData.find(r => (r.userId || r._id).toString() === user._id.toString());
+        if (!userReport) continue;
+
+        const channels = resolveChannels(user, 'monthly_report');
+        entries.push(inboxEntry(user, channels, channels.email === 'digest'));
         
-        if (userReport && user.preferences.emailNotifications) {
+        if (channels.email === 'instant') {
           const emailResult = await emailService.sendMonthlyReportEmail(user, userReport);
           notifications.push({ 
             type: 'monthly_report', 
@@ -247,6 +490,13 @@ class NotificationService {
         }
       }
 
+      await this.recordInbox(entries, {
+        type: 'monthly_report',
+        title: 'Your monthly impact report',
+        message: 'See how your reports helped your community this month.',
+        link: '/leaderboard'
+      });
+
       return {
         success: true,
         notifications,
@@ -267,39 +517,75 @@ class NotificationService {
     }
   }
 
-  // Send system announcements
-  async sendSystemAnnouncement(announcement, targetUsers = null) {
+  // Send a system announcement to its target audience.
+  // Email/SMS go to the resolved recipients, respecting their notification preferences.
+  async sendSystemAnnouncement(announcement, recipients = []) {
     const notifications = [];
 
     try {
       // Real-time announcement
       if (this.io) {
-        if (targetUsers) {
-          targetUsers.forEach(userId => {
-            emitToUser(this.io, userId, 'system_announcement', announcement);
-          });
-        } else {
-          this.io.emit('system_announcement', announcement);
+        const payload = announcement.toPayload();
+        const { target } = announcement;
+
+        switch (target.type) {
+          case 'role':
+            emitToRole(this.io, target.role, 'system_announcement', payload);
+            break;
+          case 'ward':
+            emitToLocation(this.io, { ward: target.ward }, 'system_announcement', payload);
+            break;
+          case 'district':
+            emitToLocation(this.io, { district: target.district }, 'system_announcement', payload);
+            break;
+          case 'users':
+            target.users.forEach(userId => {
+              emitToUser(this.io, userId, 'system_announcement', payload);
+            });
+            break;
+          default:
+            this.io.emit('system_announcement', payload);
         }
         notifications.push({ type: 'realtime_announcement', success: true });
       }
 
-      // Email announcement (if specified)
-      if (announcement.sendEmail && announcement.recipients) {
-        for (const recipient of announcement.recipients) {
-          const emailResult = await emailService.sendEmail(
-            recipient.email,
-            announcement.subject,
-            announcement.html
-          );
+      const entries = [];
+
+      for (const recipient of recipients) {
+        const channels = resolveChannels(recipient, 'announcement');
+        const wantsEmail = announcement.channels.email && channels.email;
+        entries.push(inboxEntry(recipient, channels, wantsEmail === 'digest'));
+
+        // Email announcement (if requested)
+        if (wantsEmail === 'instant') {
+          const emailResult = await emailService.sendAnnouncementEmail(recipient, announcement);
           notifications.push({ 
             type: 'announcement_email', 
             recipient: recipient.email, 
             ...emailResult 
           });
         }
+
+        // SMS announcement (if requested)
+        if (announcement.channels.sms && recipient.phone && channels.sms) {
+          const smsResult = await smsService.sendAnnouncementSMS(recipient, announcement);
+          if (!smsResult.skipped) {
+            notifications.push({ 
+              type: 'announcement_sms', 
+              recipient: recipient.phone, 
+              ...smsResult 
+            });
+          }
+        }
       }
 
+      await this.recordInbox(entries, {
+        type: 'announcement',
+        title: announcement.title,
+        message: announcement.message,
+        data: { announcementId: announcement._id, type: announcement.type, priority: announcement.priority }
+      });
+
       return {
         success: true,
         notifications,
@@ -319,6 +605,63 @@ class NotificationService {
       };
     }
   }
+
+  // Send each daily digest that is due this hour in its recipient's time zone.
+  // Entries are claimed with a run id first, so concurrent runs never email the same entry twice.
+  async sendDailyDigests(now = new Date()) {
+    const notifications = [];
+
+    try {
+      const recipientIds = await Notification.distinct('recipient', { digest: 'pending' });
+      const users = await User.find({ _id: { $in: recipientIds } }).select('name email preferences');
+
+      for (const user of users) {
+        const preferences = user.preferences || {};
+        const digestOn = preferences.digest && preferences.digest.enabled;
+
+        // Users who switched the digest off get what was already queued straight away
+        if (digestOn && localHour(now, preferences.timezone) !== preferences.digest.hour) continue;
+
+        const run = crypto.randomUUID();
+        await Notification.updateMany(
+          { recipient: user._id, digest: 'pending' },
+          { digest: 'sent', digestRun: run }
+        );
+        const items = await Notification.find({ digestRun: run }).sort({ createdAt: 1 });
+        if (items.length === 0) continue;
+
+        if (preferences.emailNotifications === false) {
+          await Notification.updateMany({ digestRun: run }, { digest: 'skipped' });
+          continue;
+        }
+
+        const emailResult = await emailService.sendDailyDigestEmail(user, items);
+        if (!emailResult.success) {
+          // Put them back so the next due run retries them
+          await Notification.updateMany({ digestRun: run }, { digest: 'pending', $unset: { digestRun: 1 } });
+        }
+        notifications.push({ type: 'digest_email', user: user.email, items: items.length, ...emailResult });
+      }
+
+      return {
+        success: true,
+        notifications,
+        summary: {
+          total: notifications.length,
+          successful: notifications.filter(n => n.success).length,
+          failed: notifications.filter(n => !n.success).length
+        }
+      };
+
+    } catch (error) {
+      console.error('Daily digest error:', error);
+      return {
+        success: false,
+        error: error.message,
+        notifications
+      };
+    }
+  }
 }
 
 module.exports = NotificationService;
\ No newline at end of file
@@ -0,0 +1,324 @@
+// services/otpService.js
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const OtpRequest = require('../models/OtpRequest');
+
+const OTP_DEFAULTS = {
+  ttl: 5 * 60 * 1000, // code lifetime, ms
+  cooldown: 60 * 1000, // minimum gap between codes for one email, ms
+  maxAttempts: 3,
+  rateWindow: 15 * 60 * 1000, // ms
+  maxRequestsPerEmail: 5, // per rateWindow
+  maxRequestsPerIp: 20 // per rateWindow
+};
+
+const MEMORY_AUDIT_LIMIT = 10000;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// In-process store, for development and single-instance deployments.
+// Expired codes are dropped lazily when they are read.
+class MemoryOtpStore {
+  constructor() {
+    this.codes = new Map();
+    this.requests = [];
+  }
+
+  // Synchronous, so a read-modify-write cannot interleave with another request
+  live(email) {
+    const record = this.codes.get(email);
+    if (record && record.expiresAt <= new Date()) {
+      this.codes.delete(email);
+      return null;
+    }
+    return record || null;
+  }
+
+  async get(email) {
+    const record = this.live(email);
+    return record ? { ...record } : null;
+  }
+
+  async set(email, record) {
+    this.codes.set(email, { ...record, email });
+  }
+
+  // Store a new code unless the current one is still inside its cooldown.
+  // Returns null when stored, otherwise the code that is cooling down.
+  async reserve(email, record, cooldown) {
+    const existing = this.live(email);
+    if (existing && Date.now() - new Date(existing.requestedAt).getTime() < cooldown) {
+      return { ...existing };
+    }
+    this.codes.set(email, { ...record, email });
+    return null;
+  }
+
+  // Use up one attempt if any are left; null when the code is missing or exhausted
+  async claimAttempt(email) {
+    const record = this.live(email);
+    if (!record || record.attempts >= record.maxAttempts) return null;
+    record.attempts += 1;
+    return { ...record };
+  }
+
+  // Delete the code only if it is still the one that was checked; false if another request won
+  async consume(email, codeHash) {
+    const record = await this.get(email);
+    if (!record || record.codeHash !== codeHash) return false;
+    this.codes.delete(email);
+    return true;
+  }
+
+  async delete(email) {
+    this.codes.delete(email);
+  }
+
+  async recordRequest(entry) {
+    this.requests.push({ ...entry, createdAt: new Date() });
+    if (this.requests.length > MEMORY_AUDIT_LIMIT) {
+      this.requests.splice(0, this.requests.length - MEMORY_AUDIT_LIMIT);
+    }
+  }
+
+  async countRequests({ email, ip, type, outcomes, since }) {
+    return this.requests.filter(r =>
+      (!email || r.email === email) &&
+      (!ip || r.ip === ip) &&
+      (!type || r.type === type) &&
+      (!outcomes || outcomes.includes(r.outcome)) &&
+      r.createdAt >= since
+    ).length;
+  }
+
+  async listRequests({ email, ip, type, limit = 50 }) {
+    return this.requests
+      .filter(r => (!email || r.email === email) && (!ip || r.ip === ip) && (!type || r.type === type))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+// MongoDB store, shared by every server instance; TTL indexes expire codes and audit entries
+class MongoOtpStore {
+  async get(email) {
+    return OtpCode.findOne({ email, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async set(email, record) {
+    await OtpCode.findOneAndUpdate(
+      { email },
+      { ...record, email },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Replace the code only if it has expired or left its cooldown. When another code
+  // is cooling down the upsert hits the unique email index instead of overwriting it.
+  async reserve(email, record, cooldown) {
+    const now = new Date();
+    try {
+      await OtpCode.findOneAndUpdate(
+        {
+          email,
+          $or: [
+            { expiresAt: { $lte: now } },
+            { requestedAt: { $lte: new Date(now.getTime() - cooldown) } }
+          ]
+        },
+        { ...record, email },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return (await this.get(email)) || { requestedAt: now };
+    }
+  }
+
+  async claimAttempt(email) {
+    return OtpCode.findOneAndUpdate(
+      { email, expiresAt: { $gt: new Date() }, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  async consume(email, codeHash) {
+    const result = await OtpCode.deleteOne({ email, codeHash, expiresAt: { $gt: new Date() } });
+    return result.deletedCount === 1;
+  }
+
+  async delete(email) {
+    await OtpCode.deleteOne({ email });
+  }
+
+  async recordRequest(entry) {
+    await OtpRequest.create(entry);
+  }
+
+  async countRequests({ email, ip, type, outcomes, since }) {
+    const filter = { createdAt: { $gte: since } };
+    if (email) filter.email = email;
+    if (ip) filter.ip = ip;
+    if (type) filter.type = type;
+    if (outcomes) filter.outcome = { $in: outcomes };
+    return OtpRequest.countDocuments(filter);
+  }
+
+  async listRequests({ email, ip, type, limit = 50 }) {
+    const filter = {};
+    if (email) filter.email = email;
+    if (ip) filter.ip = ip;
+    if (type) filter.type = type;
+    return OtpRequest.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+}
+
+// OTP issuing and verification on top of a store. Only HMACs of codes are stored.
+class OtpService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = { ...OTP_DEFAULTS, ...options };
+    this.secret = this.options.secret || process.env.OTP_SECRET || process.env.JWT_SECRET;
+    if (!this.secret) {
+      throw new Error('OTP_SECRET or JWT_SECRET must be set to issue login codes');
+    }
+  }
+
+  hashCode(email, code) {
+    return crypto.createHmac('sha256', this.secret).update(`${email}:${code}`).digest('hex');
+  }
+
+  generateCode() {
+    return crypto.randomInt(100000, 1000000).toString();
+  }
+
+  // Audit failures must never block a login
+  async audit(entry) {
+    try {
+      await this.store.recordRequest({ ...entry, email: normalizeEmail(entry.email) });
+    } catch (error) {
+      console.error('OTP audit error:', error);
+    }
+  }
+
+  // Per-email and per-IP request limits over the rate window. Only codes that were
+  // actually sent count, so blocked requests do not keep extending the lockout.
+  async checkRateLimit(email, ip) {
+    const key = normalizeEmail(email);
+    const since = new Date(Date.now() - this.options.rateWindow);
+    const retryAfter = Math.ceil(this.options.rateWindow / 1000);
+    const outcomes = ['sent', 'send_failed'];
+
+    const [emailCount, ipCount] = await Promise.all([
+      this.store.countRequests({ email: key, type: 'request', outcomes, since }),
+      ip ? this.store.countRequests({ ip, type: 'request', outcomes, since }) : 0
+    ]);
+
+    if (emailCount >= this.options.maxRequestsPerEmail || ipCount >= this.options.maxRequestsPerIp) {
+      await this.audit({ email: key, ip, type: 'request', outcome: 'rate_limited' });
+      return { limited: true, retryAfter };
+    }
+    return { limited: false };
+  }
+
+  // Issue a code and hand it to `send`; the code is discarded if sending fails
+  async requestCode(email, { ip, send }) {
+    const key = normalizeEmail(email);
+    const code = this.generateCode();
+    const expiresAt = new Date(Date.now() + this.options.ttl);
+
+    // Checking the cooldown and storing the code is one step, so concurrent
+    // requests cannot both send a code
+    const coolingDown = await this.store.reserve(key, {
+      codeHash: this.hashCode(key, code),
+      attempts: 0,
+      maxAttempts: this.options.maxAttempts,
+      requestedAt: new Date(),
+      expiresAt
+    }, this.options.cooldown);
+
+    if (coolingDown) {
+      const elapsed = Date.now() - new Date(coolingDown.requestedAt).getTime();
+      await this.audit({ email: key, ip, type: 'request', outcome: 'cooldown' });
+      return {
+        status: 'cooldown',
+        retryAfter: Math.max(1, Math.ceil((this.options.cooldown - elapsed) / 1000))
+      };
+    }
+
+    try {
+      await send(code);
+    } catch (error) {
+      await this.store.delete(key);
+      await this.audit({ email: key, ip, type: 'request', outcome: 'send_failed' });
+      throw error;
+    }
+
+    await this.audit({ email: key, ip, type: 'request', outcome: 'sent' });
+    return { status: 'sent', expiresAt };
+  }
+
+  // Check a code. Each code can be used once, even with several instances racing.
+  async verifyCode(email, code, { ip } = {}) {
+    const key = normalizeEmail(email);
+    const result = await this.checkCode(key, code);
+    await this.audit({ email: key, ip, type: 'verify', outcome: result.status });
+    return result;
+  }
+
+  // An attempt is claimed before the code is compared, so concurrent guesses
+  // cannot get past maxAttempts
+  async checkCode(email, code) {
+    const record = await this.store.claimAttempt(email);
+    if (!record) {
+      if (await this.store.get(email)) {
+        await this.store.delete(email);
+        return { status: 'too_many_attempts' };
+      }
+      return { status: 'not_found' };
+    }
+
+    const codeHash = this.hashCode(email, code);
+    const matches = crypto.timingSafeEqual(Buffer.from(codeHash), Buffer.from(record.codeHash));
+
+    if (!matches) {
+      if (record.attempts >= record.maxAttempts) {
+        await this.store.delete(email);
+        return { status: 'too_many_attempts' };
+      }
+      return { status: 'invalid', remainingAttempts: record.maxAttempts - record.attempts };
+    }
+
+    const consumed = await this.store.consume(email, codeHash);
+    return consumed ? { status: 'verified' } : { status: 'not_found' };
+  }
+
+  async revoke(email) {
+    await this.store.delete(normalizeEmail(email));
+  }
+
+  async listRequests(filter = {}) {
+    return this.store.listRequests({
+      ...filter,
+      email: filter.email ? normalizeEmail(filter.email) : undefined
+    });
+  }
+}
+
+// OTP_STORE=memory keeps codes in-process; anything else uses MongoDB
+const createOtpStore = (type = process.env.OTP_STORE) => (
+  type === 'memory' ? new MemoryOtpStore() : new MongoOtpStore()
+);
+
+const otpService = new OtpService(createOtpStore());
+
+module.exports = {
+  OTP_DEFAULTS,
+  MemoryOtpStore,
+  MongoOtpStore,
+  OtpService,
+  createOtpStore,
+  otpService
+};
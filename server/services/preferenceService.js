@@ -0,0 +1,123 @@
+// services/preferenceService.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+// Falls back to the JWT secret so existing deployments work without new config
+const unsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Hour and minute of `date` on the user's wall clock
+const localTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return { hour: part('hour'), minute: part('minute') };
+};
+
+const localHour = (date, timezone) => localTime(date, timezone).hour;
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Whether `now` falls inside the user's quiet hours; windows may cross midnight
+const isQuietTime = (preferences = {}, now = new Date()) => {
+  const quietHours = preferences.quietHours;
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const { hour, minute } = localTime(now, preferences.timezone);
+  const current = hour * 60 + minute;
+  const start = toMinutes(quietHours.start || '22:00');
+  const end = toMinutes(quietHours.end || '07:00');
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Work out how one event reaches a user right now.
+// `email` is 'instant', 'digest' or false; the other channels are booleans.
+const resolveChannels = (user, event, now = new Date()) => {
+  const preferences = (user && user.preferences) || {};
+  const definition = User.NOTIFICATION_EVENTS[event];
+  const chosen = (preferences.notifications && preferences.notifications[event]) || {};
+  const wants = channel => definition.channels.includes(channel) && chosen[channel] !== false;
+  const quiet = isQuietTime(preferences, now);
+
+  let email = false;
+  if (wants('email') && preferences.emailNotifications !== false) {
+    email = preferences.digest && preferences.digest.enabled ? 'digest' : 'instant';
+  }
+
+  return {
+    email,
+    sms: wants('sms') && preferences.smsNotifications !== false && !quiet,
+    inApp: wants('inApp'),
+    push: wants('push') && !quiet,
+    quiet
+  };
+};
+
+// Events shown to a user, with the channels each can be switched on
+const eventsFor = (role) => Object.entries(User.NOTIFICATION_EVENTS)
+  .filter(([, definition]) => !definition.roles || definition.roles.includes(role))
+  .map(([event, definition]) => ({ event, label: definition.label, channels: definition.channels }));
+
+// Unsubscribe tokens don't expire, so links in old emails keep working
+const createUnsubscribeToken = (userId, event = 'all') => jwt.sign(
+  { sub: String(userId), event, purpose: UNSUBSCRIBE_PURPOSE },
+  unsubscribeSecret()
+);
+
+const unsubscribeUrl = (userId, event) =>
+  `${process.env.CLIENT_URL}/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId, event))}`;
+
+const verifyUnsubscribeToken = (token) => {
+  const payload = jwt.verify(token, unsubscribeSecret());
+  if (payload.purpose !== UNSUBSCRIBE_PURPOSE ||
+      (payload.event !== 'all' && !User.NOTIFICATION_EVENTS[payload.event])) {
+    throw new Error('Invalid unsubscribe token');
+  }
+  return payload;
+};
+
+// Turn off email for the token's event; 'all' turns off every non-essential email
+const unsubscribe = async (token) => {
+  const { sub, event } = verifyUnsubscribeToken(token);
+  const path = event === 'all'
+    ? 'preferences.emailNotifications'
+    : `preferences.notifications.${event}.email`;
+
+  const user = await User.findByIdAndUpdate(sub, { [path]: false }, { new: true });
+  return user ? { user, event } : null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  localHour,
+  isQuietTime,
+  resolveChannels,
+  eventsFor,
+  createUnsubscribeToken,
+  unsubscribeUrl,
+  verifyUnsubscribeToken,
+  unsubscribe
+};
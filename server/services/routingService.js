@@ -0,0 +1,328 @@
+// services/routingService.js
+const turf = require('@turf/turf');
+const Authority = require('../models/Authority');
+const Issue = require('../models/Issue');
+
+const DEFAULT_SEARCH_RADIUS = 25000; // meters
+const DEFAULT_RESPONSE_HOURS = 48;
+
+// Issue categories without a dedicated department fall back to the municipal corporation
+const FALLBACK_DEPARTMENT = 'municipal_corporation';
+const OPEN_ASSIGNMENT_STATUSES = ['assigned', 'in_progress'];
+
+// Distance in meters from a point to the nearest edge of a Polygon/MultiPolygon
+const distanceToBoundary = (boundaries, lat, lng) => {
+  if (!boundaries || !Array.isArray(boundaries.coordinates) || boundaries.coordinates.length === 0) {
+    return null;
+  }
+
+  const polygons = boundaries.type === 'MultiPolygon'
+    ? boundaries.coordinates
+    : [boundaries.coordinates];
+
+  let minDistance = null;
+  for (const polygon of polygons) {
+    for (const ring of polygon) {
+      if (!ring || ring.length < 2) continue;
+      const distance = turf.pointToLineDistance(
+        turf.point([lng, lat]),
+        turf.lineString(ring),
+        { units: 'meters' }
+      );
+      if (minDistance === null || distance < minDistance) {
+        minDistance = distance;
+      }
+    }
+  }
+
+  return minDistance;
+};
+
+// Distance in meters from a point to the authority office, if its location is known
+const distanceToOffice = (authority, lat, lng) => {
+  const office = authority.contact && authority.contact.officeLocation;
+  if (!office || !Array.isArray(office.coordinates) || office.coordinates.length !== 2) {
+    return null;
+  }
+
+  return turf.distance([lng, lat], office.coordinates, { units: 'meters' });
+};
+
+// Estimate response time (hours) from an authority's historical performance metrics
+const estimateResponseTime = (metrics = {}) => {
+  const { averageResolutionTime, resolvedIssues, responseRate } = metrics;
+
+  // No history yet - fall back to the platform default
+  if (!resolvedIssues || !averageResolutionTime) {
+    return DEFAULT_RESPONSE_HOURS;
+  }
+
+  // Authorities that respond to fewer issues take proportionally longer
+  const rate = Math.min(Math.max(responseRate ?? 100, 1), 100) / 100;
+  return Math.max(1, Math.round(averageResolutionTime / rate));
+};
+
+// Find active authorities for a location, ranked by boundary containment then distance
+const findAuthoritiesForLocation = async (lat, lng, options = {}) => {
+  const {
+    department,
+    limit = 5,
+    maxDistance = DEFAULT_SEARCH_RADIUS
+  } = options;
+
+  const query = { status: 'active' };
+  if (department) {
+    query.department = department;
+  }
+
+  // $geoNear reports 0 for boundaries that contain the point
+  const candidates = await Authority.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'serviceArea.boundaries',
+        distanceField: 'boundaryDistance',
+        maxDistance,
+        spherical: true,
+        query
+      }
+    },
+    {
+      $project: {
+        name: 1,
+        department: 1,
+        contact: 1,
+        serviceArea: 1,
+        performanceMetrics: 1,
+        boundaryDistance: 1
+      }
+    }
+  ]);
+
+  const ranked = candidates.map(authority => {
+    const withinServiceArea = authority.boundaryDistance === 0;
+    const officeDistance = distanceToOffice(authority, lat, lng);
+    const boundaryDistance = withinServiceArea
+      ? 0
+      : distanceToBoundary(authority.serviceArea.boundaries, lat, lng) ?? authority.boundaryDistance;
+
+    return {
+      ...authority,
+      withinServiceArea,
+      boundaryDistance: Math.round(boundaryDistance),
+      distance: Math.round(officeDistance ?? boundaryDistance),
+      estimatedResponse: estimateResponseTime(authority.performanceMetrics)
+    };
+  });
+
+  ranked.sort((a, b) => {
+    if (a.withinServiceArea !== b.withinServiceArea) {
+      return a.withinServiceArea ? -1 : 1;
+    }
+    return a.distance - b.distance;
+  });
+
+  return ranked.slice(0, limit);
+};
+
+// Map an issue category onto the authority department responsible for it
+const departmentForCategory = (category) => {
+  const departments = Authority.schema.path('department').enumValues;
+  return departments.includes(category) ? category : FALLBACK_DEPARTMENT;
+};
+
+// Extract a 6-digit postal code from a free-text address
+const extractPostalCode = (address) => {
+  const match = typeof address === 'string' ? address.match(/\b\d{6}\b/) : null;
+  return match ? match[0] : null;
+};
+
+// Count open (assigned/in progress) issues per authority
+const getWorkloads = async (authorityIds) => {
+  const counts = await Issue.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: authorityIds },
+        status: { $in: OPEN_ASSIGNMENT_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: '$assignedTo',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const workloads = {};
+  counts.forEach(c => {
+    workloads[c._id.toString()] = c.count;
+  });
+  return workloads;
+};
+
+// Pick the single authority responsible for an issue.
+// Boundary containment wins, then ward, district and postal code matches;
+// ties within a tier go to the least loaded, then best rated, authority.
+const selectAuthorityForIssue = async ({ category, location = {} }) => {
+  const department = departmentForCategory(category);
+  const { lat, lng } = location.coordinates || {};
+  const postalCode = extractPostalCode(location.address);
+  const base = { department, status: 'active' };
+
+  const tiers = [];
+  if (typeof lat === 'number' && typeof lng === 'number') {
+    tiers.push({
+      matchedBy: 'boundary',
+      filter: {
+        'serviceArea.boundaries': {
+          $geoIntersects: {
+            $geometry: { type: 'Point', coordinates: [lng, lat] }
+          }
+        }
+      }
+    });
+  }
+  if (location.ward) {
+    tiers.push({ matchedBy: 'ward', filter: { 'serviceArea.wards': location.ward } });
+  }
+  if (location.district) {
+    tiers.push({ matchedBy: 'district', filter: { 'serviceArea.districts': location.district } });
+  }
+  if (postalCode) {
+    tiers.push({ matchedBy: 'postalCode', filter: { 'serviceArea.postalCodes': postalCode } });
+  }
+
+  for (const tier of tiers) {
+    const authorities = await Authority.find({ ...base, ...tier.filter });
+    if (authorities.length === 0) continue;
+
+    const workloads = await getWorkloads(authorities.map(a => a._id));
+    const candidates = authorities
+      .map(authority => ({
+        authority,
+        workload: workloads[authority._id.toString()] || 0
+      }))
+      .sort((a, b) => {
+        if (a.workload !== b.workload) return a.workload - b.workload;
+        return (b.authority.performanceMetrics?.rating || 0) - (a.authority.performanceMetrics?.rating || 0);
+      });
+
+    return {
+      authority: candidates[0].authority,
+      matchedBy: tier.matchedBy,
+      department,
+      candidates: candidates.map(c => ({
+        id: c.authority._id,
+        name: c.authority.name,
+        workload: c.workload,
+        rating: c.authority.performanceMetrics?.rating
+      }))
+    };
+  }
+
+  return { authority: null, matchedBy: null, department, candidates: [] };
+};
+
+// Values claimed by more than one of two lists (wards, districts, postal codes)
+const sharedValues = (a = [], b = []) => {
+  const setB = new Set(b.map(v => String(v).toLowerCase()));
+  return a.filter(v => setB.has(String(v).toLowerCase()));
+};
+
+// Report overlaps between authority service areas and gaps inside their combined extent.
+// Gaps are areas inside the convex hull of all boundaries that no authority covers.
+const analyzeCoverage = (authorities, { minArea = 1000 } = {}) => {
+  const bounded = [];
+  const unbounded = [];
+
+  authorities.forEach(authority => {
+    const feature = authority.getBoundaryFeature();
+    if (feature) {
+      bounded.push({ authority, feature });
+    } else {
+      unbounded.push({ id: authority._id, name: authority.name });
+    }
+  });
+
+  const overlaps = [];
+  for (let i = 0; i < bounded.length; i++) {
+    for (let j = i + 1; j < bounded.length; j++) {
+      const a = bounded[i];
+      const b = bounded[j];
+      const intersection = turf.intersect(a.feature, b.feature);
+      const area = intersection ? turf.area(intersection) : 0;
+
+      const sharedWards = sharedValues(a.authority.serviceArea.wards, b.authority.serviceArea.wards);
+      const sharedDistricts = sharedValues(a.authority.serviceArea.districts, b.authority.serviceArea.districts);
+      const sharedPostalCodes = sharedValues(a.authority.serviceArea.postalCodes, b.authority.serviceArea.postalCodes);
+
+      if (area >= minArea || sharedWards.length || sharedDistricts.length || sharedPostalCodes.length) {
+        overlaps.push({
+          authorities: [
+            { id: a.authority._id, name: a.authority.name },
+            { id: b.authority._id, name: b.authority.name }
+          ],
+          area: Math.round(area), // square meters
+          centroid: intersection ? turf.centroid(intersection).geometry.coordinates : null,
+          geometry: intersection ? intersection.geometry : null,
+          sharedWards,
+          sharedDistricts,
+          sharedPostalCodes
+        });
+      }
+    }
+  }
+
+  let gaps = [];
+  let totalArea = 0;
+  let coveredArea = 0;
+
+  if (bounded.length > 0) {
+    const covered = bounded.slice(1).reduce(
+      (acc, { feature }) => turf.union(acc, feature) || acc,
+      bounded[0].feature
+    );
+    const extent = turf.convex(turf.featureCollection(bounded.map(b => b.feature)));
+
+    coveredArea = turf.area(covered);
+    totalArea = extent ? turf.area(extent) : coveredArea;
+
+    const uncovered = extent ? turf.difference(extent, covered) : null;
+    if (uncovered) {
+      const parts = uncovered.geometry.type === 'MultiPolygon'
+        ? uncovered.geometry.coordinates.map(coords => turf.polygon(coords))
+        : [uncovered];
+
+      gaps = parts
+        .map(part => ({
+          area: Math.round(turf.area(part)),
+          centroid: turf.centroid(part).geometry.coordinates,
+          geometry: part.geometry
+        }))
+        .filter(gap => gap.area >= minArea)
+        .sort((x, y) => y.area - x.area);
+    }
+  }
+
+  return {
+    authorities: authorities.length,
+    unbounded,
+    totalArea: Math.round(totalArea),
+    coveredArea: Math.round(coveredArea),
+    overlaps,
+    gaps
+  };
+};
+
+module.exports = {
+  DEFAULT_SEARCH_RADIUS,
+  DEFAULT_RESPONSE_HOURS,
+  distanceToBoundary,
+  distanceToOffice,
+  estimateResponseTime,
+  findAuthoritiesForLocation,
+  departmentForCategory,
+  selectAuthorityForIssue,
+  analyzeCoverage
+};
@@ -0,0 +1,215 @@
+// services/slaService.js
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const Authority = require('../models/Authority');
+const AuthorityMember = require('../models/AuthorityMember');
+const SlaPolicy = require('../models/SlaPolicy');
+
+const HOUR = 60 * 60 * 1000;
+
+// Statuses where the SLA clock is running
+const SLA_STATUSES = ['assigned', 'in_progress'];
+
+const PHONE_PATTERN = /^[\+]?[1-9][\d]{0,15}$/;
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+// Issues assigned before SLA tracking existed have no startedAt; fall back to the
+// latest department assignment in the timeline (officer assignments don't restart the clock)
+const getSlaStart = (issue) => {
+  if (issue.sla && issue.sla.startedAt) return new Date(issue.sla.startedAt);
+
+  const assignment = (issue.timeline || [])
+    .filter(entry => entry.action === 'assigned' && !entry.officer)
+    .pop();
+  return new Date(assignment ? assignment.timestamp : issue.createdAt);
+};
+
+// Response and resolution deadlines for an issue under a policy
+const getDeadlines = (issue, policy) => {
+  const startedAt = getSlaStart(issue);
+  return {
+    startedAt,
+    responseDueAt: new Date(startedAt.getTime() + policy.responseHours * HOUR),
+    dueAt: new Date(startedAt.getTime() + policy.resolutionHours * HOUR)
+  };
+};
+
+// The breach an issue is currently in, if any. A missed resolution deadline
+// outranks a missed response deadline.
+const detectBreach = (issue, deadlines, now = new Date()) => {
+  if (now > deadlines.dueAt) {
+    return { breachType: 'resolution', dueAt: deadlines.dueAt };
+  }
+  if (issue.status === 'assigned' && now > deadlines.responseDueAt) {
+    return { breachType: 'response', dueAt: deadlines.responseDueAt };
+  }
+  return null;
+};
+
+// Head of department contact plus any active 'head' staff accounts, deduplicated
+const getHeadRecipients = async (authority) => {
+  if (!authority) return [];
+
+  const recipients = [];
+  const { headOfDepartment } = authority;
+  if (headOfDepartment && headOfDepartment.contact) {
+    const contact = headOfDepartment.contact.trim();
+    const name = headOfDepartment.name || authority.name;
+    const language = authority.notificationPreferences && authority.notificationPreferences.language;
+    if (contact.includes('@')) {
+      recipients.push({ name, email: contact.toLowerCase(), language });
+    } else if (PHONE_PATTERN.test(contact)) {
+      recipients.push({ name, phone: contact, language });
+    }
+  }
+
+  const heads = await AuthorityMember.find({
+    authority: authority._id,
+    role: 'head',
+    status: 'active'
+  }).select('name email phone language').lean();
+  heads.forEach(head => {
+    if (!recipients.some(r => r.email && r.email === head.email)) {
+      recipients.push({ memberId: head._id, name: head.name, email: head.email, phone: head.phone, language: head.language });
+    }
+  });
+
+  // Nobody named as head: fall back to the department mailbox
+  if (recipients.length === 0 && authority.contact && authority.contact.email) {
+    recipients.push({
+      name: authority.name,
+      email: authority.contact.email,
+      language: authority.notificationPreferences && authority.notificationPreferences.language
+    });
+  }
+
+  return recipients;
+};
+
+const getAdminRecipients = async () => {
+  const admins = await User.find({ role: 'admin', status: 'active' }).select('name email preferences').lean();
+  return admins.map(admin => ({
+    userId: admin._id,
+    name: admin.name,
+    email: admin.email,
+    language: admin.preferences && admin.preferences.language,
+    preferences: admin.preferences
+  }));
+};
+
+// Move an issue up one escalation level and notify the next tier.
+// The level check in the filter keeps concurrent evaluators from escalating twice.
+const escalateIssue = async (issue, level, breach, authority, notificationService, now) => {
+  const overdueHours = Math.round((now - breach.dueAt) / HOUR * 10) / 10;
+  const target = level > 1 ? 'admins' : 'head of department';
+  const deadline = breach.breachType === 'response' ? 'Response' : 'Resolution';
+
+  const updated = await Issue.findOneAndUpdate(
+    {
+      _id: issue._id,
+      status: { $in: SLA_STATUSES },
+      'sla.escalationLevel': { $not: { $gte: level } }
+    },
+    {
+      $set: { 'sla.escalationLevel': level, 'sla.lastEscalatedAt': now },
+      $push: {
+        timeline: {
+          action: 'escalated',
+          timestamp: now,
+          authority: issue.assignedTo,
+          notes: `${deadline} SLA missed by ${overdueHours}h; escalated to ${target}`
+        }
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!updated) return false;
+
+  if (notificationService) {
+    const recipients = level > 1 ? await getAdminRecipients() : await getHeadRecipients(authority);
+    await notificationService.notifySlaEscalation(updated, {
+      level,
+      breachType: breach.breachType,
+      dueAt: breach.dueAt,
+      overdueHours,
+      authority
+    }, recipients);
+  }
+
+  return true;
+};
+
+// Check every open issue against its SLA policy: keep stored deadlines in sync,
+// flag breaches, escalate to the head of department, then to admins if still overdue.
+const evaluateSlaBreaches = async (notificationService, { now = new Date() } = {}) => {
+  const resolvePolicy = await SlaPolicy.getResolver();
+  const issues = await Issue.find({ status: { $in: SLA_STATUSES } })
+    .select('title category priority status location assignedTo timeline createdAt sla')
+    .lean();
+
+  const authorityIds = [...new Set(issues.filter(i => i.assignedTo).map(i => i.assignedTo.toString()))];
+  const authorities = await Authority.find({ _id: { $in: authorityIds } })
+    .select('name contact headOfDepartment notificationPreferences')
+    .lean();
+  const authorityById = new Map(authorities.map(a => [a._id.toString(), a]));
+
+  const summary = { evaluated: issues.length, breached: 0, escalatedToHead: 0, escalatedToAdmins: 0 };
+
+  for (const issue of issues) {
+    const sla = issue.sla || {};
+    const policy = resolvePolicy(issue.category, issue.priority);
+    const deadlines = getDeadlines(issue, policy);
+    const breach = detectBreach(issue, deadlines, now);
+
+    const changes = {};
+    ['startedAt', 'responseDueAt', 'dueAt'].forEach(field => {
+      if (!sameTime(sla[field], deadlines[field])) changes[`sla.${field}`] = deadlines[field];
+    });
+    // Deadlines follow the current policy, so relaxing a policy can clear a breach
+    if (breach && (!sla.breached || sla.breachType !== breach.breachType)) {
+      changes['sla.breached'] = true;
+      changes['sla.breachType'] = breach.breachType;
+      if (!sla.breached) changes['sla.breachedAt'] = now;
+    } else if (!breach && sla.breached) {
+      changes['sla.breached'] = false;
+    }
+    if (Object.keys(changes).length > 0) {
+      await Issue.updateOne({ _id: issue._id }, { $set: changes });
+    }
+
+    if (!breach) continue;
+    summary.breached += 1;
+
+    const authority = issue.assignedTo ? authorityById.get(issue.assignedTo.toString()) : null;
+    const level = sla.escalationLevel || 0;
+
+    try {
+      if (level === 0) {
+        if (await escalateIssue(issue, 1, breach, authority, notificationService, now)) {
+          summary.escalatedToHead += 1;
+        }
+      } else if (level === 1) {
+        const waitedHours = (now - new Date(sla.lastEscalatedAt || 0)) / HOUR;
+        if (waitedHours >= policy.adminEscalationHours &&
+            await escalateIssue(issue, 2, breach, authority, notificationService, now)) {
+          summary.escalatedToAdmins += 1;
+        }
+      }
+    } catch (error) {
+      // One failed notification shouldn't stop the rest of the run
+      console.error(`SLA escalation error for issue ${issue._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  SLA_STATUSES,
+  getSlaStart,
+  getDeadlines,
+  detectBreach,
+  getHeadRecipients,
+  evaluateSlaBreaches
+};
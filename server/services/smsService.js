@@ -1,14 +1,16 @@
 // services/smsService.js
 const twilio = require('twilio');
+const { DEFAULT_LOCALE, renderTemplate, localeFor, labelFor, formatDate } = require('./templateService');
+const deliveryQueue = require('./deliveryQueue');
 
 // Initialize Twilio client
 const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
-// Send SMS utility
-const sendSMS = async (to, message) => {
+// Hand a rendered SMS to Twilio. Called by the delivery queue, and directly for codes.
+const deliverSMS = async ({ to, body }) => {
   try {
     const result = await client.messages.create({
-      body: message,
+      body,
       from: process.env.TWILIO_PHONE_NUMBER,
       to: to
     });
@@ -28,22 +30,52 @@ const sendSMS = async (to, message) => {
   }
 };
 
-// Send issue status update SMS
-const sendIssueStatusSMS = async (user, issue, newStatus) => {
-  const statusMessages = {
-    verified: `✅ Your issue "${issue.title}" has been verified and forwarded to authorities.`,
-    rejected: `❌ Your issue "${issue.title}" needs more information. Check your email for details.`,
-    assigned: `📋 Your issue "${issue.title}" has been assigned to the relevant department.`,
-    in_progress: `🔧 Work has started on your issue "${issue.title}".`,
-    resolved: `🎉 Great news! Your issue "${issue.title}" has been resolved.`,
-    closed: `📁 Your issue "${issue.title}" has been closed.`
-  };
+// Send SMS utility. The message is queued and delivered in the background with retries.
+const sendSMS = async (to, message, context = {}) => {
+  return deliveryQueue.enqueue('sms', { to, body: message }, context);
+};
 
-  const message = `${statusMessages[newStatus]}\n\nView details: ${process.env.CLIENT_URL}/issues/${issue._id}`;
+// Check that the Twilio account is reachable and active
+const verifyConnection = async () => {
+  try {
+    const account = await client.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+    return account.status === 'active'
+      ? { success: true }
+      : { success: false, error: `Twilio account is ${account.status}` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
 
+// Render a template in the recipient's language and send it.
+// `direct` skips the queue for codes, so they are never stored and failures reach the caller.
+const sendTemplateSMS = async (to, name, locale, variables, { direct = false } = {}) => {
+  try {
+    const { body } = await renderTemplate('sms', name, locale, variables);
+    if (direct) {
+      return deliverSMS({ to, body });
+    }
+    return sendSMS(to, body, { template: name });
+  } catch (error) {
+    console.error(`SMS template error (${name}):`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send welcome SMS to a new user
+const sendWelcomeSMS = async (user) => {
+  return sendTemplateSMS(user.phone, 'welcome', localeFor(user), {});
+};
+
+// Send issue status update SMS
+const sendIssueStatusSMS = async (user, issue, newStatus) => {
   // Only send SMS if user has opted in for SMS notifications
   if (user.preferences && user.preferences.smsNotifications) {
-    return sendSMS(user.phone, message);
+    return sendTemplateSMS(user.phone, 'issueStatus', localeFor(user), {
+      issueTitle: issue.title,
+      is: { [newStatus]: true },
+      issueUrl: `${process.env.CLIENT_URL}/issues/${issue._id}`
+    });
   }
 
   return { success: true, skipped: true, reason: 'SMS notifications disabled' };
@@ -51,21 +83,19 @@ const sendIssueStatusSMS = async (user, issue, newStatus) => {
 
 // Send authority notification SMS
 const sendAuthorityNotificationSMS = async (authority, issue) => {
-  const message = `🚨 NEW ISSUE ASSIGNED
-${issue.title}
-
-Category: ${issue.category.replace('_', ' ')}
-Priority: ${issue.priority}
-Location: ${issue.location.address}
-
-View: ${process.env.CLIENT_URL}/authority/issues/${issue._id}`;
-
   // Check if authority wants SMS notifications and if urgent only filter applies
   const shouldSend = authority.notificationPreferences.smsNotifications && 
     (!authority.notificationPreferences.urgentOnly || issue.priority === 'urgent');
 
   if (shouldSend) {
-    return sendSMS(authority.contact.phone, message);
+    const locale = localeFor(authority);
+    return sendTemplateSMS(authority.contact.phone, 'authorityNotification', locale, {
+      issueTitle: issue.title,
+      categoryLabel: labelFor(locale, 'categories', issue.category),
+      priorityLabel: labelFor(locale, 'priorities', issue.priority),
+      address: issue.location.address,
+      issueUrl: `${process.env.CLIENT_URL}/authority/issues/${issue._id}`
+    });
   }
 
   return { success: true, skipped: true, reason: 'SMS notifications disabled or not urgent' };
@@ -73,50 +103,32 @@ View: ${process.env.CLIENT_URL}/authority/issues/${issue._id}`;
 
 // Send urgent issue alert SMS
 const sendUrgentIssueAlertSMS = async (authority, issue) => {
-  const message = `🚨 URGENT ISSUE ALERT 🚨
-${issue.title}
-
-Location: ${issue.location.address}
-Reporter: ${issue.reporter.name}
-
-IMMEDIATE ATTENTION REQUIRED
-
-View: ${process.env.CLIENT_URL}/authority/issues/${issue._id}`;
-
-  return sendSMS(authority.contact.phone, message);
+  return sendTemplateSMS(authority.contact.phone, 'urgentAlert', localeFor(authority), {
+    issueTitle: issue.title,
+    address: issue.location.address,
+    reporterName: issue.reporter.name,
+    issueUrl: `${process.env.CLIENT_URL}/authority/issues/${issue._id}`
+  });
 };
 
 // Send verification code SMS
-const sendVerificationCodeSMS = async (phone, code) => {
-  const message = `Your Voice2Action verification code is: ${code}
-
-This code will expire in 10 minutes. Do not share this code with anyone.`;
-
-  return sendSMS(phone, message);
+const sendVerificationCodeSMS = async (phone, code, locale = DEFAULT_LOCALE) => {
+  return sendTemplateSMS(phone, 'verificationCode', locale, { code }, { direct: true });
 };
 
 // Send password reset code SMS
 const sendPasswordResetCodeSMS = async (user, code) => {
-  const message = `Your Voice2Action password reset code is: ${code}
-
-This code will expire in 10 minutes. If you didn't request this, please ignore.`;
-
-  return sendSMS(user.phone, message);
+  return sendTemplateSMS(user.phone, 'passwordResetCode', localeFor(user), { code }, { direct: true });
 };
 
 // Send emergency alert SMS (for critical infrastructure issues)
-const sendEmergencyAlertSMS = async (phone, issue) => {
-  const message = `🚨 EMERGENCY ALERT 🚨
-Critical infrastructure issue reported: ${issue.title}
-
-Location: ${issue.location.address}
-Time: ${new Date(issue.createdAt).toLocaleString()}
-
-Immediate response required.
-
-View: ${process.env.CLIENT_URL}/issues/${issue._id}`;
-
-  return sendSMS(phone, message);
+const sendEmergencyAlertSMS = async (phone, issue, locale = DEFAULT_LOCALE) => {
+  return sendTemplateSMS(phone, 'emergencyAlert', locale, {
+    issueTitle: issue.title,
+    address: issue.location.address,
+    reportedAt: formatDate(issue.createdAt, locale, { time: true }),
+    issueUrl: `${process.env.CLIENT_URL}/issues/${issue._id}`
+  });
 };
 
 // Send bulk SMS to multiple recipients
@@ -146,41 +158,52 @@ const sendBulkSMS = async (phoneNumbers, message) => {
 
 // Send weekly summary SMS
 const sendWeeklySummarySMS = async (user, stats) => {
-  const message = `📊 Voice2Action Weekly Summary
-
-Your Impact:
-✅ ${stats.issuesReported} issues reported
-🎯 ${stats.issuesResolved} issues resolved  
-⭐ ${stats.points} points earned
-🏆 Rank #${stats.rank}
-
-Keep making a difference!
-
-View: ${process.env.CLIENT_URL}/dashboard`;
-
   if (user.preferences && user.preferences.smsNotifications) {
-    return sendSMS(user.phone, message);
+    return sendTemplateSMS(user.phone, 'weeklySummary', localeFor(user), stats);
   }
 
   return { success: true, skipped: true, reason: 'SMS notifications disabled' };
 };
 
 // Send maintenance notification SMS
-const sendMaintenanceNotificationSMS = async (phoneNumbers, maintenanceInfo) => {
-  const message = `🔧 Voice2Action Maintenance Notice
+const sendMaintenanceNotificationSMS = async (phoneNumbers, maintenanceInfo, locale = DEFAULT_LOCALE) => {
+  const { body } = await renderTemplate('sms', 'maintenance', locale, maintenanceInfo);
+  return sendBulkSMS(phoneNumbers, body);
+};
 
-Scheduled maintenance: ${maintenanceInfo.date} at ${maintenanceInfo.time}
-Expected duration: ${maintenanceInfo.duration}
+// Send SLA escalation SMS
+const sendSlaEscalationSMS = async (phone, issue, escalation, locale = DEFAULT_LOCALE) => {
+  return sendTemplateSMS(phone, 'slaEscalation', locale, {
+    issueTitle: issue.title,
+    priorityLabel: labelFor(locale, 'priorities', issue.priority),
+    statusLabel: labelFor(locale, 'statuses', issue.status),
+    overdueHours: escalation.overdueHours,
+    issueUrl: `${process.env.CLIENT_URL}/authority/issues/${issue._id}`
+  });
+};
 
-During this time, some features may be temporarily unavailable.
+// Send system announcement SMS
+const sendAnnouncementSMS = async (user, announcement) => {
+  // Keep announcements within a few SMS segments
+  const body = announcement.message.length > 300
+    ? `${announcement.message.slice(0, 297)}...`
+    : announcement.message;
 
-Thank you for your patience!`;
+  if (user.preferences && user.preferences.smsNotifications) {
+    return sendTemplateSMS(user.phone, 'announcement', localeFor(user), {
+      title: announcement.title,
+      message: body
+    });
+  }
 
-  return sendBulkSMS(phoneNumbers, message);
+  return { success: true, skipped: true, reason: 'SMS notifications disabled' };
 };
 
 module.exports = {
+  deliverSMS,
   sendSMS,
+  verifyConnection,
+  sendWelcomeSMS,
   sendIssueStatusSMS,
   sendAuthorityNotificationSMS,
   sendUrgentIssueAlertSMS,
@@ -189,5 +212,7 @@ module.exports = {
   sendEmergencyAlertSMS,
   sendBulkSMS,
   sendWeeklySummarySMS,
-  sendMaintenanceNotificationSMS
+  sendMaintenanceNotificationSMS,
+  sendAnnouncementSMS,
+  sendSlaEscalationSMS
 };
\ No newline at end of file
@@ -0,0 +1,488 @@
+// services/storageService.js
+const crypto = require('crypto');
+const { constants, createReadStream } = require('fs');
+const { Readable } = require('stream');
+const fs = require('fs/promises');
+const path = require('path');
+const { processImage } = require('./imageService');
+
+const DEFAULT_LOCAL_ROOT = path.join(__dirname, '..', 'uploads');
+const SIGNED_URL_TTL = 60 * 60; // seconds
+
+// voice2action/images/1700000000000_<uuid>_pothole.jpg, with only URL- and filesystem-safe characters.
+// The random part keeps two uploads of the same file name in the same millisecond apart.
+const buildKey = (fileName, resourceType) => {
+  const safeName = path.basename(fileName).replace(/[^\w.-]+/g, '_').slice(-100);
+  return `voice2action/${resourceType}s/${Date.now()}_${crypto.randomUUID()}_${safeName}`;
+};
+
+const formatOf = (fileName) => path.extname(fileName).slice(1).toLowerCase() || undefined;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Every driver implements the same contract:
+//   upload(buffer, fileName, resourceType, { contentType }) -> { url, publicId, format, size, width, height, duration }
+//   uploadFile(filePath, fileName, resourceType, { contentType }) -> same, streamed from disk
+//   read(publicId, resourceType) -> Buffer with the stored bytes, for server-side processing
+//   delete(publicId, resourceType) -> { result: 'ok' | 'not found' }
+//   getOptimizedUrl(publicId, options) -> URL a browser can load
+//   signUrl(url) -> a loadable, time-limited link when `url` is one of this driver's private links; otherwise `url`
+//   ping() -> { success, error }
+
+// Cloudinary, with resizing and format conversion done on their side
+class CloudinaryStorage {
+  constructor() {
+    this.name = 'cloudinary';
+  }
+
+  // Loaded on first use so other drivers run without Cloudinary credentials
+  get client() {
+    return require('../config/cloudinary');
+  }
+
+  // Cloudinary treats audio as a video resource type
+  resourceTypeFor(resourceType) {
+    return resourceType === 'audio' ? 'video' : resourceType;
+  }
+
+  upload(buffer, fileName, resourceType = 'auto') {
+    return this.client.uploadToCloudinary(buffer, fileName, this.resourceTypeFor(resourceType));
+  }
+
+  uploadFile(filePath, fileName, resourceType = 'auto') {
+    return this.client.uploadToCloudinary(createReadStream(filePath), fileName, this.resourceTypeFor(resourceType));
+  }
+
+  // Delivery URLs are public, so the original is fetched from the CDN
+  async read(publicId, resourceType = 'image') {
+    const url = this.client.cloudinary.url(publicId, { resource_type: this.resourceTypeFor(resourceType), secure: true });
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed (${response.status})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  delete(publicId, resourceType = 'image') {
+    return this.client.deleteFromCloudinary(publicId, this.resourceTypeFor(resourceType));
+  }
+
+  getOptimizedUrl(publicId, options = {}) {
+    return this.client.getOptimizedUrl(publicId, options);
+  }
+
+  // Delivery URLs are already public
+  signUrl(url) {
+    return url;
+  }
+
+  ping() {
+    return this.client.pingCloudinary();
+  }
+}
+
+// Files on the server's disk, served by routes/media.js to signed-in users or signed links.
+// Meant for development and single-server deployments.
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_ROOT);
+    this.baseUrl = (options.baseUrl || process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    this.secret = options.secret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  }
+
+  // Absolute path for a key, or null when the key would escape the storage directory
+  resolve(publicId) {
+    const filePath = path.resolve(this.root, publicId);
+    return filePath.startsWith(this.root + path.sep) ? filePath : null;
+  }
+
+  urlFor(publicId) {
+    return `${this.baseUrl}/api/media/${publicId}`;
+  }
+
+  async upload(buffer, fileName, resourceType = 'auto') {
+    const publicId = buildKey(fileName, resourceType);
+    const filePath = this.resolve(publicId);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return {
+      url: this.urlFor(publicId),
+      publicId,
+      format: formatOf(fileName),
+      size: buffer.length
+    };
+  }
+
+  async uploadFile(sourcePath, fileName, resourceType = 'auto') {
+    const publicId = buildKey(fileName, resourceType);
+    const filePath = this.resolve(publicId);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.copyFile(sourcePath, filePath);
+    const { size } = await fs.stat(filePath);
+
+    return {
+      url: this.urlFor(publicId),
+      publicId,
+      format: formatOf(fileName),
+      size
+    };
+  }
+
+  async read(publicId) {
+    const filePath = this.resolve(publicId);
+    if (!filePath) {
+      throw new Error(`Invalid storage key ${publicId}`);
+    }
+    return fs.readFile(filePath);
+  }
+
+  async delete(publicId) {
+    const filePath = this.resolve(publicId);
+    if (!filePath) return { result: 'not found' };
+    try {
+      await fs.unlink(filePath);
+      return { result: 'ok' };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { result: 'not found' };
+      throw error;
+    }
+  }
+
+  signature(publicId, expires) {
+    return hmac(this.secret, `${publicId}:${expires}`).toString('hex');
+  }
+
+  // Time-limited link for <img>/<video> tags, which cannot send an Authorization header
+  getOptimizedUrl(publicId, { expiresIn = SIGNED_URL_TTL } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.urlFor(publicId)}?expires=${expires}&signature=${this.signature(publicId, expires)}`;
+  }
+
+  signUrl(url) {
+    const prefix = this.urlFor('');
+    if (!url.startsWith(prefix) || url.includes('?')) return url;
+    return this.getOptimizedUrl(url.slice(prefix.length));
+  }
+
+  verifySignature(publicId, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+    const expected = Buffer.from(this.signature(publicId, expires));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  async ping() {
+    try {
+      await fs.mkdir(this.root, { recursive: true });
+      await fs.access(this.root, constants.W_OK);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Amazon S3 or any S3-compatible service (MinIO, LocalStack, R2), signed with AWS Signature V4.
+// Set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for local stand-ins.
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    this.forcePathStyle = options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true';
+    this.endpoint = (options.endpoint || process.env.S3_ENDPOINT ||
+      (this.forcePathStyle ? `https://s3.${this.region}.amazonaws.com` : `https://${this.bucket}.s3.${this.region}.amazonaws.com`)
+    ).replace(/\/$/, '');
+    // Public or CDN base URL for stored links; without one, links point at the bucket itself
+    this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || '').replace(/\/$/, '') || null;
+  }
+
+  objectUrl(key = '') {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return this.forcePathStyle
+      ? `${this.endpoint}/${this.bucket}/${encodedKey}`
+      : `${this.endpoint}/${encodedKey}`;
+  }
+
+  // Credential scope and signing key for a request made at `date`
+  credentials(date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+    const key = ['s3', 'aws4_request'].reduce(
+      (signingKey, part) => hmac(signingKey, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, day), this.region)
+    );
+    return { amzDate, scope, key };
+  }
+
+  signatureFor(method, url, headers, query, payloadHash, { amzDate, scope, key }) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(query[name])}`)
+      .join('&');
+    const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, names.join(';'), payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    return { signature: hmac(key, stringToSign).toString('hex'), signedHeaders: names.join(';') };
+  }
+
+  // A stream body must come with its contentLength; its payload is sent unsigned
+  async request(method, key, { body, contentType, contentLength } = {}) {
+    const url = new URL(this.objectUrl(key));
+    const streamed = body instanceof Readable;
+    const payloadHash = streamed ? 'UNSIGNED-PAYLOAD' : sha256(body || '');
+    const credentials = this.credentials(new Date());
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': credentials.amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+    if (streamed) headers['content-length'] = String(contentLength);
+
+    const { signature, signedHeaders } = this.signatureFor(method, url, headers, {}, payloadHash, credentials);
+    const { host, ...sendHeaders } = headers;
+
+    return fetch(url, {
+      method,
+      body: streamed ? Readable.toWeb(body) : body,
+      duplex: streamed ? 'half' : undefined,
+      headers: {
+        ...sendHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${credentials.scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+  }
+
+  async upload(buffer, fileName, resourceType = 'auto', { contentType } = {}) {
+    const publicId = buildKey(fileName, resourceType);
+    const response = await this.request('PUT', publicId, {
+      body: buffer,
+      contentType: contentType || 'application/octet-stream'
+    });
+    if (!response.ok) {
+      throw new Error(`S3 upload failed (${response.status}): ${await response.text()}`);
+    }
+
+    return {
+      url: this.publicUrl ? `${this.publicUrl}/${publicId}` : this.objectUrl(publicId),
+      publicId,
+      format: formatOf(fileName),
+      size: buffer.length
+    };
+  }
+
+  async uploadFile(filePath, fileName, resourceType = 'auto', { contentType } = {}) {
+    const publicId = buildKey(fileName, resourceType);
+    const { size } = await fs.stat(filePath);
+    const response = await this.request('PUT', publicId, {
+      body: createReadStream(filePath),
+      contentType: contentType || 'application/octet-stream',
+      contentLength: size
+    });
+    if (!response.ok) {
+      throw new Error(`S3 upload failed (${response.status}): ${await response.text()}`);
+    }
+
+    return {
+      url: this.publicUrl ? `${this.publicUrl}/${publicId}` : this.objectUrl(publicId),
+      publicId,
+      format: formatOf(fileName),
+      size
+    };
+  }
+
+  async read(publicId) {
+    const response = await this.request('GET', publicId);
+    if (!response.ok) {
+      throw new Error(`S3 download failed (${response.status}): ${await response.text()}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(publicId) {
+    const response = await this.request('DELETE', publicId);
+    if (response.status === 404) return { result: 'not found' };
+    if (!response.ok) {
+      throw new Error(`S3 delete failed (${response.status}): ${await response.text()}`);
+    }
+    return { result: 'ok' };
+  }
+
+  // Presigned GET link, so objects can stay private
+  getOptimizedUrl(publicId, { expiresIn = SIGNED_URL_TTL } = {}) {
+    const url = new URL(this.objectUrl(publicId));
+    const credentials = this.credentials(new Date());
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${credentials.scope}`,
+      'X-Amz-Date': credentials.amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const { signature } = this.signatureFor('GET', url, { host: url.host }, query, 'UNSIGNED-PAYLOAD', credentials);
+
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+    url.searchParams.set('X-Amz-Signature', signature);
+    return url.toString();
+  }
+
+  // Links into the bucket itself are presigned; a public or CDN base URL is left alone
+  signUrl(url) {
+    const prefix = this.objectUrl('');
+    if (this.publicUrl || !url.startsWith(prefix) || url.includes('?')) return url;
+    return this.getOptimizedUrl(url.slice(prefix.length).split('/').map(decodeURIComponent).join('/'));
+  }
+
+  // HEAD on the bucket checks both the endpoint and the credentials
+  async ping() {
+    try {
+      const response = await this.request('HEAD', '');
+      return response.ok
+        ? { success: true }
+        : { success: false, error: `Bucket check failed (${response.status})` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// STORAGE_DRIVER=cloudinary|local|s3. Without it, Cloudinary is used when configured and local disk otherwise.
+const createStorage = (type = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')) => {
+  switch (type) {
+    case 'cloudinary':
+      return new CloudinaryStorage();
+    case 's3':
+      return new S3Storage();
+    case 'local':
+      return new LocalStorage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${type}"`);
+  }
+};
+
+const storage = createStorage();
+
+// Stored links to private media (local files, and S3 objects without a public URL) are signed
+// as responses are built, so they load in <img>/<video> tags without an Authorization header
+const signMediaUrl = (url) => (typeof url === 'string' && url ? storage.signUrl(url) : url);
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// A user, or a populated reference to one, with a loadable avatar link
+const signAvatar = (user) => {
+  const plain = toPlain(user);
+  if (!plain || typeof plain !== 'object' || !plain.avatar) return plain;
+  return { ...plain, avatar: signMediaUrl(plain.avatar) };
+};
+
+// An issue with loadable links for its media and thumbnails, and its reporter's and commenters' avatars
+const signIssueMedia = (issue) => {
+  const plain = toPlain(issue);
+  if (!plain) return plain;
+
+  const signed = { ...plain };
+  if (Array.isArray(plain.media)) {
+    signed.media = plain.media.map(item => ({
+      ...item,
+      url: signMediaUrl(item.url),
+      thumbnailUrl: signMediaUrl(item.thumbnailUrl),
+      thumbnails: (item.thumbnails || []).map(thumbnail => ({ ...thumbnail, url: signMediaUrl(thumbnail.url) }))
+    }));
+  }
+  if (plain.reporter) signed.reporter = signAvatar(plain.reporter);
+  if (Array.isArray(plain.comments)) {
+    signed.comments = plain.comments.map(comment => ({ ...comment, user: signAvatar(comment.user) }));
+  }
+  return signed;
+};
+
+const mediaTypeOf = (mimetype) => (
+  mimetype.startsWith('image/') ? 'image' : mimetype.startsWith('video/') ? 'video' : 'audio'
+);
+
+// Photos are stored without their metadata, alongside resized copies (see imageService)
+const uploadImage = async (file, driver) => {
+  const image = await processImage(file.buffer || await fs.readFile(file.path));
+  const result = await driver.upload(image.buffer, file.originalname, 'image', { contentType: file.mimetype });
+
+  const baseName = path.basename(file.originalname, path.extname(file.originalname));
+  const thumbnails = [];
+  for (const thumbnail of image.thumbnails) {
+    const stored = await driver.upload(thumbnail.buffer, `${baseName}_${thumbnail.size}.webp`, 'image', { contentType: 'image/webp' });
+    thumbnails.push({
+      size: thumbnail.size,
+      url: stored.url,
+      publicId: stored.publicId,
+      width: thumbnail.width,
+      height: thumbnail.height
+    });
+  }
+
+  return {
+    ...result,
+    width: image.width,
+    height: image.height,
+    thumbnails,
+    thumbnailUrl: thumbnails.length > 0 ? thumbnails[0].url : undefined,
+    phash: image.phash,
+    capture: image.capture
+  };
+};
+
+// Upload multer files in parallel; failed files come back as { error: true, filename, message }.
+// Files on disk ({ path } instead of { buffer }) are streamed to storage.
+// Images also carry `capture` ({ takenAt, location } from EXIF) for the caller to check and discard.
+const uploadMultipleFiles = async (files, driver = storage) => {
+  return Promise.all(files.map(file => {
+    const type = mediaTypeOf(file.mimetype);
+    const options = { contentType: file.mimetype };
+    const upload = type === 'image'
+      ? uploadImage(file, driver)
+      : file.buffer
+        ? driver.upload(file.buffer, file.originalname, type, options)
+        : driver.uploadFile(file.path, file.originalname, type, options);
+
+    return upload
+      .then(result => ({
+        type,
+        url: result.url,
+        publicId: result.publicId,
+        filename: file.originalname,
+        size: result.size,
+        originalSize: file.size,
+        format: result.format,
+        width: result.width,
+        height: result.height,
+        duration: result.duration,
+        thumbnails: result.thumbnails,
+        thumbnailUrl: result.thumbnailUrl,
+        phash: result.phash,
+        capture: result.capture
+      }))
+      .catch(error => ({
+        error: true,
+        filename: file.originalname,
+        message: error.message
+      }));
+  }));
+};
+
+module.exports = {
+  CloudinaryStorage,
+  LocalStorage,
+  S3Storage,
+  createStorage,
+  storage,
+  signMediaUrl,
+  signAvatar,
+  signIssueMedia,
+  uploadMultipleFiles
+};
@@ -0,0 +1,412 @@
+// services/templateService.js
+const MessageTemplate = require('../models/MessageTemplate');
+const { SUPPORTED_LANGUAGES } = require('./translationService');
+
+const DEFAULT_LOCALE = 'en';
+const CACHE_TTL = 60 * 1000; // ms, so other instances pick up admin edits
+
+// Built-in templates per locale; a locale may leave out any template or label
+const BUILT_IN = {
+  en: require('../templates/en'),
+  hi: require('../templates/hi'),
+  te: require('../templates/te')
+};
+
+// Preview values; status, priority and category labels are added in the preview's locale
+const SAMPLE_ISSUE = {
+  issueTitle: 'Overflowing drain near the bus stop',
+  address: 'MG Road, Ward 12',
+  reportedOn: '12/10/2026',
+  issueUrl: 'https://voice2action.example/issues/652f1c2e9b1e8a0012345678'
+};
+
+const SAMPLE_UNSUBSCRIBE_URL = 'https://voice2action.example/unsubscribe?token=sample';
+
+// Every template, the variables it is rendered with, and sample values for previews
+const TEMPLATE_CATALOG = {
+  email: {
+    welcome: {
+      description: 'Sent after a citizen registers',
+      variables: ['name', 'appUrl'],
+      sample: { name: 'Priya' }
+    },
+    issueStatus: {
+      description: 'Sent to the reporter when their issue changes status',
+      variables: ['name', 'issueTitle', 'statusLabel', 'statusColor', 'is.<status>', 'adminNotes', 'address', 'categoryLabel', 'reportedOn', 'issueUrl', 'unsubscribeUrl'],
+      sample: { ...SAMPLE_ISSUE, name: 'Priya', statusColor: '#f59e0b', is: { assigned: true }, adminNotes: 'Forwarded to the drainage department.', unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL }
+    },
+    authorityNotification: {
+      description: 'Sent to a department when an issue is assigned to it',
+      variables: ['authorityName', 'issueTitle', 'description', 'categoryLabel', 'priorityLabel', 'address', 'reportedOn', 'attachmentCount', 'reporterName', 'reporterEmail', 'reporterPhone', 'issueUrl'],
+      sample: {
+        ...SAMPLE_ISSUE,
+        authorityName: 'Drainage Department',
+        description: 'Sewage water has been overflowing onto the road for three days.',
+        attachmentCount: 2,
+        reporterName: 'Priya',
+        reporterEmail: 'priya@example.com',
+        reporterPhone: '+919876543210'
+      }
+    },
+    officerAssignment: {
+      description: 'Sent to a staff member when an issue is assigned to them',
+      variables: ['officerName', 'authorityName', 'issueTitle', 'categoryLabel', 'priorityLabel', 'address', 'statusLabel', 'issueUrl'],
+      sample: { ...SAMPLE_ISSUE, officerName: 'Ravi Kumar', authorityName: 'Drainage Department' }
+    },
+    slaEscalation: {
+      description: 'Sent to heads of department (level 1) or admins (level 2) when an issue breaches its SLA',
+      variables: ['recipientName', 'authorityName', 'responseBreach', 'escalated', 'issueTitle', 'categoryLabel', 'priorityLabel', 'statusLabel', 'dueAt', 'overdueHours', 'address', 'issueUrl', 'unsubscribeUrl'],
+      sample: { ...SAMPLE_ISSUE, recipientName: 'Anita Rao', authorityName: 'Drainage Department', responseBreach: true, escalated: false, dueAt: '14/10/2026, 10:00:00 am', overdueHours: 6.5 }
+    },
+    passwordReset: {
+      description: 'Password reset link',
+      variables: ['name', 'resetUrl'],
+      sample: { name: 'Priya', resetUrl: 'https://voice2action.example/reset-password?token=sample' }
+    },
+    monthlyReport: {
+      description: 'Monthly contribution summary',
+      variables: ['name', 'month', 'year', 'issuesReported', 'issuesResolved', 'points', 'rank', 'hasAchievements', 'achievements', 'unsubscribeUrl'],
+      sample: { name: 'Priya', month: 'September', year: 2026, issuesReported: 4, issuesResolved: 3, points: 120, rank: 8, hasAchievements: true, achievements: ['First Report', 'Problem Solver'], unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL }
+    },
+    announcement: {
+      description: 'System announcement from an admin',
+      variables: ['name', 'title', 'message', 'accent', 'unsubscribeUrl'],
+      sample: { name: 'Priya', title: 'Water supply maintenance', message: 'Water supply will be interrupted on Sunday from 6am to 2pm.', accent: '#2563eb', unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL }
+    },
+    dailyDigest: {
+      description: 'Once-a-day summary for users who chose the daily digest',
+      variables: ['name', 'count', 'items', 'items.title', 'items.message', 'items.time', 'items.url', 'unsubscribeUrl'],
+      sample: {
+        name: 'Priya',
+        count: 2,
+        items: [
+          { title: 'Issue status updated', message: '"Overflowing drain near the bus stop" is now in progress', time: '14/10/2026, 10:00:00 am', url: SAMPLE_ISSUE.issueUrl },
+          { title: 'Water supply maintenance', message: 'Water supply will be interrupted on Sunday from 6am to 2pm.', time: '14/10/2026, 4:30:00 pm' }
+        ],
+        unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL
+      }
+    },
+    authorityLoginOtp: {
+      description: 'One-time code for the authority portal login',
+      variables: ['authorityName', 'otp'],
+      sample: { authorityName: 'Drainage Department', otp: '482913' }
+    }
+  },
+  sms: {
+    welcome: {
+      description: 'Sent after a citizen registers with a phone number',
+      variables: ['appUrl'],
+      sample: {}
+    },
+    issueStatus: {
+      description: 'Sent to the reporter when their issue changes status',
+      variables: ['issueTitle', 'is.<status>', 'issueUrl'],
+      sample: { ...SAMPLE_ISSUE, is: { resolved: true } }
+    },
+    authorityNotification: {
+      description: 'Sent to a department when an issue is assigned to it',
+      variables: ['issueTitle', 'categoryLabel', 'priorityLabel', 'address', 'issueUrl'],
+      sample: SAMPLE_ISSUE
+    },
+    urgentAlert: {
+      description: 'Sent to a department for urgent issues',
+      variables: ['issueTitle', 'address', 'reporterName', 'issueUrl'],
+      sample: { ...SAMPLE_ISSUE, reporterName: 'Priya' }
+    },
+    verificationCode: {
+      description: 'Phone verification code',
+      variables: ['code'],
+      sample: { code: '482913' }
+    },
+    passwordResetCode: {
+      description: 'Password reset code',
+      variables: ['code'],
+      sample: { code: '482913' }
+    },
+    emergencyAlert: {
+      description: 'Critical infrastructure alert',
+      variables: ['issueTitle', 'address', 'reportedAt', 'issueUrl'],
+      sample: { ...SAMPLE_ISSUE, reportedAt: '12/10/2026, 9:30:00 am' }
+    },
+    weeklySummary: {
+      description: 'Weekly contribution summary',
+      variables: ['issuesReported', 'issuesResolved', 'points', 'rank', 'appUrl'],
+      sample: { issuesReported: 2, issuesResolved: 1, points: 40, rank: 15 }
+    },
+    maintenance: {
+      description: 'Scheduled maintenance notice',
+      variables: ['date', 'time', 'duration'],
+      sample: { date: '20/10/2026', time: '11:00 pm', duration: '2 hours' }
+    },
+    slaEscalation: {
+      description: 'Sent to heads of department or admins when an issue breaches its SLA',
+      variables: ['issueTitle', 'priorityLabel', 'statusLabel', 'overdueHours', 'issueUrl'],
+      sample: { ...SAMPLE_ISSUE, overdueHours: 6.5 }
+    },
+    announcement: {
+      description: 'System announcement from an admin',
+      variables: ['title', 'message', 'appUrl'],
+      sample: { title: 'Water supply maintenance', message: 'Water supply will be interrupted on Sunday from 6am to 2pm.' }
+    }
+  }
+};
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+// Parse template source into a tree of text, variable and section nodes.
+// Throws on unbalanced sections so broken edits are rejected before they are saved.
+const parseTemplate = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.children.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = TAG_PATTERN.lastIndex;
+
+    if (match[1]) {
+      current.children.push({ type: 'variable', name: match[1], raw: true });
+    } else if (match[2] === '#' || match[2] === '^') {
+      const section = { type: match[2] === '#' ? 'section' : 'inverted', name: match[3], children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (match[2] === '/') {
+      if (stack.length === 1 || current.name !== match[3]) {
+        throw new Error(`Unexpected closing tag {{/${match[3]}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name: match[3], raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (last < source.length) {
+    root.children.push({ type: 'text', value: source.slice(last) });
+  }
+  return root.children;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Resolve a dotted name against the innermost context that defines its first segment
+const lookup = (contexts, name) => {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === false || value === '' ||
+  value === 0 || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+
+  const value = lookup(contexts, node.name);
+  if (node.type === 'variable') {
+    if (value === undefined || value === null) return '';
+    return escape && !node.raw ? escapeHtml(value) : String(value);
+  }
+  if (node.type === 'inverted') {
+    return isEmpty(value) ? renderNodes(node.children, contexts, escape) : '';
+  }
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+  }
+  return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+// Render template source with variables; `escape` HTML-escapes {{name}} output
+const renderString = (source, variables = {}, { escape = false } = {}) =>
+  renderNodes(parseTemplate(source || ''), [variables], escape);
+
+// Recipients carry their language in different places: users in preferences,
+// departments in notificationPreferences, staff members and plain contacts directly
+const localeFor = (recipient) => {
+  const language = recipient && (
+    (recipient.preferences && recipient.preferences.language) ||
+    (recipient.notificationPreferences && recipient.notificationPreferences.language) ||
+    recipient.language
+  );
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+// Localised status, priority or category name, falling back to English and then the raw value
+const labelFor = (locale, group, value) => {
+  if (!value) return '';
+  for (const candidate of [locale, DEFAULT_LOCALE]) {
+    const labels = BUILT_IN[candidate] && BUILT_IN[candidate].labels[group];
+    if (labels && labels[value]) return labels[value];
+  }
+  return String(value).replace(/_/g, ' ');
+};
+
+const formatDate = (value, locale, { time = false } = {}) => {
+  const date = new Date(value);
+  return time ? date.toLocaleString(`${locale}-IN`) : date.toLocaleDateString(`${locale}-IN`);
+};
+
+let cached = null;
+
+// Admin edits keyed by channel:name:locale; a database outage falls back to the built-in templates
+const getOverrides = async () => {
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+    return cached.overrides;
+  }
+
+  let overrides = new Map();
+  try {
+    const templates = await MessageTemplate.find().lean();
+    overrides = new Map(templates.map(t => [`${t.channel}:${t.name}:${t.locale}`, t]));
+  } catch (error) {
+    console.error('Template load error:', error.message);
+  }
+  cached = { overrides, loadedAt: Date.now() };
+  return overrides;
+};
+
+const clearTemplateCache = () => {
+  cached = null;
+};
+
+// The template to use for a locale: the admin's edit, then the built-in one,
+// then the same for English. `source` says which was found.
+const getTemplate = async (channel, name, locale = DEFAULT_LOCALE) => {
+  if (!TEMPLATE_CATALOG[channel] || !TEMPLATE_CATALOG[channel][name]) {
+    throw new Error(`Unknown ${channel} template "${name}"`);
+  }
+
+  const overrides = await getOverrides();
+  const candidates = locale === DEFAULT_LOCALE ? [DEFAULT_LOCALE] : [locale, DEFAULT_LOCALE];
+
+  for (const candidate of candidates) {
+    const custom = overrides.get(`${channel}:${name}:${candidate}`);
+    if (custom) {
+      return { subject: custom.subject, body: custom.body, locale: candidate, source: 'custom', updatedAt: custom.updatedAt };
+    }
+    const builtIn = BUILT_IN[candidate] && BUILT_IN[candidate][channel][name];
+    if (builtIn) {
+      return { subject: builtIn.subject, body: builtIn.body, locale: candidate, source: 'default' };
+    }
+  }
+  throw new Error(`No template found for ${channel} "${name}"`);
+};
+
+// Render a template for a locale. Email bodies are HTML-escaped; SMS and subjects are plain text.
+const renderTemplate = async (channel, name, locale, variables = {}) => {
+  const template = await getTemplate(channel, name, locale);
+  const view = { appUrl: process.env.CLIENT_URL, ...variables };
+
+  return {
+    subject: template.subject ? renderString(template.subject, view) : undefined,
+    body: renderString(template.body, view, { escape: channel === 'email' }).trim(),
+    locale: template.locale
+  };
+};
+
+// Every template with the locales that have a built-in or edited version
+const listTemplates = async () => {
+  const overrides = await getOverrides();
+
+  return Object.entries(TEMPLATE_CATALOG).flatMap(([channel, templates]) =>
+    Object.entries(templates).map(([name, entry]) => ({
+      channel,
+      name,
+      description: entry.description,
+      variables: entry.variables,
+      locales: SUPPORTED_LANGUAGES.map(locale => ({
+        locale,
+        builtIn: Boolean(BUILT_IN[locale] && BUILT_IN[locale][channel][name]),
+        customized: overrides.has(`${channel}:${name}:${locale}`)
+      }))
+    }))
+  );
+};
+
+// Save an admin edit; invalid template syntax throws before anything is stored
+const saveTemplate = async (channel, name, locale, { subject, body }, userId) => {
+  parseTemplate(body);
+  if (subject) parseTemplate(subject);
+
+  const template = await MessageTemplate.findOneAndUpdate(
+    { channel, name, locale },
+    { $set: { subject: channel === 'email' ? subject : undefined, body, updatedBy: userId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  clearTemplateCache();
+  return template;
+};
+
+// Drop an admin edit so the built-in template applies again
+const resetTemplate = async (channel, name, locale) => {
+  const removed = await MessageTemplate.findOneAndDelete({ channel, name, locale });
+  clearTemplateCache();
+  return removed;
+};
+
+// Render the stored template, or unsaved `subject`/`body` edits, with sample or given variables
+const previewTemplate = async (channel, name, locale, { subject, body, variables } = {}) => {
+  const entry = TEMPLATE_CATALOG[channel] && TEMPLATE_CATALOG[channel][name];
+  if (!entry) {
+    throw new Error(`Unknown ${channel} template "${name}"`);
+  }
+
+  const stored = await getTemplate(channel, name, locale);
+  const template = subject || body
+    ? { ...stored, subject: subject || stored.subject, body: body || stored.body, locale, source: 'draft' }
+    : stored;
+  const view = {
+    appUrl: process.env.CLIENT_URL,
+    statusLabel: labelFor(locale, 'statuses', 'assigned'),
+    priorityLabel: labelFor(locale, 'priorities', 'high'),
+    categoryLabel: labelFor(locale, 'categories', 'drainage'),
+    ...entry.sample,
+    ...(variables || {})
+  };
+
+  return {
+    channel,
+    name,
+    locale: template.locale,
+    source: template.source,
+    subject: channel === 'email' && template.subject ? renderString(template.subject, view) : undefined,
+    body: renderString(template.body, view, { escape: channel === 'email' }).trim()
+  };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TEMPLATE_CATALOG,
+  parseTemplate,
+  renderString,
+  localeFor,
+  labelFor,
+  formatDate,
+  getTemplate,
+  renderTemplate,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  previewTemplate,
+  clearTemplateCache
+};
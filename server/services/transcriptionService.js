@@ -0,0 +1,252 @@
+// services/transcriptionService.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const Issue = require('../models/Issue');
+const { storage } = require('./storageService');
+
+const MAX_ATTEMPTS = 3;
+const STALE_PROCESSING = 10 * 60 * 1000; // ms, after which a 'processing' claim is retried
+const TRANSCRIPT_MAX_LENGTH = 5000;
+
+const run = (command, args, timeout) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      error.message = `${path.basename(command)} failed: ${stderr ? stderr.toString().trim().split('\n').pop() : error.message}`;
+      return reject(error);
+    }
+    resolve(stdout);
+  });
+});
+
+// Offline engine adapter for whisper.cpp. Audio is converted to 16kHz mono WAV
+// with ffmpeg, then transcribed by the whisper CLI with language detection.
+class LocalTranscriptionProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.binary = options.binary || process.env.WHISPER_BIN || 'whisper-cli';
+    this.model = options.model || process.env.WHISPER_MODEL;
+    this.ffmpeg = options.ffmpeg || process.env.FFMPEG_PATH || 'ffmpeg';
+    this.timeout = options.timeout || parseInt(process.env.TRANSCRIPTION_TIMEOUT) || 120000; // ms
+  }
+
+  async transcribe(buffer, { language = 'auto' } = {}) {
+    if (!this.model) {
+      throw new Error('WHISPER_MODEL is not configured');
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'v2a-stt-'));
+    try {
+      const input = path.join(dir, 'input');
+      const wav = path.join(dir, 'audio.wav');
+      const output = path.join(dir, 'transcript');
+      await fs.writeFile(input, buffer);
+
+      await run(this.ffmpeg, ['-y', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], this.timeout);
+      await run(this.binary, ['-m', this.model, '-f', wav, '-l', language, '-oj', '-of', output, '-np'], this.timeout);
+
+      const result = JSON.parse(await fs.readFile(`${output}.json`, 'utf8'));
+      return {
+        text: (result.transcription || []).map(segment => segment.text).join('').trim(),
+        language: result.result && result.result.language
+      };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Deterministic provider for tests and local development; records what it was asked to do
+class FakeTranscriptionProvider {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.text = options.text || 'The street light near the bus stop has not been working for a week. It is very dark at night.';
+    this.language = options.language || 'en';
+    this.error = options.error || null;
+    this.calls = [];
+  }
+
+  async transcribe(buffer, options = {}) {
+    this.calls.push({ size: buffer.length, ...options });
+    if (this.error) {
+      throw new Error(this.error);
+    }
+    return { text: this.text, language: this.language, confidence: 1 };
+  }
+}
+
+// Title and description suggestions from a transcript, within the Issue field limits
+const buildDrafts = (text) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length < 10) return null;
+
+  // A very short first sentence ("Hello.") makes a poor title; use the whole text instead
+  let firstSentence = clean.split(/(?<=[.!?])\s/)[0].replace(/[.!?]+$/, '');
+  if (firstSentence.length < 5) firstSentence = clean;
+  let title = firstSentence.length <= 100
+    ? firstSentence
+    : `${firstSentence.slice(0, 97).replace(/\s+\S*$/, '')}...`;
+  title = title.charAt(0).toUpperCase() + title.slice(1);
+
+  return {
+    title,
+    description: clean.length <= 1000 ? clean : `${clean.slice(0, 997)}...`
+  };
+};
+
+class TranscriptionService {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  get enabled() {
+    return Boolean(this.provider);
+  }
+
+  async transcribe(buffer, options = {}) {
+    if (!this.provider) {
+      throw new Error('Transcription is not enabled');
+    }
+    const result = await this.provider.transcribe(buffer, options);
+    const text = (result.text || '').slice(0, TRANSCRIPT_MAX_LENGTH);
+    return {
+      text,
+      language: result.language || null,
+      confidence: result.confidence,
+      provider: this.provider.name,
+      drafts: buildDrafts(text)
+    };
+  }
+
+  // Transcribe an issue's audio media. Each item is claimed atomically so the
+  // background run after submission and the scheduled retry never both process it.
+  // `buffers` maps media URLs to uploaded file contents, saving a read from storage.
+  async transcribeIssueAudio(issueId, { buffers = {} } = {}) {
+    if (!this.provider) return null;
+
+    const issue = await Issue.findById(issueId).select('media voiceDraft').lean();
+    if (!issue) return null;
+
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING);
+    const transcripts = [];
+
+    for (const item of issue.media) {
+      if (item.type !== 'audio' || !item.transcript) continue;
+
+      const claimed = await Issue.updateOne(
+        {
+          _id: issue._id,
+          media: {
+            $elemMatch: {
+              _id: item._id,
+              'transcript.attempts': { $lt: MAX_ATTEMPTS },
+              $or: [
+                { 'transcript.status': { $in: ['pending', 'failed'] } },
+                { 'transcript.status': 'processing', 'transcript.startedAt': { $lt: staleBefore } }
+              ]
+            }
+          }
+        },
+        {
+          $set: { 'media.$.transcript.status': 'processing', 'media.$.transcript.startedAt': new Date() },
+          $inc: { 'media.$.transcript.attempts': 1 }
+        }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      try {
+        const buffer = buffers[item.url] || await storage.read(item.publicId, item.type);
+        const result = await this.transcribe(buffer);
+
+        await Issue.updateOne(
+          { _id: issue._id, 'media._id': item._id },
+          {
+            $set: {
+              'media.$.transcript.status': 'completed',
+              'media.$.transcript.text': result.text,
+              'media.$.transcript.language': result.language,
+              'media.$.transcript.confidence': result.confidence,
+              'media.$.transcript.provider': result.provider,
+              'media.$.transcript.transcribedAt': new Date()
+            },
+            $unset: { 'media.$.transcript.error': 1 }
+          }
+        );
+        if (result.text) transcripts.push(result);
+      } catch (error) {
+        console.error(`Transcription error for issue ${issue._id}:`, error.message);
+        await Issue.updateOne(
+          { _id: issue._id, 'media._id': item._id },
+          { $set: { 'media.$.transcript.status': 'failed', 'media.$.transcript.error': error.message } }
+        );
+      }
+    }
+
+    // Offer the reporter a title/description drafted from their voice note, once
+    if (transcripts.length > 0 && !issue.voiceDraft) {
+      const drafts = buildDrafts(transcripts.map(t => t.text).join(' '));
+      if (drafts) {
+        await Issue.updateOne(
+          { _id: issue._id, voiceDraft: null },
+          {
+            $set: {
+              voiceDraft: {
+                ...drafts,
+                language: transcripts[0].language,
+                status: 'pending',
+                createdAt: new Date()
+              }
+            }
+          }
+        );
+      }
+    }
+
+    return transcripts;
+  }
+
+  // Retry audio that is still waiting, failed, or was abandoned mid-run
+  async processPending() {
+    if (!this.provider) return 0;
+
+    const issues = await Issue.find({
+      media: {
+        $elemMatch: {
+          type: 'audio',
+          'transcript.status': { $in: ['pending', 'failed', 'processing'] },
+          'transcript.attempts': { $lt: MAX_ATTEMPTS }
+        }
+      }
+    }).select('_id').limit(50).lean();
+
+    for (const { _id } of issues) {
+      await this.transcribeIssueAudio(_id);
+    }
+    return issues.length;
+  }
+}
+
+// TRANSCRIPTION_PROVIDER=local uses whisper.cpp, 'fake' returns canned text, anything else disables it
+const createTranscriptionProvider = (type = process.env.TRANSCRIPTION_PROVIDER) => {
+  switch (type) {
+    case 'local':
+      return new LocalTranscriptionProvider();
+    case 'fake':
+      return new FakeTranscriptionProvider();
+    default:
+      return null;
+  }
+};
+
+const transcriptionService = new TranscriptionService(createTranscriptionProvider());
+
+module.exports = {
+  MAX_ATTEMPTS,
+  LocalTranscriptionProvider,
+  FakeTranscriptionProvider,
+  TranscriptionService,
+  buildDrafts,
+  createTranscriptionProvider,
+  transcriptionService
+};
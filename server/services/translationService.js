@@ -0,0 +1,306 @@
+// services/translationService.js
+const Issue = require('../models/Issue');
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  te: 'Telugu',
+  ta: 'Tamil',
+  bn: 'Bengali'
+};
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+// Languages every issue and comment is translated into
+const TRANSLATION_LANGUAGES = (process.env.TRANSLATION_LANGUAGES || 'en,hi,te')
+  .split(',')
+  .map(language => language.trim())
+  .filter(language => SUPPORTED_LANGUAGES.includes(language));
+
+// The background sweep gives up on an issue after this many failed runs, waiting between them
+const MAX_TRANSLATION_ATTEMPTS = 5;
+const RETRY_DELAY = 60 * 60 * 1000; // ms
+
+// Unicode blocks of the Indic scripts we support; anything else is treated as English
+const SCRIPT_PATTERNS = [
+  { language: 'te', pattern: /[\u0C00-\u0C7F]/g },
+  { language: 'hi', pattern: /[\u0900-\u097F]/g },
+  { language: 'ta', pattern: /[\u0B80-\u0BFF]/g },
+  { language: 'bn', pattern: /[\u0980-\u09FF]/g }
+];
+
+// Detect the language of a text from its dominant script
+const detectLanguage = (text) => {
+  const letters = (text || '').replace(/[^\p{L}]/gu, '').length;
+  if (letters === 0) return 'en';
+
+  let best = { language: 'en', count: 0 };
+  SCRIPT_PATTERNS.forEach(({ language, pattern }) => {
+    const count = ((text || '').match(pattern) || []).length;
+    if (count > best.count) best = { language, count };
+  });
+  return best.count / letters >= 0.3 ? best.language : 'en';
+};
+
+// Adapter for a LibreTranslate server (self-hostable, supports en/hi/te/ta/bn)
+class LibreTranslateTranslator {
+  constructor(options = {}) {
+    this.name = 'libretranslate';
+    this.url = (options.url || process.env.LIBRETRANSLATE_URL || 'http://localhost:5001').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.LIBRETRANSLATE_API_KEY;
+    this.timeout = options.timeout || 15000; // ms
+  }
+
+  async translate(texts, { from, to }) {
+    const response = await fetch(`${this.url}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: texts,
+        source: from,
+        target: to,
+        format: 'text',
+        ...(this.apiKey && { api_key: this.apiKey })
+      }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `LibreTranslate request failed (${response.status})`);
+    }
+    return Array.isArray(body.translatedText) ? body.translatedText : [body.translatedText];
+  }
+}
+
+// Deterministic translator for tests and local development: tags text with the target language
+class FakeTranslator {
+  constructor() {
+    this.name = 'fake';
+    this.calls = [];
+  }
+
+  async translate(texts, { from, to }) {
+    this.calls.push({ texts, from, to });
+    return texts.map(text => `[${to}] ${text}`);
+  }
+}
+
+// TRANSLATION_PROVIDER=libretranslate or 'fake'; anything else disables machine translation
+const createTranslator = (type = process.env.TRANSLATION_PROVIDER) => {
+  switch (type) {
+    case 'libretranslate':
+      return new LibreTranslateTranslator();
+    case 'fake':
+      return new FakeTranslator();
+    default:
+      return null;
+  }
+};
+
+const missingLanguages = (item, languages) => languages.filter(language =>
+  language !== (item.language || 'en') &&
+  !(item.translations || []).some(translation => translation.language === language)
+);
+
+class TranslationService {
+  constructor(translator, languages = TRANSLATION_LANGUAGES) {
+    this.translator = translator;
+    this.languages = languages;
+  }
+
+  get enabled() {
+    return Boolean(this.translator);
+  }
+
+  // Fill in any missing translations of an issue's title, description and comments.
+  // Translations are only ever added, so concurrent runs can't lose each other's work.
+  async translateIssue(issueId) {
+    if (!this.translator) return null;
+
+    const issue = await Issue.findById(issueId)
+      .select('title description language translations comments translationFailure')
+      .lean();
+    if (!issue) return null;
+
+    let added = 0;
+    let failure = null;
+
+    for (const language of missingLanguages(issue, this.languages)) {
+      try {
+        const [title, description] = await this.translator.translate(
+          [issue.title, issue.description],
+          { from: issue.language || 'en', to: language }
+        );
+        const result = await Issue.updateOne(
+          { _id: issue._id, 'translations.language': { $ne: language } },
+          {
+            $push: {
+              translations: { language, title, description, provider: this.translator.name, translatedAt: new Date() }
+            }
+          }
+        );
+        added += result.modifiedCount;
+      } catch (error) {
+        console.error(`Translation error for issue ${issue._id} (${language}):`, error.message);
+        failure = error;
+      }
+    }
+
+    // Comments are batched per source/target language pair
+    const batches = new Map();
+    (issue.comments || []).forEach(comment => {
+      missingLanguages(comment, this.languages).forEach(language => {
+        const key = `${comment.language || 'en'}:${language}`;
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(comment);
+      });
+    });
+
+    for (const [key, comments] of batches) {
+      const [from, to] = key.split(':');
+      try {
+        const messages = await this.translator.translate(comments.map(comment => comment.message), { from, to });
+        const operations = comments.map((comment, index) => ({
+          updateOne: {
+            filter: { _id: issue._id },
+            update: {
+              $push: {
+                'comments.$[comment].translations': {
+                  language: to,
+                  message: messages[index],
+                  provider: this.translator.name,
+                  translatedAt: new Date()
+                }
+              }
+            },
+            arrayFilters: [{ 'comment._id': comment._id, 'comment.translations.language': { $ne: to } }]
+          }
+        }));
+        const result = await Issue.bulkWrite(operations, { ordered: false });
+        added += result.modifiedCount;
+      } catch (error) {
+        console.error(`Comment translation error for issue ${issue._id} (${key}):`, error.message);
+        failure = error;
+      }
+    }
+
+    if (failure) {
+      await Issue.updateOne(
+        { _id: issue._id },
+        {
+          $set: { 'translationFailure.failedAt': new Date(), 'translationFailure.error': failure.message },
+          $inc: { 'translationFailure.attempts': 1 }
+        }
+      );
+    } else if (issue.translationFailure) {
+      await Issue.updateOne({ _id: issue._id }, { $unset: { translationFailure: 1 } });
+    }
+
+    return added;
+  }
+
+  // Backfill issues that are still missing a translation, e.g. after a provider outage.
+  // Oldest issues go first; ones that keep failing are retried hourly, then left alone.
+  async translatePending({ limit = 50 } = {}) {
+    if (!this.translator) return 0;
+
+    const missing = this.languages.flatMap(language => [
+      { language: { $ne: language }, 'translations.language': { $ne: language } },
+      { comments: { $elemMatch: { language: { $ne: language }, 'translations.language': { $ne: language } } } }
+    ]);
+
+    const issues = await Issue.find({
+      status: { $ne: 'merged' },
+      'translationFailure.attempts': { $not: { $gte: MAX_TRANSLATION_ATTEMPTS } },
+      'translationFailure.failedAt': { $not: { $gt: new Date(Date.now() - RETRY_DELAY) } },
+      $or: missing
+    })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+
+    for (const { _id } of issues) {
+      await this.translateIssue(_id);
+    }
+    return issues.length;
+  }
+}
+
+// The language to serve content in: explicit ?lang, then the signed-in user's or
+// staff member's preference, then the browser's Accept-Language. null serves originals.
+const getViewerLanguage = (req) => {
+  const candidates = [
+    req.query && req.query.lang,
+    req.user && req.user.preferences && req.user.preferences.language,
+    req.authorityMember && req.authorityMember.language,
+    ...(req.acceptsLanguages ? req.acceptsLanguages() : [])
+  ];
+  for (const candidate of candidates) {
+    const language = candidate && candidate.toLowerCase().split('-')[0];
+    if (SUPPORTED_LANGUAGES.includes(language)) return language;
+  }
+  return null;
+};
+
+// Swap a comment's message for its translation into the viewer's language, keeping the original
+const localizeComment = (comment, language) => {
+  const { translations, ...rest } = comment;
+  const original = comment.language || 'en';
+  const translation = language && language !== original &&
+    (translations || []).find(t => t.language === language);
+
+  if (!translation) {
+    return { ...rest, language: original, isTranslated: false };
+  }
+  return {
+    ...rest,
+    message: translation.message,
+    language: original,
+    displayLanguage: language,
+    isTranslated: true,
+    original: { message: comment.message }
+  };
+};
+
+// Same for an issue's title and description, and its comments when they were loaded.
+// Translation bookkeeping is left out.
+const localizeIssue = (issue, language) => {
+  const { translations, translationFailure, ...rest } = issue;
+  const original = issue.language || 'en';
+  const translation = language && language !== original &&
+    (translations || []).find(t => t.language === language);
+
+  const localized = translation ? {
+    ...rest,
+    title: translation.title,
+    description: translation.description,
+    language: original,
+    displayLanguage: language,
+    isTranslated: true,
+    original: { title: issue.title, description: issue.description }
+  } : { ...rest, language: original, isTranslated: false };
+
+  if (Array.isArray(issue.comments)) {
+    localized.comments = issue.comments.map(comment => localizeComment(comment, language));
+  }
+  return localized;
+};
+
+const translationService = new TranslationService(createTranslator());
+
+module.exports = {
+  LANGUAGE_NAMES,
+  SUPPORTED_LANGUAGES,
+  TRANSLATION_LANGUAGES,
+  MAX_TRANSLATION_ATTEMPTS,
+  detectLanguage,
+  LibreTranslateTranslator,
+  FakeTranslator,
+  TranslationService,
+  createTranslator,
+  getViewerLanguage,
+  localizeIssue,
+  localizeComment,
+  translationService
+};
@@ -0,0 +1,382 @@
+// services/uploadInspectionService.js
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const QuarantinedFile = require('../models/QuarantinedFile');
+
+const MB = 1024 * 1024;
+
+// Size (bytes) and duration (seconds) limits per media type
+const TYPE_LIMITS = {
+  image: {
+    maxSize: parseInt(process.env.MAX_IMAGE_SIZE) || 10 * MB
+  },
+  video: {
+    maxSize: parseInt(process.env.MAX_VIDEO_SIZE) || 10 * MB,
+    maxDuration: parseInt(process.env.MAX_VIDEO_DURATION) || 120
+  },
+  audio: {
+    maxSize: parseInt(process.env.MAX_AUDIO_SIZE) || 10 * MB,
+    maxDuration: parseInt(process.env.MAX_AUDIO_DURATION) || 180
+  }
+};
+
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(TYPE_LIMITS).map(limit => limit.maxSize));
+
+// Resumable uploads (see uploadSessionService) are assembled on disk rather than held
+// in memory, so video and audio get their own, larger caps. Photos are still resized in memory.
+const RESUMABLE_LIMITS = {
+  image: TYPE_LIMITS.image,
+  video: {
+    ...TYPE_LIMITS.video,
+    maxSize: parseInt(process.env.MAX_RESUMABLE_VIDEO_SIZE) || 500 * MB
+  },
+  audio: {
+    ...TYPE_LIMITS.audio,
+    maxSize: parseInt(process.env.MAX_RESUMABLE_AUDIO_SIZE) || 100 * MB
+  }
+};
+
+const QUARANTINE_DIR = path.resolve(process.env.QUARANTINE_DIR || path.join(__dirname, '..', 'quarantine'));
+
+// Client-declared mimetypes each container may legitimately carry
+const CONTAINER_TYPES = {
+  jpeg: ['image/jpeg', 'image/jpg'],
+  png: ['image/png'],
+  gif: ['image/gif'],
+  webp: ['image/webp'],
+  isobmff: ['video/mp4', 'video/quicktime', 'audio/mp4', 'audio/x-m4a'],
+  matroska: ['video/webm', 'audio/webm', 'video/x-matroska'],
+  avi: ['video/avi', 'video/x-msvideo'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+  ogg: ['audio/ogg'],
+  mp3: ['audio/mpeg', 'audio/mp3']
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// Identify the container from the file's leading bytes, ignoring its name and declared type
+const sniffContainer = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) return 'gif';
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return 'webp';
+    if (format === 'WAVE') return 'wav';
+    if (format === 'AVI ') return 'avi';
+  }
+  if (ascii(buffer, 4, 8) === 'ftyp') return 'isobmff';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'matroska';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'ogg';
+  // ID3 tag, or a bare MPEG audio frame header (11 sync bits)
+  if (ascii(buffer, 0, 3) === 'ID3' || (buffer.length > 1 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mp3';
+  return null;
+};
+
+const mediaTypeOf = (mimetype) => mimetype.split('/')[0];
+
+// Files to inspect are multer memory files ({ buffer }) or files on disk ({ path, size })
+const sizeOf = (file) => (file.buffer ? file.buffer.length : file.size);
+
+// Enough leading bytes for sniffContainer
+const readHeader = async (file) => {
+  if (file.buffer) return file.buffer;
+  const handle = await fs.open(file.path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// A file's contents in chunks of at most `size` bytes, without reading a file on disk into memory
+async function* readChunks(file, size) {
+  if (file.buffer) {
+    for (let offset = 0; offset < file.buffer.length; offset += size) {
+      yield file.buffer.subarray(offset, offset + size);
+    }
+    return;
+  }
+  yield* createReadStream(file.path, { highWaterMark: size });
+}
+
+const run = (command, args, timeout) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+});
+
+const ffprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// Duration in seconds via ffprobe. A missing ffprobe throws an error with code
+// FFPROBE_MISSING, which is not a fault of the file. Files on disk are probed in place;
+// a buffer is written out first because MP4s often keep their index at the end.
+const probeDuration = async (file, ffprobe = ffprobePath()) => {
+  const dir = file.path ? null : await fs.mkdtemp(path.join(os.tmpdir(), 'v2a-probe-'));
+  try {
+    const input = file.path || path.join(dir, 'input');
+    if (dir) await fs.writeFile(input, file.buffer);
+
+    let stdout;
+    try {
+      stdout = await run(ffprobe, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', input], 30000);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const missing = new Error(`ffprobe was not found at "${ffprobe}"`);
+        missing.code = 'FFPROBE_MISSING';
+        throw missing;
+      }
+      throw new Error(`ffprobe failed: ${error.message.split('\n').pop() || error.message}`);
+    }
+
+    const duration = parseFloat(stdout);
+    if (!Number.isFinite(duration)) {
+      throw new Error('ffprobe could not read a duration');
+    }
+    return duration;
+  } finally {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+const ffprobeAvailable = (ffprobe = ffprobePath()) => run(ffprobe, ['-version'], 10000).then(() => true, () => false);
+
+// clamd over TCP or a Unix socket, using the INSTREAM command
+class ClamAVScanner {
+  constructor(options = {}) {
+    this.name = 'clamav';
+    this.socket = options.socket || process.env.CLAMAV_SOCKET;
+    this.host = options.host || process.env.CLAMAV_HOST || '127.0.0.1';
+    this.port = options.port || parseInt(process.env.CLAMAV_PORT) || 3310;
+    this.timeout = options.timeout || parseInt(process.env.CLAMAV_TIMEOUT) || 30000; // ms
+    this.chunkSize = 64 * 1024;
+  }
+
+  scan(file) {
+    return new Promise((resolve, reject) => {
+      const connection = this.socket
+        ? net.createConnection(this.socket)
+        : net.createConnection(this.port, this.host);
+      let reply = '';
+
+      connection.setTimeout(this.timeout, () => {
+        connection.destroy(new Error(`ClamAV did not answer within ${this.timeout}ms`));
+      });
+      connection.on('error', reject);
+      connection.on('data', (data) => { reply += data.toString(); });
+      connection.on('end', () => {
+        // "stream: OK", "stream: Eicar-Signature FOUND" or "... ERROR"
+        const result = reply.replace(/\0/g, '').trim();
+        if (result.endsWith('OK')) return resolve({ clean: true });
+        const found = result.match(/^stream: (.+) FOUND$/);
+        if (found) return resolve({ clean: false, signature: found[1] });
+        reject(new Error(`ClamAV error: ${result || 'no reply'}`));
+      });
+
+      connection.on('connect', async () => {
+        try {
+          connection.write('zINSTREAM\0');
+          for await (const chunk of readChunks(file, this.chunkSize)) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            connection.write(size);
+            if (!connection.write(chunk)) {
+              await new Promise(resume => connection.once('drain', resume));
+            }
+          }
+          connection.end(Buffer.alloc(4));
+        } catch (error) {
+          connection.destroy(error);
+        }
+      });
+    });
+  }
+}
+
+// The EICAR antivirus test string, which real scanners also flag
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Deterministic scanner for tests and local development: flags the EICAR test file,
+// plus anything `infected` matches. Records what it was asked to scan.
+class FakeScanner {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.infected = options.infected || null; // (buffer, filename) => signature or null
+    this.error = options.error || null;
+    this.calls = [];
+  }
+
+  async scan(file, { filename } = {}) {
+    const buffer = file.buffer || await fs.readFile(file.path);
+    this.calls.push({ filename, size: buffer.length });
+    if (this.error) {
+      throw new Error(this.error);
+    }
+    const signature = buffer.includes(EICAR)
+      ? 'Eicar-Test-Signature'
+      : this.infected && this.infected(buffer, filename);
+    return signature ? { clean: false, signature } : { clean: true };
+  }
+}
+
+class UploadInspector {
+  constructor(scanner, options = {}) {
+    this.scanner = scanner;
+    this.limits = options.limits || TYPE_LIMITS;
+    this.failOpen = options.failOpen ?? process.env.UPLOAD_SCAN_FAIL_OPEN === 'true';
+    this.probeDuration = options.probeDuration || probeDuration;
+    this.quarantineDir = options.quarantineDir || QUARANTINE_DIR;
+    this.warnedProbeMissing = false;
+  }
+
+  // Swap the scanner, e.g. for a FakeScanner in tests
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  // Check one multer file, or a file on disk given as { path, size, originalname, mimetype }.
+  // `limits` overrides the per-type limits, e.g. RESUMABLE_LIMITS.
+  // Resolves to { ok: true, detectedType, duration } or { ok: false, reason, message, detail, detectedType }.
+  async inspect(file, { limits: typeLimits = this.limits } = {}) {
+    const detectedType = sniffContainer(await readHeader(file));
+    const reject = (reason, message, detail) => ({ ok: false, reason, message, detail, detectedType });
+
+    if (!detectedType) {
+      return reject('unrecognized_type', `${file.originalname} is not a supported image, video or audio file`);
+    }
+    // Ignore parameters such as "audio/webm;codecs=opus"
+    const mimetype = file.mimetype.split(';')[0].trim().toLowerCase();
+    if (!CONTAINER_TYPES[detectedType].includes(mimetype)) {
+      return reject('type_mismatch', `${file.originalname} does not contain ${mimetype} data`, `Detected ${detectedType}`);
+    }
+
+    const type = mediaTypeOf(mimetype);
+    const limits = typeLimits[type] || {};
+    const size = sizeOf(file);
+    if (limits.maxSize && size > limits.maxSize) {
+      return reject('too_large', `${file.originalname} is too large. Maximum ${type} size is ${Math.round(limits.maxSize / MB)}MB.`, `${size} bytes`);
+    }
+
+    let duration = null;
+    if (limits.maxDuration) {
+      try {
+        duration = await this.probeDuration(file);
+      } catch (error) {
+        if (error.code !== 'FFPROBE_MISSING') {
+          return reject('unreadable', `${file.originalname} could not be read`, error.message);
+        }
+        // Nothing is wrong with the file; its length just cannot be measured here
+        if (!this.warnedProbeMissing) {
+          console.warn(`${error.message}; video and audio duration limits are not enforced`);
+          this.warnedProbeMissing = true;
+        }
+      }
+      if (duration !== null && duration > limits.maxDuration) {
+        return reject('too_long', `${file.originalname} is too long. Maximum ${type} length is ${limits.maxDuration} seconds.`, `${Math.round(duration)} seconds`);
+      }
+    }
+
+    if (this.scanner) {
+      try {
+        const result = await this.scanner.scan(file, { filename: file.originalname });
+        if (!result.clean) {
+          return reject('infected', `${file.originalname} was blocked by the virus scanner`, result.signature);
+        }
+      } catch (error) {
+        console.error('Upload scan error:', error);
+        if (!this.failOpen) {
+          return reject('scan_failed', `${file.originalname} could not be scanned. Please try again later.`, error.message);
+        }
+      }
+    }
+
+    return { ok: true, detectedType, duration };
+  }
+
+  // Checks that are relaxed or will reject everything, for the server to log once at startup
+  async startupWarnings() {
+    const warnings = [];
+    if (!this.scanner) {
+      warnings.push('Upload virus scanning is disabled; set UPLOAD_SCANNER=clamav to scan files');
+    }
+    const durationLimited = Object.values(this.limits).some(limits => limits.maxDuration);
+    if (durationLimited && this.probeDuration === probeDuration && !(await ffprobeAvailable())) {
+      warnings.push(`ffprobe was not found at "${ffprobePath()}"; video and audio duration limits are not enforced`);
+    }
+    return warnings;
+  }
+
+  // Keep a rejected file out of media storage, with a record admins can review
+  async quarantine(file, rejection, req = {}) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of readChunks(file, 64 * 1024)) {
+      hash.update(chunk);
+    }
+    const record = new QuarantinedFile({
+      reason: rejection.reason,
+      detail: rejection.detail,
+      filename: file.originalname,
+      claimedType: file.mimetype,
+      detectedType: rejection.detectedType,
+      size: sizeOf(file),
+      sha256: hash.digest('hex'),
+      uploadedBy: req.principal && req.principal.id,
+      uploaderType: req.principal && req.principal.type,
+      route: req.originalUrl,
+      ip: req.ip
+    });
+
+    record.path = path.join(this.quarantineDir, `${record._id}.bin`);
+    await fs.mkdir(this.quarantineDir, { recursive: true, mode: 0o700 });
+    if (file.buffer) {
+      await fs.writeFile(record.path, file.buffer, { mode: 0o600 });
+    } else {
+      await fs.copyFile(file.path, record.path);
+      await fs.chmod(record.path, 0o600);
+    }
+    await record.save();
+    return record;
+  }
+
+  // Delete a quarantined file and its record
+  async discard(record) {
+    await fs.rm(record.path, { force: true });
+    await QuarantinedFile.deleteOne({ _id: record._id });
+  }
+}
+
+// UPLOAD_SCANNER=clamav uses clamd, 'fake' flags test files, anything else skips scanning
+const createScanner = (type = process.env.UPLOAD_SCANNER) => {
+  switch (type) {
+    case 'clamav':
+      return new ClamAVScanner();
+    case 'fake':
+      return new FakeScanner();
+    default:
+      return null;
+  }
+};
+
+const uploadInspector = new UploadInspector(createScanner());
+
+module.exports = {
+  TYPE_LIMITS,
+  RESUMABLE_LIMITS,
+  MAX_UPLOAD_SIZE,
+  CONTAINER_TYPES,
+  sniffContainer,
+  probeDuration,
+  ffprobeAvailable,
+  ClamAVScanner,
+  FakeScanner,
+  UploadInspector,
+  createScanner,
+  uploadInspector
+};
@@ -0,0 +1,237 @@
+// services/uploadSessionService.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const { RESUMABLE_LIMITS, uploadInspector } = require('./uploadInspectionService');
+const { storage, uploadMultipleFiles } = require('./storageService');
+
+const MB = 1024 * 1024;
+
+// Largest chunk accepted per PATCH request
+const CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * MB;
+const TEMP_DIR = path.resolve(process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'v2a-uploads'));
+// Unfinished sessions a user may have open at once
+const MAX_OPEN_SESSIONS = 10;
+
+const mediaTypeOf = (mimetype) => mimetype.split('/')[0];
+
+// Start a session and reserve its temporary file.
+// Resolves to { status: 'created', session }, { status: 'too_large', maxSize } or { status: 'too_many' }.
+const createSession = async (user, { filename, mimetype, size }) => {
+  const limits = RESUMABLE_LIMITS[mediaTypeOf(mimetype)] || {};
+  if (!limits.maxSize || size > limits.maxSize) {
+    return { status: 'too_large', maxSize: limits.maxSize };
+  }
+
+  const open = await UploadSession.countDocuments({ owner: user._id, status: { $in: ['uploading', 'processing'] } });
+  if (open >= MAX_OPEN_SESSIONS) {
+    return { status: 'too_many' };
+  }
+
+  const session = new UploadSession({ owner: user._id, filename, mimetype, size });
+  session.tempPath = path.join(TEMP_DIR, `${session._id}.part`);
+  await fs.mkdir(TEMP_DIR, { recursive: true, mode: 0o700 });
+  await fs.writeFile(session.tempPath, Buffer.alloc(0), { mode: 0o600 });
+  await session.save();
+  return { status: 'created', session };
+};
+
+const removeTempFile = async (session) => {
+  if (session.tempPath) {
+    await fs.rm(session.tempPath, { force: true });
+  }
+};
+
+// Check and store an assembled file. The session is claimed first so a retried
+// final chunk cannot store the same file twice.
+// Resolves to { status: 'completed' | 'rejected' | 'failed' | 'busy', session, rejection }.
+const completeSession = async (session, req) => {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', received: session.size },
+    { $set: { status: 'processing' }, $unset: { error: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { status: 'busy', session };
+  }
+
+  try {
+    // Checked and stored straight from the temporary file, which is never read into memory whole
+    const { size } = await fs.stat(claimed.tempPath);
+    const file = {
+      path: claimed.tempPath,
+      size,
+      originalname: claimed.filename,
+      mimetype: claimed.mimetype
+    };
+
+    const inspection = await uploadInspector.inspect(file, { limits: RESUMABLE_LIMITS });
+    if (!inspection.ok) {
+      try {
+        await uploadInspector.quarantine(file, inspection, req);
+      } catch (quarantineError) {
+        console.error('Quarantine error:', quarantineError);
+      }
+      claimed.status = 'rejected';
+      claimed.error = inspection.message;
+      await claimed.save();
+      await removeTempFile(claimed);
+      return { status: 'rejected', session: claimed, rejection: inspection };
+    }
+
+    const [result] = await uploadMultipleFiles([file]);
+    if (result.error) {
+      // Keep the assembled file so the client can retry completion without re-sending it
+      claimed.status = 'uploading';
+      claimed.error = result.message;
+      await claimed.save();
+      return { status: 'failed', session: claimed };
+    }
+
+    claimed.status = 'completed';
+    claimed.media = result;
+    await claimed.save();
+    await removeTempFile(claimed);
+    return { status: 'completed', session: claimed };
+  } catch (error) {
+    await UploadSession.updateOne(
+      { _id: claimed._id, status: 'processing' },
+      { $set: { status: 'uploading', error: error.message } }
+    );
+    throw error;
+  }
+};
+
+// Write one chunk at `offset`, which must match what the server already has.
+// An empty chunk at the end of the file retries a failed completion.
+// Resolves to { status: 'offset_mismatch' | 'too_large' | 'not_uploading' | 'received', session }
+// or one of the completeSession results once the last byte arrives.
+const writeChunk = async (session, offset, chunk, req) => {
+  if (session.status !== 'uploading') {
+    return { status: 'not_uploading', session };
+  }
+  if (offset !== session.received) {
+    return { status: 'offset_mismatch', session };
+  }
+  if (offset + chunk.length > session.size) {
+    return { status: 'too_large', session };
+  }
+
+  let current = session;
+  if (chunk.length > 0) {
+    const handle = await fs.open(session.tempPath, 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    // Only advance from the offset this chunk was written at, in case of concurrent requests
+    current = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading', received: offset },
+      { $set: { received: offset + chunk.length } },
+      { new: true }
+    );
+    if (!current) {
+      return { status: 'offset_mismatch', session: await UploadSession.findById(session._id) };
+    }
+  }
+
+  if (current.received === current.size) {
+    return completeSession(current, req);
+  }
+  return { status: 'received', session: current };
+};
+
+// Abandon a session. Uploads being attached or attached belong to their issue and cannot be cancelled.
+const cancelSession = async (session) => {
+  if (['processing', 'attaching', 'attached'].includes(session.status)) {
+    return { status: 'not_cancellable', session };
+  }
+  await removeTempFile(session);
+  if (session.status === 'completed') {
+    await deleteStoredMedia(session.media);
+  }
+  await UploadSession.deleteOne({ _id: session._id });
+  return { status: 'cancelled', session };
+};
+
+// Reserve completed sessions owned by `userId` for one issue, in the order given. All of them
+// are moved to 'attaching' under a claim token in one update, so two submissions cannot
+// both use an upload; if any is unknown, unfinished, expired or already used, none are kept.
+// Resolves to { status: 'claimed', claim, sessions } or { status: 'unavailable', missing }.
+const claimUploads = async (ids, userId) => {
+  const claim = new mongoose.Types.ObjectId();
+  const result = await UploadSession.updateMany(
+    { _id: { $in: ids }, owner: userId, status: 'completed', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'attaching', claim } }
+  );
+
+  const found = await UploadSession.find({ claim, status: 'attaching' });
+  const byId = new Map(found.map(session => [session._id.toString(), session]));
+  if (result.modifiedCount !== ids.length) {
+    await releaseUploads(claim);
+    return { status: 'unavailable', missing: ids.filter(id => !byId.has(id)) };
+  }
+  return { status: 'claimed', claim, sessions: ids.map(id => byId.get(id)) };
+};
+
+// Give claimed sessions back, e.g. when the issue could not be created
+const releaseUploads = async (claim) => {
+  await UploadSession.updateMany(
+    { claim, status: 'attaching' },
+    { $set: { status: 'completed' }, $unset: { claim: 1 } }
+  );
+};
+
+// Hand claimed uploads over to their issue. The raw EXIF capture details are dropped
+// now that the issue keeps its own check of them.
+const markAttached = async (claim, issueId) => {
+  await UploadSession.updateMany(
+    { claim, status: 'attaching' },
+    { $set: { status: 'attached', issue: issueId }, $unset: { claim: 1, 'media.capture': 1 } }
+  );
+};
+
+const deleteStoredMedia = async (media) => {
+  if (!media || !media.publicId) return;
+  const stored = [{ publicId: media.publicId, type: media.type }]
+    .concat((media.thumbnails || []).map(thumbnail => ({ publicId: thumbnail.publicId, type: 'image' })));
+  for (const { publicId, type } of stored) {
+    try {
+      await storage.delete(publicId, type);
+    } catch (error) {
+      console.warn(`Failed to delete stored upload ${publicId}:`, error.message);
+    }
+  }
+};
+
+// Remove expired sessions: partial files, plus stored media that never made it onto an issue.
+// Attaching and attached sessions only lose their record, as an issue may already use the media.
+const cleanupExpiredSessions = async (now = new Date()) => {
+  const expired = await UploadSession.find({ expiresAt: { $lte: now } });
+  let removed = 0;
+  for (const session of expired) {
+    await removeTempFile(session);
+    if (session.status === 'completed') {
+      await deleteStoredMedia(session.media);
+    }
+    await UploadSession.deleteOne({ _id: session._id });
+    removed++;
+  }
+  return { removed };
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  createSession,
+  writeChunk,
+  completeSession,
+  cancelSession,
+  claimUploads,
+  releaseUploads,
+  markAttached,
+  cleanupExpiredSessions
+};
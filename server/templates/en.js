@@ -0,0 +1,544 @@
+// templates/en.js - English email and SMS templates (the fallback for every other locale)
+// {{name}} inserts a variable (HTML-escaped in email bodies), {{{name}}} inserts it as-is,
+// {{#name}}...{{/name}} renders when it is set (once per item for lists), {{^name}}...{{/name}} when it is not.
+
+const FOOTER_TEAM = `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        Best regards,<br>
+        The Voice2Action Team
+      </p>`;
+
+const FOOTER_AUTOMATED = `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        This is an automated notification from Voice2Action.<br>
+        For support, contact: support@voice2action.com
+      </p>`;
+
+const FOOTER_UNSUBSCRIBE = `
+      {{#unsubscribeUrl}}
+      <p style="color: #9ca3af; font-size: 12px;">
+        Don't want these emails? <a href="{{unsubscribeUrl}}" style="color: #9ca3af;">Unsubscribe</a>, or choose what you hear about under Notifications on your profile.
+      </p>
+      {{/unsubscribeUrl}}`;
+
+module.exports = {
+  labels: {
+    statuses: {
+      pending: 'pending',
+      verified: 'verified',
+      rejected: 'rejected',
+      assigned: 'assigned',
+      in_progress: 'in progress',
+      resolved: 'resolved',
+      closed: 'closed',
+      merged: 'merged'
+    },
+    priorities: {
+      low: 'low',
+      medium: 'medium',
+      high: 'high',
+      urgent: 'urgent'
+    },
+    categories: {
+      road_maintenance: 'road maintenance',
+      waste_management: 'waste management',
+      water_supply: 'water supply',
+      electricity: 'electricity',
+      fire_safety: 'fire safety',
+      public_transport: 'public transport',
+      parks_recreation: 'parks and recreation',
+      street_lighting: 'street lighting',
+      drainage: 'drainage',
+      noise_pollution: 'noise pollution',
+      illegal_construction: 'illegal construction',
+      animal_control: 'animal control',
+      other: 'other'
+    }
+  },
+
+  email: {
+    welcome: {
+      subject: 'Welcome to Voice2Action!',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Welcome to Voice2Action! 🎉</h2>
+
+      <p>Hi {{name}},</p>
+
+      <p>Thank you for joining Voice2Action - your platform for making your community better!</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="color: #374151; margin-top: 0;">What you can do:</h3>
+        <ul style="color: #374151;">
+          <li>📸 Report issues with photos, videos, or voice recordings</li>
+          <li>📍 Track your reports with real-time updates</li>
+          <li>🏆 Earn points and climb the contributor leaderboard</li>
+          <li>🤝 Help make your community a better place</li>
+        </ul>
+      </div>
+
+      <p>Ready to get started? <a href="{{appUrl}}/dashboard" style="color: #2563eb; text-decoration: none;">Visit your dashboard</a></p>
+      ${FOOTER_TEAM}
+    </div>
+  `
+    },
+
+    issueStatus: {
+      subject: 'Issue Update: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Issue Status Update</h2>
+
+      <p>Hi {{name}},</p>
+
+      <p>Your issue "<strong>{{issueTitle}}</strong>" has been updated.</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <div style="display: flex; align-items: center; margin-bottom: 15px;">
+          <div style="width: 12px; height: 12px; background-color: {{statusColor}}; border-radius: 50%; margin-right: 10px;"></div>
+          <span style="font-weight: bold; text-transform: capitalize;">{{statusLabel}}</span>
+        </div>
+
+        <p style="margin: 0; color: #374151;">{{#is.verified}}Your issue has been verified and forwarded to the appropriate authority.{{/is.verified}}{{#is.rejected}}Your issue has been reviewed and requires additional information.{{/is.rejected}}{{#is.assigned}}Your issue has been assigned to the relevant department.{{/is.assigned}}{{#is.in_progress}}Work has begun on resolving your issue.{{/is.in_progress}}{{#is.resolved}}Great news! Your issue has been resolved.{{/is.resolved}}{{#is.closed}}Your issue has been closed.{{/is.closed}}</p>
+
+        {{#adminNotes}}
+          <div style="margin-top: 15px; padding: 15px; background-color: #e5e7eb; border-radius: 4px;">
+            <strong>Additional Notes:</strong><br>
+            {{adminNotes}}
+          </div>
+        {{/adminNotes}}
+      </div>
+
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+        <strong>Issue Details:</strong><br>
+        <strong>Location:</strong> {{address}}<br>
+        <strong>Category:</strong> {{categoryLabel}}<br>
+        <strong>Reported:</strong> {{reportedOn}}
+      </div>
+
+      <p style="margin-top: 20px;">
+        <a href="{{issueUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Issue Details
+        </a>
+      </p>
+
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        Thank you for using Voice2Action to improve your community!<br>
+        The Voice2Action Team
+      </p>
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    authorityNotification: {
+      subject: 'New Issue Assigned: {{categoryLabel}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">New Issue Alert</h2>
+
+      <p>Dear {{authorityName}},</p>
+
+      <p>A new issue has been assigned to your department for resolution.</p>
+
+      <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; border-left: 4px solid #dc2626; margin: 20px 0;">
+        <h3 style="color: #991b1b; margin-top: 0;">{{issueTitle}}</h3>
+
+        <p style="margin: 10px 0;"><strong>Description:</strong><br>{{description}}</p>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>Category:</strong> {{categoryLabel}}</div>
+          <div><strong>Priority:</strong> {{priorityLabel}}</div>
+          <div><strong>Location:</strong> {{address}}</div>
+          <div><strong>Reported:</strong> {{reportedOn}}</div>
+        </div>
+
+        {{#attachmentCount}}
+          <p><strong>Attachments:</strong> {{attachmentCount}} file(s) attached</p>
+        {{/attachmentCount}}
+      </div>
+
+      <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px;">
+        <strong>Reporter Information:</strong><br>
+        <strong>Name:</strong> {{reporterName}}<br>
+        <strong>Email:</strong> {{reporterEmail}}<br>
+        {{#reporterPhone}}<strong>Phone:</strong> {{reporterPhone}}<br>{{/reporterPhone}}
+      </div>
+
+      <p style="margin-top: 20px;">
+        Please review this issue and update its status accordingly. You can access the full details and media files through your authority portal.
+      </p>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Issue Details
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+    </div>
+  `
+    },
+
+    officerAssignment: {
+      subject: 'Issue Assigned to You: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">New Assignment</h2>
+
+      <p>Dear {{officerName}},</p>
+
+      <p>An issue handled by {{authorityName}} has been assigned to you.</p>
+
+      <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; border-left: 4px solid #2563eb; margin: 20px 0;">
+        <h3 style="color: #1e40af; margin-top: 0;">{{issueTitle}}</h3>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>Category:</strong> {{categoryLabel}}</div>
+          <div><strong>Priority:</strong> {{priorityLabel}}</div>
+          <div><strong>Location:</strong> {{address}}</div>
+          <div><strong>Status:</strong> {{statusLabel}}</div>
+        </div>
+      </div>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Issue Details
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+    </div>
+  `
+    },
+
+    slaEscalation: {
+      subject: 'SLA Breach{{#escalated}} (Escalated to Admins){{/escalated}}: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">SLA Breach</h2>
+
+      <p>Dear {{recipientName}},</p>
+
+      <p>The following issue assigned to {{#authorityName}}{{authorityName}}{{/authorityName}}{{^authorityName}}a department{{/authorityName}} {{#responseBreach}}has not been picked up{{/responseBreach}}{{^responseBreach}}has not been resolved{{/responseBreach}} within its service level target.</p>
+
+      <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; border-left: 4px solid #dc2626; margin: 20px 0;">
+        <h3 style="color: #991b1b; margin-top: 0;">{{issueTitle}}</h3>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>Category:</strong> {{categoryLabel}}</div>
+          <div><strong>Priority:</strong> {{priorityLabel}}</div>
+          <div><strong>Status:</strong> {{statusLabel}}</div>
+          <div><strong>Due:</strong> {{dueAt}}</div>
+          <div><strong>Overdue by:</strong> {{overdueHours}} hours</div>
+          <div><strong>Location:</strong> {{address}}</div>
+        </div>
+      </div>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Issue Details
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    passwordReset: {
+      subject: 'Password Reset Request',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Password Reset Request</h2>
+
+      <p>Hi {{name}},</p>
+
+      <p>You requested a password reset for your Voice2Action account.</p>
+
+      <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
+        <p style="margin: 0;"><strong>Important:</strong> This link will expire in 1 hour for security reasons.</p>
+      </div>
+
+      <p>
+        <a href="{{resetUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Reset Your Password
+        </a>
+      </p>
+
+      <p>If you didn't request this password reset, please ignore this email. Your password will remain unchanged.</p>
+
+      <p style="color: #6b7280; font-size: 14px;">
+        If the button doesn't work, copy and paste this link into your browser:<br>
+        {{resetUrl}}
+      </p>
+      ${FOOTER_TEAM}
+    </div>
+  `
+    },
+
+    monthlyReport: {
+      subject: 'Your Monthly Impact Report - {{month}} {{year}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Your Monthly Impact Report 📊</h2>
+
+      <p>Hi {{name}},</p>
+
+      <p>Here's your community contribution summary for {{month}} {{year}}:</p>
+
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin: 20px 0;">
+        <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; text-align: center;">
+          <h3 style="color: #1d4ed8; margin: 0 0 10px 0; font-size: 24px;">{{issuesReported}}</h3>
+          <p style="margin: 0; color: #374151;">Issues Reported</p>
+        </div>
+
+        <div style="background-color: #dcfce7; padding: 20px; border-radius: 8px; text-align: center;">
+          <h3 style="color: #166534; margin: 0 0 10px 0; font-size: 24px;">{{issuesResolved}}</h3>
+          <p style="margin: 0; color: #374151;">Issues Resolved</p>
+        </div>
+
+        <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; text-align: center;">
+          <h3 style="color: #92400e; margin: 0 0 10px 0; font-size: 24px;">{{points}}</h3>
+          <p style="margin: 0; color: #374151;">Points Earned</p>
+        </div>
+
+        <div style="background-color: #e0e7ff; padding: 20px; border-radius: 8px; text-align: center;">
+          <h3 style="color: #3730a3; margin: 0 0 10px 0; font-size: 24px;">#{{rank}}</h3>
+          <p style="margin: 0; color: #374151;">Your Rank</p>
+        </div>
+      </div>
+
+      {{#hasAchievements}}
+        <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; border-left: 4px solid #22c55e; margin: 20px 0;">
+          <h3 style="color: #166534; margin-top: 0;">🏆 New Achievements</h3>
+          <ul style="color: #374151;">
+            {{#achievements}}<li>{{.}}</li>{{/achievements}}
+          </ul>
+        </div>
+      {{/hasAchievements}}
+
+      <p>Keep up the great work! Every report helps make our community better.</p>
+
+      <p>
+        <a href="{{appUrl}}/leaderboard"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Full Leaderboard
+        </a>
+      </p>
+
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        Thank you for being a Voice2Action community champion!<br>
+        The Voice2Action Team
+      </p>
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    announcement: {
+      subject: '📢 {{title}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: {{accent}};">{{title}}</h2>
+
+      <p>Hi {{name}},</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid {{accent}}; margin: 20px 0;">
+        <p style="margin: 0; white-space: pre-line;">{{message}}</p>
+      </div>
+
+      <p>
+        <a href="{{appUrl}}/dashboard"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Open Voice2Action
+        </a>
+      </p>
+      ${FOOTER_TEAM}
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    dailyDigest: {
+      subject: 'Your Voice2Action daily digest ({{count}} updates)',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Your Daily Digest</h2>
+
+      <p>Hi {{name}},</p>
+
+      <p>Here's what happened since your last digest:</p>
+
+      {{#items}}
+      <div style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
+        <p style="margin: 0; font-weight: bold;">{{title}}</p>
+        {{#message}}<p style="margin: 4px 0 0 0; color: #374151;">{{message}}</p>{{/message}}
+        <p style="margin: 4px 0 0 0; color: #6b7280; font-size: 12px;">
+          {{time}}{{#url}} · <a href="{{url}}" style="color: #2563eb;">View</a>{{/url}}
+        </p>
+      </div>
+      {{/items}}
+
+      <p style="margin-top: 20px;">
+        <a href="{{appUrl}}/dashboard"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Open Voice2Action
+        </a>
+      </p>
+      ${FOOTER_TEAM}
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    authorityLoginOtp: {
+      subject: 'Voice2Action Authority Login - OTP Verification',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Authority Login Verification</h2>
+
+      <p>Dear {{authorityName}},</p>
+
+      <p>You have requested to login to your Voice2Action Authority Portal. Please use the following OTP to complete your login:</p>
+
+      <div style="background-color: #f3f4f6; padding: 30px; border-radius: 8px; text-align: center; margin: 20px 0;">
+        <h1 style="color: #1f2937; font-size: 36px; letter-spacing: 8px; margin: 0;">{{otp}}</h1>
+      </div>
+
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
+        <p style="margin: 0;"><strong>Important:</strong></p>
+        <ul style="margin: 10px 0 0 0; padding-left: 20px;">
+          <li>This OTP is valid for <strong>5 minutes</strong> only</li>
+          <li>Do not share this OTP with anyone</li>
+          <li>If you didn't request this login, please contact admin immediately</li>
+        </ul>
+      </div>
+
+      <p>If you're having trouble logging in, please contact the system administrator.</p>
+
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        This is an automated message from Voice2Action Authority Portal.<br>
+        For support, contact: admin@voice2action.com
+      </p>
+    </div>
+  `
+    }
+  },
+
+  sms: {
+    welcome: {
+      body: `Welcome to Voice2Action! 🎉 Start reporting issues and help improve your community. Download the app: {{appUrl}}`
+    },
+
+    issueStatus: {
+      body: `{{#is.verified}}✅ Your issue "{{issueTitle}}" has been verified and forwarded to authorities.{{/is.verified}}{{#is.rejected}}❌ Your issue "{{issueTitle}}" needs more information. Check your email for details.{{/is.rejected}}{{#is.assigned}}📋 Your issue "{{issueTitle}}" has been assigned to the relevant department.{{/is.assigned}}{{#is.in_progress}}🔧 Work has started on your issue "{{issueTitle}}".{{/is.in_progress}}{{#is.resolved}}🎉 Great news! Your issue "{{issueTitle}}" has been resolved.{{/is.resolved}}{{#is.closed}}📁 Your issue "{{issueTitle}}" has been closed.{{/is.closed}}
+
+View details: {{issueUrl}}`
+    },
+
+    authorityNotification: {
+      body: `🚨 NEW ISSUE ASSIGNED
+{{issueTitle}}
+
+Category: {{categoryLabel}}
+Priority: {{priorityLabel}}
+Location: {{address}}
+
+View: {{issueUrl}}`
+    },
+
+    urgentAlert: {
+      body: `🚨 URGENT ISSUE ALERT 🚨
+{{issueTitle}}
+
+Location: {{address}}
+Reporter: {{reporterName}}
+
+IMMEDIATE ATTENTION REQUIRED
+
+View: {{issueUrl}}`
+    },
+
+    verificationCode: {
+      body: `Your Voice2Action verification code is: {{code}}
+
+This code will expire in 10 minutes. Do not share this code with anyone.`
+    },
+
+    passwordResetCode: {
+      body: `Your Voice2Action password reset code is: {{code}}
+
+This code will expire in 10 minutes. If you didn't request this, please ignore.`
+    },
+
+    emergencyAlert: {
+      body: `🚨 EMERGENCY ALERT 🚨
+Critical infrastructure issue reported: {{issueTitle}}
+
+Location: {{address}}
+Time: {{reportedAt}}
+
+Immediate response required.
+
+View: {{issueUrl}}`
+    },
+
+    weeklySummary: {
+      body: `📊 Voice2Action Weekly Summary
+
+Your Impact:
+✅ {{issuesReported}} issues reported
+🎯 {{issuesResolved}} issues resolved
+⭐ {{points}} points earned
+🏆 Rank #{{rank}}
+
+Keep making a difference!
+
+View: {{appUrl}}/dashboard`
+    },
+
+    maintenance: {
+      body: `🔧 Voice2Action Maintenance Notice
+
+Scheduled maintenance: {{date}} at {{time}}
+Expected duration: {{duration}}
+
+During this time, some features may be temporarily unavailable.
+
+Thank you for your patience!`
+    },
+
+    slaEscalation: {
+      body: `⏰ SLA BREACH
+{{issueTitle}}
+
+Priority: {{priorityLabel}}
+Status: {{statusLabel}}
+Overdue by: {{overdueHours}}h
+
+View: {{issueUrl}}`
+    },
+
+    announcement: {
+      body: `📢 {{title}}
+
+{{message}}
+
+View: {{appUrl}}/dashboard`
+    }
+  }
+};
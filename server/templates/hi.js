@@ -0,0 +1,356 @@
+// templates/hi.js - Hindi email and SMS templates; anything missing here falls back to templates/en.js
+
+const FOOTER_TEAM = `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        शुभकामनाओं सहित,<br>
+        Voice2Action टीम
+      </p>`;
+
+const FOOTER_AUTOMATED = `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        यह Voice2Action की ओर से एक स्वचालित सूचना है।<br>
+        सहायता के लिए संपर्क करें: support@voice2action.com
+      </p>`;
+
+const FOOTER_UNSUBSCRIBE = `
+      {{#unsubscribeUrl}}
+      <p style="color: #9ca3af; font-size: 12px;">
+        ये ईमेल नहीं चाहिए? <a href="{{unsubscribeUrl}}" style="color: #9ca3af;">सदस्यता छोड़ें</a>, या अपनी प्रोफ़ाइल में सूचनाएँ अनुभाग से चुनें कि आपको किस बारे में बताया जाए।
+      </p>
+      {{/unsubscribeUrl}}`;
+
+module.exports = {
+  labels: {
+    statuses: {
+      pending: 'लंबित',
+      verified: 'सत्यापित',
+      rejected: 'अस्वीकृत',
+      assigned: 'सौंपा गया',
+      in_progress: 'कार्य प्रगति पर',
+      resolved: 'हल हो गया',
+      closed: 'बंद',
+      merged: 'विलय किया गया'
+    },
+    priorities: {
+      low: 'कम',
+      medium: 'मध्यम',
+      high: 'उच्च',
+      urgent: 'अत्यावश्यक'
+    },
+    categories: {
+      road_maintenance: 'सड़क रखरखाव',
+      waste_management: 'कचरा प्रबंधन',
+      water_supply: 'जल आपूर्ति',
+      electricity: 'बिजली',
+      fire_safety: 'अग्नि सुरक्षा',
+      public_transport: 'सार्वजनिक परिवहन',
+      parks_recreation: 'पार्क और मनोरंजन',
+      street_lighting: 'स्ट्रीट लाइट',
+      drainage: 'जल निकासी',
+      noise_pollution: 'ध्वनि प्रदूषण',
+      illegal_construction: 'अवैध निर्माण',
+      animal_control: 'पशु नियंत्रण',
+      other: 'अन्य'
+    }
+  },
+
+  email: {
+    welcome: {
+      subject: 'Voice2Action में आपका स्वागत है!',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Voice2Action में आपका स्वागत है! 🎉</h2>
+
+      <p>नमस्ते {{name}},</p>
+
+      <p>Voice2Action से जुड़ने के लिए धन्यवाद - अपने समुदाय को बेहतर बनाने का आपका मंच!</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="color: #374151; margin-top: 0;">आप क्या कर सकते हैं:</h3>
+        <ul style="color: #374151;">
+          <li>📸 फ़ोटो, वीडियो या वॉइस रिकॉर्डिंग के साथ समस्याएँ दर्ज करें</li>
+          <li>📍 अपनी शिकायतों की स्थिति तुरंत देखें</li>
+          <li>🏆 अंक कमाएँ और लीडरबोर्ड में आगे बढ़ें</li>
+          <li>🤝 अपने समुदाय को बेहतर बनाने में मदद करें</li>
+        </ul>
+      </div>
+
+      <p>शुरू करने के लिए तैयार हैं? <a href="{{appUrl}}/dashboard" style="color: #2563eb; text-decoration: none;">अपना डैशबोर्ड खोलें</a></p>
+      ${FOOTER_TEAM}
+    </div>
+  `
+    },
+
+    issueStatus: {
+      subject: 'शिकायत अपडेट: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">शिकायत की स्थिति में बदलाव</h2>
+
+      <p>नमस्ते {{name}},</p>
+
+      <p>आपकी शिकायत "<strong>{{issueTitle}}</strong>" अपडेट की गई है।</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <div style="display: flex; align-items: center; margin-bottom: 15px;">
+          <div style="width: 12px; height: 12px; background-color: {{statusColor}}; border-radius: 50%; margin-right: 10px;"></div>
+          <span style="font-weight: bold;">{{statusLabel}}</span>
+        </div>
+
+        <p style="margin: 0; color: #374151;">{{#is.verified}}आपकी शिकायत सत्यापित हो गई है और संबंधित विभाग को भेज दी गई है।{{/is.verified}}{{#is.rejected}}आपकी शिकायत की समीक्षा की गई है और इसके लिए अधिक जानकारी चाहिए।{{/is.rejected}}{{#is.assigned}}आपकी शिकायत संबंधित विभाग को सौंप दी गई है।{{/is.assigned}}{{#is.in_progress}}आपकी शिकायत पर काम शुरू हो गया है।{{/is.in_progress}}{{#is.resolved}}अच्छी खबर! आपकी शिकायत हल हो गई है।{{/is.resolved}}{{#is.closed}}आपकी शिकायत बंद कर दी गई है।{{/is.closed}}</p>
+
+        {{#adminNotes}}
+          <div style="margin-top: 15px; padding: 15px; background-color: #e5e7eb; border-radius: 4px;">
+            <strong>अतिरिक्त टिप्पणी:</strong><br>
+            {{adminNotes}}
+          </div>
+        {{/adminNotes}}
+      </div>
+
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+        <strong>शिकायत का विवरण:</strong><br>
+        <strong>स्थान:</strong> {{address}}<br>
+        <strong>श्रेणी:</strong> {{categoryLabel}}<br>
+        <strong>दर्ज की गई:</strong> {{reportedOn}}
+      </div>
+
+      <p style="margin-top: 20px;">
+        <a href="{{issueUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          शिकायत देखें
+        </a>
+      </p>
+
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        अपने समुदाय को बेहतर बनाने के लिए Voice2Action का उपयोग करने हेतु धन्यवाद!<br>
+        Voice2Action टीम
+      </p>
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    authorityNotification: {
+      subject: 'नई शिकायत सौंपी गई: {{categoryLabel}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">नई शिकायत</h2>
+
+      <p>प्रिय {{authorityName}},</p>
+
+      <p>एक नई शिकायत समाधान के लिए आपके विभाग को सौंपी गई है।</p>
+
+      <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; border-left: 4px solid #dc2626; margin: 20px 0;">
+        <h3 style="color: #991b1b; margin-top: 0;">{{issueTitle}}</h3>
+
+        <p style="margin: 10px 0;"><strong>विवरण:</strong><br>{{description}}</p>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>श्रेणी:</strong> {{categoryLabel}}</div>
+          <div><strong>प्राथमिकता:</strong> {{priorityLabel}}</div>
+          <div><strong>स्थान:</strong> {{address}}</div>
+          <div><strong>दर्ज की गई:</strong> {{reportedOn}}</div>
+        </div>
+
+        {{#attachmentCount}}
+          <p><strong>संलग्नक:</strong> {{attachmentCount}} फ़ाइल</p>
+        {{/attachmentCount}}
+      </div>
+
+      <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px;">
+        <strong>शिकायतकर्ता की जानकारी:</strong><br>
+        <strong>नाम:</strong> {{reporterName}}<br>
+        <strong>ईमेल:</strong> {{reporterEmail}}<br>
+        {{#reporterPhone}}<strong>फ़ोन:</strong> {{reporterPhone}}<br>{{/reporterPhone}}
+      </div>
+
+      <p style="margin-top: 20px;">
+        कृपया इस शिकायत की समीक्षा करें और उसकी स्थिति अपडेट करें। पूरा विवरण और मीडिया फ़ाइलें आपके प्राधिकरण पोर्टल पर उपलब्ध हैं।
+      </p>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          शिकायत देखें
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+    </div>
+  `
+    },
+
+    officerAssignment: {
+      subject: 'आपको शिकायत सौंपी गई: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">नया कार्य</h2>
+
+      <p>प्रिय {{officerName}},</p>
+
+      <p>{{authorityName}} की एक शिकायत आपको सौंपी गई है।</p>
+
+      <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; border-left: 4px solid #2563eb; margin: 20px 0;">
+        <h3 style="color: #1e40af; margin-top: 0;">{{issueTitle}}</h3>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>श्रेणी:</strong> {{categoryLabel}}</div>
+          <div><strong>प्राथमिकता:</strong> {{priorityLabel}}</div>
+          <div><strong>स्थान:</strong> {{address}}</div>
+          <div><strong>स्थिति:</strong> {{statusLabel}}</div>
+        </div>
+      </div>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          शिकायत देखें
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+    </div>
+  `
+    },
+
+    passwordReset: {
+      subject: 'पासवर्ड रीसेट अनुरोध',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">पासवर्ड रीसेट अनुरोध</h2>
+
+      <p>नमस्ते {{name}},</p>
+
+      <p>आपने अपने Voice2Action खाते का पासवर्ड रीसेट करने का अनुरोध किया है।</p>
+
+      <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
+        <p style="margin: 0;"><strong>महत्वपूर्ण:</strong> सुरक्षा कारणों से यह लिंक 1 घंटे में समाप्त हो जाएगा।</p>
+      </div>
+
+      <p>
+        <a href="{{resetUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          पासवर्ड रीसेट करें
+        </a>
+      </p>
+
+      <p>यदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें। आपका पासवर्ड नहीं बदलेगा।</p>
+
+      <p style="color: #6b7280; font-size: 14px;">
+        यदि बटन काम न करे, तो यह लिंक अपने ब्राउज़र में कॉपी करें:<br>
+        {{resetUrl}}
+      </p>
+      ${FOOTER_TEAM}
+    </div>
+  `
+    },
+
+    announcement: {
+      subject: '📢 {{title}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: {{accent}};">{{title}}</h2>
+
+      <p>नमस्ते {{name}},</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid {{accent}}; margin: 20px 0;">
+        <p style="margin: 0; white-space: pre-line;">{{message}}</p>
+      </div>
+
+      <p>
+        <a href="{{appUrl}}/dashboard"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Voice2Action खोलें
+        </a>
+      </p>
+      ${FOOTER_TEAM}
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    }
+  },
+
+  sms: {
+    welcome: {
+      body: `Voice2Action में आपका स्वागत है! 🎉 समस्याएँ दर्ज करें और अपने समुदाय को बेहतर बनाने में मदद करें। ऐप डाउनलोड करें: {{appUrl}}`
+    },
+
+    issueStatus: {
+      body: `{{#is.verified}}✅ आपकी शिकायत "{{issueTitle}}" सत्यापित होकर विभाग को भेज दी गई है।{{/is.verified}}{{#is.rejected}}❌ आपकी शिकायत "{{issueTitle}}" के लिए अधिक जानकारी चाहिए। विवरण के लिए अपना ईमेल देखें।{{/is.rejected}}{{#is.assigned}}📋 आपकी शिकायत "{{issueTitle}}" संबंधित विभाग को सौंप दी गई है।{{/is.assigned}}{{#is.in_progress}}🔧 आपकी शिकायत "{{issueTitle}}" पर काम शुरू हो गया है।{{/is.in_progress}}{{#is.resolved}}🎉 अच्छी खबर! आपकी शिकायत "{{issueTitle}}" हल हो गई है।{{/is.resolved}}{{#is.closed}}📁 आपकी शिकायत "{{issueTitle}}" बंद कर दी गई है।{{/is.closed}}
+
+विवरण देखें: {{issueUrl}}`
+    },
+
+    authorityNotification: {
+      body: `🚨 नई शिकायत सौंपी गई
+{{issueTitle}}
+
+श्रेणी: {{categoryLabel}}
+प्राथमिकता: {{priorityLabel}}
+स्थान: {{address}}
+
+देखें: {{issueUrl}}`
+    },
+
+    urgentAlert: {
+      body: `🚨 अत्यावश्यक शिकायत 🚨
+{{issueTitle}}
+
+स्थान: {{address}}
+शिकायतकर्ता: {{reporterName}}
+
+तुरंत ध्यान दें
+
+देखें: {{issueUrl}}`
+    },
+
+    verificationCode: {
+      body: `आपका Voice2Action सत्यापन कोड है: {{code}}
+
+यह कोड 10 मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।`
+    },
+
+    passwordResetCode: {
+      body: `आपका Voice2Action पासवर्ड रीसेट कोड है: {{code}}
+
+यह कोड 10 मिनट में समाप्त हो जाएगा। यदि आपने यह अनुरोध नहीं किया है, तो इसे अनदेखा करें।`
+    },
+
+    weeklySummary: {
+      body: `📊 Voice2Action साप्ताहिक सारांश
+
+आपका योगदान:
+✅ {{issuesReported}} शिकायतें दर्ज कीं
+🎯 {{issuesResolved}} शिकायतें हल हुईं
+⭐ {{points}} अंक अर्जित
+🏆 रैंक #{{rank}}
+
+बदलाव लाते रहिए!
+
+देखें: {{appUrl}}/dashboard`
+    },
+
+    slaEscalation: {
+      body: `⏰ SLA उल्लंघन
+{{issueTitle}}
+
+प्राथमिकता: {{priorityLabel}}
+स्थिति: {{statusLabel}}
+देरी: {{overdueHours}} घंटे
+
+देखें: {{issueUrl}}`
+    },
+
+    announcement: {
+      body: `📢 {{title}}
+
+{{message}}
+
+देखें: {{appUrl}}/dashboard`
+    }
+  }
+};
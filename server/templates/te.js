@@ -0,0 +1,356 @@
+// templates/te.js - Telugu email and SMS templates; anything missing here falls back to templates/en.js
+
+const FOOTER_TEAM = `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        శుభాకాంక్షలతో,<br>
+        Voice2Action బృందం
+      </p>`;
+
+const FOOTER_AUTOMATED = `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        ఇది Voice2Action నుండి వచ్చిన ఆటోమేటెడ్ సందేశం.<br>
+        సహాయం కోసం సంప్రదించండి: support@voice2action.com
+      </p>`;
+
+const FOOTER_UNSUBSCRIBE = `
+      {{#unsubscribeUrl}}
+      <p style="color: #9ca3af; font-size: 12px;">
+        ఈ ఇమెయిల్‌లు వద్దా? <a href="{{unsubscribeUrl}}" style="color: #9ca3af;">అన్‌సబ్‌స్క్రైబ్ చేయండి</a>, లేదా మీ ప్రొఫైల్‌లోని నోటిఫికేషన్‌లు విభాగంలో మీకు ఏవి కావాలో ఎంచుకోండి.
+      </p>
+      {{/unsubscribeUrl}}`;
+
+module.exports = {
+  labels: {
+    statuses: {
+      pending: 'పెండింగ్‌లో ఉంది',
+      verified: 'ధృవీకరించబడింది',
+      rejected: 'తిరస్కరించబడింది',
+      assigned: 'కేటాయించబడింది',
+      in_progress: 'పని జరుగుతోంది',
+      resolved: 'పరిష్కరించబడింది',
+      closed: 'మూసివేయబడింది',
+      merged: 'విలీనం చేయబడింది'
+    },
+    priorities: {
+      low: 'తక్కువ',
+      medium: 'మధ్యస్థం',
+      high: 'ఎక్కువ',
+      urgent: 'అత్యవసరం'
+    },
+    categories: {
+      road_maintenance: 'రోడ్డు నిర్వహణ',
+      waste_management: 'చెత్త నిర్వహణ',
+      water_supply: 'నీటి సరఫరా',
+      electricity: 'విద్యుత్',
+      fire_safety: 'అగ్ని భద్రత',
+      public_transport: 'ప్రజా రవాణా',
+      parks_recreation: 'పార్కులు మరియు వినోదం',
+      street_lighting: 'వీధి దీపాలు',
+      drainage: 'డ్రైనేజీ',
+      noise_pollution: 'శబ్ద కాలుష్యం',
+      illegal_construction: 'అక్రమ నిర్మాణం',
+      animal_control: 'జంతు నియంత్రణ',
+      other: 'ఇతర'
+    }
+  },
+
+  email: {
+    welcome: {
+      subject: 'Voice2Action కు స్వాగతం!',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Voice2Action కు స్వాగతం! 🎉</h2>
+
+      <p>నమస్కారం {{name}},</p>
+
+      <p>Voice2Action లో చేరినందుకు ధన్యవాదాలు - మీ సమాజాన్ని మెరుగుపరచడానికి మీ వేదిక!</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="color: #374151; margin-top: 0;">మీరు ఏమి చేయవచ్చు:</h3>
+        <ul style="color: #374151;">
+          <li>📸 ఫోటోలు, వీడియోలు లేదా వాయిస్ రికార్డింగ్‌లతో సమస్యలను నివేదించండి</li>
+          <li>📍 మీ ఫిర్యాదుల స్థితిని ఎప్పటికప్పుడు తెలుసుకోండి</li>
+          <li>🏆 పాయింట్లు సంపాదించి లీడర్‌బోర్డ్‌లో ముందుకు సాగండి</li>
+          <li>🤝 మీ సమాజాన్ని మెరుగైన ప్రదేశంగా మార్చడంలో సహాయపడండి</li>
+        </ul>
+      </div>
+
+      <p>ప్రారంభించడానికి సిద్ధంగా ఉన్నారా? <a href="{{appUrl}}/dashboard" style="color: #2563eb; text-decoration: none;">మీ డాష్‌బోర్డ్‌ను తెరవండి</a></p>
+      ${FOOTER_TEAM}
+    </div>
+  `
+    },
+
+    issueStatus: {
+      subject: 'ఫిర్యాదు అప్‌డేట్: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">ఫిర్యాదు స్థితి మార్పు</h2>
+
+      <p>నమస్కారం {{name}},</p>
+
+      <p>మీ ఫిర్యాదు "<strong>{{issueTitle}}</strong>" అప్‌డేట్ చేయబడింది.</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <div style="display: flex; align-items: center; margin-bottom: 15px;">
+          <div style="width: 12px; height: 12px; background-color: {{statusColor}}; border-radius: 50%; margin-right: 10px;"></div>
+          <span style="font-weight: bold;">{{statusLabel}}</span>
+        </div>
+
+        <p style="margin: 0; color: #374151;">{{#is.verified}}మీ ఫిర్యాదు ధృవీకరించబడి సంబంధిత అధికారులకు పంపబడింది.{{/is.verified}}{{#is.rejected}}మీ ఫిర్యాదును పరిశీలించాము, దీనికి మరింత సమాచారం అవసరం.{{/is.rejected}}{{#is.assigned}}మీ ఫిర్యాదు సంబంధిత విభాగానికి కేటాయించబడింది.{{/is.assigned}}{{#is.in_progress}}మీ ఫిర్యాదుపై పని ప్రారంభమైంది.{{/is.in_progress}}{{#is.resolved}}శుభవార్త! మీ ఫిర్యాదు పరిష్కరించబడింది.{{/is.resolved}}{{#is.closed}}మీ ఫిర్యాదు మూసివేయబడింది.{{/is.closed}}</p>
+
+        {{#adminNotes}}
+          <div style="margin-top: 15px; padding: 15px; background-color: #e5e7eb; border-radius: 4px;">
+            <strong>అదనపు గమనికలు:</strong><br>
+            {{adminNotes}}
+          </div>
+        {{/adminNotes}}
+      </div>
+
+      <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+        <strong>ఫిర్యాదు వివరాలు:</strong><br>
+        <strong>ప్రదేశం:</strong> {{address}}<br>
+        <strong>వర్గం:</strong> {{categoryLabel}}<br>
+        <strong>నమోదు చేసిన తేదీ:</strong> {{reportedOn}}
+      </div>
+
+      <p style="margin-top: 20px;">
+        <a href="{{issueUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          ఫిర్యాదు చూడండి
+        </a>
+      </p>
+
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+
+      <p style="color: #6b7280; font-size: 14px;">
+        మీ సమాజాన్ని మెరుగుపరచడానికి Voice2Action ఉపయోగిస్తున్నందుకు ధన్యవాదాలు!<br>
+        Voice2Action బృందం
+      </p>
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    },
+
+    authorityNotification: {
+      subject: 'కొత్త ఫిర్యాదు కేటాయించబడింది: {{categoryLabel}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">కొత్త ఫిర్యాదు</h2>
+
+      <p>ప్రియమైన {{authorityName}},</p>
+
+      <p>పరిష్కారం కోసం మీ విభాగానికి ఒక కొత్త ఫిర్యాదు కేటాయించబడింది.</p>
+
+      <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; border-left: 4px solid #dc2626; margin: 20px 0;">
+        <h3 style="color: #991b1b; margin-top: 0;">{{issueTitle}}</h3>
+
+        <p style="margin: 10px 0;"><strong>వివరణ:</strong><br>{{description}}</p>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>వర్గం:</strong> {{categoryLabel}}</div>
+          <div><strong>ప్రాధాన్యత:</strong> {{priorityLabel}}</div>
+          <div><strong>ప్రదేశం:</strong> {{address}}</div>
+          <div><strong>నమోదు చేసిన తేదీ:</strong> {{reportedOn}}</div>
+        </div>
+
+        {{#attachmentCount}}
+          <p><strong>జోడింపులు:</strong> {{attachmentCount}} ఫైల్(లు)</p>
+        {{/attachmentCount}}
+      </div>
+
+      <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px;">
+        <strong>ఫిర్యాదుదారు వివరాలు:</strong><br>
+        <strong>పేరు:</strong> {{reporterName}}<br>
+        <strong>ఇమెయిల్:</strong> {{reporterEmail}}<br>
+        {{#reporterPhone}}<strong>ఫోన్:</strong> {{reporterPhone}}<br>{{/reporterPhone}}
+      </div>
+
+      <p style="margin-top: 20px;">
+        దయచేసి ఈ ఫిర్యాదును పరిశీలించి దాని స్థితిని అప్‌డేట్ చేయండి. పూర్తి వివరాలు మరియు మీడియా ఫైళ్లు మీ అధికార పోర్టల్‌లో అందుబాటులో ఉన్నాయి.
+      </p>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          ఫిర్యాదు చూడండి
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+    </div>
+  `
+    },
+
+    officerAssignment: {
+      subject: 'మీకు ఫిర్యాదు కేటాయించబడింది: {{issueTitle}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">కొత్త బాధ్యత</h2>
+
+      <p>ప్రియమైన {{officerName}},</p>
+
+      <p>{{authorityName}} పరిధిలోని ఒక ఫిర్యాదు మీకు కేటాయించబడింది.</p>
+
+      <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; border-left: 4px solid #2563eb; margin: 20px 0;">
+        <h3 style="color: #1e40af; margin-top: 0;">{{issueTitle}}</h3>
+
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0;">
+          <div><strong>వర్గం:</strong> {{categoryLabel}}</div>
+          <div><strong>ప్రాధాన్యత:</strong> {{priorityLabel}}</div>
+          <div><strong>ప్రదేశం:</strong> {{address}}</div>
+          <div><strong>స్థితి:</strong> {{statusLabel}}</div>
+        </div>
+      </div>
+
+      <p>
+        <a href="{{issueUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          ఫిర్యాదు చూడండి
+        </a>
+      </p>
+      ${FOOTER_AUTOMATED}
+    </div>
+  `
+    },
+
+    passwordReset: {
+      subject: 'పాస్‌వర్డ్ రీసెట్ అభ్యర్థన',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">పాస్‌వర్డ్ రీసెట్ అభ్యర్థన</h2>
+
+      <p>నమస్కారం {{name}},</p>
+
+      <p>మీ Voice2Action ఖాతా పాస్‌వర్డ్ రీసెట్ కోసం మీరు అభ్యర్థించారు.</p>
+
+      <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; border-left: 4px solid #f59e0b; margin: 20px 0;">
+        <p style="margin: 0;"><strong>ముఖ్యమైనది:</strong> భద్రతా కారణాల వల్ల ఈ లింక్ 1 గంటలో గడువు ముగుస్తుంది.</p>
+      </div>
+
+      <p>
+        <a href="{{resetUrl}}"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          పాస్‌వర్డ్ రీసెట్ చేయండి
+        </a>
+      </p>
+
+      <p>మీరు ఈ అభ్యర్థన చేయకపోతే, ఈ ఇమెయిల్‌ను విస్మరించండి. మీ పాస్‌వర్డ్ మారదు.</p>
+
+      <p style="color: #6b7280; font-size: 14px;">
+        బటన్ పని చేయకపోతే, ఈ లింక్‌ను మీ బ్రౌజర్‌లో కాపీ చేయండి:<br>
+        {{resetUrl}}
+      </p>
+      ${FOOTER_TEAM}
+    </div>
+  `
+    },
+
+    announcement: {
+      subject: '📢 {{title}}',
+      body: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: {{accent}};">{{title}}</h2>
+
+      <p>నమస్కారం {{name}},</p>
+
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid {{accent}}; margin: 20px 0;">
+        <p style="margin: 0; white-space: pre-line;">{{message}}</p>
+      </div>
+
+      <p>
+        <a href="{{appUrl}}/dashboard"
+           style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Voice2Action తెరవండి
+        </a>
+      </p>
+      ${FOOTER_TEAM}
+      ${FOOTER_UNSUBSCRIBE}
+    </div>
+  `
+    }
+  },
+
+  sms: {
+    welcome: {
+      body: `Voice2Action కు స్వాగతం! 🎉 సమస్యలను నివేదించి మీ సమాజాన్ని మెరుగుపరచడంలో సహాయపడండి. యాప్ డౌన్‌లోడ్ చేసుకోండి: {{appUrl}}`
+    },
+
+    issueStatus: {
+      body: `{{#is.verified}}✅ మీ ఫిర్యాదు "{{issueTitle}}" ధృవీకరించబడి అధికారులకు పంపబడింది.{{/is.verified}}{{#is.rejected}}❌ మీ ఫిర్యాదు "{{issueTitle}}" కు మరింత సమాచారం అవసరం. వివరాల కోసం మీ ఇమెయిల్ చూడండి.{{/is.rejected}}{{#is.assigned}}📋 మీ ఫిర్యాదు "{{issueTitle}}" సంబంధిత విభాగానికి కేటాయించబడింది.{{/is.assigned}}{{#is.in_progress}}🔧 మీ ఫిర్యాదు "{{issueTitle}}" పై పని ప్రారంభమైంది.{{/is.in_progress}}{{#is.resolved}}🎉 శుభవార్త! మీ ఫిర్యాదు "{{issueTitle}}" పరిష్కరించబడింది.{{/is.resolved}}{{#is.closed}}📁 మీ ఫిర్యాదు "{{issueTitle}}" మూసివేయబడింది.{{/is.closed}}
+
+వివరాలు: {{issueUrl}}`
+    },
+
+    authorityNotification: {
+      body: `🚨 కొత్త ఫిర్యాదు కేటాయించబడింది
+{{issueTitle}}
+
+వర్గం: {{categoryLabel}}
+ప్రాధాన్యత: {{priorityLabel}}
+ప్రదేశం: {{address}}
+
+చూడండి: {{issueUrl}}`
+    },
+
+    urgentAlert: {
+      body: `🚨 అత్యవసర ఫిర్యాదు 🚨
+{{issueTitle}}
+
+ప్రదేశం: {{address}}
+ఫిర్యాదుదారు: {{reporterName}}
+
+వెంటనే స్పందించండి
+
+చూడండి: {{issueUrl}}`
+    },
+
+    verificationCode: {
+      body: `మీ Voice2Action ధృవీకరణ కోడ్: {{code}}
+
+ఈ కోడ్ 10 నిమిషాల్లో గడువు ముగుస్తుంది. దీన్ని ఎవరితోనూ పంచుకోకండి.`
+    },
+
+    passwordResetCode: {
+      body: `మీ Voice2Action పాస్‌వర్డ్ రీసెట్ కోడ్: {{code}}
+
+ఈ కోడ్ 10 నిమిషాల్లో గడువు ముగుస్తుంది. మీరు అభ్యర్థించకపోతే, దీన్ని విస్మరించండి.`
+    },
+
+    weeklySummary: {
+      body: `📊 Voice2Action వారపు సారాంశం
+
+మీ ప్రభావం:
+✅ {{issuesReported}} ఫిర్యాదులు నమోదు
+🎯 {{issuesResolved}} ఫిర్యాదులు పరిష్కారం
+⭐ {{points}} పాయింట్లు
+🏆 ర్యాంక్ #{{rank}}
+
+మార్పు తీసుకువస్తూ ఉండండి!
+
+చూడండి: {{appUrl}}/dashboard`
+    },
+
+    slaEscalation: {
+      body: `⏰ SLA ఉల్లంఘన
+{{issueTitle}}
+
+ప్రాధాన్యత: {{priorityLabel}}
+స్థితి: {{statusLabel}}
+ఆలస్యం: {{overdueHours}} గంటలు
+
+చూడండి: {{issueUrl}}`
+    },
+
+    announcement: {
+      body: `📢 {{title}}
+
+{{message}}
+
+చూడండి: {{appUrl}}/dashboard`
+    }
+  }
+};
@@ -0,0 +1,165 @@
+// tests/classificationService.test.js
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const IssueClassifier = require('../models/IssueClassifier');
+const {
+  ADMIN_VERIFIED_FILTER,
+  MIN_CONFIDENCE,
+  extractTerms,
+  buildModel,
+  prepareModel,
+  suggestFromModel,
+  trainClassifier
+} = require('../services/classificationService');
+
+// A model as it comes back from MongoDB: plain objects with Object.prototype
+const storedModel = (documents) => JSON.parse(JSON.stringify(buildModel(documents)));
+
+describe('extractTerms', () => {
+  it('stems words and drops stopwords, numbers and short words', () => {
+    const { counts, words } = extractTerms('Two potholes near the 5th street, a big pothole');
+
+    expect(counts.get('pothole')).toBe(2);
+    expect(counts.has('near')).toBe(false);
+    expect(counts.has('the')).toBe(false);
+    expect(counts.has('5th')).toBe(true);
+    expect(words.get('pothole')).toBe('potholes');
+  });
+});
+
+describe('suggestFromModel', () => {
+  const seedModel = prepareModel(buildModel());
+
+  it('suggests a category from the seed keywords', () => {
+    const suggestion = suggestFromModel(seedModel, {
+      title: 'Huge pothole on the main road',
+      description: 'The asphalt is cracked and the pothole keeps growing'
+    });
+
+    expect(suggestion.category).toBe('road_maintenance');
+    expect(suggestion.confidence).toBeGreaterThanOrEqual(MIN_CONFIDENCE);
+    expect(suggestion.tags).toContain('pothole');
+  });
+
+  it('picks up urgency words for the priority', () => {
+    const suggestion = suggestFromModel(seedModel, {
+      title: 'Transformer sparking and on fire',
+      description: 'Live wires sparking near the school, very dangerous'
+    });
+
+    expect(suggestion.priority).toBe('urgent');
+  });
+
+  it('returns null when nothing is recognised', () => {
+    expect(suggestFromModel(seedModel, { title: 'Hello', description: 'Lorem ipsum dolor' })).toBeNull();
+  });
+
+  it('treats Object.prototype names as ordinary terms', () => {
+    const documents = Array.from({ length: 5 }, () => ({
+      text: 'Illegal constructor building a wall without a permit',
+      category: 'illegal_construction',
+      priority: 'high'
+    }));
+    const model = prepareModel(storedModel(documents));
+
+    const centroid = model.categoryCentroids.find(entry => entry.label === 'illegal_construction');
+    expect(Number.isFinite(centroid.norm)).toBe(true);
+
+    const suggestion = suggestFromModel(model, {
+      title: 'Constructor blocking the lane',
+      description: 'A constructor put up an illegal building'
+    });
+    expect(suggestion).not.toBeNull();
+    expect(suggestion.category).toBe('illegal_construction');
+    expect(suggestion.tags).toContain('constructor');
+  });
+
+  it('does not match prototype names the model has never seen', () => {
+    const suggestion = suggestFromModel(seedModel, {
+      title: 'constructor tostring valueof',
+      description: 'constructor'
+    });
+
+    expect(suggestion).toBeNull();
+  });
+});
+
+describe('buildModel', () => {
+  it('learns categories from training documents', () => {
+    const documents = Array.from({ length: 5 }, () => ({
+      text: 'Mosquito breeding in the abandoned pond',
+      category: 'drainage',
+      priority: 'medium'
+    }));
+    const model = prepareModel(storedModel(documents));
+
+    const suggestion = suggestFromModel(model, { title: 'Mosquito breeding', description: 'Pond full of mosquitoes' });
+    expect(suggestion.category).toBe('drainage');
+    expect(model.categories.drainage.documents).toBe(6);
+  });
+});
+
+describe('trainClassifier', () => {
+  const admin = new mongoose.Types.ObjectId();
+  const authority = new mongoose.Types.ObjectId();
+
+  const issue = (title, category, status, timeline) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title,
+    description: title,
+    tags: [],
+    category,
+    priority: 'medium',
+    status,
+    timeline
+  });
+
+  // Stand-in for MongoDB applying ADMIN_VERIFIED_FILTER to the stored issues
+  const isAdminVerified = (doc) => ADMIN_VERIFIED_FILTER.status.$in.includes(doc.status) &&
+    doc.timeline.some(entry => entry.action === ADMIN_VERIFIED_FILTER.timeline.$elemMatch.action && entry.user != null);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('trains only on issues an admin verified, not ones auto-assigned at submission', async () => {
+    const issues = [
+      issue('Mosquito breeding in the abandoned pond', 'drainage', 'in_progress', [
+        { action: 'submitted' },
+        { action: 'verified', user: admin },
+        { action: 'assigned', user: admin },
+        { action: 'in_progress', authority }
+      ]),
+      issue('Mosquito breeding in the abandoned pond', 'animal_control', 'assigned', [
+        { action: 'submitted' },
+        { action: 'assigned', authority }
+      ]),
+      issue('Mosquito breeding in the abandoned pond', 'animal_control', 'verified', [
+        { action: 'submitted' },
+        { action: 'verified' } // status change with no admin behind it
+      ])
+    ];
+
+    let filter;
+    jest.spyOn(Issue, 'find').mockImplementation((query) => {
+      filter = query;
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        lean: async () => issues.filter(isAdminVerified)
+      };
+      return chain;
+    });
+    jest.spyOn(IssueClassifier, 'findOneAndUpdate').mockImplementation((query, update) => ({
+      lean: async () => ({ ...update.$set, version: 1 })
+    }));
+
+    const stored = await trainClassifier({ userId: admin });
+
+    expect(filter).toBe(ADMIN_VERIFIED_FILTER);
+    expect(stored.trainingIssues).toBe(1);
+    expect(stored.categories.drainage.documents).toBe(2); // seed keywords plus the verified issue
+    expect(stored.categories.animal_control.documents).toBe(1); // seed keywords only
+  });
+});
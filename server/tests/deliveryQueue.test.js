@@ -0,0 +1,168 @@
+// tests/deliveryQueue.test.js
+const nodemailer = require('nodemailer');
+const NotificationJob = require('../models/NotificationJob');
+const NotificationDeadLetter = require('../models/NotificationDeadLetter');
+const MessageTemplate = require('../models/MessageTemplate');
+const emailService = require('../services/emailService');
+const deliveryQueue = require('../services/deliveryQueue');
+
+const { backoff, processQueue } = deliveryQueue;
+
+const SECOND = 1000;
+
+// A job as claimNext hands it out: already counted as one more attempt
+const claimedJob = (overrides = {}) => new NotificationJob({
+  channel: 'email',
+  payload: { to: 'citizen@example.com', subject: 'Issue updated', html: '<p>Updated</p>' },
+  context: { type: 'status_update' },
+  status: 'processing',
+  lockedAt: new Date(),
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides
+});
+
+// Hand out the given jobs one at a time, then report the queue empty
+const queueOf = (...jobs) => {
+  const claimNext = jest.spyOn(NotificationJob, 'claimNext');
+  jobs.forEach(job => claimNext.mockResolvedValueOnce(job));
+  claimNext.mockResolvedValue(null);
+  return claimNext;
+};
+
+describe('backoff', () => {
+  it('waits 30 seconds and doubles after each failure', () => {
+    expect([1, 2, 3, 4].map(backoff)).toEqual([30 * SECOND, 60 * SECOND, 120 * SECOND, 240 * SECOND]);
+  });
+
+  it('waits at most an hour', () => {
+    expect(backoff(8)).toBe(3600 * SECOND);
+    expect(backoff(20)).toBe(3600 * SECOND);
+  });
+});
+
+describe('processQueue', () => {
+  beforeEach(() => {
+    jest.spyOn(NotificationJob, 'releaseStale').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(NotificationJob.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(NotificationJob, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(NotificationDeadLetter, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hands stale jobs back before claiming new ones', async () => {
+    queueOf();
+
+    await expect(processQueue()).resolves.toEqual({ sent: 0, retried: 0, dead: 0 });
+    expect(NotificationJob.releaseStale).toHaveBeenCalledWith(expect.any(Date));
+  });
+
+  it('marks delivered jobs as sent', async () => {
+    const job = claimedJob();
+    queueOf(job);
+    jest.spyOn(emailService, 'deliverEmail').mockResolvedValue({ success: true, messageId: '<abc@mail>' });
+
+    await expect(processQueue()).resolves.toEqual({ sent: 1, retried: 0, dead: 0 });
+    expect(emailService.deliverEmail).toHaveBeenCalledWith(job.payload);
+    expect(job).toMatchObject({ status: 'sent', providerId: '<abc@mail>', lockedAt: undefined });
+    expect(job.sentAt).toBeInstanceOf(Date);
+  });
+
+  it('requeues a failed job with backoff', async () => {
+    const job = claimedJob({ attempts: 2 });
+    queueOf(job);
+    jest.spyOn(emailService, 'deliverEmail').mockResolvedValue({ success: false, error: 'SMTP timeout' });
+    const before = Date.now();
+
+    await expect(processQueue()).resolves.toEqual({ sent: 0, retried: 1, dead: 0 });
+    expect(job.status).toBe('queued');
+    expect(job.lastError).toBe('SMTP timeout');
+    expect(job.failures).toHaveLength(1);
+    expect(job.failures[0].error).toBe('SMTP timeout');
+    expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + backoff(2));
+    expect(job.lockedAt).toBeUndefined();
+    expect(NotificationDeadLetter.create).not.toHaveBeenCalled();
+  });
+
+  it('treats a transport that throws as a failure', async () => {
+    const job = claimedJob();
+    queueOf(job);
+    jest.spyOn(emailService, 'deliverEmail').mockRejectedValue(new Error('connection reset'));
+
+    await expect(processQueue()).resolves.toEqual({ sent: 0, retried: 1, dead: 0 });
+    expect(job.lastError).toBe('connection reset');
+  });
+
+  it('dead-letters a job after its last attempt', async () => {
+    const job = claimedJob({
+      attempts: 3,
+      failures: [{ at: new Date(), error: 'SMTP timeout' }, { at: new Date(), error: 'SMTP timeout' }]
+    });
+    queueOf(job);
+    jest.spyOn(emailService, 'deliverEmail').mockResolvedValue({ success: false, error: 'mailbox unavailable' });
+
+    await expect(processQueue()).resolves.toEqual({ sent: 0, retried: 0, dead: 1 });
+
+    const deadLetter = NotificationDeadLetter.create.mock.calls[0][0];
+    expect(deadLetter).toMatchObject({
+      job: job._id,
+      channel: 'email',
+      payload: job.payload,
+      context: job.context,
+      attempts: 3,
+      lastError: 'mailbox unavailable'
+    });
+    expect(deadLetter.failures.map(failure => failure.error))
+      .toEqual(['SMTP timeout', 'SMTP timeout', 'mailbox unavailable']);
+    expect(NotificationJob.deleteOne).toHaveBeenCalledWith({ _id: job._id });
+    expect(NotificationJob.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('stops at the batch limit', async () => {
+    const claimNext = queueOf(claimedJob(), claimedJob(), claimedJob());
+    jest.spyOn(emailService, 'deliverEmail').mockResolvedValue({ success: true, messageId: 'id' });
+
+    await expect(processQueue({ limit: 2 })).resolves.toEqual({ sent: 2, retried: 0, dead: 0 });
+    expect(claimNext).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('mails carrying a secret', () => {
+  let sendMail;
+
+  beforeEach(() => {
+    jest.spyOn(MessageTemplate, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(deliveryQueue, 'enqueue');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendMail = jest.fn().mockResolvedValue({ messageId: '<otp@mail>' });
+    jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the login code straight to the provider, never through the queue', async () => {
+    await expect(emailService.sendAuthorityOtpEmail('officer@example.com', '482913', 'Roads Department', 'en'))
+      .resolves.toEqual({ success: true, messageId: '<otp@mail>' });
+
+    expect(deliveryQueue.enqueue).not.toHaveBeenCalled();
+    expect(sendMail.mock.calls[0][0]).toMatchObject({ to: 'officer@example.com' });
+    expect(sendMail.mock.calls[0][0].text).toContain('482913');
+  });
+
+  it('reports a failed password reset send to the caller', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP timeout'));
+    const user = { email: 'citizen@example.com', name: 'Citizen' };
+
+    await expect(emailService.sendPasswordResetEmail(user, 'reset-token'))
+      .resolves.toEqual({ success: false, error: 'SMTP timeout' });
+    expect(deliveryQueue.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+// tests/exportService.test.js
+const { Writable } = require('stream');
+const mongoose = require('mongoose');
+const Contribution = require('../models/Contribution');
+const { COLLECTIONS, csvCell, streamExport } = require('../services/exportService');
+
+describe('csvCell', () => {
+  it('leaves plain values unquoted', () => {
+    expect(csvCell('Pothole')).toBe('Pothole');
+    expect(csvCell(42)).toBe('42');
+  });
+
+  it('writes null and undefined as empty cells', () => {
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(undefined)).toBe('');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(csvCell('Main St, Ward 5')).toBe('"Main St, Ward 5"');
+    expect(csvCell('He said "now"')).toBe('"He said ""now"""');
+    expect(csvCell('line one\nline two')).toBe('"line one\nline two"');
+  });
+
+  it.each(['=SUM(A1:A9)', '+1', '-1+2', '@cmd', '\tTAB', '\rCR'])(
+    'neutralises a text cell starting a formula: %j',
+    (value) => {
+      const cell = csvCell(value);
+      expect(cell.replace(/^"/, '').startsWith("'")).toBe(true);
+    }
+  );
+
+  it('keeps negative numbers numeric', () => {
+    expect(csvCell(-73.98)).toBe('-73.98');
+    expect(csvCell(-2)).toBe('-2');
+  });
+});
+
+describe('streamExport', () => {
+  // A cursor over the given documents, as Query#cursor() returns
+  const fakeCursor = (docs) => ({
+    close: jest.fn().mockResolvedValue(),
+    async *[Symbol.asyncIterator]() {
+      yield* docs;
+    }
+  });
+
+  const stubFind = (cursor) => {
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      lean: () => query,
+      cursor: () => cursor
+    };
+    return jest.spyOn(Contribution, 'find').mockReturnValue(query);
+  };
+
+  const contribution = (points) => ({ _id: new mongoose.Types.ObjectId(), type: 'issue_reported', points });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes every row, ends the response and closes the cursor', async () => {
+    const cursor = fakeCursor([contribution(10), contribution(5)]);
+    stubFind(cursor);
+    const chunks = [];
+    const res = new Writable({ write: (chunk, encoding, done) => { chunks.push(chunk.toString()); done(); } });
+
+    const count = await streamExport(res, { collection: 'contributions', format: 'jsonl', redact: 'none', filters: {} });
+
+    expect(count).toBe(2);
+    expect(chunks).toHaveLength(2);
+    expect(res.writableEnded).toBe(true);
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('stops and closes the cursor when the client disconnects with a full buffer', async () => {
+    const cursor = fakeCursor([contribution(10), contribution(5), contribution(1)]);
+    stubFind(cursor);
+    // A socket that never drains
+    const res = new Writable({ highWaterMark: 1, write: () => {} });
+
+    const exporting = streamExport(res, { collection: 'contributions', format: 'jsonl', redact: 'none', filters: {} });
+    await new Promise(setImmediate);
+    res.destroy();
+
+    await expect(exporting).resolves.toBe(0);
+    expect(cursor.close).toHaveBeenCalled();
+  });
+});
+
+describe('contribution filters', () => {
+  it('match ward and district literally', () => {
+    const filter = COLLECTIONS.contributions.buildFilter({ ward: '(a+)+$', district: 'Ward (5' });
+
+    expect(filter['metadata.location.ward'].test('(a+)+$')).toBe(true);
+    expect(filter['metadata.location.ward'].test('aaa')).toBe(false);
+    expect(filter['metadata.location.district'].test('ward (5')).toBe(true);
+  });
+});
@@ -0,0 +1,161 @@
+// tests/imageService.test.js
+const sharp = require('sharp');
+
+// The @turf/turf bundle pulls in an ES module jest cannot load; the capture check only needs these two
+jest.mock('@turf/turf', () => ({
+  distance: require('@turf/distance').default,
+  point: require('@turf/helpers').point
+}));
+
+const {
+  THUMBNAIL_SIZES,
+  differenceHash,
+  hashDistance,
+  processImage,
+  checkPhotoCapture
+} = require('../services/imageService');
+
+const WIDTH = 1200;
+const HEIGHT = 800;
+
+// Gradients with a checkerboard on top, so the hash has some structure to work with
+const pixels = (invert = false) => {
+  const data = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 3;
+      data[i] = Math.round(x / WIDTH * 255);
+      data[i + 1] = Math.round(y / HEIGHT * 255);
+      data[i + 2] = ((x >> 7) + (y >> 7)) % 2 ? 255 : 0;
+      if (invert) {
+        data[i] = 255 - data[i];
+        data[i + 1] = 255 - data[i + 1];
+        data[i + 2] = 255 - data[i + 2];
+      }
+    }
+  }
+  return sharp(data, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } });
+};
+
+// A phone photo taken at Charminar, Hyderabad (17°21'41.6"N 78°28'27.5"E)
+const photoWithGps = ({ orientation = 1 } = {}) => pixels()
+  .withExif({
+    IFD0: { Make: 'TestPhone', Model: 'Camera 1' },
+    IFD2: { DateTimeOriginal: '2026:10:12 09:30:00', OffsetTimeOriginal: '+05:30' },
+    IFD3: {
+      GPSLatitudeRef: 'N',
+      GPSLatitude: '17/1 21/1 416/10',
+      GPSLongitudeRef: 'E',
+      GPSLongitude: '78/1 28/1 275/10'
+    }
+  })
+  .withMetadata({ orientation })
+  .jpeg({ quality: 90 })
+  .toBuffer();
+
+describe('processImage', () => {
+  let photo;
+
+  beforeAll(async () => {
+    photo = await photoWithGps();
+  });
+
+  it('reads where and when the photo was taken', async () => {
+    const { capture } = await processImage(photo, { thumbnails: false });
+
+    expect(capture.location.lat).toBeCloseTo(17.36156, 4);
+    expect(capture.location.lng).toBeCloseTo(78.47431, 4);
+    expect(capture.takenAt).toEqual(new Date('2026-10-12T04:00:00Z'));
+  });
+
+  it('stores the photo without any EXIF metadata', async () => {
+    expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+    const result = await processImage(photo, { thumbnails: false });
+    const stored = await sharp(result.buffer).metadata();
+
+    expect(stored.exif).toBeUndefined();
+    expect(result.buffer.includes(Buffer.from('TestPhone'))).toBe(false);
+    expect(result).toMatchObject({ format: 'jpeg', width: WIDTH, height: HEIGHT });
+  });
+
+  it('applies the EXIF orientation before dropping it', async () => {
+    const rotated = await photoWithGps({ orientation: 6 });
+
+    const result = await processImage(rotated, { thumbnails: false });
+
+    expect(result).toMatchObject({ width: HEIGHT, height: WIDTH });
+  });
+
+  it('makes webp thumbnails that fit each size', async () => {
+    const { thumbnails } = await processImage(photo);
+
+    expect(thumbnails.map(thumbnail => thumbnail.size)).toEqual(Object.keys(THUMBNAIL_SIZES));
+    expect(thumbnails.map(({ width, height }) => [width, height])).toEqual([[160, 107], [480, 320], [960, 640]]);
+    for (const thumbnail of thumbnails) {
+      const metadata = await sharp(thumbnail.buffer).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: thumbnail.width, height: thumbnail.height });
+      expect(metadata.exif).toBeUndefined();
+    }
+  });
+
+  it('never enlarges a small photo for its thumbnails', async () => {
+    const small = await sharp(photo).resize(120, 80).jpeg().toBuffer();
+
+    const { thumbnails } = await processImage(small);
+
+    expect(thumbnails.every(({ width, height }) => width === 120 && height === 80)).toBe(true);
+  });
+
+  it('skips thumbnails when asked to', async () => {
+    await expect(processImage(photo, { thumbnails: false })).resolves.toMatchObject({ thumbnails: [] });
+  });
+});
+
+describe('differenceHash', () => {
+  it('gives the same photo the same hash every time', async () => {
+    const photo = await photoWithGps();
+
+    const first = await processImage(photo, { thumbnails: false });
+    const second = await processImage(photo, { thumbnails: false });
+
+    expect(first.phash).toMatch(/^[0-9a-f]{16}$/);
+    expect(second.phash).toBe(first.phash);
+  });
+
+  it('keeps re-encoded and resized copies close', async () => {
+    const original = await differenceHash(pixels());
+    const copy = await differenceHash(sharp(await pixels().resize(600, 400).jpeg({ quality: 40 }).toBuffer()));
+
+    expect(hashDistance(original, copy)).toBeLessThanOrEqual(10);
+  });
+
+  it('tells different photos apart', async () => {
+    const original = await differenceHash(pixels());
+    const other = await differenceHash(pixels(true));
+
+    expect(hashDistance(original, other)).toBeGreaterThan(10);
+  });
+});
+
+describe('checkPhotoCapture', () => {
+  const capture = {
+    takenAt: new Date('2026-10-12T04:00:00Z'),
+    location: { lat: 17.36156, lng: 78.47431 }
+  };
+  const reportedAt = new Date('2026-10-12T06:00:00Z');
+
+  it('accepts a photo taken at the reported place shortly before', () => {
+    const check = checkPhotoCapture(capture, { lat: 17.3617, lng: 78.4745 }, reportedAt);
+
+    expect(check.warnings).toEqual([]);
+    expect(check.distance).toBeLessThan(50);
+  });
+
+  it('flags a photo taken far away or long before the report', () => {
+    const check = checkPhotoCapture(capture, { lat: 17.4399, lng: 78.4983 }, new Date('2026-11-01T00:00:00Z'));
+
+    expect(check.warnings).toEqual(['far_from_report', 'taken_before_report']);
+    expect(check).not.toHaveProperty('location');
+  });
+});
@@ -0,0 +1,177 @@
+// tests/issueMergeService.test.js
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// The @turf/turf bundle pulls in an ES module jest cannot load; nothing here uses it
+jest.mock('@turf/turf', () => ({}));
+
+const Issue = require('../models/Issue');
+const { mergeIssues, splitIssue } = require('../services/issueMergeService');
+
+const at = (minutes) => new Date(Date.UTC(2026, 9, 12, 9, minutes));
+const id = () => new mongoose.Types.ObjectId();
+
+const alice = id();
+const bob = id();
+const chitra = id();
+const admin = id();
+
+const report = (fields) => new Issue({
+  title: 'Pothole on MG Road',
+  description: 'A deep pothole in the left lane near the bus stop',
+  category: 'road_maintenance',
+  reporter: alice,
+  location: { address: 'MG Road', point: { type: 'Point', coordinates: [78.4867, 17.385] } },
+  ...fields
+});
+
+const photo = (url) => ({ type: 'image', url });
+
+beforeEach(() => {
+  jest.spyOn(Issue.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mergeIssues', () => {
+  let target;
+  let source;
+
+  beforeEach(() => {
+    jest.spyOn(Issue, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    target = report({
+      upvotes: [{ user: alice, timestamp: at(20) }, { user: bob, timestamp: at(5) }],
+      comments: [{ user: bob, message: 'Still there', timestamp: at(30) }],
+      media: [photo('https://cdn.example/a.jpg')]
+    });
+    source = report({
+      reporter: chitra,
+      upvotes: [{ user: alice, timestamp: at(10) }, { user: chitra, timestamp: at(15) }],
+      comments: [{ user: chitra, message: 'Same pothole here', timestamp: at(25) }],
+      media: [photo('https://cdn.example/a.jpg'), photo('https://cdn.example/b.jpg')]
+    });
+  });
+
+  it('counts each user\'s upvote once, keeping the earliest', async () => {
+    const merged = await mergeIssues(target, [source], { userId: admin });
+
+    expect(merged.upvotes.map(upvote => [upvote.user.toString(), upvote.timestamp])).toEqual([
+      [bob.toString(), at(5)],
+      [alice.toString(), at(10)],
+      [chitra.toString(), at(15)]
+    ]);
+  });
+
+  it('combines comments in time order and adds the duplicates\' media', async () => {
+    const sourceComment = source.comments[0]._id;
+
+    const merged = await mergeIssues(target, [source], { userId: admin });
+
+    expect(merged.comments.map(comment => comment.message)).toEqual(['Same pothole here', 'Still there']);
+    // Comment ids survive so they can still be deleted individually
+    expect(merged.comments[0]._id).toEqual(sourceComment);
+    expect(merged.media.map(item => item.url)).toEqual(['https://cdn.example/a.jpg', 'https://cdn.example/b.jpg']);
+  });
+
+  it('records the merge on the target and turns the duplicates into redirects', async () => {
+    const merged = await mergeIssues(target, [source], { userId: admin, notes: 'Same spot' });
+
+    expect(merged.mergedFrom).toEqual([source._id]);
+    expect(merged.timeline[merged.timeline.length - 1]).toMatchObject({ action: 'merged', user: admin, notes: 'Same spot' });
+    expect(Issue.prototype.save).toHaveBeenCalled();
+
+    const [filter, update] = Issue.updateMany.mock.calls[0];
+    expect(filter).toEqual({ _id: { $in: [source._id] }, status: { $ne: 'merged' } });
+    expect(update.$set).toMatchObject({ status: 'merged', mergedInto: target._id });
+    expect(update.$push.timeline).toMatchObject({ action: 'merged', notes: `Merged into ${target._id}: Same spot` });
+  });
+});
+
+describe('splitIssue', () => {
+  it('moves the selected media and comments into a new issue', async () => {
+    jest.spyOn(Issue, 'create').mockImplementation(async (doc) => new Issue(doc));
+    const original = report({
+      priority: 'high',
+      upvotes: [{ user: bob, timestamp: at(5) }],
+      comments: [
+        { user: bob, message: 'About the pothole', timestamp: at(10) },
+        { user: chitra, message: 'The streetlight is out too', timestamp: at(12) }
+      ],
+      media: [photo('https://cdn.example/pothole.jpg'), photo('https://cdn.example/light.jpg')]
+    });
+    const [, lightComment] = original.comments;
+    const [, lightPhoto] = original.media;
+
+    const issue = await splitIssue(original, {
+      title: 'Streetlight out on MG Road',
+      description: 'The streetlight next to the pothole is not working',
+      category: 'street_lighting',
+      mediaIds: [lightPhoto._id.toString()],
+      commentIds: [lightComment._id.toString()]
+    }, { userId: admin });
+
+    expect(issue).toMatchObject({
+      title: 'Streetlight out on MG Road',
+      category: 'street_lighting',
+      priority: 'high',
+      splitFrom: original._id
+    });
+    expect(issue.reporter).toEqual(alice);
+    expect(issue.media.map(item => item.url)).toEqual(['https://cdn.example/light.jpg']);
+    expect(issue.comments.map(comment => comment.message)).toEqual(['The streetlight is out too']);
+    expect(issue.upvotes.map(upvote => upvote.user)).toEqual([bob]);
+    expect(issue.timeline.map(entry => entry.action)).toEqual(['submitted', 'split']);
+
+    expect(original.media.map(item => item.url)).toEqual(['https://cdn.example/pothole.jpg']);
+    expect(original.comments.map(comment => comment.message)).toEqual(['About the pothole']);
+    expect(original.timeline[original.timeline.length - 1]).toMatchObject({ action: 'split', notes: `Split into ${issue._id}` });
+    expect(Issue.prototype.save).toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/issues/:id for a merged issue', () => {
+  const app = express();
+  app.use('/api/issues', require('../routes/issues'));
+
+  const stubFindById = (issue) => {
+    const query = {
+      populate: () => query,
+      lean: async () => issue
+    };
+    jest.spyOn(Issue, 'findById').mockReturnValue(query);
+  };
+
+  const merged = (fields) => ({
+    _id: id(),
+    title: 'Pothole on MG Road',
+    status: 'merged',
+    mergedInto: id(),
+    visibility: 'public',
+    reporter: { _id: alice, name: 'Alice' },
+    ...fields
+  });
+
+  it('redirects to the issue it was merged into', async () => {
+    const issue = merged();
+    stubFindById(issue);
+
+    const res = await request(app).get(`/api/issues/${issue._id}`);
+
+    expect(res.status).toBe(307);
+    expect(res.headers.location).toBe(`/api/issues/${issue.mergedInto}`);
+  });
+
+  it('does not reveal where a private issue went', async () => {
+    const issue = merged({ visibility: 'private' });
+    stubFindById(issue);
+
+    const res = await request(app).get(`/api/issues/${issue._id}`);
+
+    expect(res.status).toBe(403);
+    expect(res.headers.location).toBeUndefined();
+  });
+});
@@ -0,0 +1,137 @@
+// tests/jobScheduler.test.js
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const JobRun = require('../models/JobRun');
+const { scheduleJob, getJobStatuses } = require('../services/jobScheduler');
+
+// Schedule a job without cron and return a function that runs it once, as cron would
+const scheduleForTest = (name, task) => {
+  let tick;
+  jest.spyOn(cron, 'schedule').mockImplementation((expression, callback) => {
+    tick = callback;
+    return { stop: () => {} };
+  });
+  scheduleJob(name, '* * * * *', task);
+  return () => tick();
+};
+
+beforeEach(() => {
+  jest.spyOn(JobRun, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+  jest.spyOn(JobRun, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('scheduleJob', () => {
+  it('stores each run and its outcome', async () => {
+    const run = scheduleForTest('cleanup', async () => {});
+
+    await run();
+
+    expect(JobRun.create).toHaveBeenCalledWith(expect.objectContaining({
+      job: 'cleanup',
+      host: expect.stringMatching(/:\d+$/),
+      startedAt: expect.any(Date)
+    }));
+    const [, update] = JobRun.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ status: 'success', finishedAt: expect.any(Date), duration: expect.any(Number) });
+  });
+
+  it('stores a failed run with its error', async () => {
+    const run = scheduleForTest('cleanup', async () => { throw new Error('disk full'); });
+
+    await run();
+
+    expect(JobRun.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'failed', error: 'disk full' });
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    const run = scheduleForTest('slow', task);
+
+    const first = run();
+    await new Promise(setImmediate);
+    await run();
+    finish();
+    await first;
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(JobRun.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('still runs the job when its run cannot be stored', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    JobRun.create.mockRejectedValue(new Error('not connected'));
+    const task = jest.fn(async () => {});
+    const run = scheduleForTest('cleanup', task);
+
+    await run();
+
+    expect(task).toHaveBeenCalled();
+    expect(JobRun.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('getJobStatuses', () => {
+  it('reads the last runs from storage, including jobs scheduled by other instances', async () => {
+    scheduleForTest('cleanup', async () => {});
+    const startedAt = new Date('2026-10-18T10:00:00Z');
+    const finishedAt = new Date('2026-10-18T09:00:02Z');
+    jest.spyOn(JobRun, 'aggregate')
+      .mockResolvedValueOnce([
+        {
+          _id: 'cleanup',
+          lastRun: { status: 'running', startedAt, host: 'web-2:41' },
+          runCount: 12,
+          failureCount: 1,
+          lastSuccessAt: new Date('2026-10-18T08:00:01Z')
+        },
+        {
+          _id: 'translations',
+          lastRun: { status: 'success', startedAt, host: 'web-1:17' },
+          runCount: 3,
+          failureCount: 0,
+          lastSuccessAt: startedAt
+        }
+      ])
+      .mockResolvedValueOnce([
+        { _id: 'cleanup', run: { status: 'failed', duration: 2000, error: 'disk full', finishedAt } },
+        { _id: 'translations', run: { status: 'success', duration: 40 } }
+      ]);
+
+    const statuses = await getJobStatuses();
+    const byName = Object.fromEntries(statuses.map(status => [status.name, status]));
+
+    expect(byName.cleanup).toEqual({
+      name: 'cleanup',
+      schedule: '* * * * *',
+      running: true,
+      runCount: 12,
+      failureCount: 1,
+      lastRunAt: startedAt,
+      lastHost: 'web-2:41',
+      lastStatus: 'failed',
+      lastDuration: 2000,
+      lastError: 'disk full',
+      lastSuccessAt: new Date('2026-10-18T08:00:01Z')
+    });
+    expect(byName.translations).toMatchObject({ schedule: null, running: false, lastStatus: 'success', lastError: null });
+  });
+
+  it('lists scheduled jobs that have not run yet', async () => {
+    scheduleForTest('monthlyReports', async () => {});
+    jest.spyOn(JobRun, 'aggregate').mockResolvedValue([]);
+
+    const statuses = await getJobStatuses();
+
+    expect(statuses.find(status => status.name === 'monthlyReports')).toMatchObject({
+      running: false,
+      runCount: 0,
+      lastRunAt: null,
+      lastStatus: null
+    });
+  });
+});
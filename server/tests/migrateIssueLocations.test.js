@@ -0,0 +1,104 @@
+// tests/migrateIssueLocations.test.js
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const { backfill, verify } = require('../scripts/migrateIssueLocations');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Just enough of the MongoDB collection API for the migration, over plain documents
+const fakeCollection = (docs) => ({
+  find: (filter) => {
+    const pending = filter['location.point'] ? docs.filter(doc => !(doc.location && doc.location.point)) : docs;
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* pending;
+      }
+    };
+  },
+  bulkWrite: jest.fn(async (operations) => {
+    operations.forEach(({ updateOne: { filter, update } }) => {
+      const doc = docs.find(candidate => candidate._id.equals(filter._id));
+      if (!doc || doc.location.point) return;
+      doc.location.point = update.$set['location.point'];
+      delete doc.location.coordinates;
+    });
+  }),
+  indexes: async () => [{ name: 'location.point_2dsphere', key: { 'location.point': '2dsphere' } }],
+  findOne: async (filter) => docs.find(doc => doc.location && doc.location.point && (!filter._id || doc._id.equals(filter._id)))
+});
+
+const legacy = (lat, lng) => ({ _id: id(), title: 'Pothole', location: { address: 'MG Road', coordinates: { lat, lng } } });
+const migrated = (lat, lng) => ({ _id: id(), title: 'Pothole', location: { address: 'MG Road', point: { type: 'Point', coordinates: [lng, lat] } } });
+
+describe('migrateIssueLocations', () => {
+  let docs;
+  let collection;
+
+  beforeEach(() => {
+    docs = [legacy(17.385, 78.4867), legacy(-33.8688, 151.2093), migrated(12.9716, 77.5946)];
+    collection = fakeCollection(docs);
+    jest.replaceProperty(Issue, 'collection', collection);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('converts { lat, lng } pairs to GeoJSON points', async () => {
+    const summary = await backfill({ write: true });
+
+    expect(summary).toEqual({ converted: 2, invalid: [] });
+    expect(docs[0].location).toEqual({ address: 'MG Road', point: { type: 'Point', coordinates: [78.4867, 17.385] } });
+    expect(docs[1].location.point.coordinates).toEqual([151.2093, -33.8688]);
+  });
+
+  it('writes nothing on a dry run', async () => {
+    const before = JSON.stringify(docs);
+
+    const summary = await backfill({ write: false });
+
+    expect(summary.converted).toBe(2);
+    expect(collection.bulkWrite).not.toHaveBeenCalled();
+    expect(JSON.stringify(docs)).toBe(before);
+  });
+
+  it('leaves migrated issues alone when run again', async () => {
+    await backfill({ write: true });
+    const after = JSON.stringify(docs);
+    collection.bulkWrite.mockClear();
+
+    const summary = await backfill({ write: true });
+
+    expect(summary).toEqual({ converted: 0, invalid: [] });
+    expect(collection.bulkWrite).not.toHaveBeenCalled();
+    expect(JSON.stringify(docs)).toBe(after);
+  });
+
+  it('skips and reports issues whose coordinates are out of range', async () => {
+    const broken = legacy(123, 78.4867);
+    docs.push(broken);
+
+    const summary = await backfill({ write: true });
+
+    expect(summary.invalid).toEqual([broken._id.toString()]);
+    expect(broken.location.coordinates).toEqual({ lat: 123, lng: 78.4867 });
+  });
+
+  it('keeps the coordinates virtual reading the migrated point', async () => {
+    await backfill({ write: true });
+
+    const issue = Issue.hydrate(docs[0]);
+
+    expect(issue.location.coordinates).toEqual({ lat: 17.385, lng: 78.4867 });
+    expect(issue.toJSON().location.coordinates).toEqual({ lat: 17.385, lng: 78.4867 });
+  });
+
+  it('fails verification until every issue is migrated', async () => {
+    await expect(verify()).resolves.toBe(false);
+
+    await backfill({ write: true });
+
+    await expect(verify()).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,176 @@
+// tests/otpService.test.js
+const OtpCode = require('../models/OtpCode');
+const { OtpService, MemoryOtpStore, MongoOtpStore } = require('../services/otpService');
+
+const EMAIL = 'officer@example.com';
+
+// Request a code and return it as the email would have carried it
+const requestCode = async (service, email = EMAIL) => {
+  let sent;
+  await service.requestCode(email, { send: async (code) => { sent = code; } });
+  return sent;
+};
+
+const wrongCode = (code) => (code === '000000' ? '111111' : '000000');
+
+describe('OtpService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new OtpService(new MemoryOtpStore(), { secret: 'otp-test-secret' });
+  });
+
+  it('verifies a code once', async () => {
+    const code = await requestCode(service);
+
+    await expect(service.verifyCode(EMAIL, code)).resolves.toEqual({ status: 'verified' });
+    await expect(service.verifyCode(EMAIL, code)).resolves.toEqual({ status: 'not_found' });
+  });
+
+  it('matches the email case-insensitively', async () => {
+    const code = await requestCode(service, 'Officer@Example.com ');
+
+    await expect(service.verifyCode(EMAIL, code)).resolves.toEqual({ status: 'verified' });
+  });
+
+  it('counts down wrong guesses and discards the code after the last one', async () => {
+    const code = await requestCode(service);
+    const wrong = wrongCode(code);
+
+    await expect(service.verifyCode(EMAIL, wrong)).resolves.toEqual({ status: 'invalid', remainingAttempts: 2 });
+    await expect(service.verifyCode(EMAIL, wrong)).resolves.toEqual({ status: 'invalid', remainingAttempts: 1 });
+    await expect(service.verifyCode(EMAIL, wrong)).resolves.toEqual({ status: 'too_many_attempts' });
+    await expect(service.verifyCode(EMAIL, code)).resolves.toEqual({ status: 'not_found' });
+  });
+
+  it('accepts the right code on the last attempt', async () => {
+    const code = await requestCode(service);
+    const wrong = wrongCode(code);
+
+    await service.verifyCode(EMAIL, wrong);
+    await service.verifyCode(EMAIL, wrong);
+    await expect(service.verifyCode(EMAIL, code)).resolves.toEqual({ status: 'verified' });
+  });
+
+  it('never allows more than maxAttempts guesses, even concurrently', async () => {
+    const code = await requestCode(service);
+    const compare = jest.spyOn(service, 'hashCode');
+    compare.mockClear();
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => service.verifyCode(EMAIL, wrongCode(code)))
+    );
+
+    // Only claimed attempts get as far as comparing the code
+    expect(compare).toHaveBeenCalledTimes(3);
+    expect(results.filter(result => result.status === 'invalid')).toHaveLength(2);
+    expect(results.some(result => result.status === 'verified')).toBe(false);
+  });
+
+  it('enforces the cooldown between codes', async () => {
+    await requestCode(service);
+
+    const result = await service.requestCode(EMAIL, { send: jest.fn() });
+    expect(result.status).toBe('cooldown');
+    expect(result.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('sends one code when requests arrive together', async () => {
+    const send = jest.fn().mockResolvedValue();
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => service.requestCode(EMAIL, { send }))
+    );
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(results.filter(result => result.status === 'sent')).toHaveLength(1);
+  });
+
+  it('lets requests through again once the rate window has passed', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      service = new OtpService(new MemoryOtpStore(), { secret: 'otp-test-secret', maxRequestsPerEmail: 2 });
+      await requestCode(service);
+      jest.advanceTimersByTime(service.options.cooldown);
+      await requestCode(service);
+
+      // Blocked attempts throughout the window must not extend the lockout
+      for (let i = 0; i < 5; i += 1) {
+        jest.advanceTimersByTime(60 * 1000);
+        await expect(service.checkRateLimit(EMAIL, '10.0.0.1')).resolves.toMatchObject({ limited: true });
+      }
+
+      jest.advanceTimersByTime(service.options.rateWindow - 5 * 60 * 1000);
+      await expect(service.checkRateLimit(EMAIL, '10.0.0.1')).resolves.toEqual({ limited: false });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('drops the code when sending fails', async () => {
+    await expect(service.requestCode(EMAIL, {
+      send: async () => { throw new Error('SMTP down'); }
+    })).rejects.toThrow('SMTP down');
+
+    await expect(service.store.get(EMAIL)).resolves.toBeNull();
+  });
+
+  it('stores only a hash of the code', async () => {
+    const code = await requestCode(service);
+    const record = await service.store.get(EMAIL);
+
+    expect(record.codeHash).not.toContain(code);
+    expect(record.codeHash).toBe(service.hashCode(EMAIL, code));
+  });
+
+  it('refuses to start without a signing secret', () => {
+    const { OTP_SECRET, JWT_SECRET } = process.env;
+    delete process.env.OTP_SECRET;
+    delete process.env.JWT_SECRET;
+    try {
+      expect(() => new OtpService(new MemoryOtpStore())).toThrow('OTP_SECRET or JWT_SECRET must be set');
+    } finally {
+      if (OTP_SECRET !== undefined) process.env.OTP_SECRET = OTP_SECRET;
+      process.env.JWT_SECRET = JWT_SECRET;
+    }
+  });
+});
+
+describe('MemoryOtpStore', () => {
+  it('forgets expired codes', async () => {
+    const store = new MemoryOtpStore();
+    await store.set(EMAIL, { codeHash: 'x', attempts: 0, maxAttempts: 3, expiresAt: new Date(Date.now() - 1) });
+
+    await expect(store.get(EMAIL)).resolves.toBeNull();
+    await expect(store.claimAttempt(EMAIL)).resolves.toBeNull();
+  });
+});
+
+describe('MongoOtpStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only replaces a code that has expired or left its cooldown', async () => {
+    const update = jest.spyOn(OtpCode, 'findOneAndUpdate').mockResolvedValue({});
+
+    await expect(new MongoOtpStore().reserve(EMAIL, { codeHash: 'x' }, 60 * 1000)).resolves.toBeNull();
+
+    const [filter, , options] = update.mock.calls[0];
+    expect(filter.email).toBe(EMAIL);
+    expect(filter.$or).toEqual([
+      { expiresAt: { $lte: expect.any(Date) } },
+      { requestedAt: { $lte: expect.any(Date) } }
+    ]);
+    expect(options.upsert).toBe(true);
+  });
+
+  it('returns the code that is cooling down when the upsert collides with it', async () => {
+    const requestedAt = new Date();
+    jest.spyOn(OtpCode, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    jest.spyOn(OtpCode, 'findOne').mockReturnValue({ lean: async () => ({ email: EMAIL, requestedAt }) });
+
+    await expect(new MongoOtpStore().reserve(EMAIL, { codeHash: 'x' }, 60 * 1000))
+      .resolves.toMatchObject({ requestedAt });
+  });
+});
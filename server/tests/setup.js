@@ -0,0 +1,14 @@
+// tests/setup.js
+// Runs before each test file. Services read these at require time, so they are set here
+// rather than in the tests. Nothing talks to MongoDB: tests stub the model calls they use.
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Each test file gets its own scratch space for temporary, stored and quarantined files
+const scratch = path.join(os.tmpdir(), `v2a-test-${process.pid}-${Date.now()}`);
+process.env.UPLOAD_TMP_DIR = path.join(scratch, 'uploads');
+process.env.STORAGE_LOCAL_DIR = path.join(scratch, 'storage');
+process.env.QUARANTINE_DIR = path.join(scratch, 'quarantine');
+process.env.TEST_SCRATCH_DIR = scratch;
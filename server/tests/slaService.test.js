@@ -0,0 +1,223 @@
+// tests/slaService.test.js
+const mongoose = require('mongoose');
+
+// The @turf/turf bundle pulls in an ES module jest cannot load; nothing here uses it
+jest.mock('@turf/turf', () => ({}));
+
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const Authority = require('../models/Authority');
+const AuthorityMember = require('../models/AuthorityMember');
+const SlaPolicy = require('../models/SlaPolicy');
+const {
+  getSlaStart,
+  getDeadlines,
+  detectBreach,
+  evaluateSlaBreaches
+} = require('../services/slaService');
+
+const HOUR = 60 * 60 * 1000;
+const ASSIGNED_AT = new Date('2026-10-12T09:00:00Z');
+const hoursAfterAssignment = (hours) => new Date(ASSIGNED_AT.getTime() + hours * HOUR);
+
+// What Model.find(...).select(...).lean() resolves to
+const query = (result) => ({
+  select: () => query(result),
+  lean: async () => result
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SLA deadlines', () => {
+  const policy = { responseHours: 24, resolutionHours: 72 };
+
+  it('start when the issue was assigned', () => {
+    expect(getDeadlines({ sla: { startedAt: ASSIGNED_AT } }, policy)).toEqual({
+      startedAt: ASSIGNED_AT,
+      responseDueAt: hoursAfterAssignment(24),
+      dueAt: hoursAfterAssignment(72)
+    });
+  });
+
+  it('fall back to the last department assignment for older issues', () => {
+    const issue = {
+      createdAt: new Date('2026-10-10T00:00:00Z'),
+      timeline: [
+        { action: 'assigned', timestamp: new Date('2026-10-11T00:00:00Z') },
+        { action: 'assigned', timestamp: ASSIGNED_AT },
+        { action: 'assigned', timestamp: hoursAfterAssignment(2), officer: new mongoose.Types.ObjectId() }
+      ]
+    };
+
+    expect(getSlaStart(issue)).toEqual(ASSIGNED_AT);
+    expect(getSlaStart({ createdAt: issue.createdAt, timeline: [] })).toEqual(issue.createdAt);
+  });
+});
+
+describe('detectBreach', () => {
+  const deadlines = { responseDueAt: hoursAfterAssignment(24), dueAt: hoursAfterAssignment(72) };
+
+  it('finds nothing before the deadlines', () => {
+    expect(detectBreach({ status: 'assigned' }, deadlines, hoursAfterAssignment(23))).toBeNull();
+  });
+
+  it('flags a missed response only while nobody has started work', () => {
+    expect(detectBreach({ status: 'assigned' }, deadlines, hoursAfterAssignment(30)))
+      .toEqual({ breachType: 'response', dueAt: deadlines.responseDueAt });
+    expect(detectBreach({ status: 'in_progress' }, deadlines, hoursAfterAssignment(30))).toBeNull();
+  });
+
+  it('ranks a missed resolution above a missed response', () => {
+    expect(detectBreach({ status: 'assigned' }, deadlines, hoursAfterAssignment(80)))
+      .toEqual({ breachType: 'resolution', dueAt: deadlines.dueAt });
+  });
+});
+
+describe('SlaPolicy.getResolver', () => {
+  it('prefers the category policy, then the catch-all, then the default', async () => {
+    jest.spyOn(SlaPolicy, 'find').mockReturnValue(query([
+      { category: 'drainage', priority: 'high', responseHours: 6, resolutionHours: 24 },
+      { category: 'any', priority: 'high', responseHours: 12, resolutionHours: 48 }
+    ]));
+
+    const resolve = await SlaPolicy.getResolver();
+
+    expect(resolve('drainage', 'high').responseHours).toBe(6);
+    expect(resolve('electricity', 'high').responseHours).toBe(12);
+    expect(resolve('electricity', 'urgent')).toMatchObject({ category: 'default', ...SlaPolicy.DEFAULT_SLA.urgent });
+  });
+});
+
+describe('evaluateSlaBreaches', () => {
+  const authorityId = new mongoose.Types.ObjectId();
+  const authority = {
+    _id: authorityId,
+    name: 'Drainage Department',
+    contact: { email: 'drainage@example.gov' },
+    headOfDepartment: { name: 'Anita Rao', contact: 'anita@example.gov' }
+  };
+  const admin = { _id: new mongoose.Types.ObjectId(), name: 'Admin', email: 'admin@example.com', preferences: {} };
+
+  // A high priority issue assigned at ASSIGNED_AT; the default policy gives it 24h to respond
+  const openIssue = (sla = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Blocked drain',
+    category: 'drainage',
+    priority: 'high',
+    status: 'assigned',
+    assignedTo: authorityId,
+    timeline: [],
+    createdAt: ASSIGNED_AT,
+    sla: { startedAt: ASSIGNED_AT, breached: false, escalationLevel: 0, ...sla }
+  });
+
+  let notificationService;
+
+  const stubIssues = (issues) => {
+    jest.spyOn(SlaPolicy, 'find').mockReturnValue(query([]));
+    jest.spyOn(Issue, 'find').mockReturnValue(query(issues));
+    jest.spyOn(Authority, 'find').mockReturnValue(query([authority]));
+    jest.spyOn(AuthorityMember, 'find').mockReturnValue(query([]));
+    jest.spyOn(User, 'find').mockReturnValue(query([admin]));
+    jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // The escalation filter only matches issues below the target level
+    jest.spyOn(Issue, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      const issue = issues.find(candidate => candidate._id.equals(filter._id));
+      const matches = !((issue.sla.escalationLevel || 0) >= filter['sla.escalationLevel'].$not.$gte);
+      return { lean: async () => (matches ? { ...issue, sla: { ...issue.sla, ...update.$set } } : null) };
+    });
+  };
+
+  beforeEach(() => {
+    notificationService = { notifySlaEscalation: jest.fn().mockResolvedValue() };
+  });
+
+  it('flags a missed deadline and escalates it to the head of department', async () => {
+    const issue = openIssue();
+    stubIssues([issue]);
+    const now = hoursAfterAssignment(30);
+
+    const summary = await evaluateSlaBreaches(notificationService, { now });
+
+    expect(summary).toEqual({ evaluated: 1, breached: 1, escalatedToHead: 1, escalatedToAdmins: 0 });
+    expect(Issue.updateOne).toHaveBeenCalledWith({ _id: issue._id }, {
+      $set: expect.objectContaining({ 'sla.breached': true, 'sla.breachType': 'response', 'sla.breachedAt': now })
+    });
+
+    const [, update] = Issue.findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toEqual({ 'sla.escalationLevel': 1, 'sla.lastEscalatedAt': now });
+    expect(update.$push.timeline).toMatchObject({
+      action: 'escalated',
+      timestamp: now,
+      notes: 'Response SLA missed by 6h; escalated to head of department'
+    });
+
+    const [, escalation, recipients] = notificationService.notifySlaEscalation.mock.calls[0];
+    expect(escalation).toMatchObject({ level: 1, breachType: 'response', overdueHours: 6 });
+    expect(recipients).toEqual([expect.objectContaining({ email: 'anita@example.gov' })]);
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  it('waits for the admin escalation delay before involving admins', async () => {
+    // Escalated to the head at 26h; the default high priority delay is 12h
+    const issue = openIssue({
+      breached: true,
+      breachType: 'response',
+      breachedAt: hoursAfterAssignment(26),
+      escalationLevel: 1,
+      lastEscalatedAt: hoursAfterAssignment(26)
+    });
+    stubIssues([issue]);
+
+    const early = await evaluateSlaBreaches(notificationService, { now: hoursAfterAssignment(30) });
+    expect(early.escalatedToAdmins).toBe(0);
+    expect(Issue.findOneAndUpdate).not.toHaveBeenCalled();
+
+    const late = await evaluateSlaBreaches(notificationService, { now: hoursAfterAssignment(38) });
+    expect(late.escalatedToAdmins).toBe(1);
+    const [, escalation, recipients] = notificationService.notifySlaEscalation.mock.calls[0];
+    expect(escalation.level).toBe(2);
+    expect(recipients).toEqual([expect.objectContaining({ userId: admin._id, email: admin.email })]);
+  });
+
+  it('does not escalate the same breach twice', async () => {
+    const issue = openIssue();
+    stubIssues([issue]);
+
+    // Another instance escalated it between this run reading the issue and updating it
+    const escalatedElsewhere = { ...issue, sla: { ...issue.sla, escalationLevel: 1, lastEscalatedAt: hoursAfterAssignment(29) } };
+    Issue.findOneAndUpdate.mockImplementation(() => ({ lean: async () => null }));
+    const raced = await evaluateSlaBreaches(notificationService, { now: hoursAfterAssignment(30) });
+
+    expect(raced.escalatedToHead).toBe(0);
+    expect(Issue.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ 'sla.escalationLevel': { $not: { $gte: 1 } } });
+    expect(notificationService.notifySlaEscalation).not.toHaveBeenCalled();
+
+    // Later runs see the stored level and leave it alone
+    Issue.find.mockReturnValue(query([
+      escalatedElsewhere,
+      openIssue({ breached: true, breachType: 'resolution', escalationLevel: 2, lastEscalatedAt: hoursAfterAssignment(80) })
+    ]));
+    Issue.findOneAndUpdate.mockClear();
+    const later = await evaluateSlaBreaches(notificationService, { now: hoursAfterAssignment(30) });
+
+    expect(later).toMatchObject({ breached: 2, escalatedToHead: 0, escalatedToAdmins: 0 });
+    expect(Issue.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('clears the breach when a relaxed policy moves the deadline', async () => {
+    const issue = openIssue({ breached: true, breachType: 'response', escalationLevel: 1 });
+    stubIssues([issue]);
+    SlaPolicy.find.mockReturnValue(query([
+      { category: 'drainage', priority: 'high', responseHours: 48, resolutionHours: 96, adminEscalationHours: 12 }
+    ]));
+
+    const summary = await evaluateSlaBreaches(notificationService, { now: hoursAfterAssignment(30) });
+
+    expect(summary.breached).toBe(0);
+    expect(Issue.updateOne.mock.calls[0][1].$set).toMatchObject({ 'sla.breached': false });
+    expect(notificationService.notifySlaEscalation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+// tests/storageService.test.js
+const fs = require('fs/promises');
+const mongoose = require('mongoose');
+
+// The @turf/turf bundle pulls in an ES module jest cannot load; storage only needs these two
+jest.mock('@turf/turf', () => ({
+  distance: require('@turf/distance').default,
+  point: require('@turf/helpers').point
+}));
+
+const User = require('../models/User');
+const {
+  LocalStorage,
+  storage,
+  signMediaUrl,
+  signAvatar,
+  signIssueMedia
+} = require('../services/storageService');
+
+const SIGNED = /\?expires=\d+&signature=[0-9a-f]{64}$/;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await fs.rm(process.env.TEST_SCRATCH_DIR, { recursive: true, force: true });
+});
+
+describe('LocalStorage', () => {
+  it('keeps two uploads of the same name in the same millisecond apart', async () => {
+    const local = new LocalStorage();
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    const first = await local.upload(Buffer.from('first'), 'pothole.jpg', 'image');
+    const second = await local.upload(Buffer.from('second'), 'pothole.jpg', 'image');
+
+    expect(first.publicId).toMatch(/^voice2action\/images\/1700000000000_[0-9a-f-]{36}_pothole\.jpg$/);
+    expect(second.publicId).not.toBe(first.publicId);
+    await expect(local.read(first.publicId)).resolves.toEqual(Buffer.from('first'));
+    await expect(local.read(second.publicId)).resolves.toEqual(Buffer.from('second'));
+  });
+});
+
+describe('signing media links', () => {
+  const url = (key) => storage.urlFor(key);
+
+  it('signs stored links and leaves others alone', () => {
+    expect(signMediaUrl(url('voice2action/images/a.jpg'))).toMatch(SIGNED);
+    expect(signMediaUrl('https://example.com/photo.jpg')).toBe('https://example.com/photo.jpg');
+    expect(signMediaUrl('')).toBe('');
+    expect(signMediaUrl(undefined)).toBeUndefined();
+  });
+
+  it('signs avatars on plain users and documents, and skips unpopulated references', () => {
+    const id = new mongoose.Types.ObjectId();
+    const user = new User({ name: 'Asha', email: 'asha@example.com', avatar: url('voice2action/images/me.jpg') });
+
+    expect(signAvatar({ name: 'Asha', avatar: url('voice2action/images/me.jpg') }).avatar).toMatch(SIGNED);
+    expect(signAvatar(user)).toMatchObject({ name: 'Asha', avatar: expect.stringMatching(SIGNED) });
+    expect(signAvatar(id)).toBe(id);
+    expect(signAvatar({ name: 'No photo', avatar: '' })).toEqual({ name: 'No photo', avatar: '' });
+  });
+
+  it('signs an issue\'s media, thumbnails and avatars without touching the original', () => {
+    const issue = {
+      title: 'Pothole',
+      media: [{
+        type: 'image',
+        url: url('voice2action/images/p.jpg'),
+        thumbnailUrl: url('voice2action/images/p_small.webp'),
+        thumbnails: [{ size: 'small', url: url('voice2action/images/p_small.webp') }]
+      }],
+      reporter: { name: 'Asha', avatar: url('voice2action/images/me.jpg') },
+      comments: [{ message: 'Same here', user: { name: 'Ravi', avatar: url('voice2action/images/ravi.jpg') } }]
+    };
+
+    const signed = signIssueMedia(issue);
+
+    expect(signed.media[0].url).toMatch(SIGNED);
+    expect(signed.media[0].thumbnailUrl).toMatch(SIGNED);
+    expect(signed.media[0].thumbnails[0].url).toMatch(SIGNED);
+    expect(signed.reporter.avatar).toMatch(SIGNED);
+    expect(signed.comments[0].user.avatar).toMatch(SIGNED);
+    expect(signed.title).toBe('Pothole');
+    expect(issue.media[0].url).toBe(url('voice2action/images/p.jpg'));
+  });
+});
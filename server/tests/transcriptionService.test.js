@@ -0,0 +1,187 @@
+// tests/transcriptionService.test.js
+const mongoose = require('mongoose');
+
+// The @turf/turf bundle pulls in an ES module jest cannot load; storage only needs these two
+jest.mock('@turf/turf', () => ({
+  distance: require('@turf/distance').default,
+  point: require('@turf/helpers').point
+}));
+
+const Issue = require('../models/Issue');
+const { storage } = require('../services/storageService');
+const {
+  MAX_ATTEMPTS,
+  FakeTranscriptionProvider,
+  TranscriptionService,
+  buildDrafts,
+  createTranscriptionProvider
+} = require('../services/transcriptionService');
+
+const AUDIO = Buffer.from('ID3 voice note');
+
+const audioItem = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'audio',
+  url: 'https://media.example.com/voice2action/audios/note.mp3',
+  publicId: 'voice2action/audios/note.mp3',
+  transcript: { status: 'pending', attempts: 0 },
+  ...overrides
+});
+
+// Stand-in for the Issue document under test: findById returns it, and updateOne
+// grants each claim at most once per item, recording every update it was given
+const stubIssue = (issue) => {
+  const claimed = new Set();
+  const updates = [];
+  jest.spyOn(Issue, 'findById').mockReturnValue({
+    select: () => ({ lean: async () => issue })
+  });
+  jest.spyOn(Issue, 'updateOne').mockImplementation(async (filter, update) => {
+    updates.push({ filter, update });
+    if (filter.media && filter.media.$elemMatch) {
+      const item = issue.media.find(m => m._id.equals(filter.media.$elemMatch._id));
+      if (claimed.has(String(item._id)) || item.transcript.attempts >= MAX_ATTEMPTS) {
+        return { modifiedCount: 0 };
+      }
+      claimed.add(String(item._id));
+    }
+    return { modifiedCount: 1 };
+  });
+  return updates;
+};
+
+const setOf = (updates, status) => updates
+  .map(({ update }) => update.$set)
+  .find(set => set && set['media.$.transcript.status'] === status);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createTranscriptionProvider', () => {
+  it('is disabled unless a provider is configured', () => {
+    expect(createTranscriptionProvider(undefined)).toBeNull();
+    expect(createTranscriptionProvider('fake')).toBeInstanceOf(FakeTranscriptionProvider);
+  });
+});
+
+describe('buildDrafts', () => {
+  it('titles the draft with the first sentence', () => {
+    expect(buildDrafts('garbage has piled up on 5th street. Nobody has collected it.')).toEqual({
+      title: 'Garbage has piled up on 5th street',
+      description: 'garbage has piled up on 5th street. Nobody has collected it.'
+    });
+  });
+
+  it('offers nothing for a near-empty transcript', () => {
+    expect(buildDrafts('  uh  ')).toBeNull();
+  });
+});
+
+describe('TranscriptionService', () => {
+  it('refuses to transcribe without a provider', async () => {
+    const service = new TranscriptionService(null);
+
+    expect(service.enabled).toBe(false);
+    await expect(service.transcribe(AUDIO)).rejects.toThrow('Transcription is not enabled');
+    await expect(service.transcribeIssueAudio(new mongoose.Types.ObjectId())).resolves.toBeNull();
+  });
+
+  it('returns the transcript with drafts from the provider', async () => {
+    const provider = new FakeTranscriptionProvider({ text: 'Water is leaking from the main pipe. It has flooded the road.' });
+    const result = await new TranscriptionService(provider).transcribe(AUDIO, { language: 'en' });
+
+    expect(result).toMatchObject({
+      text: 'Water is leaking from the main pipe. It has flooded the road.',
+      language: 'en',
+      provider: 'fake',
+      drafts: { title: 'Water is leaking from the main pipe' }
+    });
+    expect(provider.calls).toEqual([{ size: AUDIO.length, language: 'en' }]);
+  });
+
+  describe('transcribeIssueAudio', () => {
+    it('transcribes uploaded voice notes and drafts a title once', async () => {
+      const item = audioItem();
+      const issue = { _id: new mongoose.Types.ObjectId(), media: [item], voiceDraft: null };
+      const updates = stubIssue(issue);
+      const provider = new FakeTranscriptionProvider();
+      const read = jest.spyOn(storage, 'read');
+
+      const transcripts = await new TranscriptionService(provider)
+        .transcribeIssueAudio(issue._id, { buffers: { [item.url]: AUDIO } });
+
+      expect(transcripts).toHaveLength(1);
+      expect(provider.calls).toEqual([{ size: AUDIO.length }]);
+      expect(read).not.toHaveBeenCalled();
+      expect(setOf(updates, 'processing')).toBeDefined();
+      expect(setOf(updates, 'completed')).toMatchObject({
+        'media.$.transcript.text': provider.text,
+        'media.$.transcript.provider': 'fake'
+      });
+
+      const draft = updates.find(({ update }) => update.$set && update.$set.voiceDraft);
+      expect(draft.filter).toMatchObject({ voiceDraft: null });
+      expect(draft.update.$set.voiceDraft).toMatchObject({
+        title: 'The street light near the bus stop has not been working for a week',
+        status: 'pending'
+      });
+    });
+
+    it('reads voice notes from storage when the upload is not at hand', async () => {
+      const item = audioItem();
+      const issue = { _id: new mongoose.Types.ObjectId(), media: [item], voiceDraft: null };
+      stubIssue(issue);
+      const read = jest.spyOn(storage, 'read').mockResolvedValue(AUDIO);
+
+      await new TranscriptionService(new FakeTranscriptionProvider()).transcribeIssueAudio(issue._id);
+
+      expect(read).toHaveBeenCalledWith(item.publicId, 'audio');
+    });
+
+    it('marks the item failed when the provider errors', async () => {
+      const issue = { _id: new mongoose.Types.ObjectId(), media: [audioItem()], voiceDraft: null };
+      const updates = stubIssue(issue);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const provider = new FakeTranscriptionProvider({ error: 'engine unavailable' });
+
+      const transcripts = await new TranscriptionService(provider)
+        .transcribeIssueAudio(issue._id, { buffers: { [issue.media[0].url]: AUDIO } });
+
+      expect(transcripts).toEqual([]);
+      expect(setOf(updates, 'failed')).toEqual({
+        'media.$.transcript.status': 'failed',
+        'media.$.transcript.error': 'engine unavailable'
+      });
+      expect(updates.some(({ update }) => update.$set && update.$set.voiceDraft)).toBe(false);
+    });
+
+    it('skips items another run has claimed or that used up their attempts', async () => {
+      const issue = {
+        _id: new mongoose.Types.ObjectId(),
+        media: [audioItem({ transcript: { status: 'failed', attempts: MAX_ATTEMPTS } })],
+        voiceDraft: null
+      };
+      stubIssue(issue);
+      const provider = new FakeTranscriptionProvider();
+
+      await expect(new TranscriptionService(provider).transcribeIssueAudio(issue._id)).resolves.toEqual([]);
+      expect(provider.calls).toEqual([]);
+    });
+
+    it('leaves images and untracked audio alone', async () => {
+      const issue = {
+        _id: new mongoose.Types.ObjectId(),
+        media: [audioItem({ type: 'image' }), audioItem({ transcript: undefined })],
+        voiceDraft: null
+      };
+      stubIssue(issue);
+      const provider = new FakeTranscriptionProvider();
+
+      await new TranscriptionService(provider).transcribeIssueAudio(issue._id);
+
+      expect(provider.calls).toEqual([]);
+      expect(Issue.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+// tests/translationService.test.js
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const {
+  MAX_TRANSLATION_ATTEMPTS,
+  FakeTranslator,
+  LibreTranslateTranslator,
+  TranslationService,
+  detectLanguage,
+  localizeIssue
+} = require('../services/translationService');
+
+// Stand-in for Issue.findById(...).select(...).lean()
+const stubFindById = (issue) => jest.spyOn(Issue, 'findById').mockReturnValue({
+  select: () => ({ lean: async () => issue })
+});
+
+// Stand-in for Issue.find(...) that records the filter and sort it was given
+const stubFind = (issues) => {
+  const query = {};
+  jest.spyOn(Issue, 'find').mockImplementation((filter) => {
+    query.filter = filter;
+    const chain = {
+      select: () => chain,
+      sort: (sort) => { query.sort = sort; return chain; },
+      limit: (limit) => { query.limit = limit; return chain; },
+      lean: async () => issues
+    };
+    return chain;
+  });
+  return query;
+};
+
+const issueDoc = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Pothole on Main Road',
+  description: 'A deep pothole near the school gate',
+  language: 'en',
+  translations: [],
+  comments: [],
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('detectLanguage', () => {
+  it('detects a language from its script', () => {
+    expect(detectLanguage('రోడ్డు మీద గుంత')).toBe('te');
+    expect(detectLanguage('सड़क पर गड्ढा')).toBe('hi');
+    expect(detectLanguage('Pothole on Main Road')).toBe('en');
+    expect(detectLanguage('')).toBe('en');
+  });
+});
+
+describe('LibreTranslateTranslator', () => {
+  it('does not default to the API server port', () => {
+    const previous = process.env.LIBRETRANSLATE_URL;
+    delete process.env.LIBRETRANSLATE_URL;
+    try {
+      expect(new LibreTranslateTranslator().url).toBe('http://localhost:5001');
+    } finally {
+      if (previous !== undefined) process.env.LIBRETRANSLATE_URL = previous;
+    }
+  });
+});
+
+describe('FakeTranslator', () => {
+  it('tags each text with the target language and records the call', async () => {
+    const translator = new FakeTranslator();
+
+    await expect(translator.translate(['one', 'two'], { from: 'en', to: 'hi' }))
+      .resolves.toEqual(['[hi] one', '[hi] two']);
+    expect(translator.calls).toEqual([{ texts: ['one', 'two'], from: 'en', to: 'hi' }]);
+  });
+});
+
+describe('localizeIssue', () => {
+  const issue = issueDoc({
+    translations: [{ language: 'hi', title: '[hi] Pothole', description: '[hi] Deep pothole' }],
+    translationFailure: { attempts: 1, error: 'timeout' },
+    comments: [{
+      message: 'Still not fixed',
+      language: 'en',
+      translations: [{ language: 'hi', message: '[hi] Still not fixed' }]
+    }]
+  });
+
+  it('serves the translation and keeps the original', () => {
+    const localized = localizeIssue(issue, 'hi');
+
+    expect(localized).toMatchObject({
+      title: '[hi] Pothole',
+      description: '[hi] Deep pothole',
+      language: 'en',
+      displayLanguage: 'hi',
+      isTranslated: true,
+      original: { title: issue.title, description: issue.description }
+    });
+    expect(localized.comments[0]).toMatchObject({
+      message: '[hi] Still not fixed',
+      isTranslated: true,
+      original: { message: 'Still not fixed' }
+    });
+    expect(localized).not.toHaveProperty('translations');
+    expect(localized).not.toHaveProperty('translationFailure');
+  });
+
+  it('serves the original when there is no translation', () => {
+    expect(localizeIssue(issue, 'te')).toMatchObject({ title: issue.title, isTranslated: false });
+    expect(localizeIssue(issue, null)).toMatchObject({ title: issue.title, isTranslated: false });
+  });
+});
+
+describe('TranslationService', () => {
+  describe('translateIssue', () => {
+    it('adds each missing language once', async () => {
+      const issue = issueDoc();
+      stubFindById(issue);
+      jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const translator = new FakeTranslator();
+
+      await expect(new TranslationService(translator, ['en', 'hi', 'te']).translateIssue(issue._id)).resolves.toBe(2);
+
+      expect(translator.calls.map(call => call.to)).toEqual(['hi', 'te']);
+      const [filter, update] = Issue.updateOne.mock.calls[0];
+      expect(filter).toMatchObject({ 'translations.language': { $ne: 'hi' } });
+      expect(update.$push.translations).toMatchObject({ language: 'hi', title: `[hi] ${issue.title}`, provider: 'fake' });
+    });
+
+    it('records a failed run', async () => {
+      const issue = issueDoc();
+      stubFindById(issue);
+      jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const translator = new FakeTranslator();
+      jest.spyOn(translator, 'translate').mockRejectedValue(new Error('LibreTranslate request failed (503)'));
+
+      await expect(new TranslationService(translator, ['en', 'hi']).translateIssue(issue._id)).resolves.toBe(0);
+
+      expect(Issue.updateOne).toHaveBeenCalledWith({ _id: issue._id }, {
+        $set: { 'translationFailure.failedAt': expect.any(Date), 'translationFailure.error': 'LibreTranslate request failed (503)' },
+        $inc: { 'translationFailure.attempts': 1 }
+      });
+    });
+
+    it('clears an earlier failure once a run succeeds', async () => {
+      const issue = issueDoc({ translationFailure: { attempts: 2, failedAt: new Date(), error: 'timeout' } });
+      stubFindById(issue);
+      jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await new TranslationService(new FakeTranslator(), ['en', 'hi']).translateIssue(issue._id);
+
+      expect(Issue.updateOne).toHaveBeenLastCalledWith({ _id: issue._id }, { $unset: { translationFailure: 1 } });
+    });
+  });
+
+  describe('translatePending', () => {
+    it('does nothing without a translator', async () => {
+      const find = jest.spyOn(Issue, 'find');
+
+      await expect(new TranslationService(null).translatePending()).resolves.toBe(0);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('takes the oldest issues first and skips ones that keep failing', async () => {
+      const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      const query = stubFind(ids.map(_id => ({ _id })));
+      const service = new TranslationService(new FakeTranslator(), ['en', 'hi']);
+      const translateIssue = jest.spyOn(service, 'translateIssue').mockResolvedValue(1);
+      const before = Date.now();
+
+      await expect(service.translatePending({ limit: 10 })).resolves.toBe(2);
+
+      expect(query.sort).toEqual({ createdAt: 1 });
+      expect(query.limit).toBe(10);
+      expect(query.filter['translationFailure.attempts']).toEqual({ $not: { $gte: MAX_TRANSLATION_ATTEMPTS } });
+      // Issues that failed within the last hour wait for a later run
+      const { $gt: retryAfter } = query.filter['translationFailure.failedAt'].$not;
+      expect(retryAfter.getTime()).toBeLessThanOrEqual(before - 59 * 60 * 1000);
+      expect(translateIssue.mock.calls.map(([id]) => id)).toEqual(ids);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+// tests/uploadInspectionService.test.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const {
+  sniffContainer,
+  probeDuration,
+  FakeScanner,
+  UploadInspector
+} = require('../services/uploadInspectionService');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Minimal leading bytes of each container, padded so they look like real files
+const pad = (header) => Buffer.concat([header, Buffer.alloc(256, 0x20)]);
+const SAMPLES = {
+  jpeg: pad(Buffer.from([0xff, 0xd8, 0xff, 0xe0])),
+  png: pad(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  gif: pad(Buffer.from('GIF89a')),
+  webp: pad(Buffer.from('RIFF\0\0\0\0WEBP')),
+  wav: pad(Buffer.from('RIFF\0\0\0\0WAVE')),
+  avi: pad(Buffer.from('RIFF\0\0\0\0AVI ')),
+  isobmff: pad(Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypmp42')])),
+  matroska: pad(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+  ogg: pad(Buffer.from('OggS')),
+  mp3: pad(Buffer.from('ID3'))
+};
+
+const file = (buffer, originalname, mimetype) => ({ buffer, originalname, mimetype, size: buffer.length });
+
+describe('sniffContainer', () => {
+  it.each(Object.entries(SAMPLES))('recognises %s', (container, buffer) => {
+    expect(sniffContainer(buffer)).toBe(container);
+  });
+
+  it('recognises a bare MPEG audio frame', () => {
+    expect(sniffContainer(pad(Buffer.from([0xff, 0xfb, 0x90, 0x00])))).toBe('mp3');
+  });
+
+  it('rejects scripts, archives and empty files', () => {
+    expect(sniffContainer(Buffer.from('<?php system($_GET["c"]); ?>'))).toBeNull();
+    expect(sniffContainer(Buffer.from('PK\u0003\u0004'))).toBeNull();
+    expect(sniffContainer(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('UploadInspector', () => {
+  const limits = {
+    image: { maxSize: 1024 },
+    video: { maxSize: 4096, maxDuration: 60 },
+    audio: { maxSize: 4096, maxDuration: 60 }
+  };
+  let scanner;
+  let inspector;
+
+  beforeEach(() => {
+    scanner = new FakeScanner();
+    inspector = new UploadInspector(scanner, { limits, probeDuration: async () => 30 });
+  });
+
+  it('accepts a file whose bytes match its declared type', async () => {
+    const result = await inspector.inspect(file(SAMPLES.jpeg, 'photo.jpg', 'image/jpeg'));
+
+    expect(result).toEqual({ ok: true, detectedType: 'jpeg', duration: null });
+    expect(scanner.calls).toEqual([{ filename: 'photo.jpg', size: SAMPLES.jpeg.length }]);
+  });
+
+  it('ignores mimetype parameters', async () => {
+    const result = await inspector.inspect(file(SAMPLES.matroska, 'note.webm', 'audio/webm;codecs=opus'));
+
+    expect(result.ok).toBe(true);
+    expect(result.duration).toBe(30);
+  });
+
+  it('refuses a script renamed to .jpg', async () => {
+    const result = await inspector.inspect(file(Buffer.from('#!/bin/sh\nrm -rf /'), 'photo.jpg', 'image/jpeg'));
+
+    expect(result).toMatchObject({ ok: false, reason: 'unrecognized_type', detectedType: null });
+  });
+
+  it('refuses a type mismatch', async () => {
+    const result = await inspector.inspect(file(SAMPLES.png, 'clip.mp4', 'video/mp4'));
+
+    expect(result).toMatchObject({ ok: false, reason: 'type_mismatch', detectedType: 'png' });
+  });
+
+  it('enforces the size limit for the declared type', async () => {
+    const big = Buffer.concat([SAMPLES.jpeg, Buffer.alloc(2048)]);
+    const result = await inspector.inspect(file(big, 'photo.jpg', 'image/jpeg'));
+
+    expect(result).toMatchObject({ ok: false, reason: 'too_large' });
+  });
+
+  it('accepts per-call limits', async () => {
+    const big = Buffer.concat([SAMPLES.isobmff, Buffer.alloc(8192)]);
+    const clip = file(big, 'clip.mp4', 'video/mp4');
+
+    await expect(inspector.inspect(clip)).resolves.toMatchObject({ reason: 'too_large' });
+    await expect(inspector.inspect(clip, { limits: { video: { maxSize: 16384, maxDuration: 60 } } }))
+      .resolves.toMatchObject({ ok: true });
+  });
+
+  it('enforces the duration limit', async () => {
+    inspector = new UploadInspector(scanner, { limits, probeDuration: async () => 61 });
+    const result = await inspector.inspect(file(SAMPLES.isobmff, 'clip.mp4', 'video/mp4'));
+
+    expect(result).toMatchObject({ ok: false, reason: 'too_long' });
+  });
+
+  it('accepts media without a duration check when ffprobe is missing, warning once', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    inspector = new UploadInspector(scanner, {
+      limits,
+      probeDuration: (input) => probeDuration(input, '/nonexistent/ffprobe')
+    });
+    const clip = file(SAMPLES.isobmff, 'clip.mp4', 'video/mp4');
+
+    await expect(inspector.inspect(clip)).resolves.toEqual({ ok: true, detectedType: 'isobmff', duration: null });
+    await expect(inspector.inspect(clip)).resolves.toMatchObject({ ok: true });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/ffprobe was not found.*duration limits are not enforced/);
+  });
+
+  it('refuses media ffprobe cannot read', async () => {
+    inspector = new UploadInspector(scanner, {
+      limits,
+      probeDuration: async () => { throw new Error('ffprobe could not read a duration'); }
+    });
+    const result = await inspector.inspect(file(SAMPLES.isobmff, 'clip.mp4', 'video/mp4'));
+
+    expect(result).toMatchObject({ ok: false, reason: 'unreadable', detail: 'ffprobe could not read a duration' });
+  });
+
+  it('blocks files the scanner flags', async () => {
+    const infected = Buffer.concat([SAMPLES.jpeg, Buffer.from(EICAR)]);
+    const result = await inspector.inspect(file(infected, 'photo.jpg', 'image/jpeg'));
+
+    expect(result).toMatchObject({ ok: false, reason: 'infected', detail: 'Eicar-Test-Signature' });
+  });
+
+  it('refuses files when the scanner fails, unless failing open', async () => {
+    const jpeg = file(SAMPLES.jpeg, 'photo.jpg', 'image/jpeg');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const closed = new UploadInspector(new FakeScanner({ error: 'clamd down' }), { limits });
+    await expect(closed.inspect(jpeg)).resolves.toMatchObject({ ok: false, reason: 'scan_failed' });
+
+    const open = new UploadInspector(new FakeScanner({ error: 'clamd down' }), { limits, failOpen: true });
+    await expect(open.inspect(jpeg)).resolves.toMatchObject({ ok: true });
+  });
+
+  it('inspects a file on disk without a buffer', async () => {
+    const dir = path.join(process.env.TEST_SCRATCH_DIR, 'inspect');
+    await fs.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, 'clip.part');
+    await fs.writeFile(filePath, SAMPLES.isobmff);
+    const probe = jest.fn(async () => 12);
+    inspector = new UploadInspector(scanner, { limits, probeDuration: probe });
+
+    const result = await inspector.inspect({ path: filePath, size: SAMPLES.isobmff.length, originalname: 'clip.mp4', mimetype: 'video/mp4' });
+
+    expect(result).toEqual({ ok: true, detectedType: 'isobmff', duration: 12 });
+    expect(probe).toHaveBeenCalledWith(expect.objectContaining({ path: filePath }));
+    expect(scanner.calls).toEqual([{ filename: 'clip.mp4', size: SAMPLES.isobmff.length }]);
+  });
+
+  it('warns at startup when scanning is off or ffprobe is missing', async () => {
+    const previous = process.env.FFPROBE_PATH;
+    process.env.FFPROBE_PATH = '/nonexistent/ffprobe';
+    try {
+      const warnings = await new UploadInspector(null, { limits }).startupWarnings();
+      expect(warnings).toHaveLength(2);
+      expect(warnings[0]).toMatch(/scanning is disabled/);
+      expect(warnings[1]).toMatch(/ffprobe was not found/);
+    } finally {
+      if (previous === undefined) delete process.env.FFPROBE_PATH;
+      else process.env.FFPROBE_PATH = previous;
+    }
+  });
+
+  describe('quarantine', () => {
+    const quarantineDir = () => path.join(process.env.TEST_SCRATCH_DIR, 'quarantine-test');
+
+    beforeEach(() => {
+      jest.spyOn(QuarantinedFile.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    it('keeps the rejected bytes and a record of why', async () => {
+      inspector = new UploadInspector(scanner, { limits, quarantineDir: quarantineDir() });
+      const bytes = Buffer.from('#!/bin/sh\necho owned');
+      const upload = file(bytes, 'photo.jpg', 'image/jpeg');
+      const rejection = await inspector.inspect(upload);
+
+      const record = await inspector.quarantine(upload, rejection, {
+        principal: { id: '64b000000000000000000001', type: 'citizen' },
+        originalUrl: '/api/issues',
+        ip: '203.0.113.9'
+      });
+
+      expect(record).toMatchObject({
+        reason: 'unrecognized_type',
+        filename: 'photo.jpg',
+        claimedType: 'image/jpeg',
+        size: bytes.length,
+        sha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+        uploaderType: 'citizen',
+        route: '/api/issues',
+        ip: '203.0.113.9'
+      });
+      expect(path.dirname(record.path)).toBe(quarantineDir());
+      await expect(fs.readFile(record.path)).resolves.toEqual(bytes);
+      expect(QuarantinedFile.prototype.save).toHaveBeenCalled();
+    });
+
+    it('copies a file on disk', async () => {
+      inspector = new UploadInspector(scanner, { limits, quarantineDir: quarantineDir() });
+      const source = path.join(process.env.TEST_SCRATCH_DIR, 'rejected.part');
+      await fs.mkdir(process.env.TEST_SCRATCH_DIR, { recursive: true });
+      await fs.writeFile(source, SAMPLES.png);
+
+      const record = await inspector.quarantine(
+        { path: source, size: SAMPLES.png.length, originalname: 'clip.mp4', mimetype: 'video/mp4' },
+        { reason: 'type_mismatch', detectedType: 'png' }
+      );
+
+      expect(record.sha256).toBe(crypto.createHash('sha256').update(SAMPLES.png).digest('hex'));
+      await expect(fs.readFile(record.path)).resolves.toEqual(SAMPLES.png);
+      await expect(fs.access(source)).resolves.toBeUndefined();
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.rm(process.env.TEST_SCRATCH_DIR, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,197 @@
+// tests/uploadSessionService.test.js
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// The @turf/turf bundle pulls in an ES module jest cannot load; storage only needs these two
+jest.mock('@turf/turf', () => ({
+  distance: require('@turf/distance').default,
+  point: require('@turf/helpers').point
+}));
+
+const UploadSession = require('../models/UploadSession');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const { uploadInspector } = require('../services/uploadInspectionService');
+const {
+  createSession,
+  writeChunk,
+  cancelSession,
+  claimUploads
+} = require('../services/uploadSessionService');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const MP3 = Buffer.concat([Buffer.from('ID3'), Buffer.alloc(1021, 0x20)]);
+
+// Stand-in for findOneAndUpdate on the one session under test: applies $set when the
+// filter's status and received match, as MongoDB would
+const updateInPlace = (session) => async (filter, update) => {
+  if (filter.status && filter.status !== session.status) return null;
+  if (filter.received !== undefined && filter.received !== session.received) return null;
+  Object.assign(session, update.$set);
+  return session;
+};
+
+const startSession = async (overrides = {}) => {
+  const { session } = await createSession(user, {
+    filename: 'note.mp3',
+    mimetype: 'audio/mpeg',
+    size: MP3.length,
+    ...overrides
+  });
+  jest.spyOn(UploadSession, 'findOneAndUpdate').mockImplementation(updateInPlace(session));
+  return session;
+};
+
+beforeEach(() => {
+  jest.spyOn(UploadSession, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(UploadSession.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(uploadInspector, 'probeDuration').mockResolvedValue(4);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await fs.rm(process.env.TEST_SCRATCH_DIR, { recursive: true, force: true });
+});
+
+describe('createSession', () => {
+  it('reserves an empty temporary file', async () => {
+    const result = await createSession(user, { filename: 'note.mp3', mimetype: 'audio/mpeg', size: 1024 });
+
+    expect(result.status).toBe('created');
+    expect(path.dirname(result.session.tempPath)).toBe(process.env.UPLOAD_TMP_DIR);
+    await expect(fs.stat(result.session.tempPath)).resolves.toMatchObject({ size: 0 });
+  });
+
+  it('refuses files over the resumable limit and unknown types', async () => {
+    await expect(createSession(user, { filename: 'a.mp3', mimetype: 'audio/mpeg', size: 1024 * 1024 * 1024 }))
+      .resolves.toMatchObject({ status: 'too_large' });
+    await expect(createSession(user, { filename: 'a.zip', mimetype: 'application/zip', size: 10 }))
+      .resolves.toMatchObject({ status: 'too_large' });
+  });
+
+  it('limits how many sessions a user has open', async () => {
+    UploadSession.countDocuments.mockResolvedValue(10);
+
+    await expect(createSession(user, { filename: 'a.mp3', mimetype: 'audio/mpeg', size: 10 }))
+      .resolves.toEqual({ status: 'too_many' });
+  });
+});
+
+describe('writeChunk', () => {
+  it('refuses a chunk at the wrong offset', async () => {
+    const session = await startSession();
+
+    await expect(writeChunk(session, 10, MP3.subarray(10, 20))).resolves.toMatchObject({ status: 'offset_mismatch' });
+    expect(session.received).toBe(0);
+  });
+
+  it('refuses bytes past the declared size', async () => {
+    const session = await startSession();
+
+    await expect(writeChunk(session, 0, Buffer.concat([MP3, Buffer.from('x')]))).resolves.toMatchObject({ status: 'too_large' });
+  });
+
+  it('assembles chunks and stores the finished file', async () => {
+    const session = await startSession();
+
+    const first = await writeChunk(session, 0, MP3.subarray(0, 600));
+    expect(first).toMatchObject({ status: 'received' });
+    expect(first.session.received).toBe(600);
+
+    const last = await writeChunk(session, 600, MP3.subarray(600));
+    expect(last.status).toBe('completed');
+    expect(last.session.media).toMatchObject({ type: 'audio', filename: 'note.mp3', size: MP3.length });
+    expect(uploadInspector.probeDuration).toHaveBeenCalledWith(expect.objectContaining({ path: session.tempPath }));
+
+    const stored = path.join(process.env.STORAGE_LOCAL_DIR, last.session.media.publicId);
+    await expect(fs.readFile(stored)).resolves.toEqual(MP3);
+    await expect(fs.access(session.tempPath)).rejects.toThrow();
+  });
+
+  it('quarantines content that fails inspection', async () => {
+    jest.spyOn(QuarantinedFile.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const script = Buffer.from('#!/bin/sh\necho owned\n');
+    const session = await startSession({ size: script.length });
+
+    const result = await writeChunk(session, 0, script, { originalUrl: '/api/uploads' });
+
+    expect(result.status).toBe('rejected');
+    expect(result.rejection.reason).toBe('unrecognized_type');
+    expect(result.session.status).toBe('rejected');
+    expect(QuarantinedFile.prototype.save).toHaveBeenCalled();
+    const quarantined = await fs.readdir(process.env.QUARANTINE_DIR);
+    expect(quarantined).toHaveLength(1);
+    await expect(fs.access(session.tempPath)).rejects.toThrow();
+  });
+
+  it('does not complete a session another request is already processing', async () => {
+    const session = await startSession();
+    await writeChunk(session, 0, MP3.subarray(0, 600));
+    UploadSession.findOneAndUpdate.mockImplementation(async (filter, update) => (
+      update.$set.status === 'processing' ? null : updateInPlace(session)(filter, update)
+    ));
+
+    await expect(writeChunk(session, 600, MP3.subarray(600))).resolves.toMatchObject({ status: 'busy' });
+  });
+});
+
+describe('cancelSession', () => {
+  it.each(['processing', 'attaching', 'attached'])('refuses to cancel an upload that is %s', async (status) => {
+    const deleteOne = jest.spyOn(UploadSession, 'deleteOne');
+    const session = new UploadSession({ owner: user._id, filename: 'a.mp3', mimetype: 'audio/mpeg', size: 10, status });
+
+    await expect(cancelSession(session)).resolves.toMatchObject({ status: 'not_cancellable' });
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('removes an unfinished upload and its temporary file', async () => {
+    const deleteOne = jest.spyOn(UploadSession, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const session = await startSession();
+
+    await expect(cancelSession(session)).resolves.toMatchObject({ status: 'cancelled' });
+    expect(deleteOne).toHaveBeenCalledWith({ _id: session._id });
+    await expect(fs.access(session.tempPath)).rejects.toThrow();
+  });
+});
+
+describe('claimUploads', () => {
+  const completed = (id) => ({ _id: new mongoose.Types.ObjectId(id), status: 'attaching' });
+  const ids = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+
+  it('claims every upload, in the order given', async () => {
+    const updateMany = jest.spyOn(UploadSession, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(UploadSession, 'find').mockResolvedValue([completed(ids[1]), completed(ids[0])]);
+
+    const result = await claimUploads(ids, user._id);
+
+    expect(result.status).toBe('claimed');
+    expect(result.sessions.map(session => session._id.toString())).toEqual(ids);
+    expect(updateMany).toHaveBeenCalledTimes(1);
+    expect(updateMany.mock.calls[0][0]).toMatchObject({ owner: user._id, status: 'completed' });
+    expect(updateMany.mock.calls[0][1].$set).toEqual({ status: 'attaching', claim: result.claim });
+  });
+
+  it('claims none when one is unavailable', async () => {
+    const updateMany = jest.spyOn(UploadSession, 'updateMany')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+    jest.spyOn(UploadSession, 'find').mockResolvedValue([completed(ids[0])]);
+
+    const result = await claimUploads(ids, user._id);
+
+    expect(result).toEqual({ status: 'unavailable', missing: [ids[1]] });
+    // The one that was claimed is given back under the same claim token
+    const claim = updateMany.mock.calls[0][1].$set.claim;
+    expect(updateMany).toHaveBeenLastCalledWith(
+      { claim, status: 'attaching' },
+      { $set: { status: 'completed' }, $unset: { claim: 1 } }
+    );
+  });
+});
@@ -0,0 +1,58 @@
+// utils/filters.js
+
+// Escape user input for use inside a RegExp, so it is matched literally
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a createdAt range from validated dateFrom/dateTo values
+const buildDateRange = ({ dateFrom, dateTo }) => {
+  if (!dateFrom && !dateTo) return null;
+
+  const range = {};
+  if (dateFrom) range.$gte = new Date(dateFrom);
+  if (dateTo) range.$lte = new Date(dateTo);
+  return range;
+};
+
+// Build an Issue query from values returned by validateSearchFilter
+const buildIssueFilter = (value) => {
+  const { q, reporter, category, status, priority, ward, district } = value;
+  const filter = {};
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
+  if (reporter) {
+    filter.reporter = reporter;
+  }
+  if (category) {
+    filter.category = category;
+  }
+  if (status) {
+    filter.status = status;
+  } else {
+    // Merged duplicates only exist as redirects to their target
+    filter.status = { $ne: 'merged' };
+  }
+  if (priority) {
+    filter.priority = priority;
+  }
+  if (ward) {
+    filter['location.ward'] = new RegExp(escapeRegex(ward), 'i');
+  }
+  if (district) {
+    filter['location.district'] = new RegExp(escapeRegex(district), 'i');
+  }
+
+  const createdAt = buildDateRange(value);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+
+  return filter;
+};
+
+module.exports = {
+  escapeRegex,
+  buildDateRange,
+  buildIssueFilter
+};
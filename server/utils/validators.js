@@ -88,7 +88,8 @@ const validateComment = (data) => {
         'string.min': 'Comment cannot be empty',
         'string.max': 'Comment cannot exceed 300 characters',
         'any.required': 'Comment message is required'
-      })
+      }),
+    language: Joi.string().valid('en', 'hi', 'te', 'ta', 'bn').optional()
   });
 
   return schema.validate(data);
@@ -135,7 +136,16 @@ const validateAuthorityCreation = (data) => {
         'string.min': 'Office address must be at least 4 characters long',
         'string.max': 'Office address cannot exceed 200 characters',
         'any.required': 'Office address is required'
-      })
+      }),
+      officeLocation: Joi.object({
+        type: Joi.string().valid('Point').default('Point'),
+        coordinates: Joi.array().ordered(
+          Joi.number().min(-180).max(180).required(),
+          Joi.number().min(-90).max(90).required()
+        ).length(2).required().messages({
+          'array.length': 'Office location must be [longitude, latitude]'
+        })
+      }).optional()
     }).required(),
     serviceArea: Joi.object({
       description: Joi.string().min(10).max(300).required().messages({
@@ -145,11 +155,21 @@ const validateAuthorityCreation = (data) => {
       }),
       boundaries: Joi.object({
         type: Joi.string().valid('Polygon', 'MultiPolygon').default('Polygon'),
-        coordinates: Joi.array().items(
-          Joi.array().items(
-            Joi.array().items(Joi.number())
+        coordinates: Joi.when('type', {
+          is: 'MultiPolygon',
+          then: Joi.array().items(
+            Joi.array().items(
+              Joi.array().items(
+                Joi.array().items(Joi.number())
+              )
+            )
+          ),
+          otherwise: Joi.array().items(
+            Joi.array().items(
+              Joi.array().items(Joi.number())
+            )
           )
-        ).required().messages({
+        }).required().messages({
           'any.required': 'Service boundaries are required'
         })
       }).optional(),
@@ -183,7 +203,8 @@ const validateAuthorityCreation = (data) => {
     notificationPreferences: Joi.object({
       emailNotifications: Joi.boolean().optional(),
       smsNotifications: Joi.boolean().optional(),
-      urgentOnly: Joi.boolean().optional()
+      urgentOnly: Joi.boolean().optional(),
+      language: Joi.string().valid('en', 'hi', 'te', 'ta', 'bn').optional()
     }).optional(),
     status: Joi.string().valid('active', 'inactive', 'suspended').optional(),
     headOfDepartment: Joi.object({
@@ -213,6 +234,20 @@ const validateIssueSubmission = (data) => {
       // fallback: leave as is, validation will fail
     }
   }
+  if (typeof data.tags === 'string') {
+    try {
+      parsed.tags = JSON.parse(data.tags);
+    } catch (e) {
+      // fallback: leave as is, validation will fail
+    }
+  }
+  if (typeof data.uploadIds === 'string') {
+    try {
+      parsed.uploadIds = JSON.parse(data.uploadIds);
+    } catch (e) {
+      // fallback: leave as is, validation will fail
+    }
+  }
   const schema = Joi.object({
     title: Joi.string().min(5).max(100).required().messages({
       'string.min': 'Title must be at least 5 characters',
@@ -267,6 +302,15 @@ const validateIssueSubmission = (data) => {
     anonymous: Joi.boolean().optional(),
     tags: Joi.array().items(Joi.string().max(30)).optional(),
     visibility: Joi.string().valid('public', 'private').default('public').optional(),
+    force: Joi.boolean().optional(), // submit even if likely duplicates exist
+    language: Joi.string().valid('en', 'hi', 'te', 'ta', 'bn').optional(), // detected from the text when omitted
+    // Completed resumable uploads (POST /api/uploads) to attach alongside any multipart files
+    uploadIds: Joi.array().items(Joi.string().hex().length(24)).max(5).unique().optional().messages({
+      'array.max': 'Maximum 5 files allowed',
+      'array.unique': 'Each upload can only be attached once',
+      'string.hex': 'Invalid upload ID',
+      'string.length': 'Invalid upload ID'
+    }),
     // media, voice, files handled by multer/cloudinary, not validated here
   });
   return schema.validate(parsed);
@@ -404,7 +448,7 @@ const validateSearchFilter = (data) => {
       )
       .optional(),
     status: Joi.string()
-      .valid('pending', 'verified', 'rejected', 'assigned', 'in_progress', 'resolved', 'closed')
+      .valid('pending', 'verified', 'rejected', 'assigned', 'in_progress', 'resolved', 'closed', 'merged')
       .optional(),
     priority: Joi.string()
       .valid('low', 'medium', 'high', 'urgent')
@@ -459,6 +503,32 @@ const validateGeolocation = (data) => {
   return schema.validate(data);
 };
 
+// Authority lookup by location validation
+const validateAuthorityLookup = (data) => {
+  const schema = Joi.object({
+    lat: Joi.number().min(-90).max(90).required().messages({
+      'number.base': 'Invalid latitude',
+      'number.min': 'Invalid latitude',
+      'number.max': 'Invalid latitude',
+      'any.required': 'Latitude and longitude are required'
+    }),
+    lng: Joi.number().min(-180).max(180).required().messages({
+      'number.base': 'Invalid longitude',
+      'number.min': 'Invalid longitude',
+      'number.max': 'Invalid longitude',
+      'any.required': 'Latitude and longitude are required'
+    }),
+    category: Joi.string().max(50).optional(),
+    radius: Joi.number().positive().max(100000).optional().messages({
+      'number.base': 'Radius must be a number of meters',
+      'number.positive': 'Radius must be positive',
+      'number.max': 'Radius cannot exceed 100000 meters'
+    })
+  });
+
+  return schema.validate(data);
+};
+
 // Bulk operations validation
 const validateBulkOperation = (data) => {
   const schema = Joi.object({
@@ -525,7 +595,445 @@ const validateIssueStatusUpdate = (data) => {
       'string.pattern.base': 'AssignedTo must be a valid user ID',
       'any.required': 'AssignedTo is required when status is assigned'
     }),
-    estimatedResolutionTime: Joi.number().integer().min(1).optional()
+    estimatedResolutionTime: Joi.number().integer().min(1).optional(),
+    // Corrections made while verifying; these labels train the category classifier
+    category: Joi.string().valid(
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ).optional().messages({
+      'any.only': 'Invalid category'
+    }),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional()
+  });
+  return schema.validate(data);
+};
+
+// Auto-routing preview validation
+const validateRoutingPreview = (data) => {
+  const schema = Joi.object({
+    category: Joi.string().valid(
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ).required().messages({
+      'any.only': 'Invalid category',
+      'any.required': 'Category is required'
+    }),
+    location: Joi.object({
+      address: Joi.string().max(200).optional(),
+      coordinates: Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+      }).optional(),
+      ward: Joi.string().max(50).optional(),
+      district: Joi.string().max(50).optional()
+    }).required().messages({
+      'any.required': 'Location is required'
+    })
+  });
+  return schema.validate(data);
+};
+
+// Admin user update validation
+const validateAdminUserUpdate = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('citizen', 'admin').optional().messages({
+      'any.only': 'Role must be either citizen or admin'
+    }),
+    status: Joi.string().valid('active', 'suspended', 'banned').optional().messages({
+      'any.only': 'Status must be active, suspended or banned'
+    }),
+    reason: Joi.string().max(300).when('status', {
+      is: Joi.valid('suspended', 'banned'),
+      then: Joi.required(),
+      otherwise: Joi.optional().allow('')
+    }).messages({
+      'any.required': 'A reason is required when suspending or banning a user',
+      'string.max': 'Reason cannot exceed 300 characters'
+    }),
+    suspendedUntil: Joi.date().greater('now').when('status', {
+      is: 'suspended',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'date.greater': 'Suspension end date must be in the future',
+      'any.unknown': 'suspendedUntil is only allowed when suspending a user'
+    }),
+    isVerified: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'No updates provided'
+  });
+  return schema.validate(data);
+};
+
+// Admin announcement validation
+const validateAnnouncement = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().min(3).max(150).required().messages({
+      'string.min': 'Title must be at least 3 characters long',
+      'string.max': 'Title cannot exceed 150 characters',
+      'any.required': 'Title is required'
+    }),
+    message: Joi.string().trim().min(5).max(2000).required().messages({
+      'string.min': 'Message must be at least 5 characters long',
+      'string.max': 'Message cannot exceed 2000 characters',
+      'any.required': 'Message is required'
+    }),
+    type: Joi.string().valid('info', 'warning', 'success', 'urgent').default('info'),
+    priority: Joi.string().valid('normal', 'high').default('normal'),
+    target: Joi.object({
+      type: Joi.string().valid('all', 'role', 'ward', 'district', 'users').default('all').messages({
+        'any.only': 'Target must be all, role, ward, district or users'
+      }),
+      role: Joi.string().valid('citizen', 'admin').when('type', {
+        is: 'role',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      ward: Joi.string().trim().max(50).when('type', {
+        is: 'ward',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      district: Joi.string().trim().max(50).when('type', {
+        is: 'district',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      users: Joi.array()
+        .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+        .min(1)
+        .max(1000)
+        .unique()
+        .when('type', {
+          is: 'users',
+          then: Joi.required(),
+          otherwise: Joi.forbidden()
+        })
+        .messages({
+          'array.min': 'At least one user is required',
+          'array.max': 'Cannot target more than 1000 users directly',
+          'string.pattern.base': 'Invalid user ID format'
+        })
+    }).default({ type: 'all' }),
+    channels: Joi.object({
+      email: Joi.boolean().default(false),
+      sms: Joi.boolean().default(false)
+    }).default({ email: false, sms: false }),
+    scheduledFor: Joi.date().greater('now').optional().messages({
+      'date.greater': 'Scheduled time must be in the future'
+    }),
+    expiresAt: Joi.date()
+      .when('scheduledFor', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('scheduledFor')),
+        otherwise: Joi.date().greater('now')
+      })
+      .optional()
+      .messages({
+        'date.greater': 'Expiry must be after the announcement is sent'
+      })
+  });
+
+  return schema.validate(data);
+};
+
+// Authority staff member validation
+const validateAuthorityMember = (data, isUpdate = false) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 100 characters',
+      'any.required': 'Name is required'
+    }),
+    email: Joi.string().email().lowercase().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow('').messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+    role: Joi.string().valid('head', 'supervisor', 'field_officer').messages({
+      'any.only': 'Role must be head, supervisor or field_officer'
+    }),
+    designation: Joi.string().trim().max(100).allow(''),
+    status: Joi.string().valid('active', 'inactive', 'suspended').messages({
+      'any.only': 'Status must be active, inactive or suspended'
+    }),
+    language: Joi.string().valid('en', 'hi', 'te', 'ta', 'bn').messages({
+      'any.only': 'Unsupported language'
+    })
+  });
+
+  // Email is the login identity, so it is fixed once the member exists
+  const rules = isUpdate
+    ? schema
+      .fork(['email'], field => field.forbidden().messages({ 'any.unknown': 'Email cannot be changed' }))
+      .min(1)
+      .messages({ 'object.min': 'No updates provided' })
+    : schema.fork(['name', 'email'], field => field.required());
+
+  return rules.validate(data);
+};
+
+// SLA policy validation; category and priority come from the route
+const validateSlaPolicy = (data) => {
+  const schema = Joi.object({
+    category: Joi.string().valid(
+      'any',
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ).required().messages({
+      'any.only': 'Invalid category'
+    }),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').required().messages({
+      'any.only': 'Priority must be low, medium, high or urgent'
+    }),
+    responseHours: Joi.number().min(1).max(8760).required().messages({
+      'number.min': 'Response time must be at least 1 hour',
+      'number.max': 'Response time cannot exceed one year',
+      'any.required': 'Response time is required'
+    }),
+    resolutionHours: Joi.number().min(Joi.ref('responseHours')).max(8760).required().messages({
+      'number.min': 'Resolution time cannot be shorter than the response time',
+      'number.max': 'Resolution time cannot exceed one year',
+      'any.required': 'Resolution time is required'
+    }),
+    adminEscalationHours: Joi.number().min(0).max(8760).default(24).messages({
+      'number.min': 'Admin escalation delay cannot be negative'
+    }),
+    active: Joi.boolean().default(true)
+  });
+
+  return schema.validate(data);
+};
+
+// SLA breach report query validation
+const validateSlaBreachQuery = (data) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20).messages({
+      'number.max': 'Limit cannot exceed 100'
+    }),
+    authority: Joi.string().hex().length(24).messages({
+      'string.hex': 'Invalid authority ID',
+      'string.length': 'Invalid authority ID'
+    }),
+    category: Joi.string().valid(
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ).messages({
+      'any.only': 'Invalid category'
+    }),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').messages({
+      'any.only': 'Priority must be low, medium, high or urgent'
+    }),
+    breachType: Joi.string().valid('response', 'resolution').messages({
+      'any.only': 'Breach type must be response or resolution'
+    }),
+    level: Joi.number().integer().min(0).max(2).messages({
+      'number.base': 'Escalation level must be 0, 1 or 2',
+      'number.integer': 'Escalation level must be 0, 1 or 2',
+      'number.min': 'Escalation level must be 0, 1 or 2',
+      'number.max': 'Escalation level must be 0, 1 or 2'
+    }),
+    dueSoonHours: Joi.number().positive().max(720).default(24).messages({
+      'number.base': 'Due soon window must be a number of hours',
+      'number.positive': 'Due soon window must be positive',
+      'number.max': 'Due soon window cannot exceed 720 hours'
+    })
+  });
+
+  return schema.validate(data);
+};
+
+// Duplicate detection settings validation
+const validateDuplicateSetting = (data) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean(),
+    radius: Joi.number().min(10).max(5000).messages({
+      'number.min': 'Radius must be at least 10 meters',
+      'number.max': 'Radius cannot exceed 5000 meters'
+    }),
+    minTextScore: Joi.number().min(0).max(50).messages({
+      'number.min': 'Similarity threshold cannot be negative',
+      'number.max': 'Similarity threshold cannot exceed 50'
+    })
+  }).min(1).messages({
+    'object.min': 'No updates provided'
+  });
+
+  return schema.validate(data);
+};
+
+// Issue merge validation
+const validateIssueMerge = (data) => {
+  const schema = Joi.object({
+    sourceIds: Joi.array()
+      .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/))
+      .min(1)
+      .max(20)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one issue to merge is required',
+        'array.max': 'Cannot merge more than 20 issues at once',
+        'array.unique': 'Duplicate issue IDs are not allowed',
+        'string.pattern.base': 'Invalid issue ID format',
+        'any.required': 'Issues to merge are required'
+      }),
+    notes: Joi.string().trim().max(300).optional().allow('')
+  });
+  return schema.validate(data);
+};
+
+// Issue split validation
+const validateIssueSplit = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().min(5).max(100).required().messages({
+      'string.min': 'Title must be at least 5 characters',
+      'string.max': 'Title cannot exceed 100 characters',
+      'any.required': 'Title is required'
+    }),
+    description: Joi.string().min(10).max(1000).required().messages({
+      'string.min': 'Description must be at least 10 characters',
+      'string.max': 'Description cannot exceed 1000 characters',
+      'any.required': 'Description is required'
+    }),
+    category: Joi.string().valid(
+      'road_maintenance',
+      'waste_management',
+      'water_supply',
+      'electricity',
+      'fire_safety',
+      'public_transport',
+      'parks_recreation',
+      'street_lighting',
+      'drainage',
+      'noise_pollution',
+      'illegal_construction',
+      'animal_control',
+      'other'
+    ).required().messages({
+      'any.only': 'Invalid category',
+      'any.required': 'Category is required'
+    }),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+    mediaIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).unique().default([]),
+    commentIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).unique().default([]),
+    notes: Joi.string().trim().max(300).optional().allow('')
+  });
+  return schema.validate(data);
+};
+
+// Category suggestion request validation
+const validateClassificationRequest = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().max(100).allow('').optional(),
+    description: Joi.string().max(5000).allow('').optional()
+  }).or('title', 'description').messages({
+    'object.missing': 'Title or description is required'
+  });
+  return schema.validate(data);
+};
+
+// Voice draft confirmation validation; the reporter may edit the draft before accepting it
+const validateVoiceDraft = (data) => {
+  const schema = Joi.object({
+    action: Joi.string().valid('accept', 'dismiss').required().messages({
+      'any.only': 'Action must be accept or dismiss',
+      'any.required': 'Action is required'
+    }),
+    title: Joi.string().min(5).max(100).optional().messages({
+      'string.min': 'Title must be at least 5 characters',
+      'string.max': 'Title cannot exceed 100 characters'
+    }),
+    description: Joi.string().min(10).max(1000).optional().messages({
+      'string.min': 'Description must be at least 10 characters',
+      'string.max': 'Description cannot exceed 1000 characters'
+    })
+  });
+  return schema.validate(data);
+};
+
+// Email/SMS template edit validation; SMS templates have no subject
+const validateMessageTemplate = (data) => {
+  const schema = Joi.object({
+    channel: Joi.string().valid('email', 'sms').required(),
+    locale: Joi.string().valid('en', 'hi', 'te', 'ta', 'bn').required().messages({
+      'any.only': 'Unsupported locale'
+    }),
+    subject: Joi.when('channel', {
+      is: 'email',
+      then: Joi.string().trim().min(1).max(200).required().messages({
+        'any.required': 'Subject is required for email templates',
+        'string.max': 'Subject cannot exceed 200 characters'
+      }),
+      otherwise: Joi.forbidden().messages({
+        'any.unknown': 'SMS templates have no subject'
+      })
+    }),
+    body: Joi.string().min(1).max(20000).required().messages({
+      'any.required': 'Template body is required',
+      'string.max': 'Template body cannot exceed 20000 characters'
+    })
+  });
+  return schema.validate(data);
+};
+
+// Template preview validation; subject/body preview unsaved edits
+const validateTemplatePreview = (data) => {
+  const schema = Joi.object({
+    channel: Joi.string().valid('email', 'sms').required(),
+    locale: Joi.string().valid('en', 'hi', 'te', 'ta', 'bn').required().messages({
+      'any.only': 'Unsupported locale'
+    }),
+    subject: Joi.string().max(200).optional(),
+    body: Joi.string().max(20000).optional(),
+    variables: Joi.object().optional()
   });
   return schema.validate(data);
 };
@@ -539,6 +1047,85 @@ const validateCommentDelete = (data) => {
   return schema.validate(data);
 };
 
+// Notification preference validation (per event, per channel, quiet hours and digest)
+const validateNotificationPreferences = (data) => {
+  const timeOfDay = Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .messages({
+      'string.pattern.base': 'Quiet hours must be in HH:mm format'
+    });
+
+  const channels = Joi.object({
+    email: Joi.boolean().optional(),
+    sms: Joi.boolean().optional(),
+    inApp: Joi.boolean().optional(),
+    push: Joi.boolean().optional()
+  });
+
+  const schema = Joi.object({
+    emailNotifications: Joi.boolean().optional(),
+    smsNotifications: Joi.boolean().optional(),
+    notifications: Joi.object()
+      .pattern(
+        Joi.string().valid('issue_status', 'issue_merged', 'announcement', 'monthly_report', 'new_issue', 'urgent_issue', 'sla_breach'),
+        channels
+      )
+      .optional()
+      .messages({
+        'object.unknown': 'Unknown notification event'
+      }),
+    quietHours: Joi.object({
+      enabled: Joi.boolean().optional(),
+      start: timeOfDay.optional(),
+      end: timeOfDay.optional()
+    }).optional(),
+    digest: Joi.object({
+      enabled: Joi.boolean().optional(),
+      hour: Joi.number().integer().min(0).max(23).optional()
+    }).optional(),
+    timezone: Joi.string()
+      .custom((value, helpers) => {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: value });
+          return value;
+        } catch (error) {
+          return helpers.message('Unknown time zone');
+        }
+      })
+      .optional()
+  }).min(1);
+  return schema.validate(data);
+};
+
+// Unsubscribe link validation
+const validateUnsubscribe = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Unsubscribe token is required'
+    })
+  });
+  return schema.validate(data);
+};
+
+// Resumable upload session validation
+const validateUploadSession = (data) => {
+  const schema = Joi.object({
+    filename: Joi.string().max(255).required().messages({
+      'any.required': 'Filename is required',
+      'string.max': 'Filename cannot exceed 255 characters'
+    }),
+    mimetype: Joi.string().pattern(/^(image|video|audio)\/[\w.+-]+$/).required().messages({
+      'string.pattern.base': 'Only image, video and audio files can be uploaded',
+      'any.required': 'Mimetype is required'
+    }),
+    size: Joi.number().integer().min(1).required().messages({
+      'number.min': 'File is empty',
+      'any.required': 'Size is required'
+    })
+  });
+  return schema.validate(data);
+};
+
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
@@ -551,6 +1138,23 @@ module.exports = {
   validatePasswordUpdate,
   validateSearchFilter,
   validateGeolocation,
+  validateAuthorityLookup,
   validateBulkOperation,
   validateCommentDelete,
+  validateRoutingPreview,
+  validateAdminUserUpdate,
+  validateAnnouncement,
+  validateAuthorityMember,
+  validateSlaPolicy,
+  validateSlaBreachQuery,
+  validateDuplicateSetting,
+  validateIssueMerge,
+  validateIssueSplit,
+  validateVoiceDraft,
+  validateClassificationRequest,
+  validateMessageTemplate,
+  validateTemplatePreview,
+  validateNotificationPreferences,
+  validateUnsubscribe,
+  validateUploadSession,
 };
\ No newline at end of file